@@ -0,0 +1,115 @@
+// Authentication and role-based authorization
+//
+// ROLE_PERMISSIONS is the single source of truth for what each role may do.
+// getUserPermissions returns it to the UI for showing and hiding views, and
+// every HTTP function calls authorize() with the permission it needs, so the
+// server enforces the same rules the UI displays.
+
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+
+const ROLE_PERMISSIONS = {
+    admin: {
+        view_candidates: true,
+        edit_candidates: true,
+        view_demob: true,
+        edit_demob: true,
+        manage_matches: true,
+        view_analytics: true,
+        export_data: true,
+        manage_settings: true,
+        manage_users: true
+    },
+    hr_manager: {
+        view_candidates: true,
+        edit_candidates: true,
+        view_demob: true,
+        edit_demob: true,
+        manage_matches: true,
+        view_analytics: true,
+        export_data: true,
+        manage_settings: false,
+        manage_users: false
+    },
+    recruiter: {
+        view_candidates: true,
+        edit_candidates: true,
+        view_demob: true,
+        edit_demob: false,
+        manage_matches: true,
+        view_analytics: false,
+        export_data: false,
+        manage_settings: false,
+        manage_users: false
+    },
+    viewer: {
+        view_candidates: true,
+        edit_candidates: false,
+        view_demob: false,
+        edit_demob: false,
+        manage_matches: false,
+        view_analytics: false,
+        export_data: false,
+        manage_settings: false,
+        manage_users: false
+    }
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// New and unknown users get the least privileged role until an admin assigns one
+const DEFAULT_ROLE = 'viewer';
+
+function permissionsFor(role) {
+    return ROLE_PERMISSIONS[role] || ROLE_PERMISSIONS[DEFAULT_ROLE];
+}
+
+// Helper function to verify user authentication
+async function verifyUser(req) {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        throw new HttpError(401, 'Unauthorized');
+    }
+
+    const idToken = authHeader.split('Bearer ')[1];
+    try {
+        const decodedToken = await admin.auth().verifyIdToken(idToken);
+        return decodedToken.uid;
+    } catch (error) {
+        throw new HttpError(401, 'Invalid token');
+    }
+}
+
+// Helper function to load the caller's user document and role
+async function loadCaller(db, uid) {
+    const userDoc = await db.collection('users').doc(uid).get();
+    const user = userDoc.exists ? userDoc.data() : null;
+    const role = ROLE_PERMISSIONS[user?.role] ? user.role : DEFAULT_ROLE;
+    return {
+        uid,
+        role,
+        permissions: permissionsFor(role),
+        user
+    };
+}
+
+// Verify the caller and check they hold `permission` (pass null to only authenticate)
+async function authorize(db, req, permission = null) {
+    const uid = await verifyUser(req);
+    const caller = await loadCaller(db, uid);
+
+    if (permission && !caller.permissions[permission]) {
+        throw new HttpError(403, `Your role (${caller.role}) does not have the ${permission} permission`);
+    }
+    return caller;
+}
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    ROLES,
+    DEFAULT_ROLE,
+    permissionsFor,
+    verifyUser,
+    loadCaller,
+    authorize
+};
@@ -0,0 +1,499 @@
+// Duplicate detection and merging for cv_database
+//
+// Every record carries dedupe_keys (kept by onCVRecordWrite): its case-folded
+// email, its phone's national number and a consonant skeleton of its name, so
+// "+971 50 123 4567" / "0501234567" and "Mohammed Ali" / "Mohamed Ali" land
+// on the same key. Records sharing a key are scored pairwise on contact
+// details, name similarity and employer/education overlap; likely pairs are
+// stored in cv_duplicate_pairs for review and can be merged into one record.
+// Merges keep the absorbed record's profile and file in merge_history.
+
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const { generateSearchIndex } = require('./candidateSchema');
+
+const PAIR_COLLECTION = 'cv_duplicate_pairs';
+const PAIR_STATUSES = ['pending', 'merged', 'dismissed'];
+
+// Pairs scoring at least this are stored for review
+const DUPLICATE_THRESHOLD = 40;
+// Names this similar count as the same person's name
+const NAME_SIMILARITY_THRESHOLD = 0.85;
+// Phones are compared on their last nine digits (the national number)
+const PHONE_KEY_LENGTH = 9;
+// Records read per query when gathering a profile's blocks
+const BLOCK_PAGE_SIZE = 100;
+
+const SCORE_WEIGHTS = {
+    email: 45,
+    phone: 40,
+    name: 30,
+    employers: 20,
+    education: 10
+};
+
+function emailKey(email) {
+    return typeof email === 'string' && email.includes('@') ? email.trim().toLowerCase() : null;
+}
+
+function phoneKey(phone) {
+    const digits = String(phone || '').replace(/\D/g, '');
+    return digits.length >= PHONE_KEY_LENGTH ? digits.slice(-PHONE_KEY_LENGTH) : null;
+}
+
+// A profile's phone, or the number as written when it couldn't be normalized
+// (a national number with no default country code still has a national number)
+function profilePhone(info = {}) {
+    return info.phone || info.phone_raw || null;
+}
+
+// Lowercase, strip accents and punctuation
+function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
+
+// First letter plus the remaining consonants with repeats collapsed:
+// mohammed, mohamed and muhammad all become "mmd"
+function nameSkeleton(token) {
+    const rest = token.substring(1).replace(/[aeiouyhw]/g, '').replace(/(.)\1+/g, '$1');
+    return token[0] + rest;
+}
+
+function nameKey(name) {
+    const tokens = normalizeName(name).split(' ').filter(token => token.length > 1);
+    if (tokens.length === 0) return null;
+    return tokens.map(nameSkeleton).sort().join(' ');
+}
+
+// Helper function to compute the blocking keys stored on a record
+function buildDedupeKeys(profile) {
+    const info = profile?.personal_info || {};
+    const keys = [];
+    const email = emailKey(info.email);
+    const phone = phoneKey(profilePhone(info));
+    const name = nameKey(info.full_name);
+
+    if (email) keys.push(`e:${email}`);
+    if (phone) keys.push(`p:${phone}`);
+    if (name) keys.push(`n:${name}`);
+    return keys;
+}
+
+function jaro(a, b) {
+    if (a === b) return 1;
+    if (!a.length || !b.length) return 0;
+
+    const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+    const aMatches = new Array(a.length).fill(false);
+    const bMatches = new Array(b.length).fill(false);
+    let matches = 0;
+
+    for (let i = 0; i < a.length; i++) {
+        const start = Math.max(0, i - window);
+        const end = Math.min(i + window + 1, b.length);
+        for (let j = start; j < end; j++) {
+            if (bMatches[j] || a[i] !== b[j]) continue;
+            aMatches[i] = bMatches[j] = true;
+            matches++;
+            break;
+        }
+    }
+    if (matches === 0) return 0;
+
+    let transpositions = 0;
+    let k = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (!aMatches[i]) continue;
+        while (!bMatches[k]) k++;
+        if (a[i] !== b[k]) transpositions++;
+        k++;
+    }
+
+    return (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+}
+
+// Jaro-Winkler similarity, 0..1
+function jaroWinkler(a, b) {
+    const similarity = jaro(a, b);
+    let prefix = 0;
+    while (prefix < 4 && prefix < a.length && prefix < b.length && a[prefix] === b[prefix]) prefix++;
+    return similarity + prefix * 0.1 * (1 - similarity);
+}
+
+// Helper function to compare two names regardless of word order
+function nameSimilarity(a, b) {
+    const first = normalizeName(a);
+    const second = normalizeName(b);
+    if (!first || !second) return 0;
+
+    const sorted = name => name.split(' ').sort().join(' ');
+    return Math.max(jaroWinkler(first, second), jaroWinkler(sorted(first), sorted(second)));
+}
+
+function normalizeOrganization(name) {
+    return normalizeName(name)
+        .replace(/\b(ltd|llc|inc|co|plc|gmbh|corp|corporation|company|limited|the)\b/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// Shared entries relative to the shorter list, so a short CV isn't penalized
+function overlap(first, second) {
+    const a = new Set(first.filter(Boolean));
+    const b = new Set(second.filter(Boolean));
+    if (a.size === 0 || b.size === 0) return 0;
+    const shared = [...a].filter(item => b.has(item)).length;
+    return shared / Math.min(a.size, b.size);
+}
+
+// Helper function to score how likely two candidate profiles are the same
+// person. Returns { score (0-100), signals }.
+function scorePair(first, second) {
+    const a = first?.personal_info || {};
+    const b = second?.personal_info || {};
+
+    const emailMatch = Boolean(emailKey(a.email)) && emailKey(a.email) === emailKey(b.email);
+    const phoneMatch = Boolean(phoneKey(profilePhone(a))) && phoneKey(profilePhone(a)) === phoneKey(profilePhone(b));
+    const names = nameSimilarity(a.full_name, b.full_name);
+    const employers = overlap(
+        (first?.experience || []).map(exp => normalizeOrganization(exp.company)),
+        (second?.experience || []).map(exp => normalizeOrganization(exp.company))
+    );
+    const education = overlap(
+        (first?.education || []).map(edu => normalizeOrganization(edu.institution)),
+        (second?.education || []).map(edu => normalizeOrganization(edu.institution))
+    );
+
+    const score = (emailMatch ? SCORE_WEIGHTS.email : 0) +
+        (phoneMatch ? SCORE_WEIGHTS.phone : 0) +
+        (names >= NAME_SIMILARITY_THRESHOLD ? names * SCORE_WEIGHTS.name : 0) +
+        employers * SCORE_WEIGHTS.employers +
+        education * SCORE_WEIGHTS.education;
+
+    return {
+        score: Math.min(100, Math.round(score)),
+        signals: {
+            email_match: emailMatch,
+            phone_match: phoneMatch,
+            name_similarity: Math.round(names * 100) / 100,
+            employer_overlap: Math.round(employers * 100) / 100,
+            education_overlap: Math.round(education * 100) / 100
+        }
+    };
+}
+
+function pairId(firstId, secondId) {
+    return [firstId, secondId].sort().join('__');
+}
+
+// Helper function to find records sharing a dedupe key with a profile,
+// scored and sorted best first. Common names make large blocks, so every
+// page of the block is scored rather than only the first.
+async function findCandidates(db, profile, { excludeId = null, minScore = DUPLICATE_THRESHOLD, pageSize = BLOCK_PAGE_SIZE } = {}) {
+    const keys = buildDedupeKeys(profile);
+    if (keys.length === 0) return [];
+
+    const query = db.collection('cv_database')
+        .where('dedupe_keys', 'array-contains-any', keys)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+    const matches = [];
+    let lastDoc = null;
+    do {
+        const snapshot = await (lastDoc ? query.startAfter(lastDoc) : query).get();
+        snapshot.docs
+            .filter(doc => doc.id !== excludeId)
+            .map(doc => ({ doc, ...scorePair(profile, doc.data().candidate_profile) }))
+            .filter(match => match.score >= minScore)
+            .forEach(match => matches.push(match));
+        lastDoc = snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1] : null;
+    } while (lastDoc);
+
+    return matches.sort((a, b) => b.score - a.score);
+}
+
+// Helper function to record likely duplicates of one record. Reviewed pairs
+// keep their status; only their score is refreshed.
+async function detectDuplicates(db, candidateId, profile) {
+    const matches = await findCandidates(db, profile, { excludeId: candidateId });
+    if (matches.length === 0) return 0;
+
+    const batch = db.batch();
+    const refs = matches.map(match => db.collection(PAIR_COLLECTION).doc(pairId(candidateId, match.doc.id)));
+    const existing = await db.getAll(...refs);
+
+    matches.forEach((match, index) => {
+        const pair = {
+            candidate_ids: [candidateId, match.doc.id].sort(),
+            score: match.score,
+            signals: match.signals,
+            updated_at: admin.firestore.FieldValue.serverTimestamp()
+        };
+        if (!existing[index].exists) {
+            pair.status = 'pending';
+            pair.detected_at = admin.firestore.FieldValue.serverTimestamp();
+        }
+        batch.set(refs[index], pair, { merge: true });
+    });
+
+    await batch.commit();
+    return matches.length;
+}
+
+function uniqueBy(items, keyOf) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = keyOf(item);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function mergeLists(first = [], second = []) {
+    return uniqueBy([...first, ...second], item => String(item).toLowerCase().trim());
+}
+
+// Copy the secondary's values into empty primary fields, noting which were taken
+function fillSection(primary = {}, secondary = {}, section, taken) {
+    const result = { ...primary };
+    for (const [field, value] of Object.entries(secondary || {})) {
+        if ((result[field] === null || result[field] === undefined || result[field] === '') &&
+            value !== null && value !== undefined && value !== '') {
+            result[field] = value;
+            taken.push(`${section}.${field}`);
+        }
+    }
+    return result;
+}
+
+// Helper function to combine two candidate profiles. The primary wins where
+// both have a value. Returns { profile, fieldsTaken }.
+function mergeProfiles(primary, secondary) {
+    const taken = [];
+    const experienceKey = exp => `${normalizeOrganization(exp.company)}|${normalizeName(exp.position)}`;
+    const educationKey = edu => `${normalizeOrganization(edu.institution)}|${normalizeName(edu.degree)}`;
+
+    const profile = {
+        ...primary,
+        personal_info: fillSection(primary.personal_info, secondary.personal_info, 'personal_info', taken),
+        professional_summary: fillSection(primary.professional_summary, secondary.professional_summary, 'professional_summary', taken),
+        availability: fillSection(primary.availability, secondary.availability, 'availability', taken),
+        skills: {},
+        experience: uniqueBy([...(primary.experience || []), ...(secondary.experience || [])], experienceKey),
+        education: uniqueBy([...(primary.education || []), ...(secondary.education || [])], educationKey),
+        keywords: mergeLists(primary.keywords, secondary.keywords)
+    };
+
+    // A phone taken from the secondary brings the number it was normalized from
+    if (taken.includes('personal_info.phone')) {
+        profile.personal_info.phone_raw = secondary.personal_info.phone_raw || secondary.personal_info.phone;
+        profile.personal_info.phone_valid = true;
+    }
+
+    const primaryYears = primary.professional_summary?.total_experience_years || 0;
+    const secondaryYears = secondary.professional_summary?.total_experience_years || 0;
+    if (secondaryYears > primaryYears) {
+        profile.professional_summary.total_experience_years = secondaryYears;
+        taken.push('professional_summary.total_experience_years');
+    }
+
+    for (const list of ['technical_skills', 'soft_skills', 'certifications', 'languages']) {
+        profile.skills[list] = mergeLists(primary.skills?.[list], secondary.skills?.[list]);
+    }
+    if (profile.experience.length > (primary.experience || []).length) taken.push('experience');
+    if (profile.education.length > (primary.education || []).length) taken.push('education');
+
+    return { profile, fieldsTaken: taken };
+}
+
+// The files a record was built from, oldest first
+function sourceFiles(record, candidateId) {
+    if (Array.isArray(record.metadata?.source_files)) return record.metadata.source_files;
+    return record.metadata?.source_file ? [{
+        file: record.metadata.source_file,
+        file_size: record.metadata.file_size || null,
+        candidate_id: candidateId,
+        processed_at: record.metadata.processing_date?.toDate?.().toISOString() || null
+    }] : [];
+}
+
+// Helper function to merge `secondaryId` into `primaryId`. The secondary
+// record is removed; its profile, files and contacts stay on the primary.
+async function mergeCandidates(db, primaryId, secondaryId, { userId }) {
+    if (!primaryId || !secondaryId || primaryId === secondaryId) {
+        throw new HttpError(400, 'Merging needs two different candidates');
+    }
+
+    const primaryRef = db.collection('cv_database').doc(primaryId);
+    const secondaryRef = db.collection('cv_database').doc(secondaryId);
+    const pairsSnapshot = await db.collection(PAIR_COLLECTION)
+        .where('candidate_ids', 'array-contains', secondaryId)
+        .get();
+
+    return db.runTransaction(async (transaction) => {
+        const [primaryDoc, secondaryDoc] = await Promise.all([
+            transaction.get(primaryRef),
+            transaction.get(secondaryRef)
+        ]);
+        if (!primaryDoc.exists || !secondaryDoc.exists) {
+            throw new HttpError(404, 'Candidate not found');
+        }
+
+        const primary = primaryDoc.data();
+        const secondary = secondaryDoc.data();
+        const { profile, fieldsTaken } = mergeProfiles(primary.candidate_profile || {}, secondary.candidate_profile || {});
+
+        // Contacts the merged profile doesn't show are kept as alternates
+        const alternateEmails = mergeLists(primary.alternate_contacts?.emails, [
+            secondary.candidate_profile?.personal_info?.email,
+            ...(secondary.alternate_contacts?.emails || [])
+        ].filter(email => email && emailKey(email) !== emailKey(profile.personal_info?.email)));
+        const alternatePhones = mergeLists(primary.alternate_contacts?.phones, [
+            profilePhone(secondary.candidate_profile?.personal_info),
+            ...(secondary.alternate_contacts?.phones || [])
+        ].filter(phone => phone && phoneKey(phone) !== phoneKey(profilePhone(profile.personal_info))));
+
+        const mergeEntry = {
+            candidate_id: secondaryId,
+            merged_by: userId,
+            merged_at: new Date().toISOString(),
+            fields_taken: fieldsTaken,
+            source_files: sourceFiles(secondary, secondaryId),
+            candidate_profile: secondary.candidate_profile || null
+        };
+
+        transaction.update(primaryRef, {
+            candidate_profile: profile,
+            alternate_contacts: { emails: alternateEmails, phones: alternatePhones },
+            'metadata.source_files': [...sourceFiles(primary, primaryId), ...mergeEntry.source_files],
+            'metadata.last_updated': admin.firestore.FieldValue.serverTimestamp(),
+            'metadata.updated_by': userId,
+            'metadata.update_count': admin.firestore.FieldValue.increment(1),
+            merge_history: [...(primary.merge_history || []), ...(secondary.merge_history || []), mergeEntry],
+            search_index: generateSearchIndex(profile)
+        });
+        transaction.delete(secondaryRef);
+
+        pairsSnapshot.docs.forEach(pairDoc => {
+            const ids = pairDoc.data().candidate_ids || [];
+            const isMergedPair = ids.includes(primaryId);
+            transaction.update(pairDoc.ref, {
+                status: isMergedPair ? 'merged' : 'dismissed',
+                resolution: isMergedPair ? 'merged' : 'candidate_merged_elsewhere',
+                merged_into: primaryId,
+                resolved_by: userId,
+                resolved_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+
+        return { candidate_id: primaryId, merged_candidate_id: secondaryId, fields_taken: fieldsTaken };
+    });
+}
+
+// Helper function to mark a pair as not duplicates
+async function dismissPair(db, id, userId) {
+    const pairRef = db.collection(PAIR_COLLECTION).doc(id);
+    const pairDoc = await pairRef.get();
+    if (!pairDoc.exists) {
+        throw new HttpError(404, 'Duplicate pair not found');
+    }
+
+    await pairRef.update({
+        status: 'dismissed',
+        resolution: 'not_duplicate',
+        resolved_by: userId,
+        resolved_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+function summarizeCandidate(doc) {
+    if (!doc?.exists) return null;
+    const record = doc.data();
+    const profile = record.candidate_profile || {};
+    return {
+        candidate_id: doc.id,
+        full_name: profile.personal_info?.full_name || null,
+        email: profile.personal_info?.email || null,
+        phone: profilePhone(profile.personal_info),
+        location: profile.personal_info?.location || null,
+        current_position: profile.professional_summary?.current_position || null,
+        employers: (profile.experience || []).map(exp => exp.company).filter(Boolean),
+        institutions: (profile.education || []).map(edu => edu.institution).filter(Boolean),
+        source_file: record.metadata?.source_file || null
+    };
+}
+
+// Pair cursors are opaque to clients: the last pair's score and id
+function encodePairCursor(doc) {
+    return Buffer.from(JSON.stringify([doc.data().score, doc.id])).toString('base64url');
+}
+
+function decodePairCursor(cursor) {
+    try {
+        const [score, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof score !== 'number' || typeof id !== 'string') throw new Error('bad cursor');
+        return [score, id];
+    } catch (error) {
+        throw new HttpError(400, 'Invalid cursor');
+    }
+}
+
+// Helper function to list pairs by status, highest score first, with a
+// summary of both records
+async function listPairs(db, { status = 'pending', limit = 50, cursor = null } = {}) {
+    let query = db.collection(PAIR_COLLECTION)
+        .where('status', '==', status)
+        .orderBy('score', 'desc')
+        .orderBy(admin.firestore.FieldPath.documentId(), 'desc')
+        .limit(limit);
+    if (cursor) {
+        query = query.startAfter(...decodePairCursor(cursor));
+    }
+
+    const snapshot = await query.get();
+    const candidateIds = [...new Set(snapshot.docs.flatMap(doc => doc.data().candidate_ids || []))];
+    const candidateDocs = candidateIds.length > 0
+        ? await db.getAll(...candidateIds.map(id => db.collection('cv_database').doc(id)))
+        : [];
+    const summaries = new Map(candidateDocs.map(doc => [doc.id, summarizeCandidate(doc)]));
+
+    return {
+        pairs: snapshot.docs.map(doc => {
+            const pair = doc.data();
+            return {
+                pair_id: doc.id,
+                status: pair.status,
+                score: pair.score,
+                signals: pair.signals,
+                candidates: (pair.candidate_ids || []).map(id => summaries.get(id) || { candidate_id: id, missing: true })
+            };
+        }),
+        next_cursor: snapshot.size === limit ? encodePairCursor(snapshot.docs[snapshot.size - 1]) : null
+    };
+}
+
+module.exports = {
+    PAIR_COLLECTION,
+    PAIR_STATUSES,
+    DUPLICATE_THRESHOLD,
+    emailKey,
+    phoneKey,
+    nameKey,
+    buildDedupeKeys,
+    jaroWinkler,
+    nameSimilarity,
+    scorePair,
+    pairId,
+    findCandidates,
+    detectDuplicates,
+    mergeProfiles,
+    mergeCandidates,
+    dismissPair,
+    listPairs
+};
@@ -0,0 +1,179 @@
+// Best candidates for a position
+//
+// Ranks CV database records and demobilizing profiles against one open
+// position by blending embedding similarity with the structured scoring
+// engine. Every stored vector is compared with the position's, the closest
+// SHORTLIST_SIZE go on to structured scoring, and the blended score decides
+// the final order:
+//
+//   score = semantic_weight * similarity + (1 - semantic_weight) * structured
+//
+// CV records have no demob date or current project, so they are scored on
+// the skills and geography factors only (with those weights rescaled).
+
+const scoring = require('./scoring');
+const skillTaxonomy = require('./skillTaxonomy');
+const embeddings = require('./embeddings');
+const { HttpError } = require('./errors');
+
+const RANKING_SOURCES = ['cv', 'demob'];
+const DEFAULT_SEMANTIC_WEIGHT = 0.5;
+const SHORTLIST_SIZE = 200;
+const MAX_RESULTS = 100;
+// Firestore getAll is kept to modest batches
+const READ_BATCH_SIZE = 100;
+
+// CV factors that can be scored without demob data
+const CV_FACTORS = ['skills', 'geography'];
+
+// Helper function to view a CV record in the shape the scoring engine reads
+function cvAsScoringProfile(record) {
+    const profile = record.candidate_profile || {};
+    const location = profile.personal_info?.location;
+    return {
+        skill_inventory: { technical_skills: profile.skills?.technical_skills || [] },
+        mobility_preferences: {
+            preferred_locations: location ? [location] : [],
+            willing_to_relocate: false
+        }
+    };
+}
+
+// Drop the factors CVs can't be scored on; the rest are renormalized by scoreMatch
+function cvWeightProfile(weightProfile) {
+    const weights = scoring.normalizeWeights(weightProfile.weights);
+    const cvWeights = {};
+    for (const factor of scoring.FACTOR_NAMES) {
+        cvWeights[factor] = CV_FACTORS.includes(factor) ? weights[factor] : 0;
+    }
+    const total = CV_FACTORS.reduce((sum, factor) => sum + cvWeights[factor], 0);
+    return {
+        id: weightProfile.id,
+        weights: total > 0 ? cvWeights : { ...scoring.DEFAULT_WEIGHTS, project_type: 0, timing: 0 }
+    };
+}
+
+function candidateName(source, data) {
+    if (source === 'cv') {
+        return data.candidate_profile?.personal_info?.full_name || 'Unknown';
+    }
+    return data.current_project?.role || data.employee_id || 'Unknown';
+}
+
+// Helper function to validate ranking options from a request
+function parseRankingOptions(query = {}) {
+    const sources = query.sources
+        ? String(query.sources).split(',').map(source => source.trim()).filter(Boolean)
+        : RANKING_SOURCES;
+    const invalid = sources.filter(source => !RANKING_SOURCES.includes(source));
+    if (invalid.length > 0 || sources.length === 0) {
+        throw new HttpError(400, `Invalid sources. Valid sources: ${RANKING_SOURCES.join(', ')}`);
+    }
+
+    const semanticWeight = query.semantic_weight === undefined || query.semantic_weight === ''
+        ? DEFAULT_SEMANTIC_WEIGHT
+        : Number(query.semantic_weight);
+    if (!Number.isFinite(semanticWeight) || semanticWeight < 0 || semanticWeight > 1) {
+        throw new HttpError(400, 'semantic_weight must be a number between 0 and 1');
+    }
+
+    const limit = query.limit === undefined || query.limit === '' ? 20 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_RESULTS) {
+        throw new HttpError(400, `limit must be an integer between 1 and ${MAX_RESULTS}`);
+    }
+
+    const minScore = query.min_score === undefined || query.min_score === '' ? 0 : Number(query.min_score);
+    if (!Number.isFinite(minScore) || minScore < 0 || minScore > 100) {
+        throw new HttpError(400, 'min_score must be a number between 0 and 100');
+    }
+
+    return { sources, semanticWeight, limit, minScore };
+}
+
+async function readSources(db, collection, ids) {
+    const docs = [];
+    for (let i = 0; i < ids.length; i += READ_BATCH_SIZE) {
+        const refs = ids.slice(i, i + READ_BATCH_SIZE).map(id => db.collection(collection).doc(id));
+        docs.push(...await db.getAll(...refs));
+    }
+    return docs.filter(doc => doc.exists);
+}
+
+// Helper function to rank candidates for an open position index entry.
+// position must carry index_id (the open_positions document id).
+async function rankCandidatesForPosition(db, position, options = {}) {
+    const {
+        sources = RANKING_SOURCES,
+        semanticWeight = DEFAULT_SEMANTIC_WEIGHT,
+        limit = 20,
+        minScore = 0,
+        provider = embeddings.getEmbeddingProvider()
+    } = options;
+
+    const positionVector = await embeddings.getVector(db, provider, 'position', position.index_id, position);
+    if (!positionVector) {
+        throw new HttpError(422, 'Position has no title, description or required skills to rank against');
+    }
+
+    const [taxonomy, weightProfile] = await Promise.all([
+        skillTaxonomy.loadTaxonomy(db),
+        scoring.loadWeightProfile(db, position.organization_id)
+    ]);
+
+    const ranked = [];
+    let evaluated = 0;
+
+    for (const source of sources) {
+        const vectors = await embeddings.loadVectors(db, source, provider.model);
+        evaluated += vectors.length;
+
+        const shortlist = vectors
+            .map(({ id, vector }) => ({ id, similarity: Math.max(0, embeddings.cosineSimilarity(positionVector, vector)) }))
+            .sort((a, b) => b.similarity - a.similarity)
+            .slice(0, SHORTLIST_SIZE);
+        const similarities = new Map(shortlist.map(item => [item.id, item.similarity]));
+
+        const docs = await readSources(db, embeddings.SOURCES[source].collection, shortlist.map(item => item.id));
+        for (const doc of docs) {
+            const data = doc.data();
+            const result = source === 'cv'
+                ? scoring.scoreMatch(cvAsScoringProfile(data), position, cvWeightProfile(weightProfile), taxonomy)
+                : scoring.scoreMatch(data, position, weightProfile, taxonomy);
+            const semanticScore = Math.round(similarities.get(doc.id) * 100);
+            const score = Math.round(semanticWeight * semanticScore + (1 - semanticWeight) * result.score);
+
+            if (score >= minScore) {
+                ranked.push({
+                    source,
+                    id: doc.id,
+                    name: candidateName(source, data),
+                    score,
+                    semantic_score: semanticScore,
+                    structured_score: result.score,
+                    score_breakdown: result.factors,
+                    scorer_id: result.scorer_id,
+                    weight_profile_id: result.weight_profile_id
+                });
+            }
+        }
+    }
+
+    ranked.sort((a, b) => b.score - a.score || b.semantic_score - a.semantic_score);
+
+    return {
+        candidates: ranked.slice(0, limit),
+        total_evaluated: evaluated,
+        embedding_model: provider.model,
+        semantic_weight: semanticWeight
+    };
+}
+
+module.exports = {
+    RANKING_SOURCES,
+    DEFAULT_SEMANTIC_WEIGHT,
+    SHORTLIST_SIZE,
+    cvAsScoringProfile,
+    cvWeightProfile,
+    parseRankingOptions,
+    rankCandidatesForPosition
+};
@@ -0,0 +1,438 @@
+// candidate_profile schema
+//
+// The structure the CV extraction prompt asks the LLM for (and that the UI
+// reads from cv_database). An LLM response is first coerced onto the schema
+// (unknown fields dropped, numbers/years/phones/emails normalized) and then
+// validated strictly before anything is written. Values that can't be coerced
+// are set to null and reported as issues so the record can be reviewed.
+//
+// Confidence is not taken from the model: deriveFieldConfidence checks whether
+// each extracted value actually appears in the CV text.
+//
+// Phones are stored in E.164. A national number ("050 123 4567") can only be
+// converted with a default country calling code, which the CV pipeline takes
+// from DEFAULT_PHONE_COUNTRY_CODE (e.g. 971). The number as written is always
+// kept in phone_raw, with phone_valid saying whether it could be converted, so
+// a number that couldn't be is still there for a recruiter.
+
+const CONFIDENCE_LEVELS = ['high', 'medium', 'low'];
+const EMAIL_PATTERN = /^[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}$/;
+const E164_PATTERN = /^\+[1-9]\d{7,14}$/;
+const MAX_EXPERIENCE_YEARS = 60;
+
+// Placeholder strings models use instead of null
+const EMPTY_VALUES = ['', 'null', 'none', 'n/a', 'na', 'unknown', 'not available', 'not mentioned', 'not specified', 'not provided'];
+
+// Field -> expected type for each section; `list` is an array of strings,
+// `records` an array of objects
+const CANDIDATE_PROFILE_SCHEMA = {
+    personal_info: {
+        type: 'object',
+        fields: {
+            full_name: 'string',
+            email: 'email',
+            phone: 'phone',
+            phone_raw: 'string',
+            phone_valid: 'boolean',
+            location: 'string',
+            linkedin_url: 'url',
+            nationality: 'string'
+        }
+    },
+    professional_summary: {
+        type: 'object',
+        fields: {
+            current_position: 'string',
+            total_experience_years: 'years',
+            industry: 'string',
+            summary: 'string'
+        }
+    },
+    skills: {
+        type: 'object',
+        fields: {
+            technical_skills: 'list',
+            soft_skills: 'list',
+            certifications: 'list',
+            languages: 'list'
+        }
+    },
+    experience: {
+        type: 'records',
+        fields: {
+            company: 'string',
+            position: 'string',
+            duration: 'string',
+            location: 'string',
+            key_achievements: 'list'
+        }
+    },
+    education: {
+        type: 'records',
+        fields: {
+            institution: 'string',
+            degree: 'string',
+            field: 'string',
+            year: 'year',
+            location: 'string'
+        }
+    },
+    contact_verification: {
+        type: 'object',
+        fields: {
+            email_confidence: 'confidence',
+            phone_confidence: 'confidence',
+            location_confidence: 'confidence'
+        }
+    },
+    keywords: {
+        type: 'list'
+    },
+    availability: {
+        type: 'object',
+        fields: {
+            notice_period: 'string',
+            preferred_location: 'string',
+            salary_expectation: 'string'
+        }
+    }
+};
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isEmpty(value) {
+    return value === null || value === undefined ||
+        (typeof value === 'string' && EMPTY_VALUES.includes(value.trim().toLowerCase()));
+}
+
+// Helper function to normalize a phone number to E.164. Numbers without an
+// international prefix need the default country calling code.
+function normalizePhone(value, defaultCountryCode = null) {
+    // A trunk prefix written after the country code ("+44 (0) 20 ...") isn't dialled
+    const raw = String(value).trim().replace(/\(\s*0\s*\)/g, '');
+    const digits = raw.replace(/\D/g, '');
+    let e164 = null;
+
+    if (raw.startsWith('+')) {
+        e164 = `+${digits}`;
+    } else if (digits.startsWith('00')) {
+        e164 = `+${digits.substring(2)}`;
+    } else if (defaultCountryCode) {
+        e164 = `+${String(defaultCountryCode).replace(/\D/g, '')}${digits.replace(/^0+/, '')}`;
+    }
+
+    return e164 && E164_PATTERN.test(e164) ? e164 : null;
+}
+
+// Coerce one value to a field type. Returns { value, issue }; issue is set
+// when a non-empty value had to be dropped.
+function coerceValue(value, type, options = {}) {
+    if (isEmpty(value)) return { value: null };
+
+    const text = typeof value === 'string' ? value.trim() : value;
+    const scalar = typeof text === 'string' || typeof text === 'number' || typeof text === 'boolean';
+
+    switch (type) {
+        case 'string':
+            return scalar ? { value: String(text) } : { value: null, issue: 'expected text' };
+        case 'years': {
+            const match = String(text).match(/\d+(?:\.\d+)?/);
+            const years = match ? parseFloat(match[0]) : NaN;
+            if (!Number.isFinite(years) || years > MAX_EXPERIENCE_YEARS) {
+                return { value: null, issue: `expected a number of years between 0 and ${MAX_EXPERIENCE_YEARS}` };
+            }
+            return { value: Math.round(years * 10) / 10 };
+        }
+        case 'year': {
+            // A range such as "2015 - 2019" is reduced to its end year
+            const years = String(text).match(/\b(19|20)\d{2}\b/g);
+            return years ? { value: years[years.length - 1] } : { value: null, issue: 'expected a four-digit year' };
+        }
+        case 'email': {
+            const email = String(text).replace(/^mailto:/i, '').toLowerCase();
+            return EMAIL_PATTERN.test(email) ? { value: email } : { value: null, issue: 'invalid email address' };
+        }
+        case 'phone': {
+            const phone = normalizePhone(text, options.defaultCountryCode);
+            if (phone) return { value: phone };
+            const national = !/^(\+|00)/.test(String(text).trim());
+            return {
+                value: null,
+                issue: national && !options.defaultCountryCode
+                    ? 'national phone number needs a country code (DEFAULT_PHONE_COUNTRY_CODE is not set)'
+                    : 'could not normalize phone number to E.164'
+            };
+        }
+        case 'boolean':
+            return typeof text === 'boolean' ? { value: text } : { value: null };
+        case 'url': {
+            const candidate = /^https?:\/\//i.test(text) ? text : `https://${text}`;
+            try {
+                return { value: new URL(candidate).toString() };
+            } catch (error) {
+                return { value: null, issue: 'invalid URL' };
+            }
+        }
+        case 'confidence': {
+            const level = String(text).toLowerCase();
+            return CONFIDENCE_LEVELS.includes(level) ? { value: level } : { value: null };
+        }
+        case 'list': {
+            const items = Array.isArray(text) ? text : String(text).split(/[,;\n]/);
+            const strings = items
+                .filter(item => ['string', 'number'].includes(typeof item))
+                .map(item => String(item).trim())
+                .filter(item => !isEmpty(item));
+            const issue = strings.length < items.filter(item => !isEmpty(item)).length ? 'non-text entries dropped' : undefined;
+            return { value: [...new Set(strings)], issue };
+        }
+        default:
+            return { value: text };
+    }
+}
+
+function coerceObject(value, fields, path, issues, options) {
+    const source = isPlainObject(value) ? value : {};
+    if (!isEmpty(value) && !isPlainObject(value)) {
+        issues.push({ field: path, message: 'expected an object', value });
+    }
+
+    const result = {};
+    for (const [field, type] of Object.entries(fields)) {
+        const { value: coerced, issue } = coerceValue(source[field], type, options);
+        result[field] = type === 'list' && coerced === null ? [] : coerced;
+        if (issue) {
+            issues.push({ field: `${path}.${field}`, message: issue, value: source[field] });
+        }
+    }
+    return result;
+}
+
+// Helper function to coerce an LLM response onto the candidate_profile
+// schema. Accepts { candidate_profile } or the profile itself and returns
+// { profile, issues }; options.defaultCountryCode is used for phone numbers.
+function coerceCandidateProfile(response, options = {}) {
+    const source = isPlainObject(response?.candidate_profile) ? response.candidate_profile : response;
+    if (!isPlainObject(source)) {
+        return { profile: null, issues: [{ field: 'candidate_profile', message: 'response is not a candidate_profile object' }] };
+    }
+
+    const profile = {};
+    const issues = [];
+
+    for (const [section, spec] of Object.entries(CANDIDATE_PROFILE_SCHEMA)) {
+        const value = source[section];
+
+        if (spec.type === 'object') {
+            profile[section] = coerceObject(value, spec.fields, section, issues, options);
+        } else if (spec.type === 'records') {
+            const records = Array.isArray(value) ? value : (isPlainObject(value) ? [value] : []);
+            if (!isEmpty(value) && !Array.isArray(value) && !isPlainObject(value)) {
+                issues.push({ field: section, message: 'expected an array', value });
+            }
+            profile[section] = records
+                .filter(isPlainObject)
+                .map((record, index) => coerceObject(record, spec.fields, `${section}[${index}]`, issues, options))
+                .filter(record => Object.values(record).some(field => field !== null && !(Array.isArray(field) && field.length === 0)));
+        } else {
+            const { value: coerced, issue } = coerceValue(value, spec.type, options);
+            profile[section] = spec.type === 'list' && coerced === null ? [] : coerced;
+            if (issue) {
+                issues.push({ field: section, message: issue, value });
+            }
+        }
+    }
+
+    // Kept as written, including numbers that couldn't be normalized
+    const phone = source.personal_info?.phone;
+    const phoneRaw = isEmpty(phone) || typeof phone === 'object' ? null : String(phone).trim();
+    profile.personal_info.phone_raw = phoneRaw;
+    profile.personal_info.phone_valid = phoneRaw ? profile.personal_info.phone !== null : null;
+
+    return { profile, issues };
+}
+
+// Check one value against a field type; null/undefined means "not found" and is allowed
+function checkField(value, type, path, errors) {
+    if (value === null || value === undefined) return;
+
+    if (type === 'string' && typeof value !== 'string') {
+        errors.push(`${path} must be a string`);
+    } else if (type === 'years' &&
+        (typeof value !== 'number' || !Number.isFinite(value) || value < 0 || value > MAX_EXPERIENCE_YEARS)) {
+        errors.push(`${path} must be a number between 0 and ${MAX_EXPERIENCE_YEARS}`);
+    } else if (type === 'year' && !/^\d{4}$/.test(value)) {
+        errors.push(`${path} must be a four-digit year`);
+    } else if (type === 'email' && (typeof value !== 'string' || !EMAIL_PATTERN.test(value))) {
+        errors.push(`${path} must be a valid email address`);
+    } else if (type === 'phone' && (typeof value !== 'string' || !E164_PATTERN.test(value))) {
+        errors.push(`${path} must be an E.164 phone number`);
+    } else if (type === 'boolean' && typeof value !== 'boolean') {
+        errors.push(`${path} must be true or false`);
+    } else if (type === 'url' && (typeof value !== 'string' || !/^https?:\/\//.test(value))) {
+        errors.push(`${path} must be an http(s) URL`);
+    } else if (type === 'list' && (!Array.isArray(value) || value.some(item => typeof item !== 'string'))) {
+        errors.push(`${path} must be an array of strings`);
+    } else if (type === 'confidence' && !CONFIDENCE_LEVELS.includes(value)) {
+        errors.push(`${path} must be one of: ${CONFIDENCE_LEVELS.join(', ')}`);
+    }
+}
+
+function checkObject(value, fields, path, errors) {
+    if (!isPlainObject(value)) {
+        errors.push(`${path} must be an object`);
+        return;
+    }
+    for (const [field, type] of Object.entries(fields)) {
+        checkField(value[field], type, `${path}.${field}`, errors);
+    }
+    Object.keys(value)
+        .filter(field => !fields[field])
+        .forEach(field => errors.push(`${path}.${field} is not a candidate_profile field`));
+}
+
+// Helper function to validate a profile against the candidate_profile schema.
+// Accepts { candidate_profile } or the profile itself and returns
+// { profile, errors }.
+function validateCandidateProfile(response) {
+    const profile = isPlainObject(response?.candidate_profile) ? response.candidate_profile : response;
+    const errors = [];
+
+    if (!isPlainObject(profile)) {
+        return { profile: null, errors: ['Response is not a candidate_profile object'] };
+    }
+
+    Object.keys(profile)
+        .filter(section => !CANDIDATE_PROFILE_SCHEMA[section])
+        .forEach(section => errors.push(`${section} is not a candidate_profile field`));
+
+    for (const [section, spec] of Object.entries(CANDIDATE_PROFILE_SCHEMA)) {
+        const value = profile[section];
+        if (value === null || value === undefined) continue;
+
+        if (spec.type === 'object') {
+            checkObject(value, spec.fields, section, errors);
+        } else if (spec.type === 'records') {
+            if (!Array.isArray(value)) {
+                errors.push(`${section} must be an array`);
+                continue;
+            }
+            value.forEach((record, index) => checkObject(record, spec.fields, `${section}[${index}]`, errors));
+        } else {
+            checkField(value, spec.type, section, errors);
+        }
+    }
+
+    if (!profile.personal_info?.full_name) {
+        errors.push('personal_info.full_name is required');
+    }
+
+    return { profile, errors };
+}
+
+// Fields whose confidence is derived from the CV text
+const CONFIDENCE_FIELDS = {
+    personal_info: ['full_name', 'email', 'phone', 'location', 'linkedin_url', 'nationality'],
+    professional_summary: ['current_position'],
+    experience: ['company', 'position'],
+    education: ['institution', 'degree']
+};
+
+function normalizeText(text) {
+    return ` ${String(text).toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+// How literally a value appears in the text: high when the whole value is
+// found, medium when every word is, low otherwise
+function textConfidence(value, type, cvText, normalizedCv) {
+    if (type === 'phone') {
+        // Compare the national number so "+971 50..." matches "050..."
+        const national = value.replace(/\D/g, '').slice(-9);
+        const runs = (cvText.match(/\+?\d[\d\s().-]{5,}\d/g) || []).map(run => run.replace(/\D/g, ''));
+        return runs.some(run => run.includes(national)) ? 'high' : 'low';
+    }
+    if (type === 'email') {
+        return cvText.toLowerCase().includes(value) ? 'high' : 'low';
+    }
+    if (type === 'url') {
+        const bare = value.toLowerCase().replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '');
+        return cvText.toLowerCase().includes(bare) ? 'high' : 'low';
+    }
+
+    const normalizedValue = normalizeText(value);
+    if (normalizedValue.trim() === '') return 'low';
+    if (normalizedCv.includes(normalizedValue)) return 'high';
+
+    const words = normalizedValue.trim().split(' ').filter(word => word.length > 1);
+    return words.length > 0 && words.every(word => normalizedCv.includes(` ${word} `)) ? 'medium' : 'low';
+}
+
+// Helper function to derive per-field confidence from the CV text. Returns
+// { field_confidence: { 'personal_info.email': 'high', ... }, contact_verification }.
+function deriveFieldConfidence(profile, cvText = '') {
+    const normalizedCv = normalizeText(cvText);
+    const fieldConfidence = {};
+
+    for (const [section, fields] of Object.entries(CONFIDENCE_FIELDS)) {
+        const spec = CANDIDATE_PROFILE_SCHEMA[section];
+        const entries = spec.type === 'records'
+            ? (profile[section] || []).map((record, index) => [`${section}[${index}]`, record])
+            : [[section, profile[section]]];
+
+        for (const [path, record] of entries) {
+            for (const field of fields) {
+                const value = record?.[field];
+                if (typeof value !== 'string' || value === '') continue;
+                fieldConfidence[`${path}.${field}`] = textConfidence(value, spec.fields[field], cvText, normalizedCv);
+            }
+        }
+    }
+
+    return {
+        field_confidence: fieldConfidence,
+        contact_verification: {
+            email_confidence: fieldConfidence['personal_info.email'] || 'low',
+            phone_confidence: fieldConfidence['personal_info.phone'] || 'low',
+            location_confidence: fieldConfidence['personal_info.location'] || 'low'
+        }
+    };
+}
+
+// Search terms stored on every cv_database record
+function generateSearchIndex(profile) {
+    const searchTerms = [];
+
+    if (profile.personal_info?.full_name) {
+        searchTerms.push(profile.personal_info.full_name.toLowerCase());
+        searchTerms.push(...profile.personal_info.full_name.split(' ').map(part => part.toLowerCase()));
+    }
+    if (profile.personal_info?.email) {
+        searchTerms.push(profile.personal_info.email.toLowerCase());
+    }
+    const phone = profile.personal_info?.phone || profile.personal_info?.phone_raw;
+    if (phone) {
+        searchTerms.push(phone.replace(/\D/g, ''));
+    }
+    (profile.skills?.technical_skills || []).forEach(skill => searchTerms.push(skill.toLowerCase()));
+    (profile.experience || []).forEach(exp => {
+        if (exp.company) searchTerms.push(exp.company.toLowerCase());
+        if (exp.position) searchTerms.push(exp.position.toLowerCase());
+    });
+    if (profile.personal_info?.location) {
+        searchTerms.push(profile.personal_info.location.toLowerCase());
+    }
+
+    return [...new Set(searchTerms.filter(Boolean))];
+}
+
+module.exports = {
+    CONFIDENCE_LEVELS,
+    CANDIDATE_PROFILE_SCHEMA,
+    normalizePhone,
+    coerceCandidateProfile,
+    validateCandidateProfile,
+    deriveFieldConfidence,
+    generateSearchIndex
+};
@@ -0,0 +1,450 @@
+// Server-side CV processing
+//
+// Replaces the browser's processWithDatabaseAI flow. Each uploaded CV is read
+// from Cloud Storage, converted to text, sent to the configured LLM provider
+// with the database extraction prompt, coerced onto and validated against the
+// candidate_profile schema and written to cv_database. CVs uploaded for a
+// project also get that project's most relevant knowledge excerpts in the
+// prompt, for keywords, and the extraction keeps their sources. Uploads are processed
+// by the `process_cvs` job a few files per step. An upload is deleted once it
+// is processed or fails permanently (isPermanentFailure); any other failure
+// is retried by the job with the upload still in place, and the uploads left
+// when the job runs out of attempts are deleted with it (deleteUploads).
+//
+// Extractions that need a human look go to the cv_review_queue (see
+// cvReview.js) rather than silently into the database.
+//
+// DEFAULT_PHONE_COUNTRY_CODE (e.g. 971) is the calling code for phone numbers
+// written without one. Without it such numbers are kept only as written
+// (personal_info.phone_raw) and the record is sent for review.
+
+const admin = require('firebase-admin');
+const textExtraction = require('./textExtraction');
+const llmProviders = require('./llmProviders');
+const candidateSchema = require('./candidateSchema');
+const cvReview = require('./cvReview');
+const candidateDedupe = require('./candidateDedupe');
+const skillTaxonomy = require('./skillTaxonomy');
+const retention = require('./retention');
+const knowledge = require('./knowledge');
+const { HttpError, ProviderError } = require('./errors');
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+const MAX_FILES_PER_UPLOAD = 20;
+// Base64 data per request. HTTP functions refuse bodies over 10MB, so larger
+// batches are split across requests (a single 5MB file encodes to ~6.7MB).
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const MIN_TEXT_LENGTH = 100;
+const UPLOAD_PREFIX = 'cv_uploads';
+
+// Same prompt the browser used for database processing, plus any project context
+function buildExtractionPrompt(content, context = '') {
+    const projectContext = context ? `
+    PROJECT CONTEXT (excerpts from the documents of the project this CV was uploaded for):
+    ${context}
+
+    Use the project context only to choose relevant keywords; every candidate detail must come from the CV content.
+` : '';
+    return `
+    You are RecruitPro Database AI, specialized in extracting structured candidate information from CVs for database storage.
+
+    TASK: Extract comprehensive candidate information from the CV content below and format it as structured JSON.
+
+    CV CONTENT:
+    ${content}
+${projectContext}
+    Generate a JSON response with this EXACT structure:
+
+    {
+        "candidate_profile": {
+            "personal_info": {
+                "full_name": "Complete name of the candidate",
+                "email": "Primary email address",
+                "phone": "Primary phone number",
+                "location": "Current location/city/country",
+                "linkedin_url": "LinkedIn profile URL if mentioned",
+                "nationality": "Nationality if mentioned"
+            },
+            "professional_summary": {
+                "current_position": "Current job title",
+                "total_experience_years": 0,
+                "industry": "Primary industry/sector",
+                "summary": "Brief professional summary (max 200 chars)"
+            },
+            "skills": {
+                "technical_skills": ["List of technical skills"],
+                "soft_skills": ["List of soft skills"],
+                "certifications": ["Professional certifications"],
+                "languages": ["Languages spoken with proficiency level"]
+            },
+            "experience": [
+                {
+                    "company": "Company name",
+                    "position": "Job title",
+                    "duration": "Duration in job",
+                    "location": "Job location",
+                    "key_achievements": ["Top 2-3 achievements"]
+                }
+            ],
+            "education": [
+                {
+                    "institution": "University/School name",
+                    "degree": "Degree/Qualification",
+                    "field": "Field of study",
+                    "year": "Graduation year",
+                    "location": "Institution location"
+                }
+            ],
+            "contact_verification": {
+                "email_confidence": "high|medium|low",
+                "phone_confidence": "high|medium|low",
+                "location_confidence": "high|medium|low"
+            },
+            "keywords": ["Relevant keywords for search"],
+            "availability": {
+                "notice_period": "Notice period if mentioned",
+                "preferred_location": "Preferred work location",
+                "salary_expectation": "Salary expectation if mentioned"
+            }
+        }
+    }
+
+    IMPORTANT INSTRUCTIONS:
+    - Extract actual information from the CV content, don't make assumptions
+    - For experience years, calculate based on work history
+    - Include only verified contact information you can find in the text
+    - Keep summaries concise to optimize storage
+    - If information is not available, use null or empty array
+    - Prioritize accuracy over completeness
+    `;
+}
+
+// Offline extraction for the stub provider: contact details by pattern,
+// the name from the first words and skills from the seed taxonomy
+llmProviders.registerStubHandler('extract_candidate', ({ text = '' }) => {
+    const email = text.match(/\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}\b/);
+    const phone = text.match(/\+?\d[\d\s().-]{8,}\d/);
+    const name = text.match(/^\s*([A-Z][a-zA-Z'-]+(?:\s+[A-Z][a-zA-Z'-]+){1,2})/);
+    const lowerText = ` ${text.toLowerCase()} `;
+    const technicalSkills = skillTaxonomy.DEFAULT_TAXONOMY
+        .filter(skill => [skill.name, ...skill.aliases].some(alias =>
+            alias.length > 2 && lowerText.includes(` ${alias.toLowerCase()} `)
+        ))
+        .map(skill => skill.name);
+
+    return {
+        candidate_profile: {
+            personal_info: {
+                full_name: name ? name[1] : null,
+                email: email ? email[0] : null,
+                phone: phone ? phone[0].trim() : null,
+                location: null,
+                linkedin_url: null,
+                nationality: null
+            },
+            professional_summary: {
+                current_position: null,
+                total_experience_years: 0,
+                industry: null,
+                summary: text.substring(0, 200)
+            },
+            skills: {
+                technical_skills: technicalSkills,
+                soft_skills: [],
+                certifications: [],
+                languages: []
+            },
+            experience: [],
+            education: [],
+            contact_verification: {
+                email_confidence: email ? 'high' : 'low',
+                phone_confidence: phone ? 'medium' : 'low',
+                location_confidence: 'low'
+            },
+            keywords: technicalSkills,
+            availability: {
+                notice_period: null,
+                preferred_location: null,
+                salary_expectation: null
+            }
+        }
+    };
+});
+
+// Helper function to find the record an upload duplicates: the best match
+// sharing an email or phone. Weaker (name/employer) matches are left to the
+// duplicate review queue.
+async function findDuplicate(db, profile) {
+    const matches = await candidateDedupe.findCandidates(db, profile);
+    const match = matches.find(({ signals }) => signals.email_match || signals.phone_match);
+    return match ? match.doc : null;
+}
+
+// Coerce and strictly validate a profile. Returns { profile, issues, errors }.
+function prepareProfile(response) {
+    const { profile, issues } = candidateSchema.coerceCandidateProfile(response, {
+        defaultCountryCode: process.env.DEFAULT_PHONE_COUNTRY_CODE || null
+    });
+    const { errors } = profile ? candidateSchema.validateCandidateProfile(profile) : { errors: [] };
+    return { profile, issues, errors: profile ? errors : issues.map(issue => issue.message) };
+}
+
+// Helper function to create a cv_database record, or update `existing`.
+// consent is kept as-is on updates unless a new one is given.
+async function writeCandidate(db, { existing = null, profile, fileName, fileSize, userId, extraction, quality, reviewStatus = null, consent = null }) {
+    const consentRecord = retention.normalizeConsent(consent, userId);
+
+    if (existing) {
+        await existing.ref.update({
+            ...(consentRecord ? { consent: consentRecord } : {}),
+            candidate_profile: profile,
+            'metadata.source_file': fileName,
+            'metadata.file_size': fileSize,
+            'metadata.last_updated': admin.firestore.FieldValue.serverTimestamp(),
+            'metadata.updated_by': userId,
+            'metadata.update_count': admin.firestore.FieldValue.increment(1),
+            'metadata.extraction': extraction || null,
+            extraction_quality: quality || null,
+            review_status: reviewStatus,
+            search_index: candidateSchema.generateSearchIndex(profile)
+        });
+        return existing.id;
+    }
+
+    const docRef = await db.collection('cv_database').add({
+        candidate_profile: profile,
+        metadata: {
+            source_file: fileName,
+            file_size: fileSize,
+            processing_date: admin.firestore.FieldValue.serverTimestamp(),
+            processed_by: userId,
+            version: '1.0',
+            update_count: 0,
+            extraction: extraction || null
+        },
+        extraction_quality: quality || null,
+        review_status: reviewStatus,
+        search_index: candidateSchema.generateSearchIndex(profile),
+        data_source: retention.buildDataSource('cv_upload', { userId, fileName }),
+        consent: consentRecord || retention.normalizeConsent('not_recorded', userId),
+        storage_optimized: true
+    });
+    return docRef.id;
+}
+
+// Failures caused by the file itself (unreadable, too little text, already
+// removed from storage) or a provider call that can't succeed (a refused
+// prompt, an unparseable answer, no API key) won't go away on a retry;
+// anything else, such as the LLM provider or Firestore being unavailable, might
+function isPermanentFailure(error) {
+    if (error instanceof ProviderError) return !error.retryable;
+    return (error instanceof HttpError && error.status < 500) || error.code === 404;
+}
+
+// Helper function to extract, validate and store one CV.
+// Returns { status: 'created' | 'updated' | 'duplicate' | 'needs_review', candidate_id, review_id }.
+// A created record can also carry a review_id when it was stored but flagged.
+async function processCv(db, { buffer, fileName, mimeType, fileSize, userId, onDuplicate = 'skip', consent = null, projectId = null }, provider = llmProviders.getProvider()) {
+    const text = await textExtraction.extractText(buffer, { fileName, mimeType });
+    if (text.length < MIN_TEXT_LENGTH) {
+        throw new HttpError(422, `Not enough text could be extracted from ${fileName}`);
+    }
+
+    const { context, sources } = projectId
+        ? await knowledge.buildContext(db, { projectId, query: text })
+        : { context: '', sources: [] };
+    const response = await provider.generateJson(buildExtractionPrompt(text, context), {
+        task: 'extract_candidate',
+        input: { text, fileName },
+        temperature: 0.3,
+        maxOutputTokens: 8192
+    });
+
+    const { profile, issues, errors } = prepareProfile(response);
+    const extraction = {
+        provider: provider.name,
+        model: provider.model,
+        text_length: text.length,
+        project_id: projectId,
+        knowledge_sources: sources
+    };
+
+    // The model's self-reported confidence is replaced by what the text supports
+    const confidence = profile ? candidateSchema.deriveFieldConfidence(profile, text) : { field_confidence: {} };
+    if (profile) {
+        profile.contact_verification = confidence.contact_verification;
+    }
+
+    const reasons = cvReview.reviewReasons({ errors, issues, fieldConfidence: confidence.field_confidence });
+    const quality = {
+        field_confidence: confidence.field_confidence,
+        issues: issues.map(({ field, message }) => ({ field, message })),
+        needs_review: reasons.length > 0
+    };
+    const queue = (outcome, candidateId) => cvReview.enqueueReview(db, {
+        outcome,
+        candidateId,
+        profile,
+        reasons,
+        quality,
+        sourceFile: fileName,
+        fileSize,
+        extraction,
+        consent,
+        userId
+    });
+
+    if (errors.length > 0) {
+        return { status: 'needs_review', candidate_id: null, review_id: await queue('invalid', null) };
+    }
+
+    const duplicate = await findDuplicate(db, profile);
+    if (duplicate) {
+        if (onDuplicate !== 'update') {
+            return { status: 'duplicate', candidate_id: duplicate.id };
+        }
+        // Don't overwrite a good record with a doubtful extraction
+        if (quality.needs_review) {
+            return { status: 'needs_review', candidate_id: duplicate.id, review_id: await queue('update', duplicate.id) };
+        }
+
+        await writeCandidate(db, { existing: duplicate, profile, fileName, fileSize, userId, extraction, quality, consent });
+        return { status: 'updated', candidate_id: duplicate.id };
+    }
+
+    const candidateId = await writeCandidate(db, {
+        profile,
+        fileName,
+        fileSize,
+        userId,
+        extraction,
+        quality,
+        reviewStatus: quality.needs_review ? 'needs_review' : null,
+        consent
+    });
+    const reviewId = quality.needs_review ? await queue('created', candidateId) : null;
+    return { status: 'created', candidate_id: candidateId, review_id: reviewId };
+}
+
+// Helper function to approve or reject a queued extraction. Approving can
+// supply a corrected profile, which is coerced and validated like model output.
+async function resolveReview(db, reviewId, { action, profile: editedProfile, userId }) {
+    if (!['approve', 'reject'].includes(action)) {
+        throw new HttpError(400, 'Invalid action. Use approve or reject');
+    }
+
+    const reviewRef = db.collection(cvReview.REVIEW_COLLECTION).doc(reviewId);
+    const reviewDoc = await reviewRef.get();
+    if (!reviewDoc.exists) {
+        throw new HttpError(404, 'Review not found');
+    }
+    const review = reviewDoc.data();
+    if (review.status !== 'pending') {
+        throw new HttpError(409, `Review is already ${review.status}`);
+    }
+
+    let candidateId = review.candidate_id || null;
+
+    if (action === 'reject') {
+        // Only a record this extraction created is removed
+        if (review.outcome === 'created' && candidateId) {
+            await db.collection('cv_database').doc(candidateId).delete();
+            candidateId = null;
+        }
+    } else {
+        const { profile, errors } = prepareProfile(editedProfile || review.profile);
+        if (errors.length > 0) {
+            throw new HttpError(400, `Profile is invalid: ${errors.join('; ')}`);
+        }
+
+        const quality = { ...review.quality, needs_review: false, reviewed_by: userId };
+        let existing = candidateId ? await db.collection('cv_database').doc(candidateId).get() : null;
+        if (existing && !existing.exists) {
+            existing = null;
+        }
+        if (!existing && review.outcome === 'invalid') {
+            existing = await findDuplicate(db, profile);
+        }
+
+        candidateId = await writeCandidate(db, {
+            existing,
+            profile,
+            fileName: review.source_file,
+            fileSize: review.file_size,
+            userId,
+            extraction: review.extraction,
+            quality,
+            reviewStatus: 'approved',
+            consent: review.consent || null
+        });
+    }
+
+    await reviewRef.update({
+        status: action === 'approve' ? 'approved' : 'rejected',
+        candidate_id: candidateId,
+        resolved_by: userId,
+        resolved_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { review_id: reviewId, status: action === 'approve' ? 'approved' : 'rejected', candidate_id: candidateId };
+}
+
+// Helper function to validate uploaded files and store them for the job
+async function stageUploads(bucket, files, userId, prefix = UPLOAD_PREFIX) {
+    if (!Array.isArray(files) || files.length === 0) {
+        throw new HttpError(400, 'No files uploaded');
+    }
+    if (files.length > MAX_FILES_PER_UPLOAD) {
+        throw new HttpError(400, `Upload at most ${MAX_FILES_PER_UPLOAD} files at a time`);
+    }
+    const encodedBytes = files.reduce((sum, file) => sum + String(file?.data || '').length, 0);
+    if (encodedBytes > MAX_UPLOAD_BYTES) {
+        throw new HttpError(413, `Upload at most ${MAX_UPLOAD_BYTES / (1024 * 1024)}MB of file data per request`);
+    }
+
+    const decoded = files.map(file => {
+        if (!file?.name || !file.data) {
+            throw new HttpError(400, 'Each file needs a name and base64 data');
+        }
+        if (!textExtraction.detectFileType(file.name, file.type)) {
+            throw new HttpError(400, `Unsupported file type: ${file.name}`);
+        }
+        const buffer = Buffer.from(file.data, 'base64');
+        if (buffer.length > MAX_FILE_SIZE) {
+            throw new HttpError(400, `File too large (>5MB): ${file.name}`);
+        }
+        return { ...file, buffer };
+    });
+
+    const batchId = `${Date.now()}`;
+    const staged = [];
+    for (const [index, file] of decoded.entries()) {
+        const safeName = file.name.replace(/[^A-Za-z0-9._-]+/g, '_');
+        const path = `${prefix}/${userId}/${batchId}/${index}_${safeName}`;
+        await bucket.file(path).save(file.buffer, { contentType: file.type || 'application/octet-stream' });
+        staged.push({ path, name: file.name, type: file.type || null, size: file.buffer.length });
+    }
+    return staged;
+}
+
+// Helper function to delete staged uploads, such as the ones a failed job
+// never got to. Files already deleted are skipped.
+async function deleteUploads(bucket, files) {
+    for (const file of files || []) {
+        await bucket.file(file.path).delete({ ignoreNotFound: true });
+    }
+    return (files || []).length;
+}
+
+module.exports = {
+    MAX_FILE_SIZE,
+    MAX_FILES_PER_UPLOAD,
+    MAX_UPLOAD_BYTES,
+    buildExtractionPrompt,
+    deleteUploads,
+    findDuplicate,
+    isPermanentFailure,
+    processCv,
+    resolveReview,
+    stageUploads
+};
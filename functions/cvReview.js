@@ -0,0 +1,94 @@
+// CV review queue
+//
+// Extractions that fail the candidate_profile schema, lose values during
+// coercion, or have contact details that can't be found in the CV text are
+// queued in cv_review_queue for a recruiter instead of being trusted as-is.
+//
+// outcome records what the pipeline did with the extraction:
+//   invalid - nothing was written (approving creates the candidate)
+//   created - a new cv_database record was written and flagged for review
+//   update  - a duplicate was found; the update waits for approval
+
+const admin = require('firebase-admin');
+
+const REVIEW_COLLECTION = 'cv_review_queue';
+const REVIEW_STATUSES = ['pending', 'approved', 'rejected'];
+const REVIEW_OUTCOMES = ['invalid', 'created', 'update'];
+
+// Contact fields that must be found in the CV text to skip review
+const VERIFIED_FIELDS = ['personal_info.full_name', 'personal_info.email', 'personal_info.phone'];
+
+// Helper function to list why an extraction needs a human look
+function reviewReasons({ errors = [], issues = [], fieldConfidence = {} }) {
+    return [
+        ...errors,
+        ...issues.map(issue => `${issue.field}: ${issue.message}`),
+        ...VERIFIED_FIELDS
+            .filter(field => fieldConfidence[field] === 'low')
+            .map(field => `${field}: value not found in the CV text`)
+    ];
+}
+
+// Helper function to queue an extraction for review
+async function enqueueReview(db, { outcome, candidateId = null, profile, reasons, quality, sourceFile, fileSize, extraction, consent = null, userId }) {
+    const docRef = await db.collection(REVIEW_COLLECTION).add({
+        status: 'pending',
+        outcome,
+        candidate_id: candidateId,
+        profile,
+        reasons,
+        quality: quality || null,
+        source_file: sourceFile,
+        file_size: fileSize || null,
+        extraction: extraction || null,
+        consent: consent || null,
+        created_by: userId,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return docRef.id;
+}
+
+function serializeReview(doc) {
+    const review = doc.data();
+    return {
+        review_id: doc.id,
+        status: review.status,
+        outcome: review.outcome,
+        candidate_id: review.candidate_id || null,
+        profile: review.profile,
+        reasons: review.reasons || [],
+        quality: review.quality || null,
+        source_file: review.source_file,
+        created_by: review.created_by,
+        created_at: review.created_at?.toDate?.().toISOString() || null,
+        resolved_by: review.resolved_by || null,
+        resolved_at: review.resolved_at?.toDate?.().toISOString() || null
+    };
+}
+
+// Helper function to page through the queue by status
+async function listReviews(db, { status = 'pending', limit = 50, startAfter = null } = {}) {
+    let query = db.collection(REVIEW_COLLECTION)
+        .where('status', '==', status)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(limit);
+    if (startAfter) {
+        query = query.startAfter(startAfter);
+    }
+
+    const snapshot = await query.get();
+    return {
+        reviews: snapshot.docs.map(serializeReview),
+        next_cursor: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    };
+}
+
+module.exports = {
+    REVIEW_COLLECTION,
+    REVIEW_STATUSES,
+    REVIEW_OUTCOMES,
+    reviewReasons,
+    enqueueReview,
+    serializeReview,
+    listReviews
+};
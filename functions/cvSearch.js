@@ -0,0 +1,541 @@
+// Full-text and faceted search over cv_database
+//
+// The search endpoint runs against an in-memory inverted index built from
+// cv_database, so it needs nothing beyond Firestore and runs the same way
+// locally. Each function instance keeps its index cached: changed records are
+// pulled in before every search (by processing_date/last_updated), deleted
+// ones (erased, merged away, purged) are dropped by the tombstones
+// onCVRecordWrite leaves in cv_deletions, and the index is rebuilt when the
+// record count still doesn't match or the cache ages out.
+//
+// Ranking is BM25 over weighted fields. Queries support implicit AND, OR,
+// NOT / -term, parentheses, "quoted phrases" and field prefixes such as
+// skills:autocad or employer:"acme construction".
+
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const organizations = require('./organizations');
+
+// Field -> weight in the combined score
+const SEARCH_FIELDS = {
+    name: 3,
+    skills: 2.5,
+    titles: 2,
+    employers: 1.5,
+    summary: 1
+};
+
+// Query prefixes accepted for each field
+const FIELD_ALIASES = {
+    name: 'name',
+    skill: 'skills',
+    skills: 'skills',
+    title: 'titles',
+    titles: 'titles',
+    position: 'titles',
+    employer: 'employers',
+    employers: 'employers',
+    company: 'employers',
+    summary: 'summary'
+};
+
+const FACETS = ['location', 'industry', 'experience', 'certifications', 'languages'];
+// The experience levels the CV database screen filters by
+const EXPERIENCE_BUCKETS = [
+    { label: '0-3', max: 3 },
+    { label: '4-8', max: 8 },
+    { label: '9-15', max: 15 },
+    { label: '16+', max: Infinity }
+];
+const FACET_LIMIT = 20;
+const MAX_PAGE_SIZE = 100;
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'not', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by']);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Helper function to split text into normalized index terms. Plurals are
+// folded onto the singular so "engineers" finds "engineer".
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9+#]+/)
+        .filter(token => token && !STOP_WORDS.has(token))
+        .map(token => (token.length > 3 && token.endsWith('s') && !token.endsWith('ss') ? token.slice(0, -1) : token));
+}
+
+function normalizeFacetValue(value) {
+    return String(value || '').trim().replace(/\s+/g, ' ');
+}
+
+// "English (Fluent)" / "Arabic - Native" -> the language alone
+function languageName(value) {
+    return normalizeFacetValue(String(value || '').split(/[(\-–:,]/)[0]);
+}
+
+function experienceBucket(years) {
+    const value = typeof years === 'number' ? years : parseFloat(years);
+    if (!Number.isFinite(value) || value < 0) return null;
+    return EXPERIENCE_BUCKETS.find(bucket => value <= bucket.max).label;
+}
+
+// Helper function to turn a cv_database record into the fields and facets
+// the index stores
+function buildSearchDocument(record) {
+    const profile = record.candidate_profile || {};
+    const experience = profile.experience || [];
+    const skills = [
+        ...(profile.skills?.technical_skills || []),
+        ...(profile.skills?.certifications || []),
+        ...(record.canonical_skills || [])
+    ];
+
+    const facetValues = (values) => values
+        .map(normalizeFacetValue)
+        .filter(Boolean)
+        .map(label => ({ key: label.toLowerCase(), label }));
+
+    return {
+        fields: {
+            name: tokenize(profile.personal_info?.full_name),
+            skills: tokenize(skills.join(' | ')),
+            titles: tokenize([profile.professional_summary?.current_position, ...experience.map(exp => exp.position)].join(' | ')),
+            employers: tokenize(experience.map(exp => exp.company).join(' | ')),
+            summary: tokenize([
+                profile.professional_summary?.summary,
+                profile.professional_summary?.industry,
+                ...(profile.keywords || [])
+            ].join(' | '))
+        },
+        facets: {
+            location: facetValues([profile.personal_info?.location]),
+            industry: facetValues([profile.professional_summary?.industry]),
+            experience: facetValues([experienceBucket(profile.professional_summary?.total_experience_years)]),
+            certifications: facetValues(profile.skills?.certifications || []),
+            languages: facetValues((profile.skills?.languages || []).map(languageName))
+        },
+        processedAt: record.metadata?.processing_date?.toMillis?.() || 0,
+        fileSize: record.metadata?.file_size || 0,
+        hasContact: Boolean(profile.personal_info?.email && profile.personal_info?.phone)
+    };
+}
+
+// --- Query parsing ---
+
+function lexQuery(query) {
+    const tokens = [];
+    const pattern = /\s*(?:(\()|(\))|(-)?(?:([a-z]+):)?"([^"]*)"?|(-)?(?:([a-z]+):)?([^\s()"]+))/gi;
+    let match;
+
+    while ((match = pattern.exec(query)) !== null) {
+        if (match[0].trim() === '') break;
+        if (match[1]) tokens.push({ type: '(' });
+        else if (match[2]) tokens.push({ type: ')' });
+        else if (match[5] !== undefined) {
+            tokens.push({ type: 'text', phrase: true, negate: Boolean(match[3]), field: match[4], value: match[5] });
+        } else if (['AND', 'OR', 'NOT'].includes(match[8]) && !match[6] && !match[7]) {
+            tokens.push({ type: match[8] });
+        } else {
+            tokens.push({ type: 'text', phrase: false, negate: Boolean(match[6]), field: match[7], value: match[8] });
+        }
+    }
+    return tokens;
+}
+
+function textNode(token) {
+    let field = null;
+    let value = token.value;
+    if (token.field) {
+        field = FIELD_ALIASES[token.field.toLowerCase()] || null;
+        // Not a known field: "c:" or "http:" is part of the word
+        if (!field) value = `${token.field}:${value}`;
+    }
+
+    const terms = tokenize(value);
+    if (terms.length === 0) return null;
+    const node = terms.length === 1 && !token.phrase
+        ? { type: 'term', field, term: terms[0] }
+        : { type: 'phrase', field, terms };
+    return token.negate ? { type: 'not', node } : node;
+}
+
+// Helper function to parse a search query into a tree of
+// term / phrase / and / or / not nodes (null for an empty query)
+function parseQuery(query) {
+    const tokens = lexQuery(String(query || ''));
+    let position = 0;
+
+    const fail = (message) => {
+        throw new HttpError(400, `Invalid search query: ${message}`);
+    };
+
+    function parseOr() {
+        const nodes = [parseAnd()];
+        while (tokens[position]?.type === 'OR') {
+            position++;
+            nodes.push(parseAnd());
+        }
+        const present = nodes.filter(Boolean);
+        if (present.length <= 1) return present[0] || null;
+        return { type: 'or', nodes: present };
+    }
+
+    function parseAnd() {
+        const nodes = [];
+        while (position < tokens.length && !['OR', ')'].includes(tokens[position].type)) {
+            if (tokens[position].type === 'AND') {
+                position++;
+                continue;
+            }
+            nodes.push(parseUnary());
+        }
+        const present = nodes.filter(Boolean);
+        if (present.length <= 1) return present[0] || null;
+        return { type: 'and', nodes: present };
+    }
+
+    function parseUnary() {
+        const token = tokens[position];
+        if (token.type === 'NOT') {
+            position++;
+            if (position >= tokens.length || [')', 'OR', 'AND'].includes(tokens[position].type)) {
+                fail('NOT must be followed by a term');
+            }
+            const node = parseUnary();
+            return node ? { type: 'not', node } : null;
+        }
+        if (token.type === '(') {
+            position++;
+            const node = parseOr();
+            if (tokens[position]?.type !== ')') fail('missing closing parenthesis');
+            position++;
+            return node;
+        }
+        position++;
+        return textNode(token);
+    }
+
+    const tree = parseOr();
+    if (position < tokens.length) {
+        fail(tokens[position].type === ')' ? 'unexpected closing parenthesis' : 'unexpected operator');
+    }
+    return tree;
+}
+
+// --- Index ---
+
+function containsSequence(tokens, terms) {
+    for (let i = 0; i <= tokens.length - terms.length; i++) {
+        if (terms.every((term, j) => tokens[i + j] === term)) return true;
+    }
+    return false;
+}
+
+// Build an empty search index
+function createSearchIndex() {
+    const documents = new Map();
+    // term -> Map(candidateId -> { field: term frequency })
+    const postings = new Map();
+    const fieldTotals = Object.fromEntries(Object.keys(SEARCH_FIELDS).map(field => [field, 0]));
+
+    function remove(id) {
+        const doc = documents.get(id);
+        if (!doc) return;
+
+        for (const [field, tokens] of Object.entries(doc.fields)) {
+            fieldTotals[field] -= tokens.length;
+            for (const term of new Set(tokens)) {
+                const entries = postings.get(term);
+                entries?.delete(id);
+                if (entries?.size === 0) postings.delete(term);
+            }
+        }
+        documents.delete(id);
+    }
+
+    function add(id, record) {
+        remove(id);
+        const doc = buildSearchDocument(record);
+        documents.set(id, doc);
+
+        for (const [field, tokens] of Object.entries(doc.fields)) {
+            fieldTotals[field] += tokens.length;
+            for (const term of tokens) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const frequencies = postings.get(term);
+                const entry = frequencies.get(id) || {};
+                entry[field] = (entry[field] || 0) + 1;
+                frequencies.set(id, entry);
+            }
+        }
+    }
+
+    function docsWithTerm(term, field) {
+        const entries = postings.get(term);
+        if (!entries) return new Set();
+        if (!field) return new Set(entries.keys());
+        return new Set([...entries].filter(([, fields]) => fields[field]).map(([id]) => id));
+    }
+
+    function evaluate(node) {
+        switch (node.type) {
+            case 'term':
+                return docsWithTerm(node.term, node.field);
+            case 'phrase': {
+                let ids = docsWithTerm(node.terms[0], node.field);
+                node.terms.slice(1).forEach(term => {
+                    const next = docsWithTerm(term, node.field);
+                    ids = new Set([...ids].filter(id => next.has(id)));
+                });
+                const fields = node.field ? [node.field] : Object.keys(SEARCH_FIELDS);
+                return new Set([...ids].filter(id =>
+                    fields.some(field => containsSequence(documents.get(id).fields[field], node.terms))
+                ));
+            }
+            case 'not': {
+                const excluded = evaluate(node.node);
+                return new Set([...documents.keys()].filter(id => !excluded.has(id)));
+            }
+            case 'or':
+                return new Set(node.nodes.flatMap(child => [...evaluate(child)]));
+            case 'and': {
+                // Evaluate positive clauses first, then strip the negated ones
+                const positive = node.nodes.filter(child => child.type !== 'not');
+                const negative = node.nodes.filter(child => child.type === 'not');
+                let ids = positive.length > 0 ? evaluate(positive[0]) : new Set(documents.keys());
+                positive.slice(1).forEach(child => {
+                    const next = evaluate(child);
+                    ids = new Set([...ids].filter(id => next.has(id)));
+                });
+                negative.forEach(child => {
+                    const excluded = evaluate(child.node);
+                    ids = new Set([...ids].filter(id => !excluded.has(id)));
+                });
+                return ids;
+            }
+            default:
+                return new Set();
+        }
+    }
+
+    // Terms that contribute to ranking (anything not under a NOT)
+    function scoringTerms(node, terms = []) {
+        if (!node || node.type === 'not') return terms;
+        if (node.type === 'term') terms.push({ term: node.term, field: node.field });
+        if (node.type === 'phrase') node.terms.forEach(term => terms.push({ term, field: node.field }));
+        (node.nodes || []).forEach(child => scoringTerms(child, terms));
+        return terms;
+    }
+
+    function score(id, terms) {
+        const doc = documents.get(id);
+        const total = documents.size;
+        let result = 0;
+
+        for (const { term, field } of terms) {
+            const entries = postings.get(term);
+            const frequencies = entries?.get(id);
+            if (!frequencies) continue;
+
+            const idf = Math.log(1 + (total - entries.size + 0.5) / (entries.size + 0.5));
+            for (const [name, weight] of Object.entries(SEARCH_FIELDS)) {
+                if (field && field !== name) continue;
+                const tf = frequencies[name] || 0;
+                if (tf === 0) continue;
+                const averageLength = fieldTotals[name] / total || 1;
+                const norm = tf * (K1 + 1) / (tf + K1 * (1 - B + B * doc.fields[name].length / averageLength));
+                result += weight * idf * norm;
+            }
+        }
+        return result;
+    }
+
+    function matchesFilters(doc, filters, skipFacet = null) {
+        return Object.entries(filters).every(([facet, keys]) =>
+            facet === skipFacet || keys.length === 0 || doc.facets[facet].some(value => keys.includes(value.key))
+        );
+    }
+
+    // Counts per facet value; each facet ignores its own filter so other
+    // values stay selectable
+    function facetCounts(ids, filters) {
+        const result = {};
+        for (const facet of FACETS) {
+            const counts = new Map();
+            for (const id of ids) {
+                const doc = documents.get(id);
+                if (!matchesFilters(doc, filters, facet)) continue;
+                for (const value of doc.facets[facet]) {
+                    const entry = counts.get(value.key) || { value: value.label, count: 0 };
+                    entry.count++;
+                    counts.set(value.key, entry);
+                }
+            }
+            result[facet] = [...counts.values()]
+                .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+                .slice(0, FACET_LIMIT);
+        }
+        return result;
+    }
+
+    // Run a parsed query. Returns { total, results: [{ id, score }], facets }.
+    function search(tree, { filters = {}, sort = 'relevance', offset = 0, limit = 25 } = {}) {
+        const matched = tree ? evaluate(tree) : new Set(documents.keys());
+        const terms = scoringTerms(tree);
+        const filtered = [...matched].filter(id => matchesFilters(documents.get(id), filters));
+
+        const results = filtered.map(id => ({ id, score: terms.length > 0 ? score(id, terms) : 0 }));
+        results.sort((a, b) => {
+            if (sort === 'relevance' && b.score !== a.score) return b.score - a.score;
+            return documents.get(b.id).processedAt - documents.get(a.id).processedAt || a.id.localeCompare(b.id);
+        });
+
+        return {
+            total: results.length,
+            results: results.slice(offset, offset + limit).map(result => ({
+                id: result.id,
+                score: Math.round(result.score * 1000) / 1000
+            })),
+            facets: facetCounts(matched, filters)
+        };
+    }
+
+    // Whole-database figures for the CV database screen
+    function stats({ since = 0 } = {}) {
+        const result = { total_profiles: documents.size, total_file_size: 0, with_contact_details: 0, added_since: 0 };
+        for (const doc of documents.values()) {
+            result.total_file_size += doc.fileSize;
+            if (doc.hasContact) result.with_contact_details++;
+            if (doc.processedAt >= since) result.added_since++;
+        }
+        return result;
+    }
+
+    return {
+        add,
+        remove,
+        search,
+        stats,
+        has: id => documents.has(id),
+        get size() {
+            return documents.size;
+        }
+    };
+}
+
+// --- Cached index ---
+
+const SEARCH_INDEX_TTL_MS = 10 * 60 * 1000;
+// Re-read a little before the last sync to allow for clock skew
+const SYNC_OVERLAP_MS = 5000;
+const LOAD_PAGE_SIZE = 500;
+// One cached index per organization
+const indexCache = new Map();
+// Tombstones outlive every cached index; Firestore TTL removes them after expire_at
+const DELETION_COLLECTION = 'cv_deletions';
+const TOMBSTONE_TTL_MS = 6 * SEARCH_INDEX_TTL_MS;
+
+async function buildIndex(db) {
+    const index = createSearchIndex();
+    let lastDoc = null;
+
+    while (true) {
+        let query = db.collection('cv_database')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select('candidate_profile', 'canonical_skills', 'metadata')
+            .limit(LOAD_PAGE_SIZE);
+        if (lastDoc) {
+            query = query.startAfter(lastDoc);
+        }
+
+        const snapshot = await query.get();
+        snapshot.docs.forEach(doc => index.add(doc.id, doc.data()));
+        if (snapshot.size < LOAD_PAGE_SIZE) break;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+    return index;
+}
+
+// Helper function to leave a tombstone for a deleted cv_database record, so
+// every instance's cached index drops it on its next sync
+async function recordDeletion(db, candidateId) {
+    await db.collection(DELETION_COLLECTION).doc(candidateId).set({
+        candidate_id: candidateId,
+        deleted_at: admin.firestore.FieldValue.serverTimestamp(),
+        expire_at: admin.firestore.Timestamp.fromMillis(Date.now() + TOMBSTONE_TTL_MS)
+    });
+}
+
+// Pull in records created, updated or deleted since the last sync
+async function syncIndex(db, cache) {
+    const since = admin.firestore.Timestamp.fromMillis(cache.syncedAt - SYNC_OVERLAP_MS);
+    const startedAt = Date.now();
+    const [created, updated, deleted, countSnapshot] = await Promise.all([
+        db.collection('cv_database').where('metadata.processing_date', '>', since).get(),
+        db.collection('cv_database').where('metadata.last_updated', '>', since).get(),
+        db.collection(DELETION_COLLECTION).where('deleted_at', '>', since).get(),
+        db.collection('cv_database').count().get()
+    ]);
+
+    [...created.docs, ...updated.docs].forEach(doc => cache.index.add(doc.id, doc.data()));
+    deleted.docs.forEach(doc => cache.index.remove(doc.id));
+    cache.syncedAt = startedAt;
+
+    // A deletion whose tombstone hasn't been written yet still shows as a
+    // count mismatch, which means the index must be rebuilt
+    return countSnapshot.data().count === cache.index.size;
+}
+
+// Helper function to get an up-to-date search index for this instance
+async function loadSearchIndex(db) {
+    const cacheKey = organizations.scopeKey(db);
+    const cached = indexCache.get(cacheKey);
+    if (cached && cached.expires > Date.now() && await syncIndex(db, cached)) {
+        return cached.index;
+    }
+
+    const startedAt = Date.now();
+    const index = await buildIndex(db);
+    indexCache.set(cacheKey, { index, syncedAt: startedAt, expires: startedAt + SEARCH_INDEX_TTL_MS });
+    return index;
+}
+
+function clearSearchIndexCache() {
+    indexCache.clear();
+}
+
+// Helper function to read search parameters from a request's query string
+function parseSearchParams(query = {}) {
+    const limit = Math.max(1, Math.min(parseInt(query.limit) || 25, MAX_PAGE_SIZE));
+    const page = Math.max(1, parseInt(query.page) || 1);
+    const sort = query.sort || (query.q ? 'relevance' : 'recent');
+    if (!['relevance', 'recent'].includes(sort)) {
+        throw new HttpError(400, 'Invalid sort. Use relevance or recent');
+    }
+
+    const filters = {};
+    for (const facet of FACETS) {
+        filters[facet] = query[facet]
+            ? String(query[facet]).split(',').map(value => normalizeFacetValue(value).toLowerCase()).filter(Boolean)
+            : [];
+    }
+
+    return { q: query.q || '', tree: parseQuery(query.q), filters, sort, page, limit, offset: (page - 1) * limit };
+}
+
+module.exports = {
+    SEARCH_FIELDS,
+    FACETS,
+    EXPERIENCE_BUCKETS,
+    tokenize,
+    buildSearchDocument,
+    parseQuery,
+    createSearchIndex,
+    recordDeletion,
+    loadSearchIndex,
+    clearSearchIndexCache,
+    parseSearchParams
+};
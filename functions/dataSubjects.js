@@ -0,0 +1,289 @@
+// Data subject requests
+//
+// Finds everything held about one person, by email address and/or employee
+// id, across cv_database, project candidates, the CV review queue, duplicate
+// pairs, outreach enrollments and messages, interviews with their
+// scorecards, embeddings, demob_profiles, demob_matches and the in-app
+// notifications that name the person's employee id. The same lookup backs
+// export (a JSON copy of every record), erase (delete every record) and
+// consent changes on the person's CV and demob records.
+//
+// Every request writes a receipt to data_subject_requests. Receipts identify
+// the subject by a hash only, so the audit trail outlives an erasure without
+// keeping the erased data.
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const candidateDedupe = require('./candidateDedupe');
+const cvReview = require('./cvReview');
+const embeddings = require('./embeddings');
+const exporters = require('./exporters');
+const interviews = require('./interviews');
+const notifications = require('./notifications');
+const outreach = require('./outreach');
+const retention = require('./retention');
+const { HttpError } = require('./errors');
+
+const REQUEST_COLLECTION = 'data_subject_requests';
+const REQUEST_ACTIONS = ['export', 'erase', 'consent'];
+const MAX_DISJUNCTION = 30;
+const WRITE_BATCH_SIZE = 400;
+
+// Helper function to validate the subject of a request
+function parseSubject({ email, employee_id } = {}) {
+    const normalizedEmail = email ? candidateDedupe.emailKey(String(email)) : null;
+    if (email && !normalizedEmail) {
+        throw new HttpError(400, 'Invalid email address');
+    }
+    const employeeId = employee_id ? String(employee_id).trim() : null;
+    if (employeeId && employeeId.includes('/')) {
+        throw new HttpError(400, 'employee_id cannot contain "/"');
+    }
+    if (!normalizedEmail && !employeeId) {
+        throw new HttpError(400, 'Provide an email and/or employee_id');
+    }
+    return { email: normalizedEmail, employeeId };
+}
+
+function subjectHash({ email, employeeId }) {
+    return crypto.createHash('sha256').update(`${email || ''}|${employeeId || ''}`).digest('hex');
+}
+
+// Run a query once per chunk of `values` for operators capped at 30 values
+async function queryInChunks(values, buildQuery) {
+    const docs = [];
+    for (let i = 0; i < values.length; i += MAX_DISJUNCTION) {
+        const snapshot = await buildQuery(values.slice(i, i + MAX_DISJUNCTION)).get();
+        docs.push(...snapshot.docs);
+    }
+    return docs;
+}
+
+// Helper function to find every document held about a subject.
+// Returns a Map of label -> Map of document path -> snapshot.
+async function findSubjectData(db, { email, employeeId }) {
+    const found = new Map();
+    const add = (label, docs) => {
+        if (!found.has(label)) found.set(label, new Map());
+        docs.forEach(doc => {
+            if (doc.exists !== false) found.get(label).set(doc.ref.path, doc);
+        });
+    };
+
+    let cvIds = [];
+    if (email) {
+        const [byKey, byAlternate] = await Promise.all([
+            db.collection('cv_database').where('dedupe_keys', 'array-contains', `e:${email}`).get(),
+            db.collection('cv_database').where('alternate_contacts.emails', 'array-contains', email).get()
+        ]);
+        add('cv_database', [...byKey.docs, ...byAlternate.docs]);
+        cvIds = [...new Set([...byKey.docs, ...byAlternate.docs].map(doc => doc.id))];
+
+        const [screened, queued] = await Promise.all([
+            db.collectionGroup('candidates').where('screening_summary.email', '==', email).get(),
+            db.collection(cvReview.REVIEW_COLLECTION).where('profile.personal_info.email', '==', email).get()
+        ]);
+        add('project_candidates', screened.docs);
+        add(cvReview.REVIEW_COLLECTION, queued.docs);
+    }
+
+    if (cvIds.length > 0) {
+        add('project_candidates', await queryInChunks(cvIds, ids =>
+            db.collectionGroup('candidates').where('original_database_id', 'in', ids)));
+        add(cvReview.REVIEW_COLLECTION, await queryInChunks(cvIds, ids =>
+            db.collection(cvReview.REVIEW_COLLECTION).where('candidate_id', 'in', ids)));
+        add(candidateDedupe.PAIR_COLLECTION, await queryInChunks(cvIds, ids =>
+            db.collection(candidateDedupe.PAIR_COLLECTION).where('candidate_ids', 'array-contains-any', ids)));
+    }
+
+    // Outreach: messages addressed to the subject, and the enrollments (with
+    // their messages) of the project candidates found above
+    if (email) {
+        const messages = await db.collection(outreach.MESSAGE_COLLECTION).where('to', '==', email).get();
+        add(outreach.MESSAGE_COLLECTION, messages.docs);
+    }
+    const enrollmentIds = [...(found.get('project_candidates')?.values() || [])].map(doc => {
+        const segments = doc.ref.path.split('/');
+        return outreach.enrollmentId(segments[segments.length - 3], doc.id);
+    });
+    if (enrollmentIds.length > 0) {
+        add(outreach.ENROLLMENT_COLLECTION, await db.getAll(...enrollmentIds.map(id =>
+            db.collection(outreach.ENROLLMENT_COLLECTION).doc(id))));
+        add(outreach.MESSAGE_COLLECTION, await queryInChunks(enrollmentIds, ids =>
+            db.collection(outreach.MESSAGE_COLLECTION).where('enrollment_id', 'in', ids)));
+    }
+
+    if (employeeId) {
+        const [profile, matches] = await Promise.all([
+            db.collection('demob_profiles').doc(employeeId).get(),
+            db.collection('demob_matches').where('employee_id', '==', employeeId).get()
+        ]);
+        add('demob_profiles', [profile]);
+        add('demob_matches', matches.docs);
+
+        // Demob digests and escalations list the employees they mention
+        const notices = await db.collection(notifications.NOTIFICATION_COLLECTION)
+            .where('data.employee_ids', 'array-contains', employeeId)
+            .get();
+        add(notifications.NOTIFICATION_COLLECTION, notices.docs);
+    }
+
+    // Interviews with the subject, as a project candidate or through a demob match
+    if (email) {
+        const invited = await db.collection(interviews.INTERVIEW_COLLECTION).where('candidate_email', '==', email).get();
+        add(interviews.INTERVIEW_COLLECTION, invited.docs);
+    }
+    const candidateIds = [...(found.get('project_candidates')?.values() || [])].map(doc => doc.id);
+    const matchIds = [...(found.get('demob_matches')?.values() || [])].map(doc => doc.id);
+    add(interviews.INTERVIEW_COLLECTION, [
+        ...await queryInChunks(candidateIds, ids => db.collection(interviews.INTERVIEW_COLLECTION).where('candidate_id', 'in', ids)),
+        ...await queryInChunks(matchIds, ids => db.collection(interviews.INTERVIEW_COLLECTION).where('match_id', 'in', ids))
+    ]);
+    for (const interview of found.get(interviews.INTERVIEW_COLLECTION)?.values() || []) {
+        add(interviews.SCORECARD_COLLECTION, (await interview.ref.collection(interviews.SCORECARD_COLLECTION).get()).docs);
+    }
+
+    const embeddingRefs = [
+        ...cvIds.map(id => db.collection(embeddings.EMBEDDING_COLLECTION).doc(embeddings.embeddingId('cv', id))),
+        ...(employeeId ? [db.collection(embeddings.EMBEDDING_COLLECTION).doc(embeddings.embeddingId('demob', employeeId))] : [])
+    ];
+    if (embeddingRefs.length > 0) {
+        add(embeddings.EMBEDDING_COLLECTION, await db.getAll(...embeddingRefs));
+    }
+
+    return found;
+}
+
+function countRecords(found) {
+    const counts = {};
+    for (const [label, docs] of found) {
+        if (docs.size > 0) counts[label] = docs.size;
+    }
+    return counts;
+}
+
+async function writeReceipt(db, { action, subject, userId, counts, details = {} }) {
+    const receiptRef = await db.collection(REQUEST_COLLECTION).add({
+        action,
+        subject_hash: subjectHash(subject),
+        has_email: Boolean(subject.email),
+        has_employee_id: Boolean(subject.employeeId),
+        record_counts: counts,
+        ...details,
+        requested_by: userId,
+        completed_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return receiptRef.id;
+}
+
+// Helper function to export a subject's data as plain JSON
+async function exportSubjectData(db, subject, userId) {
+    const found = await findSubjectData(db, subject);
+    const records = {};
+    for (const [label, docs] of found) {
+        if (docs.size === 0) continue;
+        // Vectors say nothing readable about the person
+        records[label] = [...docs.values()].map(doc => ({
+            path: doc.ref.path,
+            data: label === embeddings.EMBEDDING_COLLECTION
+                ? { model: doc.data().model, updated_at: exporters.toPlain(doc.data().updated_at) }
+                : exporters.toPlain(doc.data())
+        }));
+    }
+
+    const counts = countRecords(found);
+    const receiptId = await writeReceipt(db, { action: 'export', subject, userId, counts });
+    return {
+        receipt_id: receiptId,
+        generated_at: new Date().toISOString(),
+        subject: { email: subject.email, employee_id: subject.employeeId },
+        record_counts: counts,
+        records
+    };
+}
+
+// Helper function to delete every record held about a subject
+async function eraseSubjectData(db, subject, userId) {
+    const found = await findSubjectData(db, subject);
+    const docs = [...found.values()].flatMap(byPath => [...byPath.values()]);
+
+    for (let i = 0; i < docs.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        docs.slice(i, i + WRITE_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+
+    const counts = countRecords(found);
+    const receiptId = await writeReceipt(db, {
+        action: 'erase',
+        subject,
+        userId,
+        counts,
+        details: { deleted_paths: docs.map(doc => doc.ref.path) }
+    });
+    return { receipt_id: receiptId, record_counts: counts, deleted: docs.length };
+}
+
+// Helper function to record a consent change on a subject's CV and demob records
+async function recordConsent(db, subject, consentInput, userId) {
+    const consent = retention.normalizeConsent(consentInput, userId);
+    if (!consent) {
+        throw new HttpError(400, 'consent is required');
+    }
+
+    const found = await findSubjectData(db, subject);
+    const consentRecords = new Map(['cv_database', 'demob_profiles'].map(label => [label, found.get(label) || new Map()]));
+    const docs = [...consentRecords.values()].flatMap(byPath => [...byPath.values()]);
+    if (docs.length === 0) {
+        throw new HttpError(404, 'No CV or demob records found for this subject');
+    }
+
+    for (let i = 0; i < docs.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        docs.slice(i, i + WRITE_BATCH_SIZE).forEach(doc => batch.update(doc.ref, { consent }));
+        await batch.commit();
+    }
+
+    const counts = countRecords(consentRecords);
+    const receiptId = await writeReceipt(db, {
+        action: 'consent',
+        subject,
+        userId,
+        counts,
+        details: { consent_status: consent.status, consent_basis: consent.basis }
+    });
+    return { receipt_id: receiptId, updated: docs.length, consent_status: consent.status };
+}
+
+function serializeReceipt(doc) {
+    const receipt = doc.data();
+    return {
+        receipt_id: doc.id,
+        action: receipt.action,
+        subject_hash: receipt.subject_hash,
+        record_counts: receipt.record_counts || {},
+        consent_status: receipt.consent_status || null,
+        requested_by: receipt.requested_by,
+        completed_at: receipt.completed_at?.toDate?.().toISOString() || null
+    };
+}
+
+async function listReceipts(db, { limit = 50 } = {}) {
+    const snapshot = await db.collection(REQUEST_COLLECTION)
+        .orderBy('completed_at', 'desc')
+        .limit(limit)
+        .get();
+    return snapshot.docs.map(serializeReceipt);
+}
+
+module.exports = {
+    REQUEST_COLLECTION,
+    REQUEST_ACTIONS,
+    parseSubject,
+    subjectHash,
+    findSubjectData,
+    exportSubjectData,
+    eraseSubjectData,
+    recordConsent,
+    listReceipts
+};
@@ -0,0 +1,276 @@
+// Demob date alerts
+//
+// The daily `demob_sweep` job reacts to time passing, which profile and
+// position triggers can't. It runs in three phases:
+//
+//   flag   - demobilizing (i.e. not yet placed) employees with a demob_date
+//            within 90 days get a `demob_alert` with the tightest window they
+//            fall in (30, 60 or 90 days; overdue dates count as 30) and are
+//            re-matched. Critical retention-priority employees are escalated
+//            once per window.
+//   clear  - alerts left over from earlier runs (placed, or date moved out)
+//            are removed.
+//   digest - everyone who can view demob data gets one notification listing
+//            the flagged employees and the matches not yet notified, and
+//            those matches are marked notifications_sent. Roles that can't
+//            see retention priority get a digest without priorities or the
+//            escalation section.
+
+const admin = require('firebase-admin');
+const matching = require('./matching');
+const notifications = require('./notifications');
+const redaction = require('./redaction');
+
+const ALERT_WINDOWS = [30, 60, 90];
+const ESCALATION_PRIORITY = 'Critical';
+const PRIORITY_FIELD = 'internal_metrics.retention_priority';
+const FLAG_PAGE_SIZE = 50;
+const CLEAR_PAGE_SIZE = 400;
+const DIGEST_MATCH_LIMIT = 200;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function toDateString(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+function addDays(dateString, days) {
+    return toDateString(new Date(Date.parse(`${dateString}T00:00:00Z`) + days * DAY_MS));
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// Helper function to find the tightest alert window for a number of days left
+function alertWindow(daysRemaining) {
+    if (!Number.isFinite(daysRemaining)) return null;
+    return ALERT_WINDOWS.find(window => daysRemaining <= window) || null;
+}
+
+// Helper function to work out a profile's alert on a run date.
+// Returns null when the profile doesn't need one.
+function buildAlert(profile, runDate) {
+    if (profile.current_status !== matching.DEMOBILIZING_STATUS || !profile.demob_date) {
+        return null;
+    }
+    const daysRemaining = daysBetween(runDate, profile.demob_date);
+    const window = alertWindow(daysRemaining);
+    if (!window) return null;
+
+    const previous = profile.demob_alert || {};
+    const critical = profile.internal_metrics?.retention_priority === ESCALATION_PRIORITY;
+    // Escalate again only when the employee moves into a tighter window
+    const escalate = critical && (!previous.escalated_window || window < previous.escalated_window);
+
+    return {
+        window,
+        days_remaining: daysRemaining,
+        overdue: daysRemaining < 0,
+        run_date: runDate,
+        escalated_window: escalate ? window : (previous.escalated_window || null),
+        escalated_on: escalate ? runDate : (previous.escalated_on || null)
+    };
+}
+
+// Helper function to flag one page of profiles and re-match them with
+// `rematch(employeeId)`. Returns counts and the cursor for the next page.
+async function flagPage(db, { runDate, cursor = null, rematch, pageSize = FLAG_PAGE_SIZE }) {
+    let query = db.collection('demob_profiles')
+        .where('current_status', '==', matching.DEMOBILIZING_STATUS)
+        .where('demob_date', '<=', addDays(runDate, ALERT_WINDOWS[ALERT_WINDOWS.length - 1]))
+        .orderBy('demob_date')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+    if (cursor) {
+        query = query.startAfter(cursor.demob_date, cursor.id);
+    }
+
+    const snapshot = await query.get();
+    let flagged = 0;
+    let escalated = 0;
+    let matchesFound = 0;
+
+    for (const doc of snapshot.docs) {
+        const alert = buildAlert(doc.data(), runDate);
+        if (!alert) continue;
+
+        await doc.ref.update({
+            demob_alert: { ...alert, flagged_at: admin.firestore.FieldValue.serverTimestamp() }
+        });
+        flagged++;
+        if (alert.escalated_on === runDate) escalated++;
+
+        const matches = await rematch(doc.id);
+        matchesFound += (matches || []).length;
+    }
+
+    const last = snapshot.docs[snapshot.size - 1];
+    return {
+        processed: snapshot.size,
+        flagged,
+        escalated,
+        matches_found: matchesFound,
+        nextCursor: snapshot.size === pageSize ? { demob_date: last.data().demob_date, id: last.id } : null
+    };
+}
+
+// Helper function to remove one page of alerts not renewed by this run
+async function clearStaleAlerts(db, runDate, pageSize = CLEAR_PAGE_SIZE) {
+    const snapshot = await db.collection('demob_profiles')
+        .where('demob_alert.run_date', '<', runDate)
+        .limit(pageSize)
+        .get();
+
+    if (!snapshot.empty) {
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.update(doc.ref, {
+            demob_alert: admin.firestore.FieldValue.delete()
+        }));
+        await batch.commit();
+    }
+    return { cleared: snapshot.size, done: snapshot.size < pageSize };
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function describeEmployee(item, showPriority = true) {
+    const days = item.overdue ? `${-item.days_remaining} days overdue` : `${item.days_remaining} days`;
+    const priority = showPriority && item.retention_priority ? `, ${item.retention_priority}` : '';
+    return `${item.role} (${item.employee_id}) - demob ${item.demob_date}, ${days}${priority}`;
+}
+
+function describeMatch(match) {
+    return `${match.employee_id} -> ${match.project_name} - ${match.position_title} (${match.match_score})`;
+}
+
+// Helper function to render the digest as plain text and HTML. Without
+// showPriority, priorities and the escalation section are left out.
+function buildDigest(runDate, employees, matches, { showPriority = true } = {}) {
+    const sections = ALERT_WINDOWS.map(window => ({
+        title: `Within ${window} days`,
+        lines: employees.filter(item => item.window === window).map(item => describeEmployee(item, showPriority))
+    }));
+    const escalated = employees.filter(item => item.escalated_on === runDate);
+    if (showPriority && escalated.length > 0) {
+        sections.unshift({ title: 'Escalated (Critical retention priority)', lines: escalated.map(item => describeEmployee(item)) });
+    }
+    sections.push({ title: 'New matches awaiting review', lines: matches.map(describeMatch) });
+
+    const visible = sections.filter(section => section.lines.length > 0);
+    const subject = `Demob digest ${runDate}: ${employees.length} employees within ${ALERT_WINDOWS[ALERT_WINDOWS.length - 1]} days, ${matches.length} new matches`;
+    const text = visible
+        .map(section => `${section.title} (${section.lines.length})\n${section.lines.map(line => `  - ${line}`).join('\n')}`)
+        .join('\n\n');
+    const html = visible
+        .map(section => `<h3>${escapeHtml(section.title)} (${section.lines.length})</h3><ul>${section.lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`)
+        .join('');
+
+    return { subject, text: text || 'Nothing needs attention today.', html: html || '<p>Nothing needs attention today.</p>' };
+}
+
+// Helper function to send the digest and escalations for a run, then mark
+// the matches it reported as notified
+async function sendDigest(db, runDate, mailer = null) {
+    const [flaggedSnapshot, matchSnapshot] = await Promise.all([
+        db.collection('demob_profiles').where('demob_alert.run_date', '==', runDate).get(),
+        db.collection('demob_matches')
+            .where('notifications_sent', '==', false)
+            .where('status', '==', 'Pending Review')
+            .limit(DIGEST_MATCH_LIMIT)
+            .get()
+    ]);
+
+    const employees = flaggedSnapshot.docs
+        .map(doc => {
+            const profile = doc.data();
+            return {
+                employee_id: doc.id,
+                role: profile.current_project?.role || 'Unknown',
+                demob_date: profile.demob_date,
+                retention_priority: profile.internal_metrics?.retention_priority || null,
+                ...profile.demob_alert
+            };
+        })
+        .sort((a, b) => a.days_remaining - b.days_remaining);
+    const matches = matchSnapshot.docs.map(doc => doc.data());
+
+    const result = { flagged: employees.length, matches_notified: 0, escalations: 0, recipients: 0, emailed: 0, email_errors: [] };
+    if (employees.length === 0 && matches.length === 0) {
+        return result;
+    }
+
+    // One digest per audience: with priorities, and without for roles that can't see them
+    const recipients = await notifications.loadRecipients(db, 'view_demob');
+    for (const showPriority of [true, false]) {
+        const audience = recipients.filter(recipient => redaction.isRestricted(recipient.role, PRIORITY_FIELD) !== showPriority);
+        if (audience.length === 0) continue;
+
+        const digest = buildDigest(runDate, employees, matches, { showPriority });
+        const sent = await notifications.notify(db, audience, {
+            type: 'demob_digest',
+            title: digest.subject,
+            body: digest.text,
+            data: {
+                run_date: runDate,
+                windows: Object.fromEntries(ALERT_WINDOWS.map(window => [window, employees.filter(item => item.window === window).length])),
+                match_ids: matches.map(match => match.match_id).slice(0, 50),
+                // Every employee the digest mentions, so data subject requests can find it
+                employee_ids: [...new Set([...employees, ...matches].map(item => item.employee_id))]
+            },
+            email: digest
+        }, mailer);
+        result.recipients += sent.created;
+        result.emailed += sent.emailed;
+        result.email_errors.push(...sent.email_errors);
+    }
+
+    const escalated = employees.filter(item => item.escalated_on === runDate);
+    if (escalated.length > 0) {
+        const managers = (await notifications.loadRecipients(db, 'edit_demob'))
+            .filter(manager => !redaction.isRestricted(manager.role, PRIORITY_FIELD));
+        const lines = escalated.map(item => describeEmployee(item));
+        await notifications.notify(db, managers, {
+            type: 'demob_escalation',
+            title: `${escalated.length} Critical employees approaching demob without a placement`,
+            body: lines.join('\n'),
+            priority: 'high',
+            data: { run_date: runDate, employee_ids: escalated.map(item => item.employee_id) },
+            email: {
+                subject: `Escalation: ${escalated.length} Critical employees approaching demob`,
+                text: lines.join('\n'),
+                html: `<ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+            }
+        }, mailer);
+        result.escalations = escalated.length;
+    }
+
+    if (matchSnapshot.size > 0) {
+        const batch = db.batch();
+        matchSnapshot.docs.forEach(doc => batch.update(doc.ref, {
+            notifications_sent: true,
+            notified_at: admin.firestore.FieldValue.serverTimestamp()
+        }));
+        await batch.commit();
+        result.matches_notified = matchSnapshot.size;
+    }
+
+    return result;
+}
+
+module.exports = {
+    ALERT_WINDOWS,
+    ESCALATION_PRIORITY,
+    toDateString,
+    alertWindow,
+    buildAlert,
+    flagPage,
+    clearStaleAlerts,
+    buildDigest,
+    sendDigest
+};
@@ -0,0 +1,535 @@
+// Demob programme analytics
+//
+// getDemobAnalytics reads one precomputed rollup instead of every profile and
+// match. The `analytics_rollup` job builds the rollup for a day (scheduled
+// nightly, or on demand) by paging through demob_profiles and the open
+// position index. Each page's counts are saved as a partial document; the
+// last step merges them and stores the rollup for the day, with its series
+// and cohorts sharded one document per month and project so no document
+// outgrows Firestore's size limit:
+//
+//   analytics_rollups/{YYYY-MM-DD}            - totals, skills gap, mobility,
+//                                               priorities, pipeline health
+//   analytics_rollups/{YYYY-MM-DD}/rows/*     - series and cohort rows
+//   analytics_rollups/{YYYY-MM-DD}/partials/* - page counts while the job runs
+//
+// Rows and partials carry the job's run_id; the day's document names the run
+// whose rows are current, so a refresh replaces a rollup in one write.
+//
+//   series   - per calendar month and current project: demob volume,
+//              placements and a histogram of days from demob to placement
+//              (negative when placed before the demob date)
+//   cohorts  - per demob month and project: size, how many have reached their
+//              demob date or been placed (matured), how many were placed, and
+//              how many were placed by demob date + 0/30/60/90 days
+//   skills   - open positions requiring each skill against demobilizing
+//              employees who have it (a child skill counts towards its parent)
+//
+// Date range and project filters are applied when the rollup is read, so
+// percentiles are computed from the merged histograms, never averaged.
+
+const admin = require('firebase-admin');
+const matching = require('./matching');
+const matchWorkflow = require('./matchWorkflow');
+const demobProfiles = require('./demobProfiles');
+
+const ROLLUP_COLLECTION = 'analytics_rollups';
+const PAGE_SIZE = 200;
+// Partial and row documents read or written per query or batch
+const SHARD_PAGE_SIZE = 400;
+const PLACEMENT_OFFSETS = [0, 30, 60, 90];
+const PERCENTILES = [50, 75, 90];
+const UNASSIGNED_PROJECT = 'unassigned';
+const SKILLS_GAP_LIMIT = 20;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function monthOf(date) {
+    return date ? String(date).slice(0, 7) : null;
+}
+
+function daysBetween(fromDate, toDate) {
+    return Math.round((Date.parse(`${toDate}T00:00:00Z`) - Date.parse(`${fromDate}T00:00:00Z`)) / DAY_MS);
+}
+
+// Country is taken as the last comma-separated part ("Doha, Qatar" -> "qatar")
+function countryOf(location) {
+    const parts = String(location || '').split(',').map(part => demobProfiles.normalizeKey(part)).filter(Boolean);
+    return parts.length > 0 ? parts[parts.length - 1] : null;
+}
+
+// Helper function to classify where an employee is willing to go relative to
+// the country of their current project
+function mobilityCategory(profile) {
+    const preferred = (profile.mobility_preferences?.preferred_locations || []).map(countryOf).filter(Boolean);
+    if (preferred.length === 0) return 'no_preference';
+
+    const home = countryOf(profile.current_project?.location);
+    if (!home) return 'unknown_origin';
+    return preferred.some(country => country !== home) ? 'international' : 'same_country';
+}
+
+function emptyAccumulator() {
+    return {
+        series: {},
+        cohorts: {},
+        supply: {},
+        demand: {},
+        skill_names: {},
+        mobility: { willing_to_relocate: 0, international: 0, same_country: 0, no_preference: 0, unknown_origin: 0 },
+        priority: {},
+        totals: { profiles: 0, demobilizing: 0, placed: 0, open_positions: 0 }
+    };
+}
+
+function increment(map, key, by = 1) {
+    map[key] = (map[key] || 0) + by;
+}
+
+function placementOf(profile) {
+    if (profile.placement?.placement_date) {
+        return { placed: true, date: profile.placement.placement_date };
+    }
+    return { placed: profile.current_status === matchWorkflow.PLACED_PROFILE_STATUS, date: null };
+}
+
+// Helper function to add one demob profile to a rollup accumulator
+function addProfile(acc, profile, taxonomy, asOf) {
+    acc.totals.profiles++;
+    const projectKey = demobProfiles.normalizeKey(profile.current_project?.name) || UNASSIGNED_PROJECT;
+    const projectName = profile.current_project?.name || 'Unassigned';
+    const placement = placementOf(profile);
+    const daysToPlacement = placement.date && profile.demob_date ? daysBetween(profile.demob_date, placement.date) : null;
+
+    const seriesRow = (month) => {
+        const key = `${month}|${projectKey}`;
+        if (!acc.series[key]) {
+            acc.series[key] = { month, project_key: projectKey, project: projectName, demobs: 0, placements: 0, placement_days: {} };
+        }
+        return acc.series[key];
+    };
+
+    const demobMonth = monthOf(profile.demob_date);
+    if (demobMonth) {
+        seriesRow(demobMonth).demobs++;
+
+        const cohortKey = `${demobMonth}|${projectKey}`;
+        if (!acc.cohorts[cohortKey]) {
+            acc.cohorts[cohortKey] = {
+                demob_month: demobMonth,
+                project_key: projectKey,
+                project: projectName,
+                size: 0,
+                matured: 0,
+                placed: 0,
+                placed_within: Object.fromEntries(PLACEMENT_OFFSETS.map(offset => [offset, 0]))
+            };
+        }
+        const cohort = acc.cohorts[cohortKey];
+        cohort.size++;
+        if (placement.placed || profile.demob_date <= asOf) cohort.matured++;
+        if (placement.placed) cohort.placed++;
+        if (daysToPlacement !== null) {
+            PLACEMENT_OFFSETS.filter(offset => daysToPlacement <= offset).forEach(offset => cohort.placed_within[offset]++);
+        }
+    }
+
+    if (placement.placed) {
+        acc.totals.placed++;
+        const placementMonth = monthOf(placement.date);
+        if (placementMonth) {
+            const row = seriesRow(placementMonth);
+            row.placements++;
+            if (daysToPlacement !== null) increment(row.placement_days, daysToPlacement);
+        }
+    }
+
+    // Supply, mobility and priority describe the people still to be placed
+    if (profile.current_status === matching.DEMOBILIZING_STATUS) {
+        acc.totals.demobilizing++;
+        for (const skillId of taxonomy.expandKeys(profile.skill_inventory?.technical_skills || [])) {
+            increment(acc.supply, skillId);
+        }
+        if (profile.mobility_preferences?.willing_to_relocate) acc.mobility.willing_to_relocate++;
+        acc.mobility[mobilityCategory(profile)]++;
+        increment(acc.priority, profile.internal_metrics?.retention_priority || 'Standard');
+    }
+}
+
+// Helper function to add one open position index entry to a rollup accumulator
+function addPosition(acc, position, taxonomy) {
+    acc.totals.open_positions++;
+    const skills = new Map(taxonomy.resolveAll(position.required_skills || []).map(skill => [skill.id, skill.name]));
+    for (const [skillId, name] of skills) {
+        increment(acc.demand, skillId);
+        acc.skill_names[skillId] = acc.skill_names[skillId] || name;
+    }
+}
+
+// Helper function to add one accumulator's counts into another
+function mergeAccumulator(target, source) {
+    for (const [key, row] of Object.entries(source.series)) {
+        const current = target.series[key];
+        if (!current) {
+            target.series[key] = { ...row, placement_days: { ...row.placement_days } };
+            continue;
+        }
+        current.demobs += row.demobs;
+        current.placements += row.placements;
+        for (const [days, count] of Object.entries(row.placement_days)) increment(current.placement_days, days, count);
+    }
+    for (const [key, cohort] of Object.entries(source.cohorts)) {
+        const current = target.cohorts[key];
+        if (!current) {
+            target.cohorts[key] = { ...cohort, placed_within: { ...cohort.placed_within } };
+            continue;
+        }
+        for (const field of ['size', 'matured', 'placed']) current[field] += cohort[field];
+        for (const [offset, count] of Object.entries(cohort.placed_within)) increment(current.placed_within, offset, count);
+    }
+    for (const map of ['supply', 'demand', 'mobility', 'priority', 'totals']) {
+        for (const [key, count] of Object.entries(source[map])) increment(target[map], key, count);
+    }
+    for (const [skillId, name] of Object.entries(source.skill_names)) {
+        target.skill_names[skillId] = target.skill_names[skillId] || name;
+    }
+    return target;
+}
+
+function rollupRef(db, asOf) {
+    return db.collection(ROLLUP_COLLECTION).doc(asOf);
+}
+
+// Helper function to save one page's accumulator for a run. A retried page
+// overwrites its own partial, so nothing is counted twice.
+async function savePartial(db, { asOf, runId, phase, page }, acc) {
+    const id = `${runId}_${phase}_${String(page).padStart(6, '0')}`;
+    await rollupRef(db, asOf).collection('partials').doc(id).set({ run_id: runId, ...acc });
+}
+
+// Helper function to page through a query, passing each page's documents to
+// `onPage` (which may delete them)
+async function forEachPage(query, onPage) {
+    let lastDoc = null;
+    for (;;) {
+        let page = query.orderBy(admin.firestore.FieldPath.documentId()).limit(SHARD_PAGE_SIZE);
+        if (lastDoc) page = page.startAfter(lastDoc);
+        const snapshot = await page.get();
+        if (snapshot.empty) return;
+        await onPage(snapshot.docs);
+        if (snapshot.size < SHARD_PAGE_SIZE) return;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+async function deleteDocs(db, docs) {
+    if (docs.length === 0) return;
+    const batch = db.batch();
+    docs.forEach(doc => batch.delete(doc.ref));
+    await batch.commit();
+}
+
+// Helper function to read one page of profiles or open positions into the
+// accumulator. Returns { processed, after } where after is null on the last page.
+async function accumulatePage(db, acc, { phase, after = null, taxonomy, asOf, pageSize = PAGE_SIZE }) {
+    let query = phase === 'profiles'
+        ? db.collection('demob_profiles')
+        : db.collection(matching.POSITION_INDEX).where('status', '==', 'open');
+    query = query.orderBy(admin.firestore.FieldPath.documentId()).limit(pageSize);
+    if (after) {
+        query = query.startAfter(after);
+    }
+
+    const snapshot = await query.get();
+    snapshot.docs.forEach(doc => phase === 'profiles'
+        ? addProfile(acc, doc.data(), taxonomy, asOf)
+        : addPosition(acc, doc.data(), taxonomy));
+
+    return {
+        processed: snapshot.size,
+        after: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+    };
+}
+
+// Open matches by score band, counted without reading the matches
+async function countPipelineHealth(db) {
+    const open = db.collection('demob_matches').where('status', 'in', matchWorkflow.OPEN_STATUSES);
+    const [high, medium, low] = await Promise.all([
+        open.where('match_score', '>=', 85).count().get(),
+        open.where('match_score', '>=', 70).where('match_score', '<', 85).count().get(),
+        open.where('match_score', '<', 70).count().get()
+    ]);
+    return {
+        high_probability_matches: high.data().count,
+        medium_probability_matches: medium.data().count,
+        low_probability_matches: low.data().count
+    };
+}
+
+// Helper function to compare demand and supply per skill
+function buildSkillsGap(acc, taxonomy) {
+    const rows = Object.entries(acc.demand).map(([skillId, openPositions]) => {
+        const available = acc.supply[skillId] || 0;
+        return {
+            skill_id: skillId,
+            skill: taxonomy.get(skillId)?.name || acc.skill_names[skillId] || skillId,
+            open_positions: openPositions,
+            available_employees: available,
+            shortfall: Math.max(0, openPositions - available),
+            coverage: Math.round(Math.min(1, available / openPositions) * 100)
+        };
+    });
+
+    return {
+        shortages: rows
+            .filter(row => row.shortfall > 0)
+            .sort((a, b) => b.shortfall - a.shortfall || a.coverage - b.coverage)
+            .slice(0, SKILLS_GAP_LIMIT),
+        // Skills with more people available than open positions need
+        surplus: Object.entries(acc.supply)
+            .map(([skillId, available]) => ({
+                skill_id: skillId,
+                skill: taxonomy.get(skillId)?.name || acc.skill_names[skillId] || skillId,
+                open_positions: acc.demand[skillId] || 0,
+                available_employees: available,
+                excess: available - (acc.demand[skillId] || 0)
+            }))
+            .filter(row => row.excess > 0)
+            .sort((a, b) => b.excess - a.excess)
+            .slice(0, SKILLS_GAP_LIMIT)
+    };
+}
+
+// Helper function to merge a run's partials and write the finished rollup
+// for asOf: its rows first, then the day's document, which switches readers
+// to the new rows. The previous run's rows and this run's partials are then
+// deleted.
+async function saveRollup(db, runId, taxonomy, asOf) {
+    const ref = rollupRef(db, asOf);
+    const acc = emptyAccumulator();
+    await forEachPage(ref.collection('partials').where('run_id', '==', runId), async docs => {
+        docs.forEach(doc => mergeAccumulator(acc, doc.data()));
+    });
+
+    const rows = new Map();
+    const rowFor = (month, projectKey) => {
+        const key = `${month}|${projectKey}`;
+        if (!rows.has(key)) rows.set(key, { run_id: runId, month, project_key: projectKey, series: null, cohort: null });
+        return rows.get(key);
+    };
+    Object.values(acc.series).forEach(row => { rowFor(row.month, row.project_key).series = row; });
+    Object.values(acc.cohorts).forEach(cohort => { rowFor(cohort.demob_month, cohort.project_key).cohort = cohort; });
+
+    const entries = [...rows.entries()];
+    for (let start = 0; start < entries.length; start += SHARD_PAGE_SIZE) {
+        const batch = db.batch();
+        entries.slice(start, start + SHARD_PAGE_SIZE).forEach(([key, row]) => {
+            batch.set(ref.collection('rows').doc(`${runId}_${encodeURIComponent(key)}`), row);
+        });
+        await batch.commit();
+    }
+
+    const rollup = {
+        as_of: asOf,
+        run_id: runId,
+        row_count: rows.size,
+        totals: acc.totals,
+        skills_gap: buildSkillsGap(acc, taxonomy),
+        mobility_statistics: acc.mobility,
+        priority_distribution: { Critical: 0, Standard: 0, 'External Option': 0, ...acc.priority },
+        pipeline_health: await countPipelineHealth(db),
+        generated_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await ref.set(rollup);
+
+    await forEachPage(ref.collection('rows'), docs => deleteDocs(db, docs.filter(doc => doc.data().run_id !== runId)));
+    await deletePartials(db, asOf, runId);
+    return rollup;
+}
+
+// Helper function to delete a run's partials, also used when its job fails
+async function deletePartials(db, asOf, runId) {
+    await forEachPage(rollupRef(db, asOf).collection('partials').where('run_id', '==', runId), docs => deleteDocs(db, docs));
+}
+
+// Helper function to load the rollup for a day, or the latest one, with the
+// series and cohorts of its current rows
+async function loadRollup(db, asOf = null) {
+    let rollupDoc;
+    if (asOf) {
+        rollupDoc = await rollupRef(db, asOf).get();
+        if (!rollupDoc.exists) return null;
+    } else {
+        const snapshot = await db.collection(ROLLUP_COLLECTION).orderBy('as_of', 'desc').limit(1).get();
+        if (snapshot.empty) return null;
+        rollupDoc = snapshot.docs[0];
+    }
+    const rollup = rollupDoc.data();
+    // Rollups from before sharding hold their rows inline
+    if (!rollup.run_id) return rollup;
+
+    const rows = [];
+    await forEachPage(rollupDoc.ref.collection('rows').where('run_id', '==', rollup.run_id), async docs => {
+        docs.forEach(doc => rows.push(doc.data()));
+    });
+    const byMonthAndProject = (monthField) => (a, b) => a[monthField].localeCompare(b[monthField]) || a.project_key.localeCompare(b.project_key);
+    return {
+        ...rollup,
+        series: rows.map(row => row.series).filter(Boolean).sort(byMonthAndProject('month')),
+        cohorts: rows.map(row => row.cohort).filter(Boolean).sort(byMonthAndProject('demob_month'))
+    };
+}
+
+// Nearest-rank percentile over a { value: count } histogram
+function percentile(histogram, p) {
+    const entries = Object.entries(histogram)
+        .map(([value, count]) => [Number(value), count])
+        .sort((a, b) => a[0] - b[0]);
+    const total = entries.reduce((sum, [, count]) => sum + count, 0);
+    if (total === 0) return null;
+
+    const rank = Math.ceil((p / 100) * total);
+    let seen = 0;
+    for (const [value, count] of entries) {
+        seen += count;
+        if (seen >= rank) return value;
+    }
+    return entries[entries.length - 1][0];
+}
+
+function timeToPlacement(histogram) {
+    const count = Object.values(histogram).reduce((sum, value) => sum + value, 0);
+    return {
+        count,
+        ...Object.fromEntries(PERCENTILES.map(p => [`p${p}_days`, percentile(histogram, p)]))
+    };
+}
+
+function nextMonth(month) {
+    const [year, value] = month.split('-').map(Number);
+    return value === 12 ? `${year + 1}-01` : `${year}-${String(value + 1).padStart(2, '0')}`;
+}
+
+function previousMonth(month) {
+    const [year, value] = month.split('-').map(Number);
+    return value === 1 ? `${year - 1}-12` : `${year}-${String(value - 1).padStart(2, '0')}`;
+}
+
+function changePercent(current, previous) {
+    if (!previous) return null;
+    return Math.round(((current - previous) / previous) * 1000) / 10;
+}
+
+function rate(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+// Helper function to turn a stored rollup into the analytics response,
+// keeping months in [startMonth, endMonth] and, if given, one project
+function summarizeRollup(rollup, { startMonth = null, endMonth = null, projectKey = null } = {}) {
+    const inRange = month => (!startMonth || month >= startMonth) && (!endMonth || month <= endMonth);
+    const inProject = key => !projectKey || key === projectKey;
+
+    // Programme-wide months are the sum of the per-project rows
+    const months = new Map();
+    for (const row of rollup.series.filter(row => inRange(row.month) && inProject(row.project_key))) {
+        const month = months.get(row.month) || { month: row.month, demobs: 0, placements: 0, placement_days: {} };
+        month.demobs += row.demobs;
+        month.placements += row.placements;
+        for (const [days, count] of Object.entries(row.placement_days || {})) {
+            increment(month.placement_days, days, count);
+        }
+        months.set(row.month, month);
+    }
+
+    // Months without any activity still belong in the series
+    const keys = [...months.keys()].sort();
+    for (let month = keys[0]; month && month < keys[keys.length - 1]; month = nextMonth(month)) {
+        if (!months.has(month)) months.set(month, { month, demobs: 0, placements: 0, placement_days: {} });
+    }
+
+    const monthly = [...months.values()]
+        .sort((a, b) => a.month.localeCompare(b.month))
+        .map((month, index, list) => {
+            const previous = list[index - 1];
+            return {
+                month: month.month,
+                demobs: month.demobs,
+                placements: month.placements,
+                time_to_placement: timeToPlacement(month.placement_days),
+                demobs_change_pct: previous ? changePercent(month.demobs, previous.demobs) : null,
+                placements_change_pct: previous ? changePercent(month.placements, previous.placements) : null
+            };
+        });
+
+    const allDays = {};
+    for (const month of months.values()) {
+        for (const [days, count] of Object.entries(month.placement_days)) {
+            increment(allDays, days, count);
+        }
+    }
+
+    const cohorts = rollup.cohorts
+        .filter(cohort => inRange(cohort.demob_month) && inProject(cohort.project_key))
+        .map(cohort => ({
+            ...cohort,
+            retention_rate: rate(cohort.placed, cohort.matured),
+            placed_within_rate: Object.fromEntries(PLACEMENT_OFFSETS.map(offset =>
+                [offset, rate(cohort.placed_within[offset] || 0, cohort.matured)]))
+        }));
+    const matured = cohorts.reduce((sum, cohort) => sum + cohort.matured, 0);
+    const placed = cohorts.reduce((sum, cohort) => sum + cohort.placed, 0);
+
+    // Later months only hold scheduled demobs, so compare the rollup's own month
+    const currentMonth = endMonth && endMonth < monthOf(rollup.as_of) ? endMonth : monthOf(rollup.as_of);
+    const latest = monthly.find(month => month.month === currentMonth);
+    const previous = monthly.find(month => month.month === previousMonth(currentMonth));
+
+    return {
+        as_of: rollup.as_of,
+        generated_at: rollup.generated_at?.toDate?.().toISOString() || null,
+        filters: { start_month: startMonth, end_month: endMonth, project_key: projectKey },
+        summary: {
+            total_demobilizing: rollup.totals.demobilizing,
+            open_positions: rollup.totals.open_positions,
+            demobs_in_period: monthly.reduce((sum, month) => sum + month.demobs, 0),
+            placements_in_period: monthly.reduce((sum, month) => sum + month.placements, 0),
+            // Only people who have reached their demob date (or been placed) can count against retention
+            retention_rate: rate(placed, matured),
+            time_to_placement: timeToPlacement(allDays)
+        },
+        period_over_period: latest && previous ? {
+            current_month: latest.month,
+            previous_month: previous.month,
+            demobs_change_pct: latest.demobs_change_pct,
+            placements_change_pct: latest.placements_change_pct,
+            median_days_change: latest.time_to_placement.p50_days !== null && previous.time_to_placement.p50_days !== null
+                ? latest.time_to_placement.p50_days - previous.time_to_placement.p50_days
+                : null
+        } : null,
+        monthly,
+        cohorts,
+        skills_gap_analysis: rollup.skills_gap,
+        mobility_statistics: rollup.mobility_statistics,
+        priority_distribution: rollup.priority_distribution,
+        pipeline_health: rollup.pipeline_health
+    };
+}
+
+module.exports = {
+    ROLLUP_COLLECTION,
+    PLACEMENT_OFFSETS,
+    UNASSIGNED_PROJECT,
+    countryOf,
+    mobilityCategory,
+    emptyAccumulator,
+    addProfile,
+    addPosition,
+    mergeAccumulator,
+    accumulatePage,
+    savePartial,
+    saveRollup,
+    deletePartials,
+    loadRollup,
+    percentile,
+    summarizeRollup
+};
@@ -0,0 +1,240 @@
+// Demob profile validation
+//
+// createDemobProfile and the bulk import pipeline both run profiles through
+// validateDemobProfile, so a row imported from a spreadsheet is held to the
+// same rules (required fields, dates, ratings, retention priority) as a
+// profile created through the API. Both fill in a missing retention priority
+// with withRetentionPriority once they know what is already stored.
+
+const REQUIRED_FIELDS = ['employee_id', 'demob_date', 'current_project'];
+const RETENTION_PRIORITIES = ['Critical', 'Standard', 'External Option'];
+const RARE_SKILLS = ['AI', 'ML', 'Blockchain', 'Quantum'];
+const MIN_RATING = 1;
+const MAX_RATING = 5;
+
+// Numeric rank so profiles can be sorted by retention priority
+const RETENTION_RANKS = {
+    'Critical': 3,
+    'Standard': 2,
+    'External Option': 1
+};
+
+// Helper function to normalize a date to YYYY-MM-DD, or null if it isn't one
+function normalizeDate(value) {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : value.toISOString().split('T')[0];
+    }
+    const text = String(value || '').trim();
+    if (!text) return null;
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const date = new Date(`${text}T00:00:00Z`);
+        return isNaN(date) || date.toISOString().slice(0, 10) !== text ? null : text;
+    }
+    // Free-form dates parse in local time; keep the calendar day as written
+    const date = new Date(text);
+    if (isNaN(date)) return null;
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function toList(value) {
+    if (Array.isArray(value)) return value.map(item => String(item).trim()).filter(Boolean);
+    if (value === undefined || value === null || value === '') return [];
+    return String(value).split(/[;,\n]/).map(item => item.trim()).filter(Boolean);
+}
+
+function toNumber(value) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const numeric = Number(value);
+    return Number.isFinite(numeric) ? numeric : NaN;
+}
+
+function toBoolean(value) {
+    if (typeof value === 'boolean') return value;
+    return ['yes', 'y', 'true', '1'].includes(String(value || '').trim().toLowerCase());
+}
+
+// Retention priority from performance rating, tenure and rare skills
+function computeRetentionPriority(profile) {
+    const rating = profile.internal_metrics?.performance_rating || 3;
+    const yearsWithCompany = profile.internal_metrics?.years_with_company || 1;
+    const hasRareSkills = (profile.skill_inventory?.technical_skills || []).some(skill =>
+        RARE_SKILLS.some(rare => skill.includes(rare))
+    );
+
+    if (rating >= 4.5 || yearsWithCompany >= 5 || hasRareSkills) {
+        return 'Critical';
+    } else if (rating >= 3.5 || yearsWithCompany >= 3) {
+        return 'Standard';
+    }
+    return 'External Option';
+}
+
+// Helper function to validate and normalize a demob profile.
+// Returns { profile, errors }; the input object is not modified.
+function validateDemobProfile(input) {
+    const errors = [];
+
+    if (!input || typeof input !== 'object') {
+        return { profile: null, errors: ['Invalid demob profile data'] };
+    }
+
+    const profile = { ...input };
+
+    for (const field of REQUIRED_FIELDS) {
+        if (!profile[field]) {
+            errors.push(`Missing required field: ${field}`);
+        }
+    }
+
+    if (profile.employee_id) {
+        profile.employee_id = String(profile.employee_id).trim();
+        if (profile.employee_id.includes('/')) {
+            errors.push('employee_id cannot contain "/"');
+        }
+    }
+
+    if (profile.demob_date) {
+        const demobDate = normalizeDate(profile.demob_date);
+        if (demobDate) {
+            profile.demob_date = demobDate;
+        } else {
+            errors.push(`Invalid demob_date: ${profile.demob_date}`);
+        }
+    }
+
+    if (typeof profile.current_project === 'string') {
+        profile.current_project = { name: profile.current_project.trim() };
+    }
+
+    if (profile.internal_metrics) {
+        const metrics = { ...profile.internal_metrics };
+
+        const rating = toNumber(metrics.performance_rating);
+        if (rating !== undefined) {
+            if (Number.isNaN(rating) || rating < MIN_RATING || rating > MAX_RATING) {
+                errors.push(`performance_rating must be a number between ${MIN_RATING} and ${MAX_RATING}`);
+            } else {
+                metrics.performance_rating = rating;
+            }
+        }
+
+        const years = toNumber(metrics.years_with_company);
+        if (years !== undefined) {
+            if (Number.isNaN(years) || years < 0) {
+                errors.push('years_with_company must be a non-negative number');
+            } else {
+                metrics.years_with_company = years;
+            }
+        }
+
+        if (metrics.retention_priority && !RETENTION_PRIORITIES.includes(metrics.retention_priority)) {
+            errors.push(`retention_priority must be one of: ${RETENTION_PRIORITIES.join(', ')}`);
+        }
+
+        profile.internal_metrics = metrics;
+    }
+
+    if (profile.skill_inventory) {
+        profile.skill_inventory = {
+            ...profile.skill_inventory,
+            technical_skills: toList(profile.skill_inventory.technical_skills)
+        };
+    }
+
+    if (profile.mobility_preferences) {
+        profile.mobility_preferences = {
+            ...profile.mobility_preferences,
+            preferred_locations: toList(profile.mobility_preferences.preferred_locations),
+            willing_to_relocate: toBoolean(profile.mobility_preferences.willing_to_relocate)
+        };
+    }
+
+    return { profile, errors };
+}
+
+// Helper function to fill in the retention priority of a validated profile
+// about to be written over `stored` (null for a new profile). A priority the
+// input gives is kept. Otherwise it is computed, unless the profile already
+// has one and the input changes none of rating, tenure or skills: computing
+// from a partial update would fall back to the defaults and overwrite it.
+function withRetentionPriority(profile, stored = null) {
+    if (profile.internal_metrics?.retention_priority) {
+        return profile;
+    }
+
+    const suppliesInputs = profile.internal_metrics?.performance_rating !== undefined ||
+        profile.internal_metrics?.years_with_company !== undefined ||
+        profile.skill_inventory?.technical_skills !== undefined;
+    if (stored?.internal_metrics?.retention_priority && !suppliesInputs) {
+        return profile;
+    }
+
+    // Inputs the update leaves out keep their stored values
+    const merged = {
+        ...stored,
+        ...profile,
+        internal_metrics: { ...stored?.internal_metrics, ...profile.internal_metrics },
+        skill_inventory: profile.skill_inventory || stored?.skill_inventory
+    };
+    return {
+        ...profile,
+        internal_metrics: {
+            ...profile.internal_metrics,
+            retention_priority: computeRetentionPriority(merged)
+        }
+    };
+}
+
+function normalizeKey(value) {
+    return String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Keys a location is indexed under: the whole location, then each of its
+// comma-separated parts, so "Riyadh" and "KSA" both find "Riyadh, KSA". A
+// filter uses the first key, the whole location.
+function locationKeys(location) {
+    const parts = String(location || '').split(',').map(normalizeKey).filter(Boolean);
+    return parts.length > 1 ? [parts.join(', '), ...parts] : parts;
+}
+
+// Key for the combined location + skill filter (Firestore allows only one
+// array-contains-any per query, so the pairs are indexed together)
+function locationSkillKey(locationKey, skillKey) {
+    return `${locationKey}|${skillKey}`;
+}
+
+// Helper function to build the normalized fields getDemobProfiles queries on
+function buildSearchFields(profile, taxonomy) {
+    const locationKeyList = [...new Set(
+        (profile.mobility_preferences?.preferred_locations || []).flatMap(locationKeys)
+    )];
+    // The keys the matcher looks candidates up by, so a skill filter finds the
+    // profiles the matcher would accept ("Tekla" finds "Tekla Structures")
+    const skillKeys = taxonomy.candidateKeys(profile.skill_inventory?.technical_skills || []);
+
+    return {
+        location_keys: locationKeyList,
+        skill_keys: skillKeys,
+        location_skill_keys: locationKeyList.flatMap(location => skillKeys.map(key => locationSkillKey(location, key))),
+        project_key: normalizeKey(profile.current_project?.name) || null,
+        retention_rank: RETENTION_RANKS[profile.internal_metrics?.retention_priority] || null
+    };
+}
+
+module.exports = {
+    REQUIRED_FIELDS,
+    RETENTION_PRIORITIES,
+    RETENTION_RANKS,
+    normalizeDate,
+    toList,
+    toNumber,
+    toBoolean,
+    computeRetentionPriority,
+    validateDemobProfile,
+    withRetentionPriority,
+    normalizeKey,
+    locationKeys,
+    locationSkillKey,
+    buildSearchFields
+};
@@ -0,0 +1,253 @@
+// Candidate email drafts
+//
+// Drafts a personalized outreach email (initial, follow-up or LinkedIn
+// connection request) for a project candidate with the server's LLM
+// provider, so no model API key is needed in the browser. Initial emails are
+// grounded in the project knowledge relevant to the candidate and position,
+// and the draft keeps the sources it drew on.
+//
+// A draft is saved on the candidate as lastGeneratedEmail. It is never
+// recorded as sent here: that only happens once it is actually sent.
+
+const admin = require('firebase-admin');
+const llmProviders = require('./llmProviders');
+const knowledge = require('./knowledge');
+const positions = require('./positions');
+const { HttpError } = require('./errors');
+
+const EMAIL_TYPES = ['initial', 'followup', 'linkedin'];
+const DEFAULT_RECRUITER_NAME = 'Talent Acquisition Team';
+const DEFAULT_COMPANY = 'Egis';
+const LINKEDIN_MAX_LENGTH = 300;
+
+const OUTPUT_FORMAT = `{
+    "email": {
+        "subject": "Subject line",
+        "body": "Email body text with proper formatting and paragraphs",
+        "key_personalization_points": ["Specific detail from the profile"],
+        "tone_analysis": "Brief description of tone used",
+        "follow_up_suggestion": "When and how to follow up if no response"
+    }
+}`;
+
+function listText(values, fallback) {
+    return values?.length > 0 ? values.join(', ') : fallback;
+}
+
+function daysSince(timestamp) {
+    const date = timestamp?.toDate ? timestamp.toDate() : null;
+    return date ? Math.floor((Date.now() - date.getTime()) / 86400000) : null;
+}
+
+function compliance(flag) {
+    return flag ? '✓ Meets' : '✗ Gap';
+}
+
+// Helper function to build the prompt for one email type
+function buildEmailPrompt({ candidate, position = {}, project = {}, emailType, recruiterName, context = '' }) {
+    const summary = candidate.screening_summary || {};
+    const checks = candidate.must_have_compliance || {};
+    const company = project.company || DEFAULT_COMPANY;
+    const targetRole = position.title || summary.recommended_roles?.[0] || 'Open Position';
+
+    if (emailType === 'followup') {
+        const days = daysSince(candidate.emailSentDate);
+        return `
+Generate a follow-up email for a candidate who hasn't responded to our initial outreach.
+
+### PREVIOUS CONTEXT
+Candidate: ${summary.candidate_name || 'Candidate'}
+Role: ${targetRole}
+Days Since Last Email: ${days === null ? 'No email sent yet' : days}
+
+### REQUIREMENTS
+1. Reference the previous email without being pushy
+2. Add new information about the role or project
+3. Mention alternative opportunities if available
+4. Create gentle urgency
+5. Keep it shorter than the initial email (100-150 words)
+6. Friendly and understanding tone
+7. Sign off as ${recruiterName}, ${company}
+
+### OUTPUT FORMAT
+${OUTPUT_FORMAT}
+`;
+    }
+
+    if (emailType === 'linkedin') {
+        return `
+Generate a LinkedIn connection request message for reaching out to a candidate.
+
+### CANDIDATE
+Name: ${summary.candidate_name || 'Candidate'}
+Current Role: ${summary.current_role || 'Professional'}
+Target Role: ${targetRole}
+
+### REQUIREMENTS
+1. Maximum ${LINKEDIN_MAX_LENGTH} characters (strict limit)
+2. Mention one specific detail from their profile
+3. Clear about the opportunity
+4. Professional but friendly
+5. Include company name (${company})
+6. Use "LinkedIn Connection Request" as the subject
+
+### OUTPUT FORMAT
+${OUTPUT_FORMAT}
+`;
+    }
+
+    return `
+You are RecruitPro, an AI assistant specialized in creating personalized recruitment outreach emails.
+
+Generate a professional, engaging email to a potential candidate based on the following information:
+
+### CANDIDATE PROFILE
+Name: ${summary.candidate_name || 'Candidate'}
+Current Role: ${summary.current_role || 'Professional'}
+Experience: ${summary.total_experience || 'Experienced'}
+Location: ${summary.location || 'Not specified'}
+Key Skills: ${listText(summary.key_skills, 'Various technical skills')}
+Key Strengths: ${listText(summary.key_strengths, 'Strong technical background')}
+Overall Fit: ${summary.overall_fit || 'Potential Match'}
+Education: ${summary.education || 'Not specified'}
+Certifications: ${listText(summary.certifications, 'Not specified')}
+
+### COMPLIANCE STATUS
+Years Experience: ${compliance(checks.years_experience)}
+Technical Skills: ${compliance(checks.technical_skills)}
+Certifications: ${compliance(checks.certifications)}
+Location Match: ${compliance(checks.location)}
+
+### TARGET POSITION
+Title: ${targetRole}
+Description: ${position.description || 'Exciting opportunity in our organization'}
+Location: ${position.location || project.location || 'Not specified'}
+Required Skills: ${listText(position.required_skills, 'Technical expertise required')}
+Start Date: ${position.start_date || 'ASAP'}
+
+### PROJECT CONTEXT
+${context || 'No project documents available'}
+
+### RECRUITER INFORMATION
+Name: ${recruiterName}
+Company: ${company}
+Role: Talent Acquisition Manager
+
+### EMAIL REQUIREMENTS
+1. Subject line should be compelling and mention the specific role and location
+2. Personalize the greeting using the candidate's first name
+3. Reference 2-3 specific achievements, skills, or experiences from their profile
+4. Explain why they're specifically a good fit for THIS role
+5. Mention the project/client context appropriately
+6. Include a clear call-to-action
+7. Professional but warm and engaging tone
+8. Length: 150-200 words
+9. ${summary.overall_fit === 'Strong Match' ? 'Express strong interest and urgency' : 'Be exploratory and inviting'}
+
+### OUTPUT FORMAT
+${OUTPUT_FORMAT}
+
+### IMPORTANT INSTRUCTIONS
+- Be specific, not generic. Reference actual details from the candidate profile
+- Don't oversell or make unrealistic promises
+- Don't mention salary unless specified in candidate's expectations
+- Make the email feel personal, not like a mass template
+`;
+}
+
+// The stub provider answers with a plain template built from the candidate summary
+llmProviders.registerStubHandler('draft_email', ({ candidate = {}, recruiterName = DEFAULT_RECRUITER_NAME, targetRole = 'Open Position' }) => {
+    const firstName = candidate.screening_summary?.candidate_name?.split(' ')[0] || 'there';
+    return {
+        email: {
+            subject: `${targetRole} opportunity`,
+            body: `Hi ${firstName},\n\nI'd like to tell you about our ${targetRole} opening.\n\nBest regards,\n${recruiterName}`,
+            key_personalization_points: [],
+            tone_analysis: 'Template',
+            follow_up_suggestion: null
+        }
+    };
+});
+
+// Helper function to check the model's draft, keeping only the fields we store
+function normalizeDraft(response, emailType) {
+    const email = response?.email;
+    if (!email || typeof email.subject !== 'string' || typeof email.body !== 'string' || !email.body.trim()) {
+        throw new Error('LLM response has no email subject and body');
+    }
+    const body = email.body.trim();
+    if (emailType === 'linkedin' && body.length > LINKEDIN_MAX_LENGTH) {
+        throw new Error(`LinkedIn message is longer than ${LINKEDIN_MAX_LENGTH} characters`);
+    }
+    return {
+        subject: email.subject.trim(),
+        body,
+        key_personalization_points: Array.isArray(email.key_personalization_points)
+            ? email.key_personalization_points.map(String).slice(0, 10)
+            : [],
+        tone_analysis: email.tone_analysis ? String(email.tone_analysis) : null,
+        follow_up_suggestion: email.follow_up_suggestion ? String(email.follow_up_suggestion) : null
+    };
+}
+
+// Helper function to find the position an email is about: the candidate's
+// assigned position, else the project position matching their top recommended role
+async function loadTargetPosition(db, projectId, candidate) {
+    if (candidate.position_id) {
+        const doc = await positions.positionRef(db, projectId, candidate.position_id).get();
+        if (doc.exists) return { position_id: doc.id, ...doc.data() };
+    }
+    const projectPositions = await positions.listPositions(db, { projectId });
+    const role = candidate.screening_summary?.recommended_roles?.[0];
+    return projectPositions.find(position => position.title === role) || projectPositions[0] || null;
+}
+
+// Helper function to draft an email for a project candidate and save it on the candidate
+async function draftEmail(db, { projectId, candidateId, emailType = 'initial', recruiterName = null }, provider = llmProviders.getProvider()) {
+    if (!projectId || !candidateId) {
+        throw new HttpError(400, 'project_id and candidate_id are required');
+    }
+    if (!EMAIL_TYPES.includes(emailType)) {
+        throw new HttpError(400, `email_type must be one of: ${EMAIL_TYPES.join(', ')}`);
+    }
+
+    const ref = db.doc(`projects/${projectId}/candidates/${candidateId}`);
+    const [candidateDoc, projectDoc] = await Promise.all([ref.get(), db.doc(`projects/${projectId}`).get()]);
+    if (!candidateDoc.exists) {
+        throw new HttpError(404, 'Candidate not found');
+    }
+    if (!projectDoc.exists) {
+        throw new HttpError(404, 'Project not found');
+    }
+
+    const candidate = candidateDoc.data();
+    const position = await loadTargetPosition(db, projectId, candidate);
+    const { context, sources } = emailType === 'initial'
+        ? await knowledge.buildContext(db, { projectId, candidate, position })
+        : { context: '', sources: [] };
+    const sender = String(recruiterName || '').trim().slice(0, 100) || DEFAULT_RECRUITER_NAME;
+    const prompt = buildEmailPrompt({ candidate, position: position || {}, project: projectDoc.data(), emailType, recruiterName: sender, context });
+
+    const response = await provider.generateJson(prompt, {
+        task: 'draft_email',
+        input: { candidate, recruiterName: sender, targetRole: position?.title || candidate.screening_summary?.recommended_roles?.[0] },
+        temperature: 0.6,
+        maxOutputTokens: 2048
+    });
+    const email = { ...normalizeDraft(response, emailType), knowledge_sources: sources };
+
+    await ref.update({
+        lastGeneratedEmail: email,
+        emailGeneratedAt: admin.firestore.FieldValue.serverTimestamp(),
+        emailType,
+        emailPersonalizationPoints: email.key_personalization_points
+    });
+    return { email, position_id: position?.position_id || null };
+}
+
+module.exports = {
+    EMAIL_TYPES,
+    buildEmailPrompt,
+    normalizeDraft,
+    draftEmail
+};
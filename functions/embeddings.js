@@ -0,0 +1,359 @@
+// Embeddings for CV records, demob profiles and open positions
+//
+// Each source document gets one entry in the `embeddings` collection
+// ({kind}__{id}) holding its vector, the model that produced it and a hash of
+// the text it was built from, so unchanged documents are never re-embedded
+// and vectors from another model are never compared.
+//
+// EMBEDDING_PROVIDER selects the provider. `local` (the default) is a
+// deterministic feature-hashing embedding: the same text always produces the
+// same vector, with no network or API key, so ranking runs offline.
+// `gemini` uses the Gemini embedding API with the server's GEMINI_API_KEY.
+
+const crypto = require('crypto');
+const admin = require('firebase-admin');
+const matching = require('./matching');
+const organizations = require('./organizations');
+
+const EMBEDDING_COLLECTION = 'embeddings';
+const EMBEDDING_KINDS = ['cv', 'demob', 'position'];
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_GEMINI_MODEL = 'text-embedding-004';
+// batchEmbedContents accepts at most 100 texts per request
+const GEMINI_BATCH_SIZE = 100;
+
+const LOCAL_DIMENSIONS = 512;
+const STOP_WORDS = new Set(['a', 'an', 'the', 'and', 'or', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'as', 'is', 'be']);
+
+// Feature -> weight in the local embedding. Character trigrams let
+// "engineer" and "engineering" land close together.
+const LOCAL_FEATURE_WEIGHTS = {
+    word: 1,
+    bigram: 0.5,
+    trigram: 0.25
+};
+
+const VECTOR_CACHE_TTL_MS = 5 * 60 * 1000;
+const vectorCache = new Map();
+
+function tokenize(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .split(/[^a-z0-9+#]+/)
+        .filter(token => token && !STOP_WORDS.has(token));
+}
+
+// 32-bit FNV-1a
+function hashFeature(feature) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < feature.length; i++) {
+        hash ^= feature.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193) >>> 0;
+    }
+    return hash;
+}
+
+function normalizeVector(vector) {
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm > 0 ? vector.map(value => Number((value / norm).toFixed(6))) : vector;
+}
+
+// Helper function to embed text by hashing words, word pairs and character
+// trigrams into a fixed number of signed buckets
+function localEmbedding(text, dimensions = LOCAL_DIMENSIONS) {
+    const vector = new Array(dimensions).fill(0);
+    const tokens = tokenize(text);
+
+    const add = (feature, weight) => {
+        const hash = hashFeature(feature);
+        vector[hash % dimensions] += (hash & 0x80000000) ? -weight : weight;
+    };
+
+    tokens.forEach((token, i) => {
+        add(`w:${token}`, LOCAL_FEATURE_WEIGHTS.word);
+        if (i > 0) {
+            add(`b:${tokens[i - 1]} ${token}`, LOCAL_FEATURE_WEIGHTS.bigram);
+        }
+        const padded = `^${token}$`;
+        for (let j = 0; j + 3 <= padded.length; j++) {
+            add(`t:${padded.slice(j, j + 3)}`, LOCAL_FEATURE_WEIGHTS.trigram);
+        }
+    });
+
+    return normalizeVector(vector);
+}
+
+function createLocalProvider({ dimensions = LOCAL_DIMENSIONS } = {}) {
+    return {
+        name: 'local',
+        model: `local-hash-${dimensions}@1`,
+        async embed(texts) {
+            return texts.map(text => localEmbedding(text, dimensions));
+        }
+    };
+}
+
+function createGeminiProvider({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_EMBEDDING_MODEL || DEFAULT_GEMINI_MODEL
+} = {}) {
+    return {
+        name: 'gemini',
+        model,
+        async embed(texts) {
+            if (!apiKey) {
+                throw new Error('GEMINI_API_KEY is not configured on the server');
+            }
+
+            const vectors = [];
+            for (let i = 0; i < texts.length; i += GEMINI_BATCH_SIZE) {
+                const response = await fetch(`${GEMINI_API_URL}/${model}:batchEmbedContents?key=${apiKey}`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({
+                        requests: texts.slice(i, i + GEMINI_BATCH_SIZE).map(text => ({
+                            model: `models/${model}`,
+                            content: { parts: [{ text }] }
+                        }))
+                    })
+                });
+
+                if (!response.ok) {
+                    throw new Error(`Gemini embedding API error (${response.status}): ${await response.text()}`);
+                }
+
+                const result = await response.json();
+                vectors.push(...(result.embeddings || []).map(embedding => normalizeVector(embedding.values || [])));
+            }
+
+            if (vectors.length !== texts.length) {
+                throw new Error(`Gemini embedding API returned ${vectors.length} vectors for ${texts.length} texts`);
+            }
+            return vectors;
+        }
+    };
+}
+
+const PROVIDERS = {
+    local: createLocalProvider,
+    gemini: createGeminiProvider
+};
+
+// Helper function to get the configured embedding provider
+function getEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'local') {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown embedding provider: ${name}`);
+    }
+    return factory();
+}
+
+// Vectors are normalized when they are made, so cosine is a dot product
+function cosineSimilarity(a, b) {
+    if (!a || !b || a.length !== b.length) return 0;
+    let dot = 0;
+    for (let i = 0; i < a.length; i++) {
+        dot += a[i] * b[i];
+    }
+    return dot;
+}
+
+function joinText(parts) {
+    return parts
+        .flat()
+        .map(part => String(part || '').trim())
+        .filter(Boolean)
+        .join('\n');
+}
+
+// Helper functions to build the text embedded for each kind of document
+function cvText(record) {
+    const profile = record.candidate_profile || {};
+    const professional = profile.professional_summary || {};
+    const skills = profile.skills || {};
+    return joinText([
+        professional.current_position,
+        professional.industry,
+        professional.summary,
+        skills.technical_skills || [],
+        skills.certifications || [],
+        (profile.experience || []).map(job => [job.position, job.company, job.key_achievements || []].flat().join(' ')),
+        (profile.education || []).map(school => [school.degree, school.field].join(' '))
+    ]);
+}
+
+function demobText(profile) {
+    return joinText([
+        profile.current_project?.role,
+        profile.current_project?.name,
+        profile.skill_inventory?.technical_skills || [],
+        profile.skill_inventory?.certifications || []
+    ]);
+}
+
+function positionText(position) {
+    return joinText([
+        position.title,
+        position.project_type,
+        position.description,
+        position.required_skills || [],
+        position.nice_to_have_skills || []
+    ]);
+}
+
+const SOURCES = {
+    cv: { collection: 'cv_database', text: cvText, eligible: () => true },
+    demob: {
+        collection: 'demob_profiles',
+        text: demobText,
+        eligible: profile => profile.current_status === matching.DEMOBILIZING_STATUS
+    },
+    position: {
+        collection: matching.POSITION_INDEX,
+        text: positionText,
+        eligible: position => (position.status || 'open') === 'open'
+    }
+};
+
+function embeddingId(kind, sourceId) {
+    return `${kind}__${sourceId}`;
+}
+
+function textHash(text) {
+    return crypto.createHash('sha1').update(text).digest('hex');
+}
+
+// Helper function to bring the stored embeddings for a set of documents up to
+// date. documents is [{ id, data }]; only changed texts are sent to the provider.
+// Returns the number of vectors computed.
+async function syncEmbeddings(db, provider, kind, documents) {
+    const source = SOURCES[kind];
+    if (!source) {
+        throw new Error(`Unknown embedding kind: ${kind}`);
+    }
+    if (documents.length === 0) return 0;
+
+    const refs = documents.map(doc => db.collection(EMBEDDING_COLLECTION).doc(embeddingId(kind, doc.id)));
+    const existing = await db.getAll(...refs);
+
+    const stale = [];
+    const batch = db.batch();
+    let writes = 0;
+
+    documents.forEach((doc, i) => {
+        const text = source.text(doc.data);
+        const hash = textHash(text);
+        const eligible = source.eligible(doc.data);
+        const stored = existing[i].exists ? existing[i].data() : null;
+
+        if (!text) {
+            if (stored) {
+                batch.delete(refs[i]);
+                writes++;
+            }
+        } else if (stored && stored.model === provider.model && stored.text_hash === hash) {
+            if (stored.eligible !== eligible) {
+                batch.update(refs[i], { eligible });
+                writes++;
+            }
+        } else {
+            stale.push({ ref: refs[i], id: doc.id, text, hash, eligible });
+        }
+    });
+
+    if (stale.length > 0) {
+        const vectors = await provider.embed(stale.map(item => item.text));
+        stale.forEach((item, i) => {
+            batch.set(item.ref, {
+                kind,
+                source_id: item.id,
+                model: provider.model,
+                text_hash: item.hash,
+                eligible: item.eligible,
+                vector: vectors[i],
+                updated_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        writes += stale.length;
+    }
+
+    if (writes > 0) await batch.commit();
+    return stale.length;
+}
+
+// Helper function to keep one document's embedding current (null data deletes it)
+async function syncEmbedding(db, kind, sourceId, data, provider = getEmbeddingProvider()) {
+    if (!data) {
+        await db.collection(EMBEDDING_COLLECTION).doc(embeddingId(kind, sourceId)).delete();
+        return 0;
+    }
+    return syncEmbeddings(db, provider, kind, [{ id: sourceId, data }]);
+}
+
+// Helper function to get a document's vector, embedding it first if needed
+async function getVector(db, provider, kind, sourceId, data) {
+    await syncEmbeddings(db, provider, kind, [{ id: sourceId, data }]);
+    const doc = await db.collection(EMBEDDING_COLLECTION).doc(embeddingId(kind, sourceId)).get();
+    return doc.exists ? doc.data().vector : null;
+}
+
+// Helper function to load every eligible vector of a kind for a model,
+// cached per instance. Returns [{ id, vector }].
+async function loadVectors(db, kind, model) {
+    const cacheKey = `${organizations.scopeKey(db)}|${kind}|${model}`;
+    const cached = vectorCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) {
+        return cached.vectors;
+    }
+
+    const pageSize = 500;
+    const vectors = [];
+    let lastDoc = null;
+    while (true) {
+        let query = db.collection(EMBEDDING_COLLECTION)
+            .where('kind', '==', kind)
+            .where('model', '==', model)
+            .where('eligible', '==', true)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select('source_id', 'vector')
+            .limit(pageSize);
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const snapshot = await query.get();
+        snapshot.forEach(doc => vectors.push({ id: doc.data().source_id, vector: doc.data().vector }));
+        if (snapshot.size < pageSize) break;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+
+    vectorCache.set(cacheKey, { vectors, expires: Date.now() + VECTOR_CACHE_TTL_MS });
+    return vectors;
+}
+
+function clearVectorCache() {
+    vectorCache.clear();
+}
+
+module.exports = {
+    EMBEDDING_COLLECTION,
+    EMBEDDING_KINDS,
+    SOURCES,
+    tokenize,
+    localEmbedding,
+    createLocalProvider,
+    createGeminiProvider,
+    getEmbeddingProvider,
+    cosineSimilarity,
+    cvText,
+    demobText,
+    positionText,
+    embeddingId,
+    textHash,
+    syncEmbeddings,
+    syncEmbedding,
+    getVector,
+    loadVectors,
+    clearVectorCache
+};
@@ -0,0 +1,29 @@
+// HTTP-aware errors
+//
+// Helpers and endpoints throw HttpError (or a subclass) when a request should
+// fail with a specific status code. Catch blocks in index.js respond with
+// `error.status || 500`, so anything else is still reported as a server error.
+
+class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+// A call to an LLM provider that failed. `retryable` is set when the same
+// call may succeed later (rate limits, outages), and not when it never will
+// (a rejected prompt, an answer that can't be parsed, a missing API key).
+class ProviderError extends HttpError {
+    constructor(status, message, { retryable = false } = {}) {
+        super(status, message);
+        this.name = 'ProviderError';
+        this.retryable = retryable;
+    }
+}
+
+module.exports = {
+    HttpError,
+    ProviderError
+};
@@ -0,0 +1,288 @@
+// Demob data exports
+//
+// exportDemobData reads profiles a page at a time and hands each page to a
+// writer for the requested format: CSV and JSON Lines are written to the
+// response as pages arrive, XLSX collects rows for a profiles sheet and a
+// matches sheet and is written once at the end. Columns are selectable by id
+// and restricted columns are refused for roles that can't see them.
+
+const XLSX = require('xlsx');
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const redaction = require('./redaction');
+
+const EXPORT_FORMATS = ['json', 'jsonl', 'csv', 'xlsx'];
+const EXPORT_PAGE_SIZE = 200;
+const TOP_MATCHES_PER_PROFILE = 5;
+
+// Firestore caps `in` queries at 30 values
+const MAX_IN_VALUES = 30;
+
+function list(value) {
+    return (value || []).join('; ');
+}
+
+// Column ids are the profile field paths they read
+const PROFILE_COLUMNS = [
+    { id: 'employee_id', header: 'Employee ID', value: p => p.employee_id },
+    { id: 'current_status', header: 'Current Status', value: p => p.current_status },
+    { id: 'demob_date', header: 'Demob Date', value: p => p.demob_date },
+    { id: 'current_project.name', header: 'Current Project', value: p => p.current_project?.name },
+    { id: 'current_project.role', header: 'Current Role', value: p => p.current_project?.role },
+    { id: 'internal_metrics.performance_rating', header: 'Performance Rating', value: p => p.internal_metrics?.performance_rating },
+    { id: 'internal_metrics.years_with_company', header: 'Years with Company', value: p => p.internal_metrics?.years_with_company },
+    { id: 'internal_metrics.retention_priority', header: 'Retention Priority', value: p => p.internal_metrics?.retention_priority },
+    { id: 'skill_inventory.technical_skills', header: 'Technical Skills', value: p => list(p.skill_inventory?.technical_skills) },
+    { id: 'mobility_preferences.preferred_locations', header: 'Preferred Locations', value: p => list(p.mobility_preferences?.preferred_locations) },
+    { id: 'mobility_preferences.willing_to_relocate', header: 'Willing to Relocate', value: p => (p.mobility_preferences?.willing_to_relocate ? 'Yes' : 'No') }
+];
+
+// Profile fields a full JSON row carries. Listed explicitly so internal
+// index fields (skill_keys, location_skill_keys, project_key, retention_rank,
+// ...) and anything a future write adds stay out of exports.
+const EXPORTED_PROFILE_FIELDS = [
+    'employee_id',
+    'current_status',
+    'demob_date',
+    'current_project',
+    'internal_metrics',
+    'skill_inventory',
+    'mobility_preferences',
+    'matching_history',
+    'consent',
+    'created_at',
+    'updated_at'
+];
+
+const MATCH_COLUMNS = [
+    { id: 'match_id', header: 'Match ID', value: m => m.match_id },
+    { id: 'employee_id', header: 'Employee ID', value: m => m.employee_id },
+    { id: 'project_name', header: 'Project', value: m => m.project_name },
+    { id: 'position_title', header: 'Position', value: m => m.position_title },
+    { id: 'match_score', header: 'Match Score', value: m => m.match_score },
+    { id: 'status', header: 'Status', value: m => m.status },
+    { id: 'position_start_date', header: 'Position Start Date', value: m => m.position_start_date },
+    { id: 'demob_date', header: 'Demob Date', value: m => m.demob_date }
+];
+
+// Helper function to pick the export columns, refusing unknown and restricted ones
+function resolveColumns(requested, role) {
+    if (!requested || requested.length === 0) {
+        return PROFILE_COLUMNS.filter(column => !redaction.isRestricted(role, column.id));
+    }
+
+    return requested.map(id => {
+        const column = PROFILE_COLUMNS.find(c => c.id === id);
+        if (!column) {
+            throw new HttpError(400, `Unknown export column: ${id}`);
+        }
+        if (redaction.isRestricted(role, column.id)) {
+            throw new HttpError(403, `Your role cannot export ${id}`);
+        }
+        return column;
+    });
+}
+
+// Quote cells containing separators, quotes or line breaks, doubling embedded
+// quotes. Text that a spreadsheet would run as a formula is prefixed with '.
+function csvEscape(value) {
+    if (value === undefined || value === null) return '';
+    let text = String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    if (/[",\r\n]/.test(text) || text !== text.trim()) {
+        return `"${text.replace(/"/g, '""')}"`;
+    }
+    return text;
+}
+
+function csvRow(values) {
+    return values.map(csvEscape).join(',') + '\r\n';
+}
+
+// Timestamps become ISO strings so JSON output is readable outside Firestore
+function toPlain(value) {
+    if (value && typeof value.toDate === 'function') {
+        return value.toDate().toISOString();
+    }
+    if (Array.isArray(value)) return value.map(toPlain);
+    if (value && typeof value === 'object') {
+        const plain = {};
+        for (const [key, inner] of Object.entries(value)) {
+            plain[key] = toPlain(inner);
+        }
+        return plain;
+    }
+    return value;
+}
+
+// Yield pages of redacted profiles from a filtered query. Date range filters need the
+// query ordered by demob_date; otherwise pages are ordered by document id.
+async function* iterateProfilePages(query, { role, hasDateRange, pageSize = EXPORT_PAGE_SIZE }) {
+    let ordered = hasDateRange
+        ? query.orderBy('demob_date').orderBy(admin.firestore.FieldPath.documentId())
+        : query.orderBy(admin.firestore.FieldPath.documentId());
+    ordered = ordered.limit(pageSize);
+
+    let lastDoc = null;
+    while (true) {
+        const snapshot = await (lastDoc ? ordered.startAfter(lastDoc) : ordered).get();
+        if (snapshot.empty) break;
+
+        yield snapshot.docs.map(doc => redaction.redactProfile({ id: doc.id, ...doc.data() }, role));
+
+        if (snapshot.size < pageSize) break;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+// Helper function to load the top matches for a page of profiles with one query per 30 ids
+async function loadTopMatches(db, employeeIds, perProfile = TOP_MATCHES_PER_PROFILE) {
+    const byEmployee = new Map(employeeIds.map(id => [id, []]));
+
+    for (let i = 0; i < employeeIds.length; i += MAX_IN_VALUES) {
+        const snapshot = await db.collection('demob_matches')
+            .where('employee_id', 'in', employeeIds.slice(i, i + MAX_IN_VALUES))
+            .get();
+        snapshot.forEach(doc => {
+            const match = { match_id: doc.id, ...doc.data() };
+            byEmployee.get(match.employee_id)?.push(match);
+        });
+    }
+
+    for (const [id, matches] of byEmployee) {
+        byEmployee.set(id, matches.sort((a, b) => b.match_score - a.match_score).slice(0, perProfile));
+    }
+    return byEmployee;
+}
+
+// Writers share one interface: start(), writePage(profiles, matchesByEmployee), finish()
+function createCsvWriter(res, columns) {
+    return {
+        start() {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            res.setHeader('Content-Disposition', 'attachment; filename=demob_profiles.csv');
+            // BOM so Excel opens UTF-8 names correctly
+            res.write('\uFEFF' + csvRow(columns.map(column => column.header)));
+        },
+        writePage(profiles) {
+            res.write(profiles.map(p => csvRow(columns.map(column => column.value(p)))).join(''));
+        },
+        finish() {
+            res.end();
+        }
+    };
+}
+
+// JSON rows are the exported fields of the (redacted) profile unless columns were chosen explicitly
+function projectRow(profile, columns) {
+    const row = { id: profile.id };
+    if (!columns) {
+        for (const field of EXPORTED_PROFILE_FIELDS) {
+            if (profile[field] !== undefined) row[field] = toPlain(profile[field]);
+        }
+        return row;
+    }
+    for (const column of columns) {
+        row[column.id] = toPlain(column.value(profile) ?? null);
+    }
+    return row;
+}
+
+function withMatches(row, profile, matchesByEmployee) {
+    if (matchesByEmployee) {
+        row.top_matches = toPlain(matchesByEmployee.get(profile.employee_id) || []);
+    }
+    return row;
+}
+
+function createJsonLinesWriter(res, columns) {
+    return {
+        start() {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Content-Disposition', 'attachment; filename=demob_profiles.jsonl');
+        },
+        writePage(profiles, matchesByEmployee) {
+            res.write(profiles.map(profile =>
+                JSON.stringify(withMatches(projectRow(profile, columns), profile, matchesByEmployee)) + '\n'
+            ).join(''));
+        },
+        finish() {
+            res.end();
+        }
+    };
+}
+
+// Same shape as the original JSON export ({ profiles, total }), written incrementally
+function createJsonWriter(res, columns) {
+    let total = 0;
+    return {
+        start() {
+            res.setHeader('Content-Type', 'application/json');
+            res.write('{"profiles":[');
+        },
+        writePage(profiles, matchesByEmployee) {
+            res.write(profiles.map(profile => {
+                const row = JSON.stringify(withMatches(projectRow(profile, columns), profile, matchesByEmployee));
+                return (total++ > 0 ? ',' : '') + row;
+            }).join(''));
+        },
+        finish() {
+            res.end(`],"total":${total}}`);
+        }
+    };
+}
+
+function createXlsxWriter(res, columns) {
+    const profileRows = [columns.map(column => column.header)];
+    const matchRows = [MATCH_COLUMNS.map(column => column.header)];
+    let includeMatches = false;
+
+    return {
+        start() {},
+        writePage(profiles, matchesByEmployee) {
+            for (const profile of profiles) {
+                profileRows.push(columns.map(column => column.value(profile) ?? ''));
+                if (matchesByEmployee) {
+                    includeMatches = true;
+                    for (const match of matchesByEmployee.get(profile.employee_id) || []) {
+                        matchRows.push(MATCH_COLUMNS.map(column => column.value(match) ?? ''));
+                    }
+                }
+            }
+        },
+        finish() {
+            const workbook = XLSX.utils.book_new();
+            XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(profileRows), 'Profiles');
+            if (includeMatches) {
+                XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(matchRows), 'Matches');
+            }
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            res.setHeader('Content-Disposition', 'attachment; filename=demob_profiles.xlsx');
+            res.end(XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' }));
+        }
+    };
+}
+
+// Helper function to create the writer for an export format. `selected` is
+// true when the caller chose columns; JSON formats then project to those columns.
+function createWriter(format, res, columns, selected) {
+    if (format === 'csv') return createCsvWriter(res, columns);
+    if (format === 'xlsx') return createXlsxWriter(res, columns);
+    if (format === 'jsonl') return createJsonLinesWriter(res, selected ? columns : null);
+    return createJsonWriter(res, selected ? columns : null);
+}
+
+module.exports = {
+    EXPORT_FORMATS,
+    PROFILE_COLUMNS,
+    EXPORTED_PROFILE_FIELDS,
+    MATCH_COLUMNS,
+    resolveColumns,
+    csvEscape,
+    toPlain,
+    iterateProfilePages,
+    loadTopMatches,
+    createWriter
+};
@@ -1,5 +1,36 @@
 const admin = require('firebase-admin');
 const functions = require('firebase-functions');
+const scoring = require('./scoring');
+const skillTaxonomy = require('./skillTaxonomy');
+const matching = require('./matching');
+const jobs = require('./jobs');
+const matchWorkflow = require('./matchWorkflow');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+const redaction = require('./redaction');
+const demobProfiles = require('./demobProfiles');
+const profileImport = require('./profileImport');
+const profileFilters = require('./profileFilters');
+const exporters = require('./exporters');
+const cvPipeline = require('./cvPipeline');
+const cvReview = require('./cvReview');
+const candidateDedupe = require('./candidateDedupe');
+const cvSearch = require('./cvSearch');
+const embeddings = require('./embeddings');
+const candidateRanking = require('./candidateRanking');
+const retention = require('./retention');
+const dataSubjects = require('./dataSubjects');
+const notifications = require('./notifications');
+const demobAlerts = require('./demobAlerts');
+const demobAnalytics = require('./demobAnalytics');
+const positions = require('./positions');
+const organizations = require('./organizations');
+const outreach = require('./outreach');
+const emailDrafts = require('./emailDrafts');
+const knowledge = require('./knowledge');
+const pipeline = require('./pipeline');
+const interviews = require('./interviews');
+const screening = require('./screening');
 
 // Initialize Firebase Admin
 admin.initializeApp();
@@ -19,162 +50,132 @@ const corsHandler = (req, res) => {
     return false;
 };
 
-// Helper function to verify user authentication
-async function verifyUser(req) {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        throw new Error('Unauthorized');
-    }
-    
-    const idToken = authHeader.split('Bearer ')[1];
-    try {
-        const decodedToken = await admin.auth().verifyIdToken(idToken);
-        return decodedToken.uid;
-    } catch (error) {
-        throw new Error('Invalid token');
-    }
+// Helper function to authorize a request from a member of an organization.
+// Returns the caller with `orgDb`, the database scoped to their organization.
+async function authorizeOrg(req, permission = null) {
+    const caller = await auth.authorize(db, req, permission);
+    const organizationId = organizations.requireOrganization(caller);
+    return { ...caller, orgDb: organizations.scopedDb(db, organizationId) };
 }
 
-// Helper function to calculate match score
-function calculateMatchScore(demobProfile, position) {
-    let score = 0;
-    let factors = {
-        technical_skills: 0.4,
-        project_type: 0.25,
-        geographic: 0.2,
-        timing: 0.15
-    };
-    
-    // Technical skills matching
-    const requiredSkills = position.required_skills || [];
-    const candidateSkills = demobProfile.skill_inventory?.technical_skills || [];
-    const skillMatch = requiredSkills.filter(skill => 
-        candidateSkills.some(cs => cs.toLowerCase().includes(skill.toLowerCase()))
-    ).length / (requiredSkills.length || 1);
-    score += skillMatch * factors.technical_skills * 100;
-    
-    // Project type experience
-    if (position.project_type && demobProfile.current_project?.name) {
-        const typeMatch = position.project_type.toLowerCase().includes(demobProfile.current_project.name.toLowerCase()) ||
-                         demobProfile.current_project.name.toLowerCase().includes(position.project_type.toLowerCase());
-        score += (typeMatch ? 1 : 0.5) * factors.project_type * 100;
-    }
-    
-    // Geographic compatibility
-    const preferredLocations = demobProfile.mobility_preferences?.preferred_locations || [];
-    const positionLocation = position.location || '';
-    const geoMatch = preferredLocations.some(loc => 
-        loc.toLowerCase().includes(positionLocation.toLowerCase()) ||
-        positionLocation.toLowerCase().includes(loc.toLowerCase())
-    );
-    score += (geoMatch ? 1 : (demobProfile.mobility_preferences?.willing_to_relocate ? 0.7 : 0.3)) * factors.geographic * 100;
-    
-    // Timing alignment
-    const demobDate = new Date(demobProfile.demob_date);
-    const positionStartDate = new Date(position.start_date || Date.now());
-    const daysDiff = Math.abs(demobDate - positionStartDate) / (1000 * 60 * 60 * 24);
-    const timingScore = daysDiff <= 30 ? 1 : (daysDiff <= 90 ? 0.8 : 0.5);
-    score += timingScore * factors.timing * 100;
-    
-    return Math.round(score);
-}
+const MAX_SCORE_HISTORY = 20;
 
-// Helper function to match a profile to positions
-async function matchProfileToPositions(demobProfile, projectId, minScore) {
-    const matches = [];
-    
-    // Get all users
-    const usersSnapshot = await db.collection('users').get();
+// Helper function to upsert a match record. Re-scoring refreshes the score and
+// appends to score_history while keeping the reviewer's status and notes.
+async function saveMatchRecord(orgDb, match) {
+    const matchId = match.match_id || matching.matchId(match.employee_id, match.project_id, match.position_id);
+    const matchRef = orgDb.collection('demob_matches').doc(matchId);
+    const historyEntry = {
+        match_score: match.match_score,
+        scorer_id: match.scorer_id,
+        weight_profile_id: match.weight_profile_id,
+        date: new Date().toISOString()
+    };
     
-    for (const userDoc of usersSnapshot.docs) {
-        const userId = userDoc.id;
+    const created = await orgDb.runTransaction(async (transaction) => {
+        const existing = await transaction.get(matchRef);
+        
+        if (!existing.exists) {
+            transaction.set(matchRef, {
+                ...match,
+                match_id: matchId,
+                status: 'Pending Review',
+                notifications_sent: false,
+                score_history: [historyEntry],
+                last_scored: admin.firestore.FieldValue.serverTimestamp()
+            });
+            matchWorkflow.recordEvent(transaction, matchRef, { to: 'Pending Review', reason: 'matched' });
+            return true;
+        }
         
-        // Get projects for this user
-        let projectsQuery = db.collection(`users/${userId}/projects`);
-        if (projectId) {
-            const projectDoc = await projectsQuery.doc(projectId).get();
-            if (projectDoc.exists) {
-                await processProject(userDoc.id, projectDoc, demobProfile, minScore, matches);
-            }
-        } else {
-            const projectsSnapshot = await projectsQuery.get();
-            for (const projectDoc of projectsSnapshot.docs) {
-                await processProject(userDoc.id, projectDoc, demobProfile, minScore, matches);
-            }
+        const current = existing.data();
+        const history = current.score_history || [];
+        const last = history[history.length - 1];
+        const scoreChanged = !last ||
+            last.match_score !== historyEntry.match_score ||
+            last.scorer_id !== historyEntry.scorer_id ||
+            last.weight_profile_id !== historyEntry.weight_profile_id;
+        
+        // created_at belongs to the first time the pair was matched
+        const { created_at, ...scoreFields } = match;
+        const updateData = {
+            ...scoreFields,
+            match_id: matchId,
+            score_history: scoreChanged ? [...history, historyEntry].slice(-MAX_SCORE_HISTORY) : history,
+            last_scored: admin.firestore.FieldValue.serverTimestamp()
+        };
+        
+        // A pair that matches again after expiring goes back to review
+        if (current.status === matchWorkflow.EXPIRED_STATUS) {
+            updateData.status = 'Pending Review';
+            updateData.expired_reason = admin.firestore.FieldValue.delete();
+            updateData.reopened_at = admin.firestore.FieldValue.serverTimestamp();
+            matchWorkflow.recordEvent(transaction, matchRef, {
+                from: matchWorkflow.EXPIRED_STATUS,
+                to: 'Pending Review',
+                reason: 'rematched'
+            });
         }
+        
+        transaction.update(matchRef, updateData);
+        return false;
+    });
+    
+    // Only new matches are added to the profile's history
+    if (created) {
+        const demobRef = orgDb.collection('demob_profiles').doc(match.employee_id);
+        await demobRef.update({
+            matching_history: admin.firestore.FieldValue.arrayUnion({
+                match_id: matchId,
+                opportunity: `${match.project_name} - ${match.position_title}`,
+                match_score: match.match_score,
+                status: 'Pending Review',
+                date: historyEntry.date
+            })
+        });
     }
     
-    return matches;
+    return matchId;
 }
 
-async function processProject(userId, projectDoc, demobProfile, minScore, matches) {
-    const project = projectDoc.data();
+// Helper function to expire the open matches a query returns
+async function expireMatches(orgDb, query, reason) {
+    const snapshot = await query.where('status', 'in', matchWorkflow.OPEN_STATUSES).get();
     
-    // Get positions for this project
-    const positionsSnapshot = await db.collection(`users/${userId}/projects/${projectDoc.id}/positions`)
-        .where('status', '==', 'open')
-        .get();
-        
-    for (const posDoc of positionsSnapshot.docs) {
-        const position = posDoc.data();
-        const matchScore = calculateMatchScore(demobProfile, position);
-        
-        if (matchScore >= minScore) {
-            matches.push({
-                employee_id: demobProfile.employee_id,
-                employee_name: demobProfile.current_project?.role || 'Unknown',
-                project_id: projectDoc.id,
-                project_name: project.projectName,
-                position_id: posDoc.id,
-                position_title: position.title,
-                match_score: matchScore,
-                match_factors: {
-                    skills_alignment: matchScore * 0.4,
-                    project_experience: matchScore * 0.25,
-                    geographic_fit: matchScore * 0.2,
-                    timing_alignment: matchScore * 0.15
-                },
-                demob_date: demobProfile.demob_date,
-                position_start_date: position.start_date,
-                created_at: admin.firestore.FieldValue.serverTimestamp()
+    // Two writes per match (status and event), so 200 matches per batch
+    for (let i = 0; i < snapshot.docs.length; i += 200) {
+        const batch = orgDb.batch();
+        snapshot.docs.slice(i, i + 200).forEach(doc => {
+            batch.update(doc.ref, {
+                status: matchWorkflow.EXPIRED_STATUS,
+                expired_reason: reason,
+                expired_at: admin.firestore.FieldValue.serverTimestamp(),
+                last_updated: admin.firestore.FieldValue.serverTimestamp()
             });
-        }
+            matchWorkflow.recordEvent(batch, doc.ref, {
+                from: doc.data().status,
+                to: matchWorkflow.EXPIRED_STATUS,
+                reason
+            });
+        });
+        await batch.commit();
     }
-}
-
-// Helper function to save match record
-async function saveMatchRecord(match) {
-    const matchRef = db.collection('demob_matches').doc();
-    await matchRef.set({
-        ...match,
-        status: 'Pending Review',
-        notifications_sent: false
-    });
     
-    // Update demob profile with match history
-    const demobRef = db.collection('demob_profiles').doc(match.employee_id);
-    await demobRef.update({
-        matching_history: admin.firestore.FieldValue.arrayUnion({
-            opportunity: `${match.project_name} - ${match.position_title}`,
-            match_score: match.match_score,
-            status: 'Pending Review',
-            date: new Date().toISOString()
-        })
-    });
+    return snapshot.size;
 }
 
 // Helper function to trigger matching for a specific employee
-async function triggerMatching(employeeId) {
-    const demobDoc = await db.collection('demob_profiles').doc(employeeId).get();
+async function triggerMatching(orgDb, employeeId) {
+    const demobDoc = await orgDb.collection('demob_profiles').doc(employeeId).get();
     if (!demobDoc.exists) return;
     
     const demobProfile = demobDoc.data();
-    const matches = await matchProfileToPositions(demobProfile, null, 70);
+    const matches = await matching.matchProfileToPositions(orgDb, demobProfile, { minScore: 70 });
     
     // Save high-scoring matches
     const highMatches = matches.filter(m => m.match_score >= 75);
     for (const match of highMatches) {
-        await saveMatchRecord(match);
+        await saveMatchRecord(orgDb, match);
     }
     
     return matches;
@@ -186,57 +187,43 @@ exports.createDemobProfile = functions.https.onRequest(async (req, res) => {
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
-        const { demobProfile } = req.body;
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_demob');
         
-        if (!demobProfile || !demobProfile.employee_id) {
+        if (!req.body.demobProfile || !req.body.demobProfile.employee_id) {
             return res.status(400).json({ error: 'Invalid demob profile data' });
         }
         
-        // Validate required fields
-        const requiredFields = ['employee_id', 'demob_date', 'current_project'];
-        for (const field of requiredFields) {
-            if (!demobProfile[field]) {
-                return res.status(400).json({ error: `Missing required field: ${field}` });
-            }
+        // Validate required fields, dates and ratings
+        const { profile: validated, errors } = demobProfiles.validateDemobProfile(req.body.demobProfile);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: errors[0], errors });
         }
         
+        const docRef = orgDb.collection('demob_profiles').doc(validated.employee_id);
+        const existingDoc = await docRef.get();
+        const demobProfile = demobProfiles.withRetentionPriority(validated, existingDoc.exists ? existingDoc.data() : null);
+        
         // Add metadata
         demobProfile.last_updated = admin.firestore.FieldValue.serverTimestamp();
         demobProfile.created_by = userId;
         
-        // Calculate retention priority if not provided
-        if (!demobProfile.internal_metrics?.retention_priority) {
-            const rating = demobProfile.internal_metrics?.performance_rating || 3;
-            const yearsWithCompany = demobProfile.internal_metrics?.years_with_company || 1;
-            const hasRareSkills = (demobProfile.skill_inventory?.technical_skills || []).some(skill =>
-                ['AI', 'ML', 'Blockchain', 'Quantum'].some(rare => skill.includes(rare))
-            );
-            
-            if (rating >= 4.5 || yearsWithCompany >= 5 || hasRareSkills) {
-                demobProfile.internal_metrics = {
-                    ...demobProfile.internal_metrics,
-                    retention_priority: 'Critical'
-                };
-            } else if (rating >= 3.5 || yearsWithCompany >= 3) {
-                demobProfile.internal_metrics = {
-                    ...demobProfile.internal_metrics,
-                    retention_priority: 'Standard'
-                };
-            } else {
-                demobProfile.internal_metrics = {
-                    ...demobProfile.internal_metrics,
-                    retention_priority: 'External Option'
-                };
-            }
+        // Consent is only replaced when given; the source is recorded on creation
+        const consent = retention.normalizeConsent(req.body.consent, userId);
+        delete demobProfile.consent;
+        delete demobProfile.data_source;
+        if (consent) {
+            demobProfile.consent = consent;
         }
         
         // Save to Firestore
-        const docRef = db.collection('demob_profiles').doc(demobProfile.employee_id);
+        if (!existingDoc.exists) {
+            demobProfile.data_source = retention.buildDataSource('api', { userId });
+            demobProfile.consent = consent || retention.normalizeConsent({ status: 'not_recorded', basis: 'employment' }, userId);
+        }
         await docRef.set(demobProfile, { merge: true });
         
         // Trigger matching for this profile
-        await triggerMatching(demobProfile.employee_id);
+        await triggerMatching(orgDb, demobProfile.employee_id);
         
         res.json({ 
             success: true, 
@@ -246,7 +233,7 @@ exports.createDemobProfile = functions.https.onRequest(async (req, res) => {
         
     } catch (error) {
         console.error('Error creating demob profile:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -256,78 +243,47 @@ exports.getDemobProfiles = functions.https.onRequest(async (req, res) => {
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
-        const { 
-            retention_priority, 
-            demob_date_start, 
-            demob_date_end,
-            location,
-            skills,
-            project,
-            limit = 50,
-            offset = 0
-        } = req.query;
-        
-        let query = db.collection('demob_profiles');
-        
-        // Apply filters
-        if (retention_priority) {
-            query = query.where('internal_metrics.retention_priority', '==', retention_priority);
-        }
-        
-        if (demob_date_start) {
-            query = query.where('demob_date', '>=', demob_date_start);
+        const { uid: userId, role, orgDb } = await authorizeOrg(req, 'view_demob');
+        const { limit, cursor, sort = 'demob_date', order = 'asc' } = req.query;
+        const filters = profileFilters.parseProfileFilters(req.query);
+        profileFilters.assertFiltersAllowed(filters, role, sort);
+        
+        const taxonomy = await skillTaxonomy.loadTaxonomy(orgDb);
+        const filtered = profileFilters.buildProfileQuery(orgDb, filters, taxonomy);
+        const pageSize = profileFilters.parsePageSize(limit);
+        
+        // Ordering leaves out profiles without the sort field (an unrated
+        // profile when sorting by rating), so the total counts the ordered query
+        const ordered = profileFilters.orderProfileQuery(filtered, filters, sort, order);
+        let query = ordered.limit(pageSize);
+        if (cursor) {
+            query = query.startAfter(...profileFilters.decodeCursor(cursor));
         }
         
-        if (demob_date_end) {
-            query = query.where('demob_date', '<=', demob_date_end);
-        }
-        
-        // Get all profiles for client-side filtering (skills, location, project)
-        const snapshot = await query.limit(500).get();
-        let profiles = [];
-        
-        snapshot.forEach(doc => {
-            const data = doc.data();
-            
-            // Additional filtering
-            let include = true;
-            
-            if (location && include) {
-                const locations = data.mobility_preferences?.preferred_locations || [];
-                include = locations.some(loc => loc.toLowerCase().includes(location.toLowerCase()));
-            }
-            
-            if (skills && include) {
-                const profileSkills = data.skill_inventory?.technical_skills || [];
-                const requestedSkills = skills.split(',').map(s => s.trim().toLowerCase());
-                include = requestedSkills.some(skill => 
-                    profileSkills.some(ps => ps.toLowerCase().includes(skill))
-                );
-            }
-            
-            if (project && include) {
-                include = data.current_project?.name?.toLowerCase().includes(project.toLowerCase());
-            }
-            
-            if (include) {
-                profiles.push({ id: doc.id, ...data });
-            }
-        });
+        const [snapshot, countSnapshot] = await Promise.all([
+            query.get(),
+            ordered.count().get()
+        ]);
         
-        // Apply pagination
-        const paginatedProfiles = profiles.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+        const profiles = snapshot.docs.map(doc =>
+            redaction.redactProfile({ id: doc.id, ...doc.data() }, role)
+        );
         
         res.json({
-            profiles: paginatedProfiles,
-            total: profiles.length,
-            offset: parseInt(offset),
-            limit: parseInt(limit)
+            profiles,
+            total: countSnapshot.data().count,
+            limit: pageSize,
+            sort,
+            order,
+            next_cursor: snapshot.size === pageSize
+                ? profileFilters.encodeCursor(snapshot.docs[snapshot.size - 1], sort)
+                : null,
+            redacted_fields: redaction.restrictedFields(role)
         });
         
     } catch (error) {
         console.error('Error getting demob profiles:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -337,43 +293,51 @@ exports.matchDemobCandidates = functions.https.onRequest(async (req, res) => {
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
-        const { employee_id, project_id, min_score = 75 } = req.body;
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_matches');
+        const { employee_id, project_id, min_score = 75, locations, start_after, start_before } = req.body;
+        const filters = {
+            locations: locations || null,
+            startAfter: start_after || null,
+            startBefore: start_before || null
+        };
         
         let matches = [];
         
         if (employee_id) {
             // Match specific employee to all positions
-            const demobDoc = await db.collection('demob_profiles').doc(employee_id).get();
+            const demobDoc = await orgDb.collection('demob_profiles').doc(employee_id).get();
             if (!demobDoc.exists) {
                 return res.status(404).json({ error: 'Demob profile not found' });
             }
             
             const demobProfile = demobDoc.data();
-            matches = await matchProfileToPositions(demobProfile, project_id, min_score);
+            matches = await matching.matchProfileToPositions(orgDb, demobProfile, {
+                projectId: project_id,
+                minScore: min_score,
+                filters
+            });
             
         } else if (project_id) {
-            // Match all demob candidates to specific project positions
-            const demobSnapshot = await db.collection('demob_profiles')
-                .where('current_status', '==', 'Active - Demobilizing')
-                .get();
-                
-            for (const doc of demobSnapshot.docs) {
-                const demobProfile = doc.data();
-                const profileMatches = await matchProfileToPositions(demobProfile, project_id, min_score);
-                matches.push(...profileMatches);
+            // Match all demob candidates to specific project positions in one pass
+            const positions = await matching.loadOpenPositions(orgDb, { ...filters, projectId: project_id });
+            let cursor = null;
+            
+            if (positions.length > 0) {
+                do {
+                    const page = await matching.matchProfilePage(orgDb, positions, { cursor, minScore: min_score });
+                    matches.push(...page.matches);
+                    cursor = page.nextCursor;
+                } while (cursor);
             }
         } else {
-            // Match all to all
-            const demobSnapshot = await db.collection('demob_profiles')
-                .where('current_status', '==', 'Active - Demobilizing')
-                .get();
-                
-            for (const doc of demobSnapshot.docs) {
-                const demobProfile = doc.data();
-                const profileMatches = await matchProfileToPositions(demobProfile, null, min_score);
-                matches.push(...profileMatches);
-            }
+            // Match all to all as a paginated background job
+            const jobId = await jobs.createJob(orgDb, 'match_all', { min_score, filters }, userId);
+            
+            return res.status(202).json({
+                job_id: jobId,
+                status: 'queued',
+                message: 'All-to-all matching queued. Poll getJobStatus for progress.'
+            });
         }
         
         // Sort by match score
@@ -382,7 +346,7 @@ exports.matchDemobCandidates = functions.https.onRequest(async (req, res) => {
         // Save high-scoring matches
         const highMatches = matches.filter(m => m.match_score >= min_score);
         for (const match of highMatches) {
-            await saveMatchRecord(match);
+            await saveMatchRecord(orgDb, match);
         }
         
         res.json({
@@ -393,131 +357,52 @@ exports.matchDemobCandidates = functions.https.onRequest(async (req, res) => {
         
     } catch (error) {
         console.error('Error matching demob candidates:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// 4. Get Demob Analytics
+// 4. Get Demob Analytics from the latest daily rollup, or queue a fresh rollup
 exports.getDemobAnalytics = functions.https.onRequest(async (req, res) => {
     // Handle CORS
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
-        const { start_date, end_date, project_id } = req.query;
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'view_analytics');
         
-        // Build base query
-        let demobQuery = db.collection('demob_profiles');
-        let matchQuery = db.collection('demob_matches');
-        
-        if (start_date) {
-            demobQuery = demobQuery.where('demob_date', '>=', start_date);
+        if (req.method === 'POST') {
+            if (req.body?.action !== 'refresh') {
+                return res.status(400).json({ error: 'Invalid action. Use refresh' });
+            }
+            const asOf = demobAlerts.toDateString(new Date());
+            const jobId = await jobs.createJob(orgDb, 'analytics_rollup', { as_of: asOf }, userId);
+            return res.status(202).json({ job_id: jobId, status: 'queued', as_of: asOf });
         }
         
-        if (end_date) {
-            demobQuery = demobQuery.where('demob_date', '<=', end_date);
+        const { start_date, end_date, project, as_of } = req.query;
+        for (const [name, value] of Object.entries({ start_date, end_date, as_of })) {
+            if (value && demobProfiles.normalizeDate(value) !== value) {
+                return res.status(400).json({ error: `${name} must be a YYYY-MM-DD date` });
+            }
         }
         
-        if (project_id) {
-            matchQuery = matchQuery.where('project_id', '==', project_id);
+        const rollup = await demobAnalytics.loadRollup(orgDb, as_of || null);
+        if (!rollup) {
+            return res.status(404).json({
+                error: as_of
+                    ? `No analytics rollup for ${as_of}`
+                    : 'No analytics rollup yet. POST { action: "refresh" } to build one'
+            });
         }
         
-        // Get data
-        const [demobSnapshot, matchSnapshot] = await Promise.all([
-            demobQuery.get(),
-            matchQuery.get()
-        ]);
-        
-        // Calculate metrics
-        const totalDemob = demobSnapshot.size;
-        const matches = matchSnapshot.docs.map(doc => doc.data());
-        const successfulPlacements = matches.filter(m => m.status === 'Placed').length;
-        const pendingReviews = matches.filter(m => m.status === 'Pending Review').length;
-        
-        // Skills gap analysis
-        const skillsGap = {};
-        const unplacedProfiles = [];
-        
-        demobSnapshot.forEach(doc => {
-            const profile = doc.data();
-            const hasMatch = matches.some(m => m.employee_id === profile.employee_id && m.status === 'Placed');
-            
-            if (!hasMatch) {
-                unplacedProfiles.push(profile);
-                // Track missing skills
-                const skills = profile.skill_inventory?.technical_skills || [];
-                skills.forEach(skill => {
-                    skillsGap[skill] = (skillsGap[skill] || 0) + 1;
-                });
-            }
-        });
-        
-        // Time to placement
-        const placedMatches = matches.filter(m => m.status === 'Placed' && m.placement_date);
-        const avgTimeToPlacement = placedMatches.length > 0
-            ? placedMatches.reduce((sum, m) => {
-                const demobDate = new Date(m.demob_date);
-                const placementDate = new Date(m.placement_date);
-                return sum + Math.abs(placementDate - demobDate) / (1000 * 60 * 60 * 24);
-            }, 0) / placedMatches.length
-            : 0;
-        
-        // Geographic mobility
-        const mobilityStats = {
-            willing_to_relocate: 0,
-            preferred_same_region: 0,
-            international_mobility: 0
-        };
-        
-        demobSnapshot.forEach(doc => {
-            const profile = doc.data();
-            if (profile.mobility_preferences?.willing_to_relocate) {
-                mobilityStats.willing_to_relocate++;
-            }
-            if (profile.mobility_preferences?.preferred_locations?.length > 1) {
-                mobilityStats.international_mobility++;
-            } else {
-                mobilityStats.preferred_same_region++;
-            }
-        });
-        
-        // Priority distribution
-        const priorityDistribution = {
-            Critical: 0,
-            Standard: 0,
-            'External Option': 0
-        };
-        
-        demobSnapshot.forEach(doc => {
-            const profile = doc.data();
-            const priority = profile.internal_metrics?.retention_priority || 'Standard';
-            priorityDistribution[priority]++;
-        });
-        
-        res.json({
-            summary: {
-                total_demobilizing: totalDemob,
-                successful_placements: successfulPlacements,
-                pending_reviews: pendingReviews,
-                retention_rate: totalDemob > 0 ? (successfulPlacements / totalDemob * 100).toFixed(1) + '%' : '0%',
-                avg_time_to_placement_days: Math.round(avgTimeToPlacement)
-            },
-            skills_gap_analysis: Object.entries(skillsGap)
-                .sort((a, b) => b[1] - a[1])
-                .slice(0, 10)
-                .map(([skill, count]) => ({ skill, unplaced_count: count })),
-            mobility_statistics: mobilityStats,
-            priority_distribution: priorityDistribution,
-            pipeline_health: {
-                high_probability_matches: matches.filter(m => m.match_score >= 85).length,
-                medium_probability_matches: matches.filter(m => m.match_score >= 70 && m.match_score < 85).length,
-                low_probability_matches: matches.filter(m => m.match_score < 70).length
-            }
-        });
+        res.json(demobAnalytics.summarizeRollup(rollup, {
+            startMonth: start_date ? start_date.slice(0, 7) : null,
+            endMonth: end_date ? end_date.slice(0, 7) : null,
+            projectKey: project ? demobProfiles.normalizeKey(project) : null
+        }));
         
     } catch (error) {
         console.error('Error getting demob analytics:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -527,67 +412,80 @@ exports.bulkImportDemobProfiles = functions.https.onRequest(async (req, res) =>
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
-        const { profiles } = req.body;
-        
-        if (!Array.isArray(profiles)) {
-            return res.status(400).json({ error: 'Profiles must be an array' });
-        }
-        
-        const batch = db.batch();
-        const results = {
-            imported: 0,
-            failed: 0,
-            errors: []
-        };
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_demob');
+        const { profiles, file, filename, format, column_mapping, dry_run = false } = req.body;
         
-        for (const profile of profiles) {
+        // Either a base64-encoded CSV/XLSX file or a JSON array of profiles
+        let plan;
+        if (file) {
             try {
-                // Validate profile
-                if (!profile.employee_id) {
-                    results.failed++;
-                    results.errors.push({ employee_id: 'unknown', error: 'Missing employee_id' });
-                    continue;
-                }
-                
-                // Add metadata
-                profile.last_updated = admin.firestore.FieldValue.serverTimestamp();
-                profile.created_by = userId;
-                profile.import_source = 'bulk_import';
-                
-                const docRef = db.collection('demob_profiles').doc(profile.employee_id);
-                batch.set(docRef, profile, { merge: true });
-                results.imported++;
-                
-            } catch (error) {
-                results.failed++;
-                results.errors.push({ 
-                    employee_id: profile.employee_id || 'unknown', 
-                    error: error.message 
+                plan = profileImport.planFileImport({
+                    buffer: Buffer.from(file, 'base64'),
+                    format,
+                    filename,
+                    columnMapping: column_mapping
                 });
+            } catch (parseError) {
+                return res.status(400).json({ error: parseError.message });
             }
+        } else if (Array.isArray(profiles)) {
+            if (profiles.length > profileImport.MAX_IMPORT_ROWS) {
+                return res.status(400).json({ error: `Import is limited to ${profileImport.MAX_IMPORT_ROWS} profiles` });
+            }
+            plan = profileImport.buildImportPlan(profiles);
+        } else {
+            return res.status(400).json({ error: 'Provide a file or a profiles array' });
         }
         
-        await batch.commit();
+        // Dry run: report what would be imported without writing anything
+        if (dry_run) {
+            return res.json({ dry_run: true, ...profileImport.summarizePlan(plan) });
+        }
         
-        // Trigger matching for all imported profiles
+        // Batches are capped at 500 writes
+        for (let i = 0; i < plan.profiles.length; i += 400) {
+            const chunk = plan.profiles.slice(i, i + 400);
+            const refs = chunk.map(profile => orgDb.collection('demob_profiles').doc(profile.employee_id));
+            const existing = await orgDb.getAll(...refs);
+            const batch = orgDb.batch();
+            chunk.forEach((profile, index) => {
+                const stored = existing[index].exists ? existing[index].data() : null;
+                const { consent, data_source, ...fields } = demobProfiles.withRetentionPriority(profile, stored);
+                batch.set(refs[index], {
+                    ...fields,
+                    // New profiles record where they came from and start without recorded consent
+                    ...(existing[index].exists ? {} : {
+                        data_source: retention.buildDataSource('bulk_import', { userId, fileName: filename || null }),
+                        consent: retention.normalizeConsent({ status: 'not_recorded', basis: 'employment' }, userId)
+                    }),
+                    last_updated: admin.firestore.FieldValue.serverTimestamp(),
+                    created_by: userId,
+                    import_source: file ? `bulk_import:${plan.format}` : 'bulk_import'
+                }, { merge: true });
+            });
+            await batch.commit();
+        }
+        
+        const results = {
+            imported: plan.valid_count,
+            failed: plan.invalid_count,
+            errors: plan.errors,
+            matching_job_id: null
+        };
+        
+        // Matching runs as a durable job; poll getJobStatus with matching_job_id
         if (results.imported > 0) {
             console.log(`Bulk import completed: ${results.imported} profiles imported`);
-            // Async trigger matching (don't wait)
-            setTimeout(async () => {
-                for (const profile of profiles) {
-                    if (profile.employee_id) {
-                        await triggerMatching(profile.employee_id);
-                    }
-                }
-            }, 1000);
+            results.matching_job_id = await jobs.createJob(orgDb, 'match_profiles', {
+                employee_ids: plan.profiles.map(profile => profile.employee_id)
+            }, userId);
         }
         
         res.json(results);
         
     } catch (error) {
         console.error('Error in bulk import:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -597,36 +495,47 @@ exports.updateMatchStatus = functions.https.onRequest(async (req, res) => {
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
+        const { uid: userId, orgDb } = await authorizeOrg(req, req.method === 'GET' ? 'view_demob' : 'manage_matches');
+        
+        // GET returns the match's event history and the statuses it can move to
+        if (req.method === 'GET') {
+            const matchId = req.query.match_id;
+            if (!matchId) {
+                return res.status(400).json({ error: 'Missing match_id' });
+            }
+            
+            const matchDoc = await orgDb.collection('demob_matches').doc(matchId).get();
+            if (!matchDoc.exists) {
+                return res.status(404).json({ error: 'Match not found' });
+            }
+            
+            const status = matchDoc.data().status;
+            return res.json({
+                match_id: matchId,
+                status,
+                allowed_transitions: matchWorkflow.allowedTransitions(status, matchDoc.data()),
+                events: await matchWorkflow.listEvents(orgDb, matchId)
+            });
+        }
+        
         const { match_id, status, notes, placement_date } = req.body;
         
         if (!match_id || !status) {
             return res.status(400).json({ error: 'Missing required fields' });
         }
         
-        const validStatuses = ['Pending Review', 'In Progress', 'Interview Scheduled', 'Placed', 'Rejected', 'Withdrawn'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ error: 'Invalid status' });
-        }
-        
-        const updateData = {
+        const result = await matchWorkflow.transitionMatch(orgDb, match_id, {
             status,
-            last_updated: admin.firestore.FieldValue.serverTimestamp(),
-            updated_by: userId
-        };
-        
-        if (notes) updateData.notes = notes;
-        if (status === 'Placed' && placement_date) {
-            updateData.placement_date = placement_date;
-        }
-        
-        await db.collection('demob_matches').doc(match_id).update(updateData);
+            note: notes,
+            placementDate: placement_date,
+            userId
+        });
         
-        res.json({ success: true, message: 'Match status updated' });
+        res.json({ success: true, message: 'Match status updated', ...result });
         
     } catch (error) {
         console.error('Error updating match status:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -636,78 +545,36 @@ exports.getUserPermissions = functions.https.onRequest(async (req, res) => {
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
+        const userId = await auth.verifyUser(req);
         
-        // Get user document
-        const userDoc = await db.collection('users').doc(userId).get();
+        let caller = await auth.loadCaller(db, userId);
         
-        if (!userDoc.exists) {
-            // Create default user document
+        if (!caller.user) {
+            // Create default user document; an admin assigns the real role
             await db.collection('users').doc(userId).set({
                 createdAt: admin.firestore.FieldValue.serverTimestamp(),
-                role: 'hr_manager' // Default to hr_manager for testing
-            });
-            
-            return res.json({
-                role: 'hr_manager',
-                permissions: {
-                    view_candidates: true,
-                    edit_candidates: true,
-                    view_demob: true,
-                    edit_demob: true,
-                    view_analytics: true,
-                    manage_users: false
-                }
+                role: auth.DEFAULT_ROLE
             });
         }
         
-        const userData = userDoc.data();
-        const role = userData.role || 'viewer';
-        
-        // Define permissions by role
-        const rolePermissions = {
-            admin: {
-                view_candidates: true,
-                edit_candidates: true,
-                view_demob: true,
-                edit_demob: true,
-                view_analytics: true,
-                manage_users: true
-            },
-            hr_manager: {
-                view_candidates: true,
-                edit_candidates: true,
-                view_demob: true,
-                edit_demob: true,
-                view_analytics: true,
-                manage_users: false
-            },
-            recruiter: {
-                view_candidates: true,
-                edit_candidates: true,
-                view_demob: true,
-                edit_demob: false,
-                view_analytics: false,
-                manage_users: false
-            },
-            viewer: {
-                view_candidates: true,
-                edit_candidates: false,
-                view_demob: false,
-                edit_demob: false,
-                view_analytics: false,
-                manage_users: false
+        // Users outside an organization join the one their email was invited to
+        if (!caller.user?.organization_id) {
+            const { email } = await admin.auth().getUser(userId);
+            if (await organizations.acceptInvite(db, userId, email)) {
+                caller = await auth.loadCaller(db, userId);
             }
-        };
+        }
         
+        const organizationId = caller.user?.organization_id || null;
         res.json({
-            role,
-            permissions: rolePermissions[role] || rolePermissions.viewer
+            role: caller.role,
+            permissions: caller.permissions,
+            organization: organizationId ? await organizations.loadOrganization(db, organizationId) : null
         });
         
     } catch (error) {
         console.error('Error getting user permissions:', error);
-        res.status(500).json({ error: error.message });
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
@@ -717,138 +584,1957 @@ exports.exportDemobData = functions.https.onRequest(async (req, res) => {
     if (corsHandler(req, res)) return;
     
     try {
-        const userId = await verifyUser(req);
-        const { format = 'json', include_matches = true } = req.query;
+        const { uid: userId, role, orgDb } = await authorizeOrg(req, 'export_data');
+        const { format = 'json', include_matches = 'false', columns } = req.query;
+        
+        if (!exporters.EXPORT_FORMATS.includes(format)) {
+            return res.status(400).json({ error: `Invalid format. Valid formats: ${exporters.EXPORT_FORMATS.join(', ')}` });
+        }
         
-        // Get all demob profiles
-        const demobSnapshot = await db.collection('demob_profiles').get();
-        const profiles = [];
+        // Same filters as getDemobProfiles
+        const filters = profileFilters.parseProfileFilters(req.query);
+        profileFilters.assertFiltersAllowed(filters, role);
         
-        for (const doc of demobSnapshot.docs) {
-            const profile = { id: doc.id, ...doc.data() };
-            
-            if (include_matches === 'true') {
-                // Get matches for this profile
-                const matchesSnapshot = await db.collection('demob_matches')
-                    .where('employee_id', '==', doc.id)
-                    .orderBy('match_score', 'desc')
-                    .limit(5)
-                    .get();
-                    
-                profile.top_matches = matchesSnapshot.docs.map(matchDoc => matchDoc.data());
-            }
-            
-            profiles.push(profile);
-        }
-        
-        if (format === 'csv') {
-            // Convert to CSV format
-            const csvHeaders = [
-                'Employee ID',
-                'Current Status',
-                'Demob Date',
-                'Current Project',
-                'Current Role',
-                'Performance Rating',
-                'Years with Company',
-                'Retention Priority',
-                'Technical Skills',
-                'Preferred Locations',
-                'Willing to Relocate'
-            ];
-            
-            const csvRows = profiles.map(p => [
-                p.employee_id,
-                p.current_status,
-                p.demob_date,
-                p.current_project?.name || '',
-                p.current_project?.role || '',
-                p.internal_metrics?.performance_rating || '',
-                p.internal_metrics?.years_with_company || '',
-                p.internal_metrics?.retention_priority || '',
-                (p.skill_inventory?.technical_skills || []).join('; '),
-                (p.mobility_preferences?.preferred_locations || []).join('; '),
-                p.mobility_preferences?.willing_to_relocate ? 'Yes' : 'No'
-            ]);
-            
-            const csv = [csvHeaders, ...csvRows]
-                .map(row => row.map(cell => `"${cell}"`).join(','))
-                .join('\n');
-                
-            res.setHeader('Content-Type', 'text/csv');
-            res.setHeader('Content-Disposition', 'attachment; filename=demob_profiles.csv');
-            res.send(csv);
-        } else {
-            res.json({ profiles, total: profiles.length });
+        const requestedColumns = columns ? columns.split(',').map(column => column.trim()).filter(Boolean) : [];
+        const selectedColumns = exporters.resolveColumns(requestedColumns, role);
+        
+        const taxonomy = await skillTaxonomy.loadTaxonomy(orgDb);
+        const pages = exporters.iterateProfilePages(profileFilters.buildProfileQuery(orgDb, filters, taxonomy), {
+            role,
+            hasDateRange: profileFilters.hasDateRange(filters)
+        });
+        
+        const writer = exporters.createWriter(format, res, selectedColumns, requestedColumns.length > 0);
+        writer.start();
+        
+        let exported = 0;
+        for await (const profiles of pages) {
+            const matchesByEmployee = include_matches === 'true'
+                ? await exporters.loadTopMatches(orgDb, profiles.map(p => p.employee_id).filter(Boolean))
+                : null;
+            writer.writePage(profiles, matchesByEmployee);
+            exported += profiles.length;
         }
         
+        writer.finish();
+        console.log(`Exported ${exported} demob profiles as ${format} for ${userId}`);
+        
     } catch (error) {
         console.error('Error exporting demob data:', error);
-        res.status(500).json({ error: error.message });
+        // Once streaming has started the status can't change; cut the response short
+        if (res.headersSent) {
+            res.end();
+            return;
+        }
+        res.status(error.status || 500).json({ error: error.message });
     }
 });
 
-// Triggers for automatic matching
-exports.onNewPosition = functions.firestore
-    .document('users/{userId}/projects/{projectId}/positions/{positionId}')
-    .onCreate(async (snap, context) => {
-        const position = snap.data();
-        const { userId, projectId, positionId } = context.params;
-        
-        console.log(`New position added: ${position.title} in project ${projectId}`);
-        
-        // Get project details
-        const projectDoc = await db.collection(`users/${userId}/projects`).doc(projectId).get();
-        const project = projectDoc.data();
-        
-        // Get all active demob profiles
-        const demobSnapshot = await db.collection('demob_profiles')
-            .where('current_status', '==', 'Active - Demobilizing')
-            .get();
-            
-        const matches = [];
-        
-        for (const doc of demobSnapshot.docs) {
-            const demobProfile = doc.data();
-            const matchScore = calculateMatchScore(demobProfile, position);
-            
-            if (matchScore >= 75) {
-                matches.push({
-                    employee_id: demobProfile.employee_id,
-                    project_id: projectId,
-                    project_name: project?.projectName || 'Unknown',
-                    position_id: positionId,
-                    position_title: position.title,
-                    match_score: matchScore
-                });
-            }
+// 9. Get or update the scoring weight profile for the caller's organization
+exports.updateScoringProfile = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, req.method === 'GET' ? 'view_demob' : 'manage_settings');
+        const profileId = orgDb.organizationId;
+
+        if (req.method === 'GET') {
+            const profile = await scoring.loadWeightProfile(orgDb, profileId);
+            return res.json({ ...profile, scorer_id: scoring.SCORER_ID });
         }
-        
-        // Save high-scoring matches
-        for (const match of matches) {
-            await saveMatchRecord(match);
-            
-            if (match.match_score >= 85) {
-                console.log(`High match found: Employee ${match.employee_id} for position ${positionId} (Score: ${match.match_score})`);
+
+        const { weights } = req.body;
+        if (!weights || typeof weights !== 'object') {
+            return res.status(400).json({ error: 'Missing weights' });
+        }
+
+        let normalized;
+        try {
+            normalized = scoring.normalizeWeights(weights);
+        } catch (validationError) {
+            return res.status(400).json({ error: validationError.message });
+        }
+
+        await orgDb.collection('scoring_profiles').doc(profileId).set({
+            weights: normalized,
+            updated_by: userId,
+            last_updated: admin.firestore.FieldValue.serverTimestamp()
+        });
+        scoring.clearWeightProfileCache();
+
+        res.json({
+            success: true,
+            id: profileId,
+            weights: normalized,
+            scorer_id: scoring.SCORER_ID
+        });
+
+    } catch (error) {
+        console.error('Error updating scoring profile:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 10. Get or edit the skills taxonomy (edits need manage_settings)
+exports.updateSkillTaxonomy = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, req.method === 'GET' ? null : 'manage_settings');
+
+        const snapshot = await orgDb.collection('skill_taxonomy').get();
+        const stored = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+        if (req.method === 'GET') {
+            return res.json({
+                skills: stored.length > 0 ? stored : skillTaxonomy.DEFAULT_TAXONOMY,
+                source: stored.length > 0 ? 'firestore' : 'default'
+            });
+        }
+
+        const { skills = [], remove = [] } = req.body;
+        if (!Array.isArray(skills) || !Array.isArray(remove)) {
+            return res.status(400).json({ error: 'skills and remove must be arrays' });
+        }
+
+        // Start from the stored taxonomy, seeding from the defaults on first edit
+        const entries = new Map((stored.length > 0 ? stored : skillTaxonomy.DEFAULT_TAXONOMY)
+            .map(entry => [entry.id, entry]));
+        for (const entry of skills) {
+            entries.set(entry.id, {
+                id: entry.id,
+                name: entry.name,
+                aliases: entry.aliases || [],
+                parent: entry.parent || null,
+                ...(entry.levels ? { levels: entry.levels } : {})
+            });
+        }
+        remove.forEach(id => entries.delete(id));
+
+        const errors = skillTaxonomy.validateEntries([...entries.values()]);
+        if (errors.length > 0) {
+            return res.status(400).json({ error: 'Invalid taxonomy', details: errors });
+        }
+
+        // Write in chunks to stay under the 500 writes per batch limit
+        const writes = [
+            ...[...entries.values()].map(entry => ({ type: 'set', entry })),
+            ...stored.filter(entry => !entries.has(entry.id)).map(entry => ({ type: 'delete', entry }))
+        ];
+        for (let i = 0; i < writes.length; i += 400) {
+            const batch = orgDb.batch();
+            for (const write of writes.slice(i, i + 400)) {
+                const ref = orgDb.collection('skill_taxonomy').doc(write.entry.id);
+                if (write.type === 'delete') {
+                    batch.delete(ref);
+                } else {
+                    const { id, ...data } = write.entry;
+                    batch.set(ref, {
+                        ...data,
+                        updated_by: userId,
+                        last_updated: admin.firestore.FieldValue.serverTimestamp()
+                    });
+                }
             }
+            await batch.commit();
         }
-    });
+        skillTaxonomy.clearTaxonomyCache();
 
-exports.onDemobProfileUpdate = functions.firestore
-    .document('demob_profiles/{employeeId}')
-    .onUpdate(async (change, context) => {
-        const employeeId = context.params.employeeId;
-        const newData = change.after.data();
-        const oldData = change.before.data();
-        
-        // Check if relevant fields changed
-        const relevantFieldsChanged = 
-            newData.demob_date !== oldData.demob_date ||
-            JSON.stringify(newData.skill_inventory) !== JSON.stringify(oldData.skill_inventory) ||
-            JSON.stringify(newData.mobility_preferences) !== JSON.stringify(oldData.mobility_preferences);
-            
-        if (relevantFieldsChanged) {
-            console.log(`Demob profile updated: ${employeeId}, triggering re-matching`);
-            await triggerMatching(employeeId);
+        // Profile skill keys are derived from the taxonomy, so re-derive them
+        const reindexJobId = await jobs.createJob(orgDb, 'reindex_demob_profiles', {}, userId);
+
+        res.json({
+            success: true,
+            skill_count: entries.size,
+            reindex_job_id: reindexJobId,
+            message: 'Skills taxonomy updated'
+        });
+
+    } catch (error) {
+        console.error('Error updating skill taxonomy:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 11. Get background job status
+exports.getJobStatus = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const caller = await authorizeOrg(req);
+        const { orgDb } = caller;
+        const jobId = req.query.job_id || req.body?.job_id;
+
+        if (!jobId) {
+            return res.status(400).json({ error: 'Missing job_id' });
+        }
+
+        const jobDoc = await orgDb.collection('jobs').doc(jobId).get();
+        if (!jobDoc.exists) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        if (jobDoc.data().created_by !== caller.uid && !caller.permissions.manage_settings) {
+            throw new HttpError(403, 'Not allowed to view this job');
+        }
+
+        res.json(jobs.serializeJob(jobDoc));
+
+    } catch (error) {
+        console.error('Error getting job status:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 12. Rebuild a search index: open positions (default), demob profile search fields or embeddings
+exports.rebuildPositionIndex = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_settings');
+        const indexJobs = {
+            positions: 'rebuild_position_index',
+            demob_profiles: 'reindex_demob_profiles',
+            embeddings: 'build_embeddings'
+        };
+        const index = req.body?.index || 'positions';
+
+        if (!indexJobs[index]) {
+            return res.status(400).json({ error: `Invalid index. Valid indexes: ${Object.keys(indexJobs).join(', ')}` });
+        }
+
+        const jobId = await jobs.createJob(orgDb, indexJobs[index], {}, userId);
+        res.status(202).json({ job_id: jobId, status: 'queued' });
+
+    } catch (error) {
+        console.error('Error rebuilding index:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 13. List the organization's users and assign roles (admin only)
+exports.manageUsers = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_users');
+
+        if (req.method === 'GET') {
+            const { limit = 100, start_after } = req.query;
+            const pageSize = Math.min(parseInt(limit) || 100, 500);
+
+            let query = db.collection('users')
+                .where('organization_id', '==', orgDb.organizationId)
+                .orderBy(admin.firestore.FieldPath.documentId())
+                .limit(pageSize);
+            if (start_after) {
+                query = query.startAfter(start_after);
+            }
+
+            const snapshot = await query.get();
+            const users = snapshot.docs.map(doc => {
+                const data = doc.data();
+                return {
+                    user_id: doc.id,
+                    role: auth.ROLES.includes(data.role) ? data.role : auth.DEFAULT_ROLE,
+                    email: data.email || null,
+                    display_name: data.displayName || data.display_name || null,
+                    organization_id: data.organization_id || null,
+                    created_at: data.createdAt?.toDate?.().toISOString() || null
+                };
+            });
+
+            return res.json({
+                users,
+                roles: auth.ROLES,
+                next_cursor: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+            });
+        }
+
+        const { user_id, role } = req.body;
+        if (!user_id || !role) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+        if (!auth.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Invalid role. Valid roles: ${auth.ROLES.join(', ')}` });
+        }
+        if (user_id === userId && role !== 'admin') {
+            return res.status(400).json({ error: 'Admins cannot remove their own admin role' });
+        }
+
+        const targetRef = db.collection('users').doc(user_id);
+        const targetDoc = await targetRef.get();
+        if (!targetDoc.exists || targetDoc.data().organization_id !== orgDb.organizationId) {
+            return res.status(404).json({ error: 'User not found' });
+        }
+
+        await targetRef.update({
+            role,
+            role_updated_by: userId,
+            role_updated_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+
+        res.json({
+            success: true,
+            user_id,
+            role,
+            permissions: auth.permissionsFor(role)
+        });
+
+    } catch (error) {
+        console.error('Error managing users:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 14. Upload CVs for server-side extraction into the CV database. With a
+// project_id, extraction also draws on that project's knowledge documents.
+exports.processCVs = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_candidates');
+        const { files, on_duplicate = 'skip', consent = null, project_id = null } = req.body;
+
+        if (!['skip', 'update'].includes(on_duplicate)) {
+            return res.status(400).json({ error: 'on_duplicate must be skip or update' });
+        }
+        if (project_id && !(await orgDb.collection('projects').doc(project_id).get()).exists) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+        // Validated here so a bad value fails the upload, not every file in the job
+        retention.normalizeConsent(consent, userId);
+
+        // Files go to Cloud Storage first so the job never carries file contents
+        const staged = await cvPipeline.stageUploads(admin.storage().bucket(), files, userId);
+        const jobId = await jobs.createJob(orgDb, 'process_cvs', { files: staged, on_duplicate, consent, project_id }, userId);
+
+        res.status(202).json({
+            job_id: jobId,
+            status: 'queued',
+            file_count: staged.length
+        });
+
+    } catch (error) {
+        console.error('Error uploading CVs:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 15. List the CV review queue and approve or reject queued extractions
+exports.reviewCandidates = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const { orgDb } = await authorizeOrg(req, 'view_candidates');
+            const { status = 'pending', limit = 50, start_after } = req.query;
+
+            if (!cvReview.REVIEW_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Invalid status. Valid options: ${cvReview.REVIEW_STATUSES.join(', ')}` });
+            }
+
+            const page = await cvReview.listReviews(orgDb, {
+                status,
+                limit: Math.min(parseInt(limit) || 50, 200),
+                startAfter: start_after || null
+            });
+            return res.json(page);
+        }
+
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_candidates');
+        const { review_id, action, profile } = req.body;
+        if (!review_id || !action) {
+            return res.status(400).json({ error: 'Missing required fields' });
+        }
+
+        const result = await cvPipeline.resolveReview(orgDb, review_id, { action, profile, userId });
+        res.json({ success: true, ...result });
+
+    } catch (error) {
+        console.error('Error reviewing candidates:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 16. List likely duplicate candidates, merge or dismiss them, or scan the whole database
+exports.manageDuplicates = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const { orgDb } = await authorizeOrg(req, 'view_candidates');
+            const { status = 'pending', limit = 50, cursor } = req.query;
+
+            if (!candidateDedupe.PAIR_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `Invalid status. Valid options: ${candidateDedupe.PAIR_STATUSES.join(', ')}` });
+            }
+
+            const page = await candidateDedupe.listPairs(orgDb, {
+                status,
+                limit: Math.min(parseInt(limit) || 50, 200),
+                cursor: cursor || null
+            });
+            return res.json(page);
+        }
+
+        const { action, pair_id, primary_id, secondary_id } = req.body;
+
+        if (action === 'scan') {
+            const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_settings');
+            const jobId = await jobs.createJob(orgDb, 'scan_duplicates', {}, userId);
+            return res.status(202).json({ job_id: jobId, status: 'queued' });
+        }
+
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_candidates');
+
+        if (action === 'dismiss') {
+            if (!pair_id) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+            await candidateDedupe.dismissPair(orgDb, pair_id, userId);
+            return res.json({ success: true, pair_id, status: 'dismissed' });
+        }
+
+        if (action === 'merge') {
+            if (!primary_id || !secondary_id) {
+                return res.status(400).json({ error: 'Missing required fields' });
+            }
+            const result = await candidateDedupe.mergeCandidates(orgDb, primary_id, secondary_id, { userId });
+            return res.json({ success: true, ...result });
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use merge, dismiss or scan' });
+
+    } catch (error) {
+        console.error('Error managing duplicates:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 17. Search the CV database: ranked full-text query, facet filters and counts, pagination
+exports.searchCandidates = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { orgDb } = await authorizeOrg(req, 'view_candidates');
+
+        const params = cvSearch.parseSearchParams(req.query);
+        const index = await cvSearch.loadSearchIndex(orgDb);
+        const { total, results, facets } = index.search(params.tree, params);
+
+        // Return the current records for the page rather than the indexed copy
+        const docs = results.length > 0
+            ? await orgDb.getAll(...results.map(result => orgDb.collection('cv_database').doc(result.id)))
+            : [];
+        const candidates = docs
+            .map((doc, i) => doc.exists ? { id: doc.id, ...exporters.toPlain(doc.data()), search_score: results[i].score } : null)
+            .filter(Boolean);
+
+        const monthStart = new Date();
+        monthStart.setUTCDate(1);
+        monthStart.setUTCHours(0, 0, 0, 0);
+
+        res.json({
+            candidates,
+            total,
+            page: params.page,
+            limit: params.limit,
+            sort: params.sort,
+            facets,
+            stats: index.stats({ since: monthStart.getTime() })
+        });
+
+    } catch (error) {
+        console.error('Error searching candidates:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 18. Best candidates for a position: CV records and demob profiles ranked by
+// embedding similarity blended with the structured match score
+exports.rankCandidatesForPosition = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { orgDb } = await authorizeOrg(req, 'manage_matches');
+        const { project_id, position_id } = req.query;
+
+        if (!project_id || !position_id) {
+            return res.status(400).json({ error: 'project_id and position_id are required' });
+        }
+
+        const options = candidateRanking.parseRankingOptions(req.query);
+        const indexId = matching.positionIndexId(project_id, position_id);
+        const positionDoc = await orgDb.collection(matching.POSITION_INDEX).doc(indexId).get();
+        if (!positionDoc.exists || positionDoc.data().status !== 'open') {
+            return res.status(404).json({ error: 'Open position not found' });
+        }
+
+        const position = { index_id: indexId, ...positionDoc.data() };
+        const ranking = await candidateRanking.rankCandidatesForPosition(orgDb, position, options);
+
+        res.json({
+            project_id,
+            position_id,
+            position_title: position.title,
+            ...ranking
+        });
+
+    } catch (error) {
+        console.error('Error ranking candidates:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 19. Get or edit retention policies, preview what they purge, or run a purge now
+exports.manageRetention = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_settings');
+
+        if (req.method === 'GET') {
+            const policies = await retention.loadPolicies(orgDb);
+            return res.json({
+                policies: policies.map(({ target, collection, date_field, max_age_days, enabled, source, updated_by }) =>
+                    ({ target, collection, date_field, max_age_days, enabled, source, updated_by })),
+                purge_preview: await retention.previewPurge(orgDb, policies)
+            });
+        }
+
+        const { action, target } = req.body;
+
+        if (action === 'update') {
+            const policy = await retention.savePolicy(orgDb, target, req.body, userId);
+            return res.json({ success: true, target, ...policy });
+        }
+
+        if (action === 'purge') {
+            const jobId = await jobs.createJob(orgDb, 'retention_purge', {}, userId);
+            return res.status(202).json({ job_id: jobId, status: 'queued' });
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use update or purge' });
+
+    } catch (error) {
+        console.error('Error managing retention:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 20. Data subject requests: export, erase or record consent for everything
+// held about one email address and/or employee id (admin only)
+exports.dataSubjectRequest = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_users');
+
+        if (req.method === 'GET') {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            return res.json({ receipts: await dataSubjects.listReceipts(orgDb, { limit }) });
+        }
+
+        const { action, consent } = req.body;
+        if (!dataSubjects.REQUEST_ACTIONS.includes(action)) {
+            return res.status(400).json({ error: `Invalid action. Valid actions: ${dataSubjects.REQUEST_ACTIONS.join(', ')}` });
+        }
+
+        const subject = dataSubjects.parseSubject(req.body);
+        let result;
+        if (action === 'export') {
+            result = await dataSubjects.exportSubjectData(orgDb, subject, userId);
+        } else if (action === 'erase') {
+            result = await dataSubjects.eraseSubjectData(orgDb, subject, userId);
+            // Erased CVs must drop out of this instance's search index too
+            cvSearch.clearSearchIndexCache();
+            embeddings.clearVectorCache();
+        } else {
+            result = await dataSubjects.recordConsent(orgDb, subject, consent, userId);
+        }
+
+        res.json({ action, ...result });
+
+    } catch (error) {
+        console.error('Error handling data subject request:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 21. List the caller's notifications or mark them read
+exports.manageNotifications = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req);
+
+        if (req.method === 'GET') {
+            const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+            const items = await notifications.listNotifications(orgDb, userId, {
+                unreadOnly: req.query.unread === 'true',
+                limit
+            });
+            return res.json({ notifications: items });
+        }
+
+        const { action, notification_ids } = req.body;
+        if (action !== 'mark_read') {
+            return res.status(400).json({ error: 'Invalid action. Use mark_read' });
+        }
+        if (!Array.isArray(notification_ids) || notification_ids.length === 0 || notification_ids.length > 100) {
+            return res.status(400).json({ error: 'notification_ids must be an array of 1 to 100 ids' });
+        }
+
+        const updated = await notifications.markRead(orgDb, userId, notification_ids);
+        res.json({ success: true, updated });
+
+    } catch (error) {
+        console.error('Error managing notifications:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 22. Run the demob date sweep now (it also runs daily)
+exports.runDemobSweep = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_matches');
+        const runDate = req.body?.run_date || demobAlerts.toDateString(new Date());
+
+        if (demobProfiles.normalizeDate(runDate) !== runDate) {
+            return res.status(400).json({ error: 'run_date must be a YYYY-MM-DD date' });
+        }
+
+        const jobId = await jobs.createJob(orgDb, 'demob_sweep', { run_date: runDate }, userId);
+        res.status(202).json({ job_id: jobId, status: 'queued', run_date: runDate });
+
+    } catch (error) {
+        console.error('Error starting demob sweep:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 23. List the organization's positions, or create, update and close positions
+exports.managePositions = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const { orgDb } = await authorizeOrg(req, 'view_candidates');
+            const { project_id, status } = req.query;
+            if (status && !positions.POSITION_STATUSES.includes(status)) {
+                return res.status(400).json({ error: `status must be one of: ${positions.POSITION_STATUSES.join(', ')}` });
+            }
+            const list = await positions.listPositions(orgDb, { projectId: project_id || null, status: status || null });
+            return res.json({ positions: list, count: list.length });
+        }
+
+        const caller = await authorizeOrg(req, 'edit_candidates');
+        const { orgDb } = caller;
+        const { action, project_id, position_id, position, status, reason } = req.body;
+
+        if (action === 'create') {
+            const { position: validated, errors } = positions.validatePosition(position);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors[0], errors });
+            }
+            const created = await positions.createPosition(orgDb, caller, {
+                projectId: project_id,
+                position: validated,
+                status: status || 'open'
+            });
+            return res.status(201).json({ success: true, ...created });
+        }
+
+        if (action === 'update' || action === 'close') {
+            const { position: changes, errors } = positions.validatePosition(position || {}, { partial: true });
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors[0], errors });
+            }
+            const updated = await positions.updatePosition(orgDb, caller, {
+                projectId: project_id,
+                positionId: position_id,
+                changes,
+                status: action === 'close' ? 'closed' : (status || null),
+                reason
+            });
+            return res.json({ success: true, ...updated });
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use create, update or close' });
+
+    } catch (error) {
+        console.error('Error managing positions:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 24. Get the caller's organization and its members, create an organization,
+// or rename it, invite members and remove them (admin only)
+exports.manageOrganization = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const caller = await auth.authorize(db, req);
+            const organizationId = caller.user?.organization_id;
+            if (!organizationId) {
+                return res.json({ organization: null, members: [], invites: [] });
+            }
+            const [organization, members, invites] = await Promise.all([
+                organizations.loadOrganization(db, organizationId),
+                organizations.listMembers(db, organizationId),
+                caller.permissions.manage_users ? organizations.listInvites(db, organizationId) : []
+            ]);
+            return res.json({ organization, members, invites });
+        }
+
+        const { action, name, email, role, user_id } = req.body;
+
+        if (action === 'create') {
+            const caller = await auth.authorize(db, req);
+            const organizationId = await organizations.createOrganization(db, caller, name);
+            return res.status(201).json({
+                success: true,
+                organization: await organizations.loadOrganization(db, organizationId),
+                role: 'admin',
+                permissions: auth.permissionsFor('admin')
+            });
+        }
+
+        if (action === 'rename') {
+            const { orgDb } = await authorizeOrg(req, 'manage_settings');
+            const renamed = await organizations.renameOrganization(db, orgDb.organizationId, name);
+            return res.json({ success: true, name: renamed });
+        }
+
+        if (action === 'invite') {
+            const caller = await authorizeOrg(req, 'manage_users');
+            const invite = await organizations.inviteMember(db, caller, { email, role });
+            return res.status(201).json({ success: true, ...invite });
+        }
+
+        if (action === 'remove_member') {
+            const caller = await authorizeOrg(req, 'manage_users');
+            if (!user_id) {
+                return res.status(400).json({ error: 'Missing user_id' });
+            }
+            await organizations.removeMember(db, caller, user_id);
+            return res.json({ success: true, user_id });
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use create, rename, invite or remove_member' });
+
+    } catch (error) {
+        console.error('Error managing organization:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 25. Outreach sequences: list or save a project's sequences, see a
+// candidate's message history, enroll candidates, stop sequences, draft a
+// personalized email with the server's LLM provider and record replies or
+// LinkedIn messages sent by hand
+exports.manageOutreach = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const { orgDb } = await authorizeOrg(req, 'view_candidates');
+            const { project_id, candidate_id } = req.query;
+            if (!project_id) {
+                return res.status(400).json({ error: 'Missing project_id' });
+            }
+            if (candidate_id) {
+                return res.json(await outreach.listHistory(orgDb, project_id, candidate_id));
+            }
+            return res.json({
+                sequences: await outreach.listSequences(orgDb, project_id),
+                default_steps: outreach.DEFAULT_STEPS
+            });
+        }
+
+        const caller = await authorizeOrg(req, 'edit_candidates');
+        const { orgDb, uid: userId } = caller;
+        const { action, project_id, candidate_id, sequence_id, sequence, is_default, first_message, sender_name, role, message_id, email_type } = req.body;
+
+        if (action === 'save_sequence') {
+            const { sequence: validated, errors } = outreach.validateSequence(sequence);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors[0], errors });
+            }
+            const saved = await outreach.saveSequence(orgDb, userId, {
+                projectId: project_id,
+                sequenceId: sequence_id || null,
+                sequence: validated,
+                isDefault: Boolean(is_default)
+            });
+            return res.status(sequence_id ? 200 : 201).json({ success: true, ...saved });
+        }
+
+        if (action === 'enroll') {
+            const enrolled = await outreach.enroll(orgDb, caller, {
+                projectId: project_id,
+                candidateId: candidate_id,
+                sequenceId: sequence_id || null,
+                firstMessage: first_message || null,
+                senderName: sender_name,
+                role
+            });
+            return res.status(201).json({ success: true, ...enrolled });
+        }
+
+        if (action === 'stop') {
+            if (!project_id || !candidate_id) {
+                return res.status(400).json({ error: 'Missing project_id or candidate_id' });
+            }
+            const stopped = await outreach.stopEnrollment(orgDb, { projectId: project_id, candidateId: candidate_id, userId });
+            if (!stopped) {
+                return res.status(404).json({ error: 'No active sequence for this candidate' });
+            }
+            return res.json({ success: true, status: stopped });
+        }
+
+        if (action === 'record_reply') {
+            const recorded = await outreach.recordReply(orgDb, userId, {
+                messageId: message_id || null,
+                projectId: project_id,
+                candidateId: candidate_id
+            });
+            return res.json({ success: true, ...recorded });
+        }
+
+        if (action === 'draft_email') {
+            const draft = await emailDrafts.draftEmail(orgDb, {
+                projectId: project_id,
+                candidateId: candidate_id,
+                emailType: email_type || 'initial',
+                recruiterName: sender_name || null
+            });
+            return res.json({ success: true, ...draft });
+        }
+
+        if (action === 'mark_sent') {
+            if (!message_id) {
+                return res.status(400).json({ error: 'Missing message_id' });
+            }
+            return res.json({ success: true, ...await outreach.markSent(orgDb, userId, message_id) });
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use save_sequence, enroll, stop, record_reply, draft_email or mark_sent' });
+
+    } catch (error) {
+        console.error('Error managing outreach:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 26. Inbound mail webhook: the mail provider (or a local test script) posts
+// replies and bounces for outreach messages, identified by the Message-IDs
+// they quote. Authenticated with the OUTREACH_INBOUND_SECRET shared secret.
+exports.outreachInbound = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (!outreach.inboundSecretMatches(req.get('X-Outreach-Secret'), process.env.OUTREACH_INBOUND_SECRET)) {
+            return res.status(401).json({ error: 'Unauthorized' });
+        }
+        if (req.method !== 'POST') {
+            return res.status(405).json({ error: 'Method not allowed' });
+        }
+
+        const { event, in_reply_to, references } = req.body;
+        if (!['reply', 'bounce'].includes(event)) {
+            return res.status(400).json({ error: 'Invalid event. Use reply or bounce' });
+        }
+        const referenced = [in_reply_to, ...(Array.isArray(references) ? references : String(references || '').split(/\s+/))];
+
+        const messageDoc = await outreach.findInboundMessage(db, referenced);
+        if (!messageDoc) {
+            return res.status(404).json({ error: 'No outreach message matches this email' });
+        }
+
+        const orgDb = organizations.scopedDb(db, messageDoc.data().organization_id);
+        const recorded = await outreach.recordResponse(orgDb, messageDoc.ref, messageDoc.data(), event, { source: 'inbound' });
+        res.json({ success: true, ...recorded });
+
+    } catch (error) {
+        console.error('Error recording inbound outreach mail:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 27. Project knowledge: the excerpts most relevant to a candidate and/or
+// position for a prompt, with their sources (GET), or upload documents and
+// re-index a project's documents (POST)
+exports.manageKnowledge = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const { orgDb } = await authorizeOrg(req, 'view_candidates');
+            const { project_id, candidate_id, position_id, query } = req.query;
+            if (!project_id) {
+                return res.status(400).json({ error: 'Missing project_id' });
+            }
+
+            const [candidateDoc, positionDoc] = await Promise.all([
+                candidate_id ? orgDb.doc(`projects/${project_id}/candidates/${candidate_id}`).get() : null,
+                position_id ? positions.positionRef(orgDb, project_id, position_id).get() : null
+            ]);
+            if (candidate_id && !candidateDoc.exists) {
+                return res.status(404).json({ error: 'Candidate not found' });
+            }
+            if (position_id && !positionDoc.exists) {
+                return res.status(404).json({ error: 'Position not found' });
+            }
+
+            const limit = Math.min(parseInt(req.query.limit, 10) || 6, 20);
+            const maxChars = Math.min(parseInt(req.query.max_chars, 10) || 4000, 20000);
+            const result = await knowledge.buildContext(orgDb, {
+                projectId: project_id,
+                candidate: candidateDoc?.data() || null,
+                position: positionDoc?.data() || null,
+                query: query || null,
+                limit,
+                maxChars
+            });
+            return res.json(result);
+        }
+
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_candidates');
+        const { action, project_id, files } = req.body;
+        if (!project_id) {
+            return res.status(400).json({ error: 'Missing project_id' });
+        }
+        const projectDoc = await orgDb.doc(`projects/${project_id}`).get();
+        if (!projectDoc.exists) {
+            return res.status(404).json({ error: 'Project not found' });
+        }
+
+        if (action === 'upload') {
+            const staged = await cvPipeline.stageUploads(admin.storage().bucket(), files, userId, knowledge.UPLOAD_PREFIX);
+            const jobId = await jobs.createJob(orgDb, 'process_knowledge', { project_id, files: staged }, userId);
+            return res.status(202).json({ job_id: jobId, status: 'queued', file_count: staged.length });
+        }
+
+        if (action === 'reindex') {
+            const jobId = await jobs.createJob(orgDb, 'index_knowledge', { project_id }, userId);
+            return res.status(202).json({ job_id: jobId, status: 'queued' });
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use upload or reindex' });
+
+    } catch (error) {
+        console.error('Error managing knowledge:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 28. Hiring pipeline: a project's stages and rejection reasons, with
+// stage-conversion and time-in-stage metrics (GET), or edit the stages, move
+// a candidate to a stage and assign a candidate to a position (POST)
+exports.managePipeline = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        if (req.method === 'GET') {
+            const { orgDb } = await authorizeOrg(req, 'view_candidates');
+            const { project_id, metrics } = req.query;
+            if (!project_id) {
+                return res.status(400).json({ error: 'Missing project_id' });
+            }
+
+            const config = await pipeline.loadConfig(orgDb, project_id);
+            if (metrics !== 'true') {
+                return res.json({ config });
+            }
+            return res.json({ config, metrics: await pipeline.computeMetrics(orgDb, project_id) });
+        }
+
+        const { uid: userId, orgDb } = await authorizeOrg(req, 'edit_candidates');
+        const { action, project_id, candidate_id } = req.body;
+        if (!project_id) {
+            return res.status(400).json({ error: 'Missing project_id' });
+        }
+
+        if (action === 'save_config') {
+            const { config, errors } = pipeline.validateConfig(req.body.config);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors[0], errors });
+            }
+            return res.json({ config: await pipeline.saveConfig(orgDb, userId, project_id, config) });
+        }
+
+        if (action === 'move') {
+            const result = await pipeline.moveCandidate(orgDb, userId, {
+                projectId: project_id,
+                candidateId: candidate_id,
+                stage: req.body.stage,
+                reason: req.body.reason || null,
+                note: req.body.note || null
+            });
+            return res.json(result);
+        }
+
+        if (action === 'assign_position') {
+            if (!candidate_id) {
+                return res.status(400).json({ error: 'Missing candidate_id' });
+            }
+            const result = await pipeline.assignPosition(orgDb, {
+                projectId: project_id,
+                candidateId: candidate_id,
+                positionId: req.body.position_id || null
+            });
+            return res.json(result);
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use save_config, move or assign_position' });
+
+    } catch (error) {
+        console.error('Error managing pipeline:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 29. Interviews for a project candidate or a demob match: list them or get
+// one with its scorecards and .ics invite (GET), or create, book a slot,
+// reschedule, cancel, submit a scorecard and finalize (POST). Access depends
+// on the subject: candidate interviews need the candidate permissions, match
+// interviews the demob ones, and panel members can see and score their own.
+exports.manageInterviews = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const caller = await authorizeOrg(req);
+        const { orgDb } = caller;
+
+        if (req.method === 'GET') {
+            const { interview_id, project_id, candidate_id, match_id } = req.query;
+            if (interview_id) {
+                return res.json(await interviews.getInterview(orgDb, caller, interview_id));
+            }
+            const list = await interviews.listInterviews(orgDb, caller, {
+                projectId: project_id,
+                candidateId: candidate_id,
+                matchId: match_id
+            });
+            return res.json({ interviews: list });
+        }
+
+        const { action, interview_id } = req.body;
+
+        if (action === 'create') {
+            const { interview, errors } = interviews.validateInterview(req.body.interview);
+            if (errors.length > 0) {
+                return res.status(400).json({ error: errors[0], errors });
+            }
+            const result = await interviews.createInterview(orgDb, caller, {
+                projectId: req.body.project_id,
+                candidateId: req.body.candidate_id,
+                matchId: req.body.match_id,
+                positionId: req.body.position_id,
+                interview
+            });
+            return res.status(201).json(result);
+        }
+
+        if (action === 'schedule') {
+            const result = await interviews.scheduleInterview(orgDb, caller, interview_id, {
+                slotIndex: req.body.slot_index ?? null,
+                start: req.body.start || null
+            });
+            return res.json(result);
+        }
+
+        if (action === 'cancel') {
+            return res.json(await interviews.cancelInterview(orgDb, caller, interview_id, { reason: req.body.reason }));
+        }
+
+        if (action === 'submit_scorecard') {
+            const result = await interviews.submitScorecard(orgDb, caller, interview_id, {
+                interviewerKey: req.body.interviewer_key || null,
+                scorecard: req.body.scorecard
+            });
+            return res.json(result);
+        }
+
+        if (action === 'finalize') {
+            return res.json(await interviews.finalizeInterview(orgDb, caller, interview_id));
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use create, schedule, cancel, submit_scorecard or finalize' });
+
+    } catch (error) {
+        console.error('Error managing interviews:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 30. Must-have screening of a CV database record against open positions:
+// preview the results (screen), add the record to a project screened against
+// the project's positions (add_to_project), or screen a project candidate
+// again (rescreen). use_llm asks the LLM about criteria the rules can't decide.
+exports.screenCandidate = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { action, cv_id, project_id, candidate_id, use_llm } = req.body;
+        const { uid: userId, orgDb } = await authorizeOrg(req, action === 'screen' ? 'view_candidates' : 'edit_candidates');
+        const useLlm = use_llm === true;
+
+        if (action === 'screen') {
+            if (!cv_id) {
+                return res.status(400).json({ error: 'Missing cv_id' });
+            }
+            const recordDoc = await orgDb.collection('cv_database').doc(cv_id).get();
+            if (!recordDoc.exists) {
+                return res.status(404).json({ error: 'CV record not found' });
+            }
+            const result = await screening.screenRecord(orgDb, recordDoc.data(), { projectId: project_id || null, useLlm });
+            return res.json(result);
+        }
+
+        if (action === 'add_to_project') {
+            const result = await screening.addToProject(orgDb, userId, { cvId: cv_id, projectId: project_id, useLlm });
+            return res.status(201).json(result);
+        }
+
+        if (action === 'rescreen') {
+            if (!project_id || !candidate_id) {
+                return res.status(400).json({ error: 'Missing project_id or candidate_id' });
+            }
+            const result = await screening.rescreenCandidate(orgDb, { projectId: project_id, candidateId: candidate_id, useLlm });
+            return res.json(result);
+        }
+
+        res.status(400).json({ error: 'Invalid action. Use screen, add_to_project or rescreen' });
+
+    } catch (error) {
+        console.error('Error screening candidate:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// 31. Permanently delete a CV database record, or (all, admins only) queue a
+// job that deletes every record. Clients can't delete records directly; each
+// record's write trigger drops it from the search index.
+exports.deleteCandidate = functions.https.onRequest(async (req, res) => {
+    // Handle CORS
+    if (corsHandler(req, res)) return;
+
+    try {
+        const { cv_id, all } = req.body;
+        if (all === true) {
+            const { uid: userId, orgDb } = await authorizeOrg(req, 'manage_settings');
+            const jobId = await jobs.createJob(orgDb, 'clear_cv_database', {}, userId);
+            return res.status(202).json({ job_id: jobId, status: 'queued' });
+        }
+
+        const { orgDb } = await authorizeOrg(req, 'edit_candidates');
+        if (!cv_id) {
+            return res.status(400).json({ error: 'Missing cv_id' });
+        }
+
+        const ref = orgDb.collection('cv_database').doc(cv_id);
+        const doc = await ref.get();
+        if (!doc.exists) {
+            return res.status(404).json({ error: 'CV record not found' });
+        }
+        await ref.delete();
+        res.json({ success: true, cv_id });
+
+    } catch (error) {
+        console.error('Error deleting candidate:', error);
+        res.status(error.status || 500).json({ error: error.message });
+    }
+});
+
+// Helper function to write (or close) the index entry for a position
+async function syncPositionIndex(orgDb, projectId, positionId, position) {
+    const indexRef = orgDb.collection(matching.POSITION_INDEX).doc(matching.positionIndexId(projectId, positionId));
+    const positionMatches = orgDb.collection('demob_matches')
+        .where('project_id', '==', projectId)
+        .where('position_id', '==', positionId);
+
+    if (!position) {
+        await indexRef.set({
+            status: 'deleted',
+            last_indexed: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        await expireMatches(orgDb, positionMatches, 'position_deleted');
+        return;
+    }
+
+    const [projectDoc, taxonomy] = await Promise.all([
+        orgDb.collection('projects').doc(projectId).get(),
+        skillTaxonomy.loadTaxonomy(orgDb)
+    ]);
+
+    const entry = matching.buildPositionIndexEntry({
+        organizationId: orgDb.organizationId,
+        projectId,
+        project: projectDoc.data(),
+        positionId,
+        position,
+        taxonomy
+    });
+    await indexRef.set(entry);
+
+    if (entry.status !== 'open') {
+        await expireMatches(orgDb, positionMatches, 'position_closed');
+    }
+    return entry;
+}
+
+// Helper function to score every demobilizing profile against one position
+// index entry and save the high-scoring matches
+async function matchPosition(orgDb, indexEntry) {
+    const matches = [];
+    let cursor = null;
+    do {
+        const page = await matching.matchProfilePage(orgDb, [indexEntry], { cursor, minScore: 75 });
+        matches.push(...page.matches);
+        cursor = page.nextCursor;
+    } while (cursor);
+    
+    for (const match of matches) {
+        await saveMatchRecord(orgDb, match);
+        
+        if (match.match_score >= 85) {
+            console.log(`High match found: Employee ${match.employee_id} for position ${indexEntry.position_id} (Score: ${match.match_score})`);
+        }
+    }
+    return matches.length;
+}
+
+// Helper function to compute a profile's search fields, or null if they are already current
+function pendingSearchFields(profile, taxonomy) {
+    const fields = demobProfiles.buildSearchFields(profile, taxonomy);
+    const changed = Object.keys(fields).some(key =>
+        JSON.stringify(profile[key] ?? null) !== JSON.stringify(fields[key])
+    );
+    return changed ? fields : null;
+}
+
+// Background job handlers, keyed by job type
+const jobHandlers = {
+    // One page of demobilizing profiles per step against all open positions
+    match_all: async (job, orgDb) => {
+        const minScore = job.params.min_score || 75;
+        const positions = await matching.loadOpenPositions(orgDb, job.params.filters || {});
+        const total = job.progress.total ?? await matching.countDemobilizingProfiles(orgDb);
+
+        if (positions.length === 0) {
+            return { done: true, progress: { total }, result: { matches_saved: 0, positions_evaluated: 0 } };
+        }
+
+        const page = await matching.matchProfilePage(orgDb, positions, { cursor: job.cursor, minScore });
+        for (const match of page.matches) {
+            await saveMatchRecord(orgDb, match);
+        }
+
+        const saved = (job.result?.matches_saved || 0) + page.matches.length;
+        return {
+            done: !page.nextCursor,
+            cursor: page.nextCursor,
+            progress: { processed: job.progress.processed + page.processed, total },
+            result: { matches_saved: saved, positions_evaluated: positions.length }
+        };
+    },
+
+    // Re-match a list of profiles (e.g. after a bulk import), a slice per step
+    match_profiles: async (job, orgDb) => {
+        const sliceSize = 50;
+        const employeeIds = job.params.employee_ids || [];
+        const start = job.cursor || 0;
+        const end = Math.min(start + sliceSize, employeeIds.length);
+        
+        let matchesFound = 0;
+        for (const employeeId of employeeIds.slice(start, end)) {
+            const matches = await triggerMatching(orgDb, employeeId);
+            matchesFound += (matches || []).length;
+        }
+        
+        return {
+            done: end >= employeeIds.length,
+            cursor: end,
+            progress: { processed: end, total: employeeIds.length },
+            result: { matches_found: (job.result?.matches_found || 0) + matchesFound }
+        };
+    },
+
+    // Extract a few uploaded CVs per step; a bad file is recorded, not retried
+    process_cvs: async (job, orgDb) => {
+        const filesPerStep = 3;
+        const files = job.params.files || [];
+        const start = job.cursor || 0;
+        const end = Math.min(start + filesPerStep, files.length);
+        const bucket = admin.storage().bucket();
+        const result = {
+            created: 0,
+            updated: 0,
+            duplicates: 0,
+            needs_review: 0,
+            failed: 0,
+            candidate_ids: [],
+            review_ids: [],
+            errors: [],
+            ...job.result
+        };
+
+        for (let index = start; index < end; index++) {
+            const file = files[index];
+            try {
+                const [buffer] = await bucket.file(file.path).download();
+                const outcome = await cvPipeline.processCv(orgDb, {
+                    buffer,
+                    fileName: file.name,
+                    mimeType: file.type,
+                    fileSize: file.size,
+                    userId: job.created_by,
+                    onDuplicate: job.params.on_duplicate,
+                    consent: job.params.consent || null,
+                    projectId: job.params.project_id || null
+                });
+
+                if (outcome.status === 'duplicate') {
+                    result.duplicates++;
+                } else {
+                    result[outcome.status]++;
+                }
+                if (outcome.status === 'created' || outcome.status === 'updated') {
+                    result.candidate_ids.push(outcome.candidate_id);
+                }
+                // Stored-but-flagged records count as created and as needing review
+                if (outcome.review_id) {
+                    if (outcome.status === 'created') result.needs_review++;
+                    result.review_ids.push(outcome.review_id);
+                }
+            } catch (error) {
+                console.error(`CV processing failed for ${file.name}:`, error);
+                if (!cvPipeline.isPermanentFailure(error)) {
+                    // Keep the upload for the retry. Files this step already
+                    // finished are saved first so they aren't processed twice.
+                    if (index === start) throw error;
+                    return { done: false, cursor: index, progress: { processed: index, total: files.length }, result };
+                }
+                result.failed++;
+                result.errors.push({ file: file.name, error: error.message });
+            }
+
+            // The original upload isn't kept once it has been processed or can't ever be
+            await bucket.file(file.path).delete({ ignoreNotFound: true });
+        }
+
+        return {
+            done: end >= files.length,
+            cursor: end,
+            progress: { processed: end, total: files.length },
+            result
+        };
+    },
+
+    // Backfill the normalized search fields on existing demob profiles
+    reindex_demob_profiles: async (job, orgDb) => {
+        const pageSize = 300;
+        let query = orgDb.collection('demob_profiles')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(pageSize);
+        if (job.cursor) {
+            query = query.startAfter(job.cursor);
+        }
+
+        const [snapshot, taxonomy] = await Promise.all([query.get(), skillTaxonomy.loadTaxonomy(orgDb)]);
+        const batch = orgDb.batch();
+        let updated = 0;
+        snapshot.forEach(doc => {
+            const fields = pendingSearchFields(doc.data(), taxonomy);
+            if (fields) {
+                batch.update(doc.ref, fields);
+                updated++;
+            }
+        });
+        if (updated > 0) await batch.commit();
+
+        return {
+            done: snapshot.size < pageSize,
+            cursor: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1].id : null,
+            progress: { processed: job.progress.processed + snapshot.size },
+            result: { updated: (job.result?.updated || 0) + updated }
+        };
+    },
+
+    // Walk every positions subcollection and mirror it into the index
+    rebuild_position_index: async (job, orgDb) => {
+        const pageSize = 300;
+        let query = orgDb.collectionGroup('positions')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(pageSize);
+        if (job.cursor) {
+            query = query.startAfter(job.cursor);
+        }
+
+        const snapshot = await query.get();
+        for (const doc of snapshot.docs) {
+            // Path: organizations/{orgId}/projects/{projectId}/positions/{positionId}
+            const [, , , projectId] = doc.ref.path.split('/');
+            await syncPositionIndex(orgDb, projectId, doc.id, doc.data());
+        }
+
+        return {
+            done: snapshot.size < pageSize,
+            cursor: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1].ref.path : null,
+            progress: { processed: job.progress.processed + snapshot.size }
+        };
+    },
+
+    // Backfill dedupe keys and look for duplicates across the whole CV database
+    scan_duplicates: async (job, orgDb) => {
+        const pageSize = 100;
+        let query = orgDb.collection('cv_database')
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(pageSize);
+        if (job.cursor) {
+            query = query.startAfter(job.cursor);
+        }
+
+        const snapshot = await query.get();
+        let pairsFound = job.result?.pairs_found || 0;
+
+        for (const doc of snapshot.docs) {
+            const profile = doc.data().candidate_profile;
+            const dedupeKeys = candidateDedupe.buildDedupeKeys(profile);
+            if (JSON.stringify(dedupeKeys) !== JSON.stringify(doc.data().dedupe_keys || [])) {
+                await doc.ref.update({ dedupe_keys: dedupeKeys });
+            }
+            pairsFound += await candidateDedupe.detectDuplicates(orgDb, doc.id, profile);
+        }
+
+        return {
+            done: snapshot.size < pageSize,
+            cursor: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1].id : null,
+            progress: { processed: job.progress.processed + snapshot.size },
+            result: { pairs_found: pairsFound }
+        };
+    },
+
+    // Embed every CV record, demob profile and open position, one page of one
+    // collection per step. Unchanged documents are skipped by their text hash.
+    build_embeddings: async (job, orgDb) => {
+        const pageSize = 100;
+        const kinds = job.params.kinds || embeddings.EMBEDDING_KINDS;
+        const cursor = job.cursor || { kind: 0, after: null };
+        const kind = kinds[cursor.kind];
+
+        let query = orgDb.collection(embeddings.SOURCES[kind].collection)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(pageSize);
+        if (cursor.after) {
+            query = query.startAfter(cursor.after);
+        }
+
+        const snapshot = await query.get();
+        const embedded = await embeddings.syncEmbeddings(
+            orgDb,
+            embeddings.getEmbeddingProvider(),
+            kind,
+            snapshot.docs.map(doc => ({ id: doc.id, data: doc.data() }))
+        );
+
+        const kindDone = snapshot.size < pageSize;
+        const nextCursor = kindDone
+            ? { kind: cursor.kind + 1, after: null }
+            : { kind: cursor.kind, after: snapshot.docs[snapshot.size - 1].id };
+        embeddings.clearVectorCache();
+
+        return {
+            done: kindDone && nextCursor.kind >= kinds.length,
+            cursor: nextCursor,
+            progress: { processed: job.progress.processed + snapshot.size },
+            result: { embedded: (job.result?.embedded || 0) + embedded }
+        };
+    },
+
+    // Delete the CV database a chunk per step. Records are deleted as
+    // deleteCandidate deletes them, so each one still fires the record trigger.
+    clear_cv_database: async (job, orgDb) => {
+        const chunkSize = 400;
+        const snapshot = await orgDb.collection('cv_database').limit(chunkSize).get();
+        const batch = orgDb.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        if (!snapshot.empty) await batch.commit();
+
+        const deleted = (job.result?.deleted || 0) + snapshot.size;
+        return {
+            done: snapshot.size < chunkSize,
+            progress: { processed: deleted },
+            result: { deleted }
+        };
+    },
+
+    // Apply every retention policy, one chunk of one target per step
+    retention_purge: async (job, orgDb) => {
+        const policies = await retention.loadPolicies(orgDb);
+        const index = job.cursor || 0;
+        const policy = policies[index];
+        const { deleted, reasons, done } = await retention.purgeChunk(orgDb, policy);
+
+        const result = { deleted: 0, by_target: {}, ...job.result };
+        result.deleted += deleted;
+        const totals = result.by_target[policy.target] || {};
+        for (const [reason, count] of Object.entries(reasons)) {
+            totals[reason] = (totals[reason] || 0) + count;
+        }
+        result.by_target[policy.target] = totals;
+
+        const nextIndex = done ? index + 1 : index;
+        return {
+            done: nextIndex >= policies.length,
+            cursor: nextIndex,
+            progress: { processed: job.progress.processed + deleted },
+            result
+        };
+    },
+
+    // Flag employees approaching demob and re-match them a page per step,
+    // clear stale flags, then send the digest (see demobAlerts.js)
+    demob_sweep: async (job, orgDb) => {
+        const runDate = job.params.run_date;
+        const cursor = job.cursor || { phase: 'flag', after: null };
+        const result = { flagged: 0, escalated: 0, matches_found: 0, cleared: 0, ...job.result };
+
+        if (cursor.phase === 'flag') {
+            const page = await demobAlerts.flagPage(orgDb, { runDate, cursor: cursor.after, rematch: employeeId => triggerMatching(orgDb, employeeId) });
+            result.flagged += page.flagged;
+            result.escalated += page.escalated;
+            result.matches_found += page.matches_found;
+            return {
+                done: false,
+                cursor: page.nextCursor ? { phase: 'flag', after: page.nextCursor } : { phase: 'clear' },
+                progress: { processed: job.progress.processed + page.processed },
+                result
+            };
+        }
+
+        if (cursor.phase === 'clear') {
+            const { cleared, done } = await demobAlerts.clearStaleAlerts(orgDb, runDate);
+            result.cleared += cleared;
+            return { done: false, cursor: done ? { phase: 'digest' } : cursor, result };
+        }
+
+        result.digest = await demobAlerts.sendDigest(orgDb, runDate);
+        return { done: true, result };
+    },
+
+    // Aggregate demob profiles, then open positions, a page per step into the
+    // accumulator carried in the cursor, and save the day's analytics rollup
+    analytics_rollup: async (job, orgDb) => {
+        const asOf = job.params.as_of;
+        const cursor = job.cursor || { phase: 'profiles', after: null, page: 0 };
+        const taxonomy = await skillTaxonomy.loadTaxonomy(orgDb);
+
+        if (cursor.phase === 'merge') {
+            const rollup = await demobAnalytics.saveRollup(orgDb, job.id, taxonomy, asOf);
+            return { done: true, result: { as_of: asOf, totals: rollup.totals } };
+        }
+
+        // Each page's counts go to their own partial, so the cursor stays small
+        const acc = demobAnalytics.emptyAccumulator();
+        const page = await demobAnalytics.accumulatePage(orgDb, acc, { phase: cursor.phase, after: cursor.after, taxonomy, asOf });
+        await demobAnalytics.savePartial(orgDb, { asOf, runId: job.id, phase: cursor.phase, page: cursor.page }, acc);
+        const progress = { processed: job.progress.processed + page.processed };
+
+        if (page.after) {
+            return { done: false, cursor: { ...cursor, after: page.after, page: cursor.page + 1 }, progress };
+        }
+        const next = cursor.phase === 'profiles' ? { phase: 'positions', after: null, page: 0 } : { phase: 'merge' };
+        return { done: false, cursor: next, progress };
+    },
+
+    // Read uploaded knowledge documents whole, a file per step; the
+    // knowledge trigger chunks and indexes each one
+    process_knowledge: async (job, orgDb) => {
+        const files = job.params.files || [];
+        const index = job.cursor || 0;
+        const file = files[index];
+        const bucket = admin.storage().bucket();
+        const result = { created: 0, failed: 0, doc_ids: [], errors: [], ...job.result };
+
+        try {
+            const [buffer] = await bucket.file(file.path).download();
+            const created = await knowledge.processKnowledgeFile(orgDb, bucket, {
+                projectId: job.params.project_id,
+                buffer,
+                fileName: file.name,
+                mimeType: file.type,
+                fileSize: file.size,
+                userId: job.created_by
+            });
+            result.created++;
+            result.doc_ids.push(created.doc_id);
+        } catch (error) {
+            console.error(`Knowledge processing failed for ${file.name}:`, error);
+            result.failed++;
+            result.errors.push({ file: file.name, error: error.message });
+        }
+        await bucket.file(file.path).delete({ ignoreNotFound: true });
+
+        return {
+            done: index + 1 >= files.length,
+            cursor: index + 1,
+            progress: { processed: index + 1, total: files.length },
+            result
+        };
+    },
+
+    // Re-index a project's knowledge documents (e.g. after the embedding
+    // model changes), a few documents per step
+    index_knowledge: async (job, orgDb) => {
+        const pageSize = 5;
+        const projectId = job.params.project_id;
+        let query = orgDb.collection(`projects/${projectId}/knowledge`)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .limit(pageSize);
+        if (job.cursor) query = query.startAfter(job.cursor);
+
+        const snapshot = await query.get();
+        const result = { indexed: 0, unchanged: 0, ...job.result };
+        for (const doc of snapshot.docs) {
+            const outcome = await knowledge.syncDocument(orgDb, admin.storage().bucket(), projectId, doc.id, doc.data());
+            result[outcome]++;
+        }
+
+        return {
+            done: snapshot.size < pageSize,
+            cursor: snapshot.size > 0 ? snapshot.docs[snapshot.size - 1].id : job.cursor,
+            progress: { processed: job.progress.processed + snapshot.size },
+            result
+        };
+    },
+
+    // Send the outreach steps that have fallen due, a page per step
+    outreach_send: async (job, orgDb) => {
+        const page = await outreach.processDue(orgDb, { now: Date.parse(job.params.as_of) || Date.now(), cursor: job.cursor });
+        const result = { sent: 0, waiting: 0, failed: 0, stopped: 0, completed: 0, ...job.result };
+        for (const key of Object.keys(result)) {
+            result[key] += page[key] || 0;
+        }
+        return {
+            done: page.done,
+            cursor: page.cursor,
+            progress: { processed: job.progress.processed + page.processed },
+            result
+        };
+    }
+};
+
+// Run when a job fails for good, keyed by job type
+const jobFailureCleanups = {
+    // The CVs a failed upload job never processed are personal data with no
+    // record pointing at them, so they aren't kept
+    process_cvs: async (job) => {
+        const deleted = await cvPipeline.deleteUploads(admin.storage().bucket(), job.params.files);
+        console.warn(`Deleted ${deleted} staged upload(s) of failed job ${job.id}`);
+    },
+
+    analytics_rollup: async (job, orgDb) => {
+        await demobAnalytics.deletePartials(orgDb, job.params.as_of, job.id);
+    }
+};
+
+// Triggers for automatic matching
+exports.onNewPosition = functions.firestore
+    .document('organizations/{orgId}/projects/{projectId}/positions/{positionId}')
+    .onCreate(async (snap, context) => {
+        const position = snap.data();
+        const { orgId, projectId, positionId } = context.params;
+        const orgDb = organizations.scopedDb(db, orgId);
+        
+        console.log(`New position added: ${position.title} in project ${projectId}`);
+        
+        if ((position.status || 'open') !== 'open') return;
+        
+        // Get project details
+        const [projectDoc, taxonomy] = await Promise.all([
+            orgDb.collection('projects').doc(projectId).get(),
+            skillTaxonomy.loadTaxonomy(orgDb)
+        ]);
+        
+        const indexEntry = matching.buildPositionIndexEntry({
+            organizationId: orgId,
+            projectId,
+            project: projectDoc.data(),
+            positionId,
+            position,
+            taxonomy
+        });
+        
+        await matchPosition(orgDb, indexEntry);
+    });
+
+// Keep the open position index in sync with project positions
+exports.onPositionWrite = functions.firestore
+    .document('organizations/{orgId}/projects/{projectId}/positions/{positionId}')
+    .onWrite(async (change, context) => {
+        const { orgId, projectId, positionId } = context.params;
+        const orgDb = organizations.scopedDb(db, orgId);
+        const entry = await syncPositionIndex(orgDb, projectId, positionId, change.after.exists ? change.after.data() : null);
+
+        // Reopened (or resumed) positions are matched again; new ones are matched by onNewPosition
+        const wasOpen = (change.before.data()?.status || 'open') === 'open';
+        if (change.before.exists && !wasOpen && entry?.status === 'open') {
+            await matchPosition(orgDb, entry);
+        }
+    });
+
+exports.onDemobProfileUpdate = functions.firestore
+    .document('organizations/{orgId}/demob_profiles/{employeeId}')
+    .onUpdate(async (change, context) => {
+        const employeeId = context.params.employeeId;
+        const orgDb = organizations.scopedDb(db, context.params.orgId);
+        const newData = change.after.data();
+        const oldData = change.before.data();
+        
+        // Profiles that stop demobilizing no longer need placing
+        if (newData.current_status !== matching.DEMOBILIZING_STATUS) {
+            if (oldData.current_status === matching.DEMOBILIZING_STATUS) {
+                const expired = await expireMatches(
+                    orgDb,
+                    orgDb.collection('demob_matches').where('employee_id', '==', employeeId),
+                    'profile_not_demobilizing'
+                );
+                console.log(`Demob profile ${employeeId} is now ${newData.current_status}, expired ${expired} matches`);
+            }
+            return;
+        }
+        
+        // Check if relevant fields changed
+        const relevantFieldsChanged = 
+            oldData.current_status !== matching.DEMOBILIZING_STATUS ||
+            newData.demob_date !== oldData.demob_date ||
+            JSON.stringify(newData.skill_inventory) !== JSON.stringify(oldData.skill_inventory) ||
+            JSON.stringify(newData.mobility_preferences) !== JSON.stringify(oldData.mobility_preferences);
+            
+        if (relevantFieldsChanged) {
+            console.log(`Demob profile updated: ${employeeId}, triggering re-matching`);
+            await triggerMatching(orgDb, employeeId);
+        }
+    });
+
+// Keep the normalized fields getDemobProfiles filters and sorts on up to date
+exports.onDemobProfileIndex = functions.firestore
+    .document('organizations/{orgId}/demob_profiles/{employeeId}')
+    .onWrite(async (change, context) => {
+        if (!change.after.exists) return;
+
+        const taxonomy = await skillTaxonomy.loadTaxonomy(organizations.scopedDb(db, context.params.orgId));
+        const fields = pendingSearchFields(change.after.data(), taxonomy);
+
+        // Skip the write when nothing changed so the trigger doesn't loop
+        if (fields) {
+            await change.after.ref.update(fields);
+        }
+    });
+
+// Normalize CV database skills against the taxonomy for indexed skill search,
+// keep dedupe keys current and look for duplicates of changed profiles.
+// Deleted records leave a tombstone for the cached search indexes.
+exports.onCVRecordWrite = functions.firestore
+    .document('organizations/{orgId}/cv_database/{candidateId}')
+    .onWrite(async (change, context) => {
+        const orgDb = organizations.scopedDb(db, context.params.orgId);
+        if (!change.after.exists) {
+            await cvSearch.recordDeletion(orgDb, context.params.candidateId);
+            return;
+        }
+
+        const record = change.after.data();
+        const technicalSkills = record.candidate_profile?.skills?.technical_skills || [];
+        const taxonomy = await skillTaxonomy.loadTaxonomy(orgDb);
+
+        // A new or changed profile may duplicate another record
+        const before = change.before.exists ? change.before.data().candidate_profile : null;
+        if (JSON.stringify(before) !== JSON.stringify(record.candidate_profile)) {
+            await candidateDedupe.detectDuplicates(orgDb, context.params.candidateId, record.candidate_profile);
+        }
+
+        const skillKeys = taxonomy.expandKeys(technicalSkills);
+        const canonicalSkills = [...new Set(taxonomy.resolveAll(technicalSkills).map(skill => skill.name))];
+        const dedupeKeys = candidateDedupe.buildDedupeKeys(record.candidate_profile);
+
+        // Skip our own write so the trigger doesn't loop
+        if (JSON.stringify(skillKeys) === JSON.stringify(record.skill_keys || []) &&
+            JSON.stringify(canonicalSkills) === JSON.stringify(record.canonical_skills || []) &&
+            JSON.stringify(dedupeKeys) === JSON.stringify(record.dedupe_keys || [])) {
+            return;
+        }
+
+        const searchIndex = new Set(record.search_index || []);
+        canonicalSkills.forEach(skill => searchIndex.add(skill.toLowerCase()));
+
+        await change.after.ref.update({
+            skill_keys: skillKeys,
+            canonical_skills: canonicalSkills,
+            dedupe_keys: dedupeKeys,
+            search_index: [...searchIndex]
+        });
+    });
+
+// Keep embeddings current for the documents candidates are ranked on. Each
+// trigger only re-embeds when the embedded text changed.
+exports.onCVRecordEmbed = functions.firestore
+    .document('organizations/{orgId}/cv_database/{candidateId}')
+    .onWrite(async (change, context) => {
+        await embeddings.syncEmbedding(organizations.scopedDb(db, context.params.orgId), 'cv', context.params.candidateId, change.after.exists ? change.after.data() : null);
+    });
+
+exports.onDemobProfileEmbed = functions.firestore
+    .document('organizations/{orgId}/demob_profiles/{employeeId}')
+    .onWrite(async (change, context) => {
+        await embeddings.syncEmbedding(organizations.scopedDb(db, context.params.orgId), 'demob', context.params.employeeId, change.after.exists ? change.after.data() : null);
+    });
+
+exports.onOpenPositionEmbed = functions.firestore
+    .document(`organizations/{orgId}/${matching.POSITION_INDEX}/{indexId}`)
+    .onWrite(async (change, context) => {
+        await embeddings.syncEmbedding(organizations.scopedDb(db, context.params.orgId), 'position', context.params.indexId, change.after.exists ? change.after.data() : null);
+    });
+
+// Chunk and index knowledge documents as they are added or changed, and drop
+// the chunks of deleted ones
+exports.onKnowledgeWrite = functions
+    .runWith({ timeoutSeconds: 300, memory: '1GB' })
+    .firestore
+    .document('organizations/{orgId}/projects/{projectId}/knowledge/{docId}')
+    .onWrite(async (change, context) => {
+        const { orgId, projectId, docId } = context.params;
+        const data = change.after.exists ? change.after.data() : null;
+        const bucket = admin.storage().bucket();
+        const outcome = await knowledge.syncDocument(organizations.scopedDb(db, orgId), bucket, projectId, docId, data);
+
+        if (outcome === 'removed' && change.before.data()?.text_path) {
+            await bucket.file(change.before.data().text_path).delete({ ignoreNotFound: true });
+        }
+    });
+
+// New project candidates start in the first pipeline stage
+exports.onProjectCandidateCreate = functions.firestore
+    .document('organizations/{orgId}/projects/{projectId}/candidates/{candidateId}')
+    .onCreate(async (snap, context) => {
+        const { orgId, projectId, candidateId } = context.params;
+        await pipeline.initializeCandidate(organizations.scopedDb(db, orgId), projectId, candidateId, snap.data());
+    });
+
+// Outreach sequences stop when a candidate's interest status changes
+exports.onCandidateInterestChange = functions.firestore
+    .document('organizations/{orgId}/projects/{projectId}/candidates/{candidateId}')
+    .onUpdate(async (change, context) => {
+        const before = change.before.data().interestStatus || null;
+        const after = change.after.data().interestStatus || null;
+        if (before === after) return;
+
+        const { orgId, projectId, candidateId } = context.params;
+        const stopped = await outreach.stopEnrollment(organizations.scopedDb(db, orgId), {
+            projectId,
+            candidateId,
+            reason: 'interest_status_changed'
+        });
+        if (stopped) {
+            console.log(`Stopped outreach to ${candidateId} in ${projectId}: interest status ${before} -> ${after}`);
+        }
+    });
+
+// Helper function to queue one job of a type in every organization
+async function queueForEachOrganization(type, params) {
+    const organizationIds = await organizations.listOrganizationIds(db);
+    const jobIds = [];
+    for (const organizationId of organizationIds) {
+        jobIds.push(await jobs.createJob(organizations.scopedDb(db, organizationId), type, params));
+    }
+    return jobIds;
+}
+
+// Queue a retention purge for every organization every night
+exports.scheduledRetentionPurge = functions.pubsub
+    .schedule('every day 02:00')
+    .onRun(async () => {
+        const jobIds = await queueForEachOrganization('retention_purge', { scheduled: true });
+        console.log(`Queued ${jobIds.length} retention purge jobs`);
+    });
+
+// Build each organization's demob analytics rollup for the day every night
+exports.scheduledAnalyticsRollup = functions.pubsub
+    .schedule('every day 01:00')
+    .onRun(async () => {
+        const asOf = demobAlerts.toDateString(new Date());
+        const jobIds = await queueForEachOrganization('analytics_rollup', { as_of: asOf, scheduled: true });
+        console.log(`Queued ${jobIds.length} analytics rollup jobs for ${asOf}`);
+    });
+
+// Flag approaching demob dates, re-match and send the digest every morning
+exports.scheduledDemobSweep = functions.pubsub
+    .schedule('every day 06:00')
+    .onRun(async () => {
+        const runDate = demobAlerts.toDateString(new Date());
+        const jobIds = await queueForEachOrganization('demob_sweep', { run_date: runDate, scheduled: true });
+        console.log(`Queued ${jobIds.length} demob sweep jobs for ${runDate}`);
+    });
+
+// Send due outreach follow-ups every hour
+exports.scheduledOutreach = functions.pubsub
+    .schedule('every 60 minutes')
+    .onRun(async () => {
+        const jobIds = await queueForEachOrganization('outreach_send', { as_of: new Date().toISOString(), scheduled: true });
+        console.log(`Queued ${jobIds.length} outreach send jobs`);
+    });
+
+// Requeue jobs whose step was killed by a timeout or a crash
+exports.scheduledJobRecovery = functions.pubsub
+    .schedule('every 15 minutes')
+    .onRun(async () => {
+        const organizationIds = await organizations.listOrganizationIds(db);
+        let recovered = 0;
+        for (const organizationId of organizationIds) {
+            recovered += await jobs.requeueStaleJobs(organizations.scopedDb(db, organizationId));
+        }
+        console.log(`Requeued ${recovered} stalled jobs`);
+    });
+
+// Process one step of a background job each time it is (re-)queued
+exports.processJob = functions
+    .runWith({ timeoutSeconds: 540, memory: '1GB' })
+    .firestore
+    .document('organizations/{orgId}/jobs/{jobId}')
+    .onWrite(async (change, context) => {
+        const orgDb = organizations.scopedDb(db, context.params.orgId);
+        if (change.after.exists && change.after.data().status === 'failed') {
+            await jobs.cleanUpFailedJob(orgDb, change, jobFailureCleanups);
+            return;
         }
+        if (!change.after.exists || change.after.data().status !== 'queued') return;
+        await jobs.runJobStep(orgDb, change.after.ref, jobHandlers);
     });
@@ -0,0 +1,831 @@
+// Interviews
+//
+// An interview belongs to either a project candidate (subject_type
+// `candidate`) or a demob match (`match`). It has a panel of interviewers,
+// either organization members or outside people by name and email, one or
+// more proposed slots and a time zone. Slot times without an offset are
+// wall-clock times in that time zone.
+//
+//   proposed  - several slots offered; a recruiter picks one
+//   scheduled - a slot is fixed and iCalendar invites have gone out
+//   completed - scorecards are in and the recommendation has been applied
+//   cancelled - a cancellation went out to everyone invited
+//
+// Rescheduling re-sends the invite with the same UID and a higher SEQUENCE,
+// so calendars move the event rather than adding a second one. Without a
+// mail transport (see notifications.js) the booking still stands, but every
+// invite is recorded as failed, never as sent.
+//
+// Each panel member fills in one scorecard in interviews/{id}/scorecards,
+// rating the position's required skills from 1 (does not meet) to 4
+// (exceeds) and giving an overall recommendation. Once every panel member
+// has submitted (or a recruiter finalizes early), the average
+// recommendation decides the outcome: advance, hold or reject. Advancing
+// moves a candidate to the pipeline stage after `interview` and a match
+// back to In Progress; rejecting rejects them. Hold changes nothing.
+
+const admin = require('firebase-admin');
+const pipeline = require('./pipeline');
+const matchWorkflow = require('./matchWorkflow');
+const positions = require('./positions');
+const notifications = require('./notifications');
+const { HttpError } = require('./errors');
+
+const INTERVIEW_COLLECTION = 'interviews';
+const SCORECARD_COLLECTION = 'scorecards';
+const SUBJECT_TYPES = ['candidate', 'match'];
+const INTERVIEW_STATUSES = ['proposed', 'scheduled', 'completed', 'cancelled'];
+const RECOMMENDATIONS = { strong_no: 1, no: 2, yes: 3, strong_yes: 4 };
+const RATING_MIN = 1;
+const RATING_MAX = 4;
+const ADVANCE_THRESHOLD = 3;
+const REJECT_THRESHOLD = 2.5;
+const INTERVIEW_STAGE = 'interview';
+const REJECTION_REASON = 'Failed interview';
+const MAX_PANEL = 10;
+const MAX_SLOTS = 10;
+const MAX_SKILLS = 20;
+const MIN_DURATION = 15;
+const MAX_DURATION = 480;
+const MAX_NOTES_LENGTH = 2000;
+const UID_DOMAIN = process.env.INTERVIEW_UID_DOMAIN || process.env.OUTREACH_MESSAGE_DOMAIN || 'recruitpro.local';
+const ORGANIZER_EMAIL = process.env.INTERVIEW_ORGANIZER_EMAIL || `no-reply@${UID_DOMAIN}`;
+const MINUTE_MS = 1000 * 60;
+
+// Permission needed to see or change an interview, by subject
+const PERMISSIONS = {
+    candidate: { view: 'view_candidates', edit: 'edit_candidates' },
+    match: { view: 'view_demob', edit: 'manage_matches' }
+};
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return Boolean(timeZone);
+    } catch (error) {
+        return false;
+    }
+}
+
+// Offset of a time zone from UTC at an instant, in milliseconds
+function zoneOffset(millis, timeZone) {
+    const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(new Date(millis)).map(part => [part.type, part.value]));
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(millis / 1000) * 1000;
+}
+
+// Helper function to turn a slot time into epoch milliseconds. Times with Z
+// or an offset are absolute; others are wall-clock times in `timeZone`.
+function slotToMillis(value, timeZone) {
+    const text = String(value || '').trim();
+    if (/(Z|[+-]\d{2}:?\d{2})$/.test(text)) {
+        const millis = Date.parse(text);
+        return Number.isNaN(millis) ? null : millis;
+    }
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+    if (!match) return null;
+    const [, year, month, day, hour, minute, second = '0'] = match;
+    const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+    // Guess with the offset at the wall-clock time, then correct once for DST edges
+    let millis = wallClock - zoneOffset(wallClock, timeZone);
+    millis = wallClock - zoneOffset(millis, timeZone);
+    return millis;
+}
+
+function formatInZone(millis, timeZone) {
+    return new Intl.DateTimeFormat('en-GB', {
+        timeZone,
+        dateStyle: 'full',
+        timeStyle: 'short'
+    }).format(new Date(millis)) + ` (${timeZone})`;
+}
+
+function cleanText(value, maxLength) {
+    const text = String(value || '').trim();
+    return text ? text.slice(0, maxLength) : null;
+}
+
+// Helper function to validate an interview request. Returns { interview, errors }.
+function validateInterview(input) {
+    const errors = [];
+    const timeZone = String(input?.time_zone || 'UTC').trim();
+    if (!isValidTimeZone(timeZone)) {
+        errors.push(`Unknown time_zone: ${timeZone}`);
+    }
+
+    const duration = Number(input?.duration_minutes ?? 60);
+    if (!Number.isInteger(duration) || duration < MIN_DURATION || duration > MAX_DURATION) {
+        errors.push(`duration_minutes must be a whole number between ${MIN_DURATION} and ${MAX_DURATION}`);
+    }
+
+    const panelInput = Array.isArray(input?.panel) ? input.panel : [];
+    if (panelInput.length === 0 || panelInput.length > MAX_PANEL) {
+        errors.push(`panel must have between 1 and ${MAX_PANEL} members`);
+    }
+    const panel = panelInput.slice(0, MAX_PANEL).map((member, index) => {
+        const userId = member?.user_id ? String(member.user_id) : null;
+        const email = member?.email ? String(member.email).trim().toLowerCase() : null;
+        if (!userId && !email) {
+            errors.push(`panel[${index}] needs a user_id or an email`);
+        } else if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            errors.push(`panel[${index}].email is not a valid email address`);
+        }
+        return { user_id: userId, email, name: cleanText(member?.name, 100) };
+    });
+
+    const slotsInput = Array.isArray(input?.slots) ? input.slots : [];
+    if (slotsInput.length === 0 || slotsInput.length > MAX_SLOTS) {
+        errors.push(`slots must have between 1 and ${MAX_SLOTS} entries`);
+    }
+    const slots = isValidTimeZone(timeZone)
+        ? slotsInput.slice(0, MAX_SLOTS).map((slot, index) => {
+            const millis = slotToMillis(slot?.start ?? slot, timeZone);
+            if (millis === null) {
+                errors.push(`slots[${index}] must be a date and time like 2026-11-03T14:30`);
+            }
+            return millis;
+        })
+        : [];
+
+    const meetingUrl = cleanText(input?.meeting_url, 500);
+    if (meetingUrl && !/^https?:\/\//i.test(meetingUrl)) {
+        errors.push('meeting_url must be an http(s) link');
+    }
+    const candidateEmail = input?.candidate_email ? String(input.candidate_email).trim().toLowerCase() : null;
+    if (candidateEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(candidateEmail)) {
+        errors.push('candidate_email is not a valid email address');
+    }
+
+    return {
+        interview: {
+            title: cleanText(input?.title, 200),
+            time_zone: timeZone,
+            duration_minutes: duration,
+            location: cleanText(input?.location, 300),
+            meeting_url: meetingUrl,
+            notes: cleanText(input?.notes, MAX_NOTES_LENGTH),
+            candidate_email: candidateEmail,
+            panel,
+            slots
+        },
+        errors
+    };
+}
+
+// Helper function to fill in organization members' names and emails. Members
+// from outside the organization can't be added by user_id.
+async function resolvePanel(db, panel) {
+    const resolved = [];
+    for (const member of panel) {
+        if (!member.user_id) {
+            resolved.push({ ...member, key: member.email });
+            continue;
+        }
+        const userDoc = await db.collection('users').doc(member.user_id).get();
+        const user = userDoc.exists ? userDoc.data() : null;
+        if (!user || user.organization_id !== db.organizationId) {
+            throw new HttpError(400, `Panel member ${member.user_id} is not in this organization`);
+        }
+        resolved.push({
+            user_id: member.user_id,
+            email: member.email || user.email || null,
+            name: member.name || user.displayName || user.display_name || user.email || null,
+            key: member.user_id
+        });
+    }
+
+    const keys = resolved.map(member => member.key);
+    if (new Set(keys).size !== keys.length) {
+        throw new HttpError(400, 'A panel member is listed twice');
+    }
+    return resolved;
+}
+
+// Helper function to load who the interview is with and what it assesses
+async function resolveSubject(db, { projectId, candidateId, matchId, positionId }) {
+    if (matchId) {
+        const matchDoc = await db.collection('demob_matches').doc(matchId).get();
+        if (!matchDoc.exists) {
+            throw new HttpError(404, 'Match not found');
+        }
+        const match = matchDoc.data();
+        const profileDoc = await db.collection('demob_profiles').doc(match.employee_id).get();
+        const profile = profileDoc.exists ? profileDoc.data() : {};
+        return {
+            subject_type: 'match',
+            match_id: matchId,
+            employee_id: match.employee_id,
+            project_id: match.project_id,
+            candidate_id: null,
+            position_id: match.position_id,
+            candidate_name: profile.name || match.employee_name || match.employee_id,
+            candidate_email: profile.email || null
+        };
+    }
+
+    if (!projectId || !candidateId) {
+        throw new HttpError(400, 'project_id and candidate_id, or match_id, are required');
+    }
+    const candidateDoc = await db.doc(`projects/${projectId}/candidates/${candidateId}`).get();
+    if (!candidateDoc.exists) {
+        throw new HttpError(404, 'Candidate not found');
+    }
+    const candidate = candidateDoc.data();
+    return {
+        subject_type: 'candidate',
+        match_id: null,
+        employee_id: null,
+        project_id: projectId,
+        candidate_id: candidateId,
+        position_id: positionId || candidate.position_id || null,
+        candidate_name: candidate.screening_summary?.candidate_name || candidate.fileName || 'Candidate',
+        candidate_email: candidate.screening_summary?.email || null
+    };
+}
+
+function interviewRef(db, interviewId) {
+    if (!interviewId) {
+        throw new HttpError(400, 'interview_id is required');
+    }
+    return db.collection(INTERVIEW_COLLECTION).doc(interviewId);
+}
+
+async function loadInterview(db, interviewId) {
+    const doc = await interviewRef(db, interviewId).get();
+    if (!doc.exists) {
+        throw new HttpError(404, 'Interview not found');
+    }
+    return { id: doc.id, ...doc.data() };
+}
+
+// Helper function to check the caller may see (`view`) or change (`edit`) an
+// interview. Panel members can always see their interviews.
+function checkAccess(caller, subjectType, access, interview = null) {
+    const permission = PERMISSIONS[subjectType][access];
+    if (caller.permissions[permission]) return;
+    if (access === 'view' && interview?.panel_keys?.includes(caller.uid)) return;
+    throw new HttpError(403, `Your role (${caller.role}) does not have the ${permission} permission`);
+}
+
+// Escape text for an iCalendar property value
+function icsText(value) {
+    return String(value || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+function icsDate(millis) {
+    return new Date(millis).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const chunks = [];
+    let current = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char) > limit) {
+            chunks.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+}
+
+function attendeeLine(person, role) {
+    const name = person.name ? `;CN="${String(person.name).replace(/"/g, '')}"` : '';
+    return `ATTENDEE${name};ROLE=${role};PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:${person.email}`;
+}
+
+// Helper function to build the iCalendar (RFC 5545) invite, or cancellation,
+// for a scheduled interview
+function buildIcs(interview, { method = 'REQUEST', now = Date.now() } = {}) {
+    const start = interview.scheduled_start.toMillis();
+    const description = [
+        interview.notes,
+        interview.meeting_url ? `Join: ${interview.meeting_url}` : null,
+        `Time zone: ${interview.time_zone}`
+    ].filter(Boolean).join('\n\n');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'PRODID:-//RecruitPro//Interviews//EN',
+        'VERSION:2.0',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:interview-${interview.id}@${UID_DOMAIN}`,
+        `SEQUENCE:${interview.ics_sequence || 0}`,
+        `DTSTAMP:${icsDate(now)}`,
+        `DTSTART:${icsDate(start)}`,
+        `DTEND:${icsDate(start + interview.duration_minutes * MINUTE_MS)}`,
+        `SUMMARY:${icsText(interview.title)}`,
+        `DESCRIPTION:${icsText(description)}`,
+        interview.location || interview.meeting_url ? `LOCATION:${icsText(interview.location || interview.meeting_url)}` : null,
+        interview.meeting_url ? `URL:${interview.meeting_url}` : null,
+        `ORGANIZER;CN=RecruitPro:mailto:${ORGANIZER_EMAIL}`,
+        ...interview.panel.filter(member => member.email).map(member => attendeeLine(member, 'REQ-PARTICIPANT')),
+        interview.candidate_email ? attendeeLine({ name: interview.candidate_name, email: interview.candidate_email }, 'REQ-PARTICIPANT') : null,
+        `STATUS:${method === 'CANCEL' ? 'CANCELLED' : 'CONFIRMED'}`,
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ].filter(Boolean);
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+// Helper function to email the invite (or cancellation) to the panel and the
+// candidate. Returns the addresses it went to and any that failed, with the
+// reason when nothing could be sent at all.
+async function sendInvites(interview, method, mailer = null) {
+    const ics = buildIcs(interview, { method });
+    const when = formatInZone(interview.scheduled_start.toMillis(), interview.time_zone);
+    const recipients = [
+        ...interview.panel.filter(member => member.email).map(member => member.email),
+        interview.candidate_email
+    ].filter(Boolean);
+
+    let transport = mailer;
+    if (!transport) {
+        try {
+            transport = notifications.getMailer();
+        } catch (error) {
+            console.error('Interview invites not sent:', error);
+            return { sent: [], failed: recipients, error: error.message };
+        }
+    }
+    const sent = [];
+    const failed = [];
+    for (const to of recipients) {
+        try {
+            await transport.send({
+                to,
+                subject: method === 'CANCEL' ? `Cancelled: ${interview.title}` : `${interview.ics_sequence > 0 ? 'Updated' : 'Invitation'}: ${interview.title}`,
+                text: method === 'CANCEL'
+                    ? `The interview "${interview.title}" on ${when} has been cancelled.`
+                    : `${interview.title}\n\nWhen: ${when}\nDuration: ${interview.duration_minutes} minutes` +
+                        (interview.location ? `\nWhere: ${interview.location}` : '') +
+                        (interview.meeting_url ? `\nJoin: ${interview.meeting_url}` : '') +
+                        (interview.notes ? `\n\n${interview.notes}` : ''),
+                icalEvent: { method, filename: 'invite.ics', content: ics }
+            });
+            sent.push(to);
+        } catch (error) {
+            console.error(`Failed to send interview invite to ${to}:`, error);
+            failed.push(to);
+        }
+    }
+    return { sent, failed };
+}
+
+// Helper function to move the candidate or match along when an interview is booked
+async function applyScheduled(db, interview, userId) {
+    if (interview.subject_type === 'candidate') {
+        return pipeline.advanceTo(db, {
+            projectId: interview.project_id,
+            candidateId: interview.candidate_id,
+            stage: INTERVIEW_STAGE,
+            userId
+        });
+    }
+
+    const matchDoc = await db.collection('demob_matches').doc(interview.match_id).get();
+    const status = matchDoc.exists ? matchDoc.data().status || 'Pending Review' : null;
+    if (!status || !matchWorkflow.canTransition(status, 'Interview Scheduled')) return null;
+    return matchWorkflow.transitionMatch(db, interview.match_id, {
+        status: 'Interview Scheduled',
+        note: `Interview booked: ${interview.title}`,
+        userId
+    });
+}
+
+// Helper function to fix an interview to a time and send the invites. Used
+// for the first booking and for rescheduling.
+async function bookSlot(db, ref, interview, { start, userId, mailer }) {
+    const rescheduled = Boolean(interview.scheduled_start);
+    const update = {
+        status: 'scheduled',
+        scheduled_start: admin.firestore.Timestamp.fromMillis(start),
+        scheduled_end: admin.firestore.Timestamp.fromMillis(start + interview.duration_minutes * MINUTE_MS),
+        ics_sequence: rescheduled ? (interview.ics_sequence || 0) + 1 : 0,
+        updated_by: userId,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    };
+    const booked = { ...interview, ...update };
+    const invites = await sendInvites(booked, 'REQUEST', mailer);
+    await ref.update({
+        ...update,
+        invites: {
+            sent_to: invites.sent,
+            failed: invites.failed,
+            error: invites.error || null,
+            sent_at: admin.firestore.FieldValue.serverTimestamp()
+        }
+    });
+    if (!rescheduled) {
+        await applyScheduled(db, booked, userId);
+    }
+    return { interview_id: ref.id, status: 'scheduled', scheduled_start: new Date(start).toISOString(), invites };
+}
+
+// Helper function to create an interview from validateInterview's output. A
+// single slot is booked straight away; several are kept as proposals until
+// one is picked.
+async function createInterview(db, caller, { projectId, candidateId, matchId, positionId, interview }, mailer = null) {
+    const subject = await resolveSubject(db, { projectId, candidateId, matchId, positionId });
+    checkAccess(caller, subject.subject_type, 'edit');
+    const panel = await resolvePanel(db, interview.panel);
+
+    let skills = [];
+    let positionTitle = null;
+    if (subject.position_id) {
+        const positionDoc = await positions.positionRef(db, subject.project_id, subject.position_id).get();
+        if (positionDoc.exists) {
+            skills = (positionDoc.data().required_skills || []).slice(0, MAX_SKILLS);
+            positionTitle = positionDoc.data().title || null;
+        }
+    }
+
+    const ref = db.collection(INTERVIEW_COLLECTION).doc();
+    const record = {
+        ...subject,
+        organization_id: db.organizationId,
+        title: interview.title || `Interview: ${subject.candidate_name}${positionTitle ? ` for ${positionTitle}` : ''}`,
+        time_zone: interview.time_zone,
+        duration_minutes: interview.duration_minutes,
+        location: interview.location,
+        meeting_url: interview.meeting_url,
+        notes: interview.notes,
+        candidate_email: interview.candidate_email || subject.candidate_email,
+        panel,
+        panel_keys: panel.map(member => member.key),
+        proposed_slots: interview.slots.map(millis => admin.firestore.Timestamp.fromMillis(millis)),
+        skills,
+        position_title: positionTitle,
+        status: 'proposed',
+        scheduled_start: null,
+        scheduled_end: null,
+        ics_sequence: 0,
+        aggregate: null,
+        outcome: null,
+        created_by: caller.uid,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    };
+    await ref.set(record);
+
+    if (interview.slots.length === 1) {
+        return bookSlot(db, ref, { id: ref.id, ...record }, { start: interview.slots[0], userId: caller.uid, mailer });
+    }
+    return { interview_id: ref.id, status: 'proposed' };
+}
+
+// Helper function to book one of the proposed slots, or move a scheduled
+// interview to a new time
+async function scheduleInterview(db, caller, interviewId, { slotIndex = null, start = null }, mailer = null) {
+    const interview = await loadInterview(db, interviewId);
+    checkAccess(caller, interview.subject_type, 'edit');
+    if (!['proposed', 'scheduled'].includes(interview.status)) {
+        throw new HttpError(409, `Interview is ${interview.status}`);
+    }
+
+    let millis = null;
+    if (slotIndex !== null && slotIndex !== undefined) {
+        millis = interview.proposed_slots[Number(slotIndex)]?.toMillis() ?? null;
+        if (millis === null) {
+            throw new HttpError(400, `slot_index must be between 0 and ${interview.proposed_slots.length - 1}`);
+        }
+    } else {
+        millis = slotToMillis(start, interview.time_zone);
+        if (millis === null) {
+            throw new HttpError(400, 'A slot_index or a start time like 2026-11-03T14:30 is required');
+        }
+    }
+
+    return bookSlot(db, interviewRef(db, interviewId), interview, { start: millis, userId: caller.uid, mailer });
+}
+
+async function cancelInterview(db, caller, interviewId, { reason = null } = {}, mailer = null) {
+    const interview = await loadInterview(db, interviewId);
+    checkAccess(caller, interview.subject_type, 'edit');
+    if (['completed', 'cancelled'].includes(interview.status)) {
+        throw new HttpError(409, `Interview is ${interview.status}`);
+    }
+
+    const update = {
+        status: 'cancelled',
+        cancel_reason: cleanText(reason, 300),
+        ics_sequence: (interview.ics_sequence || 0) + 1,
+        updated_by: caller.uid,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    };
+    // Only a booked interview has invites to withdraw
+    const invites = interview.scheduled_start
+        ? await sendInvites({ ...interview, ...update }, 'CANCEL', mailer)
+        : { sent: [], failed: [] };
+    await interviewRef(db, interviewId).update(update);
+    return { interview_id: interviewId, status: 'cancelled', invites };
+}
+
+// Helper function to validate a scorecard against the interview's skills
+function validateScorecard(input, skills) {
+    const errors = [];
+    if (!Object.keys(RECOMMENDATIONS).includes(input?.recommendation)) {
+        errors.push(`recommendation must be one of: ${Object.keys(RECOMMENDATIONS).join(', ')}`);
+    }
+
+    const ratingsInput = Array.isArray(input?.ratings) ? input.ratings : [];
+    const known = new Map(skills.map(skill => [skill.toLowerCase(), skill]));
+    const seen = new Set();
+    const ratings = [];
+    ratingsInput.slice(0, MAX_SKILLS).forEach((rating, index) => {
+        const name = String(rating?.skill || '').trim();
+        // Positions without required skills are rated on whatever the panel assessed
+        const skill = skills.length > 0 ? known.get(name.toLowerCase()) : name.slice(0, 100);
+        if (!skill) {
+            errors.push(`ratings[${index}].skill must be one of: ${skills.join(', ')}`);
+            return;
+        }
+        if (seen.has(skill.toLowerCase())) {
+            errors.push(`${skill} is rated twice`);
+            return;
+        }
+        seen.add(skill.toLowerCase());
+
+        const score = rating.score === null || rating.score === undefined ? null : Number(rating.score);
+        if (score !== null && (!Number.isInteger(score) || score < RATING_MIN || score > RATING_MAX)) {
+            errors.push(`ratings[${index}].score must be ${RATING_MIN}-${RATING_MAX}, or null when not assessed`);
+        }
+        ratings.push({ skill, score, notes: cleanText(rating.notes, 500) });
+    });
+
+    return {
+        scorecard: {
+            recommendation: input?.recommendation,
+            ratings,
+            notes: cleanText(input?.notes, MAX_NOTES_LENGTH)
+        },
+        errors
+    };
+}
+
+// Helper function to combine the submitted scorecards into per-skill averages
+// and an overall recommendation
+function aggregateScorecards(scorecards, expected) {
+    const skills = new Map();
+    scorecards.forEach(scorecard => {
+        scorecard.ratings.forEach(rating => {
+            if (rating.score === null) return;
+            const entry = skills.get(rating.skill) || { skill: rating.skill, total: 0, count: 0 };
+            entry.total += rating.score;
+            entry.count++;
+            skills.set(rating.skill, entry);
+        });
+    });
+
+    const scores = scorecards.map(scorecard => RECOMMENDATIONS[scorecard.recommendation]);
+    const average = scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : null;
+    let recommendation = null;
+    if (average !== null) {
+        if (average >= ADVANCE_THRESHOLD) recommendation = 'advance';
+        else if (average < REJECT_THRESHOLD) recommendation = 'reject';
+        else recommendation = 'hold';
+    }
+
+    return {
+        submitted: scorecards.length,
+        expected,
+        average_recommendation: average === null ? null : Number(average.toFixed(2)),
+        recommendation,
+        skills: [...skills.values()].map(entry => ({
+            skill: entry.skill,
+            average: Number((entry.total / entry.count).toFixed(2)),
+            ratings: entry.count
+        }))
+    };
+}
+
+async function listScorecards(db, interviewId) {
+    const snapshot = await interviewRef(db, interviewId).collection(SCORECARD_COLLECTION).get();
+    return snapshot.docs.map(doc => {
+        const scorecard = doc.data();
+        return {
+            interviewer_key: doc.id,
+            ...scorecard,
+            submitted_at: scorecard.submitted_at?.toDate?.().toISOString() || null
+        };
+    });
+}
+
+// Helper function to feed the recommendation back into the candidate's
+// pipeline stage or the match's status. Returns what changed, if anything.
+async function applyOutcome(db, interview, recommendation, userId) {
+    if (recommendation === 'hold' || !recommendation) return null;
+
+    if (interview.subject_type === 'candidate') {
+        const config = await pipeline.loadConfig(db, interview.project_id);
+        const candidateDoc = await db.doc(`projects/${interview.project_id}/candidates/${interview.candidate_id}`).get();
+        if (!candidateDoc.exists) return null;
+        const current = pipeline.currentStage(candidateDoc.data(), config);
+        if (pipeline.TERMINAL_STAGES.includes(current)) return null;
+
+        let stage;
+        let reason = null;
+        if (recommendation === 'reject') {
+            stage = pipeline.REJECTED_STAGE;
+            reason = config.rejection_reasons.includes(REJECTION_REASON) ? REJECTION_REASON : config.rejection_reasons[config.rejection_reasons.length - 1];
+        } else {
+            // The stage after the interview stage, or after wherever they are now
+            const order = config.stages.map(item => item.id).filter(id => id !== pipeline.REJECTED_STAGE);
+            const from = order.includes(INTERVIEW_STAGE) && order.indexOf(current) <= order.indexOf(INTERVIEW_STAGE) ? INTERVIEW_STAGE : current;
+            stage = order[order.indexOf(from) + 1];
+            if (!stage || stage === current) return null;
+        }
+        await pipeline.moveCandidate(db, userId, {
+            projectId: interview.project_id,
+            candidateId: interview.candidate_id,
+            stage,
+            reason,
+            note: `Interview recommendation: ${recommendation}`
+        });
+        return { type: 'stage', value: stage };
+    }
+
+    const status = recommendation === 'advance' ? 'In Progress' : 'Rejected';
+    const matchDoc = await db.collection('demob_matches').doc(interview.match_id).get();
+    if (!matchDoc.exists || !matchWorkflow.canTransition(matchDoc.data().status || 'Pending Review', status)) return null;
+    await matchWorkflow.transitionMatch(db, interview.match_id, {
+        status,
+        note: `Interview recommendation: ${recommendation}`,
+        userId
+    });
+    return { type: 'match_status', value: status };
+}
+
+// Helper function to complete an interview from its scorecards
+async function finalize(db, interview, scorecards, userId) {
+    const aggregate = aggregateScorecards(scorecards, interview.panel.length);
+    const applied = await applyOutcome(db, interview, aggregate.recommendation, userId);
+    const outcome = {
+        recommendation: aggregate.recommendation,
+        applied,
+        finalized_by: userId,
+        finalized_at: new Date().toISOString()
+    };
+    await interviewRef(db, interview.id).update({
+        status: 'completed',
+        aggregate,
+        outcome,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { interview_id: interview.id, status: 'completed', aggregate, outcome };
+}
+
+// Helper function to record a panel member's scorecard. Panel members submit
+// their own; someone with edit access can submit for a panel member by
+// passing their interviewer_key. The last scorecard completes the interview.
+async function submitScorecard(db, caller, interviewId, { interviewerKey = null, scorecard: input }) {
+    const interview = await loadInterview(db, interviewId);
+    if (interview.status !== 'scheduled') {
+        throw new HttpError(409, `Scorecards can only be submitted for scheduled interviews; this one is ${interview.status}`);
+    }
+
+    let key = interview.panel_keys.includes(caller.uid) ? caller.uid : null;
+    if (interviewerKey && interviewerKey !== key) {
+        checkAccess(caller, interview.subject_type, 'edit');
+        // Outside panel members are keyed by their lowercased email
+        key = interview.panel_keys.find(item => item === interviewerKey || item === String(interviewerKey).toLowerCase()) || null;
+        if (!key) {
+            throw new HttpError(400, `${interviewerKey} is not on this interview's panel`);
+        }
+    }
+    if (!key) {
+        throw new HttpError(403, 'Only panel members can submit scorecards');
+    }
+
+    const { scorecard, errors } = validateScorecard(input, interview.skills || []);
+    if (errors.length > 0) {
+        throw new HttpError(400, errors.join('; '));
+    }
+
+    await interviewRef(db, interviewId).collection(SCORECARD_COLLECTION).doc(key).set({
+        ...scorecard,
+        interviewer: interview.panel.find(member => member.key === key)?.name || key,
+        submitted_by: caller.uid,
+        submitted_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const scorecards = await listScorecards(db, interviewId);
+    if (scorecards.length >= interview.panel.length) {
+        return finalize(db, interview, scorecards, caller.uid);
+    }
+    const aggregate = aggregateScorecards(scorecards, interview.panel.length);
+    await interviewRef(db, interviewId).update({ aggregate, last_updated: admin.firestore.FieldValue.serverTimestamp() });
+    return { interview_id: interviewId, status: interview.status, aggregate };
+}
+
+// Helper function to complete an interview before every panel member has
+// submitted a scorecard
+async function finalizeInterview(db, caller, interviewId) {
+    const interview = await loadInterview(db, interviewId);
+    checkAccess(caller, interview.subject_type, 'edit');
+    if (interview.status !== 'scheduled') {
+        throw new HttpError(409, `Interview is ${interview.status}`);
+    }
+    const scorecards = await listScorecards(db, interviewId);
+    if (scorecards.length === 0) {
+        throw new HttpError(409, 'No scorecards have been submitted yet');
+    }
+    return finalize(db, interview, scorecards, caller.uid);
+}
+
+function serializeInterview(interview) {
+    const iso = value => value?.toDate?.().toISOString() || null;
+    return {
+        interview_id: interview.id,
+        subject_type: interview.subject_type,
+        project_id: interview.project_id,
+        candidate_id: interview.candidate_id,
+        match_id: interview.match_id,
+        position_id: interview.position_id,
+        position_title: interview.position_title,
+        candidate_name: interview.candidate_name,
+        candidate_email: interview.candidate_email,
+        title: interview.title,
+        status: interview.status,
+        time_zone: interview.time_zone,
+        duration_minutes: interview.duration_minutes,
+        location: interview.location,
+        meeting_url: interview.meeting_url,
+        notes: interview.notes,
+        panel: interview.panel,
+        skills: interview.skills,
+        proposed_slots: (interview.proposed_slots || []).map(slot => slot.toDate().toISOString()),
+        scheduled_start: iso(interview.scheduled_start),
+        scheduled_end: iso(interview.scheduled_end),
+        invites: interview.invites ? { ...interview.invites, sent_at: iso(interview.invites.sent_at) } : null,
+        aggregate: interview.aggregate,
+        outcome: interview.outcome,
+        cancel_reason: interview.cancel_reason || null,
+        created_at: iso(interview.created_at)
+    };
+}
+
+// Helper function to get one interview with its scorecards and invite
+async function getInterview(db, caller, interviewId) {
+    const interview = await loadInterview(db, interviewId);
+    checkAccess(caller, interview.subject_type, 'view', interview);
+    return {
+        ...serializeInterview(interview),
+        scorecards: await listScorecards(db, interviewId),
+        ics: interview.scheduled_start && interview.status !== 'cancelled' ? buildIcs(interview) : null
+    };
+}
+
+// Helper function to list the interviews of a project candidate or a match, newest first
+async function listInterviews(db, caller, { projectId, candidateId, matchId }) {
+    let query = db.collection(INTERVIEW_COLLECTION);
+    if (matchId) {
+        checkAccess(caller, 'match', 'view');
+        query = query.where('match_id', '==', matchId);
+    } else if (projectId && candidateId) {
+        checkAccess(caller, 'candidate', 'view');
+        query = query.where('project_id', '==', projectId).where('candidate_id', '==', candidateId);
+    } else {
+        throw new HttpError(400, 'project_id and candidate_id, or match_id, are required');
+    }
+    const snapshot = await query.get();
+    return snapshot.docs
+        .map(doc => serializeInterview({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+}
+
+module.exports = {
+    INTERVIEW_COLLECTION,
+    SCORECARD_COLLECTION,
+    SUBJECT_TYPES,
+    INTERVIEW_STATUSES,
+    RECOMMENDATIONS,
+    isValidTimeZone,
+    slotToMillis,
+    validateInterview,
+    validateScorecard,
+    aggregateScorecards,
+    buildIcs,
+    createInterview,
+    scheduleInterview,
+    cancelInterview,
+    submitScorecard,
+    finalizeInterview,
+    getInterview,
+    listInterviews
+};
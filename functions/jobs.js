@@ -0,0 +1,220 @@
+// Durable background jobs
+//
+// Long-running work (all-to-all matching, index rebuilds, imports) is stored
+// as a document in the organization's `jobs` collection and processed one page at a time by
+// the processJob trigger. Each step claims the job in a transaction, runs the
+// handler for its type, then either completes the job or re-queues it with a
+// new cursor, which fires the trigger again for the next page. Progress is
+// visible to clients through getJobStatus.
+//
+// A claimed step holds a lease. A step killed by the function timeout or an
+// instance crash never releases it, so once the lease has expired the job can
+// be claimed again; requeueStaleJobs (run on a schedule) puts such jobs back
+// in the queue. Each reclaim counts as a failed attempt.
+//
+// A job type can register a cleanup for when the job fails for good, however
+// it got there (a step out of attempts or a lost lease), to release what it
+// was holding, such as staged uploads.
+
+const admin = require('firebase-admin');
+
+const JOB_STATUSES = ['queued', 'running', 'completed', 'failed'];
+const MAX_ATTEMPTS = 3;
+// Longer than processJob's 540 s timeout, so a live step never loses its lease
+const STEP_LEASE_MS = 10 * 60 * 1000;
+
+// Helper function to create a queued job
+async function createJob(db, type, params = {}, userId = null) {
+    const jobRef = db.collection('jobs').doc();
+    await jobRef.set({
+        type,
+        params,
+        status: 'queued',
+        cursor: null,
+        progress: { processed: 0, total: null },
+        result: null,
+        attempts: 0,
+        error: null,
+        created_by: userId,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return jobRef.id;
+}
+
+// Has a running step held its lease for too long. Jobs claimed before leases
+// existed fall back to the step start time.
+function leaseExpired(job, now = Date.now()) {
+    if (job.status !== 'running') return false;
+    const expiresAt = job.lease_expires_at
+        ? job.lease_expires_at.toMillis()
+        : (job.step_started_at ? job.step_started_at.toMillis() + STEP_LEASE_MS : 0);
+    return expiresAt <= now;
+}
+
+// Fields that record an abandoned step as a failed attempt
+function abandonedStepUpdate(job) {
+    const attempts = (job.attempts || 0) + 1;
+    return {
+        attempts,
+        status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+        error: 'Step did not finish before its lease expired',
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Claim a queued job (or a running one whose lease has expired) so concurrent
+// trigger deliveries don't run the same step twice
+async function claimJob(db, jobRef) {
+    return db.runTransaction(async (transaction) => {
+        const snap = await transaction.get(jobRef);
+        if (!snap.exists) return null;
+
+        const job = snap.data();
+        const stale = leaseExpired(job);
+        if (job.status !== 'queued' && !stale) {
+            return null;
+        }
+
+        const attempts = stale ? abandonedStepUpdate(job).attempts : (job.attempts || 0);
+        if (attempts >= MAX_ATTEMPTS) {
+            transaction.update(jobRef, abandonedStepUpdate(job));
+            return null;
+        }
+
+        transaction.update(jobRef, {
+            status: 'running',
+            attempts,
+            step_started_at: admin.firestore.FieldValue.serverTimestamp(),
+            lease_expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + STEP_LEASE_MS)
+        });
+        return { id: snap.id, ...job, attempts };
+    });
+}
+
+// Helper function to put running jobs whose step lease has expired back in
+// the queue (or fail them once they are out of attempts). Returns the number
+// of jobs recovered.
+async function requeueStaleJobs(db) {
+    // Only a handful of jobs are ever running at once, so this is filtered here
+    // rather than with an index on the lease
+    const snapshot = await db.collection('jobs').where('status', '==', 'running').get();
+    let recovered = 0;
+
+    for (const doc of snapshot.docs) {
+        if (!leaseExpired(doc.data())) continue;
+
+        const requeued = await db.runTransaction(async (transaction) => {
+            const snap = await transaction.get(doc.ref);
+            if (!snap.exists || !leaseExpired(snap.data())) return false;
+            transaction.update(doc.ref, abandonedStepUpdate(snap.data()));
+            return true;
+        });
+        if (requeued) {
+            console.warn(`Job ${doc.id} (${doc.data().type}) lost its step lease`);
+            recovered++;
+        }
+    }
+
+    return recovered;
+}
+
+// Run a single step of a job with the handler registered for its type.
+// Handlers receive the job and the database scoped to the job's organization,
+// and return { done, cursor, progress, result }.
+async function runJobStep(db, jobRef, handlers) {
+    const job = await claimJob(db, jobRef);
+    if (!job) return;
+
+    const handler = handlers[job.type];
+    if (!handler) {
+        await jobRef.update({
+            status: 'failed',
+            error: `Unknown job type: ${job.type}`,
+            last_updated: admin.firestore.FieldValue.serverTimestamp()
+        });
+        return;
+    }
+
+    try {
+        const step = await handler(job, db);
+        const progress = { ...job.progress, ...(step.progress || {}) };
+
+        if (step.done) {
+            await jobRef.update({
+                status: 'completed',
+                cursor: null,
+                progress,
+                result: step.result !== undefined ? step.result : job.result,
+                completed_at: admin.firestore.FieldValue.serverTimestamp(),
+                last_updated: admin.firestore.FieldValue.serverTimestamp()
+            });
+        } else {
+            await jobRef.update({
+                status: 'queued',
+                cursor: step.cursor !== undefined ? step.cursor : null,
+                progress,
+                result: step.result !== undefined ? step.result : job.result,
+                attempts: 0,
+                last_updated: admin.firestore.FieldValue.serverTimestamp()
+            });
+        }
+    } catch (error) {
+        console.error(`Job ${job.id} (${job.type}) step failed:`, error);
+        const attempts = (job.attempts || 0) + 1;
+        await jobRef.update({
+            status: attempts >= MAX_ATTEMPTS ? 'failed' : 'queued',
+            attempts,
+            error: error.message,
+            last_updated: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+}
+
+// Helper function to run the cleanup registered for a job's type, once, as
+// the job's document changes to failed. `change` is the trigger's change.
+async function cleanUpFailedJob(db, change, cleanups) {
+    const before = change.before.exists ? change.before.data() : null;
+    const after = change.after.exists ? change.after.data() : null;
+    if (after?.status !== 'failed' || before?.status === 'failed') return false;
+
+    const cleanup = cleanups[after.type];
+    if (!cleanup) return false;
+    try {
+        await cleanup({ id: change.after.id, ...after }, db);
+    } catch (error) {
+        console.error(`Cleanup of failed job ${change.after.id} (${after.type}) failed:`, error);
+        return false;
+    }
+    return true;
+}
+
+// Client-facing view of a job document
+function serializeJob(doc) {
+    const job = doc.data();
+    const total = job.progress?.total;
+    return {
+        job_id: doc.id,
+        type: job.type,
+        status: job.status,
+        progress: {
+            ...job.progress,
+            percent: total ? Math.min(100, Math.round((job.progress.processed / total) * 100)) : null
+        },
+        result: job.result || null,
+        error: job.error || null,
+        created_by: job.created_by,
+        created_at: job.created_at?.toDate?.().toISOString() || null,
+        completed_at: job.completed_at?.toDate?.().toISOString() || null
+    };
+}
+
+module.exports = {
+    JOB_STATUSES,
+    STEP_LEASE_MS,
+    createJob,
+    runJobStep,
+    requeueStaleJobs,
+    cleanUpFailedJob,
+    serializeJob
+};
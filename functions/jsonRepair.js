@@ -0,0 +1,75 @@
+// JSON repair for LLM output
+//
+// Models asked for JSON still wrap it in code fences, add a sentence before
+// it, leave trailing commas, use smart quotes or stop mid-object when they run
+// out of tokens. parseJson tries a plain JSON.parse first and only then runs
+// the repair pass, so well-formed responses are never touched.
+
+// Helper function to cut the JSON value out of surrounding prose/code fences
+// and close any strings, objects and arrays left open by truncation
+function extractJsonBlock(text) {
+    const unfenced = text.replace(/```(?:json)?/gi, '');
+    const start = unfenced.search(/[{[]/);
+    if (start === -1) return unfenced.trim();
+
+    const stack = [];
+    let inString = false;
+    let escaped = false;
+
+    for (let index = start; index < unfenced.length; index++) {
+        const char = unfenced[index];
+        if (inString) {
+            if (escaped) escaped = false;
+            else if (char === '\\') escaped = true;
+            else if (char === '"') inString = false;
+            continue;
+        }
+        if (char === '"') inString = true;
+        else if (char === '{') stack.push('}');
+        else if (char === '[') stack.push(']');
+        else if (char === '}' || char === ']') {
+            stack.pop();
+            // Anything after the outermost value is prose
+            if (stack.length === 0) return unfenced.substring(start, index + 1);
+        }
+    }
+
+    let repaired = unfenced.substring(start).trimEnd();
+    if (inString) repaired += '"';
+    // A dangling key or separator can't be completed, so finish it with null
+    repaired = repaired.replace(/:\s*$/, ': null');
+    // ...and a key cut off before its colon is dropped
+    if (stack[stack.length - 1] === '}') {
+        repaired = repaired.replace(/([{,])\s*"(?:[^"\\]|\\.)*"$/, '$1');
+    }
+    repaired = repaired.replace(/,\s*$/, '');
+    return repaired + stack.reverse().join('');
+}
+
+function repairJson(text) {
+    const normalized = String(text)
+        .replace(/[“”]/g, '"')
+        .replace(/[‘’]/g, '\'');
+    return extractJsonBlock(normalized)
+        .replace(/:\s*(undefined|NaN)\b/g, ': null')
+        .replace(/,(\s*[}\]])/g, '$1');
+}
+
+// Helper function to parse model output, repairing it if needed.
+// Returns { value, repaired }.
+function parseJson(text) {
+    try {
+        return { value: JSON.parse(text), repaired: false };
+    } catch (error) {
+        try {
+            return { value: JSON.parse(repairJson(text)), repaired: true };
+        } catch (repairError) {
+            throw new Error(`${error.message} (repair failed)`);
+        }
+    }
+}
+
+module.exports = {
+    repairJson,
+    parseJson
+};
@@ -0,0 +1,414 @@
+// Project knowledge retrieval
+//
+// Knowledge documents (tenders, project briefs, client requirements) are
+// split into overlapping chunks of about CHUNK_SIZE characters, each tagged
+// with its document, nearest section heading and pages, and stored with an
+// embedding and its distinct terms in projects/{pid}/knowledge_chunks. Prompts
+// then get only the chunks most relevant to the candidate and position rather
+// than the first few thousand characters of every document.
+//
+// Uploads through manageKnowledge are read whole on the server and their
+// full text kept in Cloud Storage (text_path); documents written by the
+// browser are indexed from their extractedText. Either way the knowledge
+// trigger (re)indexes a document whenever its text or the embedding model
+// changes, and removes its chunks when it is deleted.
+//
+// Chunks are ranked by a blend of embedding similarity and idf-weighted term
+// overlap, so exact terms (standards, certifications, place names) count even
+// with the offline local embedding.
+
+const admin = require('firebase-admin');
+const embeddings = require('./embeddings');
+const textExtraction = require('./textExtraction');
+const organizations = require('./organizations');
+const { HttpError } = require('./errors');
+
+const CHUNK_COLLECTION = 'knowledge_chunks';
+const UPLOAD_PREFIX = 'knowledge_uploads';
+const TEXT_PREFIX = 'knowledge_text';
+
+const CHUNK_SIZE = 1200;
+const CHUNK_OVERLAP = 200;
+const MIN_CHUNK_SIZE = 300;
+const MAX_HEADING_LENGTH = 100;
+const MAX_CHUNK_TERMS = 300;
+const MAX_DOCUMENT_PAGES = 300;
+const MAX_DOCUMENT_LENGTH = 500000;
+const PREVIEW_LENGTH = 10000;
+const WRITE_BATCH_SIZE = 400;
+
+const DEFAULT_RETRIEVAL_LIMIT = 6;
+const DEFAULT_CONTEXT_CHARS = 4000;
+const SIMILARITY_WEIGHT = 0.65;
+const TERM_WEIGHT = 0.35;
+
+const CHUNK_CACHE_TTL_MS = 5 * 60 * 1000;
+const chunkCache = new Map();
+
+// A short line without closing punctuation starts a new section when it is a
+// paragraph of its own, or (inside a paragraph, as PDF text usually is) when
+// it is numbered, in capitals or in title case
+function isHeading(line, standalone) {
+    if (line.length > MAX_HEADING_LENGTH || /[.,;:]$/.test(line)) return false;
+    if (standalone) return true;
+    const words = line.split(' ').filter(word => word.length > 3);
+    return /^\d+(\.\d+)*\.?\s+[A-Z]/.test(line)
+        || (/[A-Z]/.test(line) && line === line.toUpperCase())
+        || (words.length > 0 && words.every(word => /^[A-Z]/.test(word)));
+}
+
+// Helper function to split text longer than size at sentence ends, and
+// sentences longer than size at word boundaries
+function splitLong(text, size) {
+    if (text.length <= size) return [text];
+
+    const pieces = [];
+    let current = '';
+    for (const sentence of text.split(/(?<=[.!?])\s+/)) {
+        if (sentence.length > size) {
+            if (current) pieces.push(current);
+            current = '';
+            const words = sentence.split(' ');
+            let part = '';
+            for (const word of words) {
+                if (part && part.length + word.length + 1 > size) {
+                    pieces.push(part);
+                    part = '';
+                }
+                part = part ? `${part} ${word}` : word.slice(0, size);
+            }
+            if (part) pieces.push(part);
+        } else if (current && current.length + sentence.length + 1 > size) {
+            pieces.push(current);
+            current = sentence;
+        } else {
+            current = current ? `${current} ${sentence}` : sentence;
+        }
+    }
+    if (current) pieces.push(current);
+    return pieces;
+}
+
+// Helper function to split a document's text into chunks with their section
+// heading and pages. Pages are only known when the text has page breaks.
+function chunkText(text, { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = {}) {
+    const pages = String(text || '').split(textExtraction.PAGE_BREAK);
+    const paged = pages.length > 1;
+
+    // Paragraph-sized units, each with the page and section it falls in
+    const units = [];
+    let heading = null;
+    pages.forEach((pageText, pageIndex) => {
+        const page = paged ? pageIndex : null;
+        for (const paragraph of pageText.split(/\n\s*\n/)) {
+            const lines = paragraph.split('\n').map(line => line.trim()).filter(Boolean);
+            let run = [];
+            const flush = () => {
+                for (const piece of run.length > 0 ? splitLong(run.join(' '), size) : []) {
+                    units.push({ text: piece, page, heading });
+                }
+                run = [];
+            };
+            for (const line of lines) {
+                if (isHeading(line, lines.length === 1)) {
+                    flush();
+                    heading = line;
+                    units.push({ text: line, page, heading, isHeading: true });
+                } else {
+                    run.push(line);
+                }
+            }
+            flush();
+        }
+    });
+
+    const chunks = [];
+    let current = [];
+    const close = () => {
+        const content = current.find(unit => !unit.isHeading);
+        if (content) {
+            chunks.push({
+                index: chunks.length,
+                text: current.map(unit => unit.text).join('\n\n'),
+                heading: content.heading,
+                page_start: current[0].page,
+                page_end: current[current.length - 1].page
+            });
+        }
+    };
+
+    for (const unit of units) {
+        const length = current.reduce((sum, item) => sum + item.text.length + 2, 0);
+        const newSection = unit.isHeading && length >= MIN_CHUNK_SIZE;
+        if (current.length > 0 && (newSection || length + unit.text.length > size)) {
+            // Headings at the end belong with the text that follows them
+            const trailing = [];
+            while (current.length > 0 && current[current.length - 1].isHeading) {
+                trailing.unshift(current.pop());
+            }
+            close();
+            // Carry the end of the previous chunk over so text cut at the
+            // boundary keeps its context, unless a new section starts here
+            const last = current[current.length - 1];
+            const carry = last && !newSection && trailing.length === 0 && last.text.length <= overlap ? [last] : [];
+            current = [...carry, ...trailing];
+        }
+        current.push(unit);
+    }
+    close();
+    return chunks;
+}
+
+function chunkTerms(text) {
+    return [...new Set(embeddings.tokenize(text))].slice(0, MAX_CHUNK_TERMS);
+}
+
+function knowledgeRef(db, projectId, docId) {
+    return db.doc(`projects/${projectId}/knowledge/${docId}`);
+}
+
+function chunksRef(db, projectId) {
+    return db.collection(`projects/${projectId}/${CHUNK_COLLECTION}`);
+}
+
+function documentName(data) {
+    return data.fileName || data.name || data.title || 'Knowledge document';
+}
+
+// Helper function to get a knowledge document's full text
+async function loadDocumentText(bucket, data) {
+    if (data.text_path) {
+        const [buffer] = await bucket.file(data.text_path).download();
+        return buffer.toString('utf8');
+    }
+    return data.extractedText || '';
+}
+
+async function deleteChunks(db, projectId, docId, keepBelow = 0) {
+    const snapshot = await chunksRef(db, projectId).where('doc_id', '==', docId).get();
+    const stale = snapshot.docs.filter(doc => doc.data().chunk_index >= keepBelow);
+    for (let i = 0; i < stale.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        stale.slice(i, i + WRITE_BATCH_SIZE).forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+    }
+    return stale.length;
+}
+
+// Helper function to chunk, embed and store one document's text, replacing
+// its previous chunks. Returns the number of chunks.
+async function indexDocument(db, provider, { projectId, docId, docName, text }) {
+    const chunks = chunkText(text);
+    const vectors = chunks.length > 0 ? await provider.embed(chunks.map(chunk => chunk.text)) : [];
+
+    for (let i = 0; i < chunks.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        chunks.slice(i, i + WRITE_BATCH_SIZE).forEach((chunk, j) => {
+            batch.set(chunksRef(db, projectId).doc(`${docId}__${chunk.index}`), {
+                organization_id: db.organizationId,
+                project_id: projectId,
+                doc_id: docId,
+                doc_name: docName,
+                chunk_index: chunk.index,
+                heading: chunk.heading,
+                page_start: chunk.page_start,
+                page_end: chunk.page_end,
+                text: chunk.text,
+                terms: chunkTerms(chunk.text),
+                model: provider.model,
+                vector: vectors[i + j],
+                indexed_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+    }
+
+    await deleteChunks(db, projectId, docId, chunks.length);
+    chunkCache.delete(`${organizations.scopeKey(db)}|${projectId}`);
+    return chunks.length;
+}
+
+// Helper function to bring a knowledge document's chunks up to date with its
+// text (null data removes them). Returns 'indexed', 'unchanged' or 'removed'.
+async function syncDocument(db, bucket, projectId, docId, data, provider = embeddings.getEmbeddingProvider()) {
+    if (!data) {
+        await deleteChunks(db, projectId, docId);
+        chunkCache.delete(`${organizations.scopeKey(db)}|${projectId}`);
+        return 'removed';
+    }
+
+    const text = await loadDocumentText(bucket, data);
+    const hash = embeddings.textHash(text);
+    if (data.index?.text_hash === hash && data.index?.model === provider.model) {
+        return 'unchanged';
+    }
+
+    const chunkCount = await indexDocument(db, provider, { projectId, docId, docName: documentName(data), text });
+    await knowledgeRef(db, projectId, docId).update({
+        index: {
+            status: 'indexed',
+            chunk_count: chunkCount,
+            text_length: text.length,
+            text_hash: hash,
+            model: provider.model,
+            indexed_at: admin.firestore.FieldValue.serverTimestamp()
+        }
+    });
+    return 'indexed';
+}
+
+// Helper function to read an uploaded knowledge file whole and save it as a
+// project knowledge document; the knowledge trigger then indexes it
+async function processKnowledgeFile(db, bucket, { projectId, buffer, fileName, mimeType, fileSize, userId }) {
+    const text = await textExtraction.extractText(buffer, {
+        fileName,
+        mimeType,
+        maxPages: MAX_DOCUMENT_PAGES,
+        maxLength: MAX_DOCUMENT_LENGTH,
+        keepLayout: true
+    });
+    if (!text) {
+        throw new Error(`No text could be read from ${fileName}`);
+    }
+
+    const ref = db.collection(`projects/${projectId}/knowledge`).doc();
+    const textPath = `${TEXT_PREFIX}/${db.organizationId}/${projectId}/${ref.id}.txt`;
+    await bucket.file(textPath).save(Buffer.from(text, 'utf8'), { contentType: 'text/plain; charset=utf-8' });
+
+    await ref.set({
+        fileName,
+        fileSize: fileSize || buffer.length,
+        // A whitespace-collapsed preview, as browser uploads store
+        extractedText: text.replace(/\s+/g, ' ').slice(0, PREVIEW_LENGTH),
+        text_path: textPath,
+        text_length: text.length,
+        truncated: text.length >= MAX_DOCUMENT_LENGTH,
+        index: { status: 'pending' },
+        uploaded_by: userId || null,
+        uploadedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { doc_id: ref.id, text_length: text.length };
+}
+
+// Helper function to load a project's chunks for a model, cached per instance
+async function loadChunks(db, projectId, model) {
+    const cacheKey = `${organizations.scopeKey(db)}|${projectId}`;
+    const cached = chunkCache.get(cacheKey);
+    if (cached && cached.model === model && cached.expires > Date.now()) {
+        return cached.chunks;
+    }
+
+    const snapshot = await chunksRef(db, projectId).where('model', '==', model).get();
+    const chunks = snapshot.docs.map(doc => ({ chunk_id: doc.id, ...doc.data() }));
+    chunkCache.set(cacheKey, { model, chunks, expires: Date.now() + CHUNK_CACHE_TTL_MS });
+    return chunks;
+}
+
+function clearChunkCache() {
+    chunkCache.clear();
+}
+
+// Helper function to rank a project's chunks against a query and keep the
+// best that fit within maxChars
+async function retrieve(db, { projectId, query, limit = DEFAULT_RETRIEVAL_LIMIT, maxChars = DEFAULT_CONTEXT_CHARS, provider = embeddings.getEmbeddingProvider() }) {
+    const chunks = await loadChunks(db, projectId, provider.model);
+    const queryTerms = [...new Set(embeddings.tokenize(query))];
+    if (chunks.length === 0 || queryTerms.length === 0) return [];
+
+    // Rarer terms say more about which chunk is relevant
+    const documentFrequency = new Map();
+    chunks.forEach(chunk => chunk.terms.forEach(term => {
+        documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+    }));
+    const idf = term => Math.log(1 + chunks.length / (1 + (documentFrequency.get(term) || 0)));
+    const queryWeight = queryTerms.reduce((sum, term) => sum + idf(term), 0);
+
+    const [queryVector] = await provider.embed([query]);
+    const ranked = chunks.map(chunk => {
+        const terms = new Set(chunk.terms);
+        const overlap = queryTerms.reduce((sum, term) => sum + (terms.has(term) ? idf(term) : 0), 0) / queryWeight;
+        const similarity = Math.max(0, embeddings.cosineSimilarity(queryVector, chunk.vector));
+        return { chunk, score: Number((SIMILARITY_WEIGHT * similarity + TERM_WEIGHT * overlap).toFixed(4)) };
+    }).sort((a, b) => b.score - a.score);
+
+    const selected = [];
+    let used = 0;
+    for (const { chunk, score } of ranked) {
+        if (selected.length >= limit || score <= 0) break;
+        if (used + chunk.text.length > maxChars) continue;
+        selected.push({ ...chunk, score });
+        used += chunk.text.length;
+    }
+    return selected;
+}
+
+// Helper function to describe a candidate (a project candidate or a CV
+// database record) and a position as retrieval query text
+function retrievalQuery({ candidate = null, position = null, query = null }) {
+    const parts = [query];
+    if (position) {
+        parts.push(embeddings.positionText(position));
+    }
+    if (candidate?.candidate_profile) {
+        parts.push(embeddings.cvText(candidate));
+    } else if (candidate?.screening_summary) {
+        const summary = candidate.screening_summary;
+        parts.push(
+            summary.current_role,
+            (summary.recommended_roles || []).join(' '),
+            (summary.key_skills || []).join(' '),
+            (summary.key_strengths || []).join(' '),
+            (summary.certifications || []).join(' '),
+            summary.location
+        );
+    }
+    return parts.filter(Boolean).join('\n').slice(0, 4000);
+}
+
+function serializeSource(chunk) {
+    return {
+        chunk_id: chunk.chunk_id,
+        doc_id: chunk.doc_id,
+        doc_name: chunk.doc_name,
+        chunk_index: chunk.chunk_index,
+        heading: chunk.heading || null,
+        page_start: chunk.page_start ?? null,
+        page_end: chunk.page_end ?? null,
+        score: chunk.score
+    };
+}
+
+function sourceLabel(chunk) {
+    const pages = chunk.page_start === null || chunk.page_start === undefined ? ''
+        : chunk.page_end !== chunk.page_start ? `, pp. ${chunk.page_start}-${chunk.page_end}` : `, p. ${chunk.page_start}`;
+    return `${chunk.doc_name}${pages}${chunk.heading ? `, "${chunk.heading}"` : ''}`;
+}
+
+// Helper function to build the project context for a prompt: the relevant
+// chunks as numbered excerpts, and the sources to store with the output
+async function buildContext(db, { projectId, candidate = null, position = null, query = null, limit, maxChars, provider }) {
+    if (!projectId) {
+        throw new HttpError(400, 'project_id is required');
+    }
+    const text = retrievalQuery({ candidate, position, query });
+    const chunks = text ? await retrieve(db, { projectId, query: text, limit, maxChars, provider }) : [];
+    return {
+        context: chunks.map((chunk, i) => `[${i + 1}] ${sourceLabel(chunk)}\n${chunk.text}`).join('\n\n'),
+        sources: chunks.map(serializeSource)
+    };
+}
+
+module.exports = {
+    CHUNK_COLLECTION,
+    UPLOAD_PREFIX,
+    CHUNK_SIZE,
+    CHUNK_OVERLAP,
+    chunkText,
+    indexDocument,
+    syncDocument,
+    processKnowledgeFile,
+    retrieve,
+    retrievalQuery,
+    buildContext,
+    clearChunkCache
+};
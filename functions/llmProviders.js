@@ -0,0 +1,119 @@
+// LLM providers
+//
+// Every server-side LLM call goes through a provider with one method,
+// generateJson(prompt, options), which resolves to parsed JSON. The API key is
+// held by the server (GEMINI_API_KEY) instead of each recruiter's browser.
+//
+// LLM_PROVIDER selects the provider. The `stub` provider never calls out: it
+// answers from deterministic handlers keyed by options.task using
+// options.input, so the CV pipeline can be exercised offline.
+//
+// Gemini failures are thrown as ProviderErrors. Rate limits and server errors
+// are retryable; a refused request, an empty or unparseable answer and a
+// missing API key are not, since sending the same prompt again won't help.
+
+const jsonRepair = require('./jsonRepair');
+const { ProviderError } = require('./errors');
+
+const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+const DEFAULT_GEMINI_MODEL = 'gemini-2.0-flash-exp';
+
+function createGeminiProvider({
+    apiKey = process.env.GEMINI_API_KEY,
+    model = process.env.GEMINI_MODEL || DEFAULT_GEMINI_MODEL
+} = {}) {
+    return {
+        name: 'gemini',
+        model,
+        async generateJson(prompt, options = {}) {
+            if (!apiKey) {
+                throw new ProviderError(503, 'GEMINI_API_KEY is not configured on the server');
+            }
+
+            const {
+                temperature = 0.3,
+                maxOutputTokens = 8192,
+                topP = 0.95
+            } = options;
+
+            const response = await fetch(`${GEMINI_API_URL}/${model}:generateContent?key=${apiKey}`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    contents: [{
+                        parts: [{ text: prompt }]
+                    }],
+                    generationConfig: {
+                        responseMimeType: 'application/json',
+                        temperature,
+                        maxOutputTokens,
+                        topP
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                const retryable = response.status === 408 || response.status === 429 || response.status >= 500;
+                throw new ProviderError(retryable ? 503 : 502, `Gemini API error (${response.status}): ${await response.text()}`, { retryable });
+            }
+
+            const result = await response.json();
+            const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+            if (!text) {
+                throw new ProviderError(502, 'Gemini API returned no content');
+            }
+
+            try {
+                const { value, repaired } = jsonRepair.parseJson(text);
+                if (repaired) {
+                    console.warn(`Repaired malformed JSON from ${model}`);
+                }
+                return value;
+            } catch (error) {
+                throw new ProviderError(502, `Gemini API returned invalid JSON: ${error.message}`);
+            }
+        }
+    };
+}
+
+// Handlers for the stub provider, keyed by task. Each receives options.input.
+const stubHandlers = {};
+
+function registerStubHandler(task, handler) {
+    stubHandlers[task] = handler;
+}
+
+function createStubProvider(handlers = stubHandlers) {
+    return {
+        name: 'stub',
+        model: 'stub',
+        async generateJson(prompt, options = {}) {
+            const handler = handlers[options.task];
+            if (!handler) {
+                throw new Error(`Stub provider has no handler for task: ${options.task}`);
+            }
+            return handler(options.input || {}, prompt);
+        }
+    };
+}
+
+const PROVIDERS = {
+    gemini: createGeminiProvider,
+    stub: createStubProvider
+};
+
+// Helper function to get the configured provider
+function getProvider(name = process.env.LLM_PROVIDER || 'gemini') {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+    return factory();
+}
+
+module.exports = {
+    createGeminiProvider,
+    createStubProvider,
+    registerStubHandler,
+    getProvider
+};
@@ -0,0 +1,230 @@
+// Match status workflow
+//
+// Matches move through a fixed set of statuses. Every change is checked
+// against STATUS_TRANSITIONS and recorded in the match's `events`
+// subcollection (who, when, from/to, note); notes live only there, so each
+// change keeps its own. Placing a candidate counts towards the position's
+// headcount (filling it once headcount is reached), marks the demob profile as
+// redeployed and withdraws the employee's other open matches in the same
+// transaction. Once an employee is placed, none of their matches can be
+// reopened or placed again.
+
+const admin = require('firebase-admin');
+const positions = require('./positions');
+const { HttpError } = require('./errors');
+
+const MATCH_STATUSES = [
+    'Pending Review',
+    'In Progress',
+    'Interview Scheduled',
+    'Placed',
+    'Rejected',
+    'Withdrawn',
+    'Expired'
+];
+
+const STATUS_TRANSITIONS = {
+    'Pending Review': ['In Progress', 'Rejected', 'Withdrawn', 'Expired'],
+    'In Progress': ['Interview Scheduled', 'Rejected', 'Withdrawn', 'Expired'],
+    'Interview Scheduled': ['In Progress', 'Placed', 'Rejected', 'Withdrawn', 'Expired'],
+    'Placed': [],
+    'Rejected': [],
+    'Withdrawn': ['Pending Review'],
+    'Expired': ['Pending Review']
+};
+
+// Set by matching itself, never through updateMatchStatus
+const SYSTEM_STATUSES = ['Expired'];
+
+// Statuses a match can still be expired or withdrawn from
+const OPEN_STATUSES = ['Pending Review', 'In Progress', 'Interview Scheduled'];
+const EXPIRED_STATUS = 'Expired';
+const PLACED_PROFILE_STATUS = 'Redeployed';
+const SYSTEM_ACTOR = 'system';
+// Set on matches withdrawn because the employee was placed through another
+const PLACED_ELSEWHERE = 'placed_elsewhere';
+
+class WorkflowError extends HttpError {
+    constructor(message, status) {
+        super(status, message);
+        this.name = 'WorkflowError';
+    }
+}
+
+// `match`, when given, rules out reopening a match withdrawn by a placement
+function allowedTransitions(from, match = null) {
+    if (match?.withdrawn_reason === PLACED_ELSEWHERE) return [];
+    return STATUS_TRANSITIONS[from] || [];
+}
+
+function canTransition(from, to) {
+    return allowedTransitions(from).includes(to);
+}
+
+// Helper function to build a match event document
+function buildEvent({ from = null, to, actor = SYSTEM_ACTOR, note = null, reason = null }) {
+    return {
+        from,
+        to,
+        actor,
+        note,
+        reason,
+        at: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+function eventsCollection(matchRef) {
+    return matchRef.collection('events');
+}
+
+// Add an event write to a batch or transaction
+function recordEvent(writer, matchRef, event) {
+    writer.set(eventsCollection(matchRef).doc(), buildEvent(event));
+}
+
+// Helper function to move a match to a new status and apply its side effects
+async function transitionMatch(db, matchId, { status, note, placementDate, userId }) {
+    if (!MATCH_STATUSES.includes(status) || SYSTEM_STATUSES.includes(status)) {
+        throw new WorkflowError('Invalid status', 400);
+    }
+
+    const matchRef = db.collection('demob_matches').doc(matchId);
+
+    return db.runTransaction(async (transaction) => {
+        const matchDoc = await transaction.get(matchRef);
+        if (!matchDoc.exists) {
+            throw new WorkflowError('Match not found', 404);
+        }
+
+        const match = matchDoc.data();
+        const from = match.status || 'Pending Review';
+        if (!canTransition(from, status)) {
+            throw new WorkflowError(
+                `Cannot move match from ${from} to ${status}. Allowed: ${allowedTransitions(from).join(', ') || 'none'}`,
+                409
+            );
+        }
+
+        // All reads happen before any write in a transaction
+        if (status === 'Placed' || status === 'Pending Review') {
+            if (match.withdrawn_reason === PLACED_ELSEWHERE) {
+                throw new WorkflowError('The employee was placed through another match', 409);
+            }
+            const placedSnapshot = await transaction.get(
+                db.collection('demob_matches')
+                    .where('employee_id', '==', match.employee_id)
+                    .where('status', '==', 'Placed')
+                    .limit(1)
+            );
+            if (!placedSnapshot.empty) {
+                throw new WorkflowError(`The employee was placed through match ${placedSnapshot.docs[0].id}`, 409);
+            }
+        }
+
+        let positionRef = null;
+        let position = null;
+        let otherMatches = [];
+        if (status === 'Placed') {
+            positionRef = positions.positionRef(db, match.project_id, match.position_id);
+            const positionDoc = await transaction.get(positionRef);
+            position = positionDoc.exists ? positionDoc.data() : null;
+            if (!position) positionRef = null;
+            if (position && (position.status || 'open') !== 'open') {
+                throw new WorkflowError(`Position is ${position.status}; only open positions can be placed into`, 409);
+            }
+
+            const openSnapshot = await transaction.get(
+                db.collection('demob_matches')
+                    .where('employee_id', '==', match.employee_id)
+                    .where('status', 'in', OPEN_STATUSES)
+            );
+            otherMatches = openSnapshot.docs.filter(doc => doc.id !== matchId);
+        }
+
+        const updateData = {
+            status,
+            last_updated: admin.firestore.FieldValue.serverTimestamp(),
+            updated_by: userId
+        };
+        if (status === 'Placed') {
+            updateData.placement_date = placementDate || new Date().toISOString().split('T')[0];
+        }
+
+        transaction.update(matchRef, updateData);
+        recordEvent(transaction, matchRef, { from, to: status, actor: userId, note });
+
+        let positionFill = null;
+        if (status === 'Placed') {
+            if (positionRef) {
+                positionFill = positions.applyPlacement(transaction, positionRef, position, {
+                    matchId,
+                    employeeId: match.employee_id,
+                    placementDate: updateData.placement_date
+                });
+            }
+
+            transaction.update(db.collection('demob_profiles').doc(match.employee_id), {
+                current_status: PLACED_PROFILE_STATUS,
+                placement: {
+                    match_id: matchId,
+                    project_id: match.project_id,
+                    position_id: match.position_id,
+                    placement_date: updateData.placement_date
+                },
+                last_updated: admin.firestore.FieldValue.serverTimestamp()
+            });
+
+            for (const doc of otherMatches) {
+                transaction.update(doc.ref, {
+                    status: 'Withdrawn',
+                    withdrawn_reason: PLACED_ELSEWHERE,
+                    last_updated: admin.firestore.FieldValue.serverTimestamp(),
+                    updated_by: SYSTEM_ACTOR
+                });
+                recordEvent(transaction, doc.ref, {
+                    from: doc.data().status,
+                    to: 'Withdrawn',
+                    reason: PLACED_ELSEWHERE,
+                    note: `Employee placed via match ${matchId}`
+                });
+            }
+        }
+
+        return {
+            from,
+            to: status,
+            position_filled: Boolean(positionFill?.filled),
+            position_fill: positionFill,
+            withdrawn_matches: otherMatches.map(doc => doc.id)
+        };
+    });
+}
+
+// Helper function to list a match's events, oldest first
+async function listEvents(db, matchId) {
+    const snapshot = await eventsCollection(db.collection('demob_matches').doc(matchId))
+        .orderBy('at', 'asc')
+        .get();
+    return snapshot.docs.map(doc => {
+        const event = doc.data();
+        return {
+            id: doc.id,
+            ...event,
+            at: event.at?.toDate?.().toISOString() || null
+        };
+    });
+}
+
+module.exports = {
+    MATCH_STATUSES,
+    STATUS_TRANSITIONS,
+    OPEN_STATUSES,
+    EXPIRED_STATUS,
+    PLACED_PROFILE_STATUS,
+    WorkflowError,
+    allowedTransitions,
+    canTransition,
+    recordEvent,
+    transitionMatch,
+    listEvents
+};
@@ -0,0 +1,232 @@
+// Demob matching against the open position index
+//
+// Positions are authored under projects/{pid}/positions, which would make
+// every match scan all projects and positions. The onPositionWrite trigger
+// mirrors each position into the organization's `open_positions` collection
+// with normalized skill keys, so matching becomes one indexed query per
+// profile (or one read of the index for a whole page of profiles).
+
+const admin = require('firebase-admin');
+const scoring = require('./scoring');
+const skillTaxonomy = require('./skillTaxonomy');
+
+const POSITION_INDEX = 'open_positions';
+const DEMOBILIZING_STATUS = 'Active - Demobilizing';
+const PAGE_SIZE = 500;
+
+// Firestore caps array-contains-any at 30 values per query
+const MAX_DISJUNCTION = 30;
+
+function positionIndexId(projectId, positionId) {
+    return `${projectId}_${positionId}`;
+}
+
+// One match document per employee/position pair, so re-running matching
+// updates the existing record instead of adding a duplicate
+function matchId(employeeId, projectId, positionId) {
+    return [employeeId, projectId, positionId]
+        .map(part => String(part).replace(/\//g, '_'))
+        .join('_');
+}
+
+function normalizeLocation(location) {
+    return String(location || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+// Helper function to build the index entry for a position
+function buildPositionIndexEntry({ organizationId, projectId, project, positionId, position, taxonomy }) {
+    const requiredSkills = position.required_skills || [];
+    return {
+        organization_id: organizationId || null,
+        created_by: position.created_by || null,
+        project_id: projectId,
+        project_name: project?.projectName || 'Unknown',
+        position_id: positionId,
+        title: position.title || '',
+        description: position.description || '',
+        status: position.status || 'open',
+        required_skills: requiredSkills,
+        // Required skills are not expanded to ancestors: a candidate's child
+        // skill satisfies a parent requirement, not the other way round
+        skill_keys: taxonomy.requirementKeys(requiredSkills),
+        location: position.location || '',
+        location_key: normalizeLocation(position.location),
+        start_date: position.start_date || null,
+        project_type: position.project_type || null,
+        nice_to_have_skills: position.nice_to_have_skills || [],
+        headcount: position.headcount || 1,
+        filled_count: position.filled_count || 0,
+        rate_band: position.rate_band || null,
+        must_haves: position.must_haves || null,
+        last_indexed: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Read every document a query returns, one page at a time
+async function readAllPages(query, pageSize = PAGE_SIZE) {
+    const docs = [];
+    let lastDoc = null;
+
+    while (true) {
+        let page = query.limit(pageSize);
+        if (lastDoc) page = page.startAfter(lastDoc);
+        const snapshot = await page.get();
+        docs.push(...snapshot.docs);
+        if (snapshot.size < pageSize) break;
+        lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    }
+
+    return docs;
+}
+
+function matchesLocationFilter(position, locations) {
+    if (!locations || locations.length === 0) return true;
+    const positionLocation = position.location_key || normalizeLocation(position.location);
+    return locations.some(location => {
+        const key = normalizeLocation(location);
+        return positionLocation.includes(key) || key.includes(positionLocation);
+    });
+}
+
+// Helper function to load open positions with optional pre-filters:
+// projectId, skillKeys (any overlap), startAfter/startBefore (ISO dates), locations
+async function loadOpenPositions(db, filters = {}) {
+    const { projectId, skillKeys, startAfter, startBefore, locations } = filters;
+
+    let baseQuery = db.collection(POSITION_INDEX).where('status', '==', 'open');
+    if (projectId) {
+        baseQuery = baseQuery.where('project_id', '==', projectId);
+    }
+    if (startAfter) {
+        baseQuery = baseQuery.where('start_date', '>=', startAfter);
+    }
+    if (startBefore) {
+        baseQuery = baseQuery.where('start_date', '<=', startBefore);
+    }
+
+    let docs;
+    if (skillKeys) {
+        if (skillKeys.length === 0) return [];
+        docs = [];
+        for (let i = 0; i < skillKeys.length; i += MAX_DISJUNCTION) {
+            const chunk = skillKeys.slice(i, i + MAX_DISJUNCTION);
+            docs.push(...await readAllPages(baseQuery.where('skill_keys', 'array-contains-any', chunk)));
+        }
+    } else {
+        docs = await readAllPages(baseQuery);
+    }
+
+    const positions = new Map();
+    for (const doc of docs) {
+        const position = { index_id: doc.id, ...doc.data() };
+        if (matchesLocationFilter(position, locations)) {
+            positions.set(doc.id, position);
+        }
+    }
+    return [...positions.values()];
+}
+
+function buildMatch(demobProfile, position, result) {
+    return {
+        match_id: matchId(demobProfile.employee_id, position.project_id, position.position_id),
+        employee_id: demobProfile.employee_id,
+        employee_name: demobProfile.current_project?.role || 'Unknown',
+        organization_id: position.organization_id || null,
+        project_id: position.project_id,
+        project_name: position.project_name || 'Unknown',
+        position_id: position.position_id,
+        position_title: position.title,
+        match_score: result.score,
+        match_factors: scoring.toMatchFactors(result),
+        score_breakdown: result.factors,
+        scorer_id: result.scorer_id,
+        weight_profile_id: result.weight_profile_id,
+        demob_date: demobProfile.demob_date,
+        position_start_date: position.start_date,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Score one profile against a set of positions, keeping those at or above minScore
+async function scoreProfileAgainstPositions(db, demobProfile, positions, minScore, taxonomy) {
+    const matches = [];
+    for (const position of positions) {
+        const weightProfile = await scoring.loadWeightProfile(db, position.organization_id);
+        const result = scoring.scoreMatch(demobProfile, position, weightProfile, taxonomy);
+        if (result.score >= minScore) {
+            matches.push(buildMatch(demobProfile, position, result));
+        }
+    }
+    return matches;
+}
+
+// Can positions with no skill overlap be skipped for this minimum score
+async function canPrefilterBySkills(db, minScore) {
+    const minimumSkillWeight = await scoring.loadMinimumSkillWeight(db, db.organizationId);
+    return (1 - minimumSkillWeight) * 100 < minScore;
+}
+
+// Helper function to match a single profile to open positions
+async function matchProfileToPositions(db, demobProfile, options = {}) {
+    const { projectId = null, minScore = 75, filters = {} } = options;
+    const taxonomy = await skillTaxonomy.loadTaxonomy(db);
+
+    const usePrefilter = await canPrefilterBySkills(db, minScore);
+    const skillKeys = usePrefilter
+        ? taxonomy.candidateKeys(demobProfile.skill_inventory?.technical_skills || [])
+        : null;
+
+    const positions = await loadOpenPositions(db, { ...filters, projectId, skillKeys });
+    return scoreProfileAgainstPositions(db, demobProfile, positions, minScore, taxonomy);
+}
+
+// Helper function to match one page of demobilizing profiles against a
+// preloaded set of positions. Returns the matches and the cursor for the next page.
+async function matchProfilePage(db, positions, options = {}) {
+    const { cursor = null, pageSize = 200, minScore = 75 } = options;
+    const taxonomy = await skillTaxonomy.loadTaxonomy(db);
+
+    let query = db.collection('demob_profiles')
+        .where('current_status', '==', DEMOBILIZING_STATUS)
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+    if (cursor) {
+        query = query.startAfter(cursor);
+    }
+
+    const snapshot = await query.get();
+    const matches = [];
+    for (const doc of snapshot.docs) {
+        const profileMatches = await scoreProfileAgainstPositions(db, doc.data(), positions, minScore, taxonomy);
+        matches.push(...profileMatches);
+    }
+
+    return {
+        matches,
+        processed: snapshot.size,
+        nextCursor: snapshot.size === pageSize ? snapshot.docs[snapshot.size - 1].id : null
+    };
+}
+
+async function countDemobilizingProfiles(db) {
+    const snapshot = await db.collection('demob_profiles')
+        .where('current_status', '==', DEMOBILIZING_STATUS)
+        .count()
+        .get();
+    return snapshot.data().count;
+}
+
+module.exports = {
+    POSITION_INDEX,
+    DEMOBILIZING_STATUS,
+    positionIndexId,
+    matchId,
+    normalizeLocation,
+    buildPositionIndexEntry,
+    readAllPages,
+    loadOpenPositions,
+    scoreProfileAgainstPositions,
+    matchProfileToPositions,
+    matchProfilePage,
+    countDemobilizingProfiles
+};
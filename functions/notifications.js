@@ -0,0 +1,203 @@
+// Notifications
+//
+// Every notification is an in-app record in the `notifications` collection
+// (one per recipient), and can also be emailed. Email goes through a mailer
+// with one method, send({ to, subject, text, html }). Outreach also passes
+// replyTo, messageId, inReplyTo and references so replies thread and can be
+// matched back to the message they answer, and interview invites pass
+// icalEvent ({ method, filename, content }) so mail clients offer to add them
+// to the calendar.
+//
+// MAIL_TRANSPORT selects the mailer. `smtp` sends through any SMTP server
+// configured by SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS,
+// so a local mail catcher (e.g. SMTP_HOST=localhost SMTP_PORT=1025) receives
+// exactly what production would send. `log` only writes the message to the
+// function log, so it is never the fallback: it is used when MAIL_TRANSPORT=log
+// asks for it or under the emulator. Otherwise, without SMTP_HOST, getMailer
+// throws and callers record the send as failed rather than sent.
+
+const admin = require('firebase-admin');
+const auth = require('./auth');
+
+const NOTIFICATION_COLLECTION = 'notifications';
+const NOTIFICATION_PRIORITIES = ['normal', 'high'];
+const DEFAULT_FROM = 'RecruitPro <no-reply@recruitpro.local>';
+const WRITE_BATCH_SIZE = 400;
+
+function createSmtpMailer({
+    host = process.env.SMTP_HOST,
+    port = Number(process.env.SMTP_PORT) || 587,
+    secure = process.env.SMTP_SECURE === 'true',
+    user = process.env.SMTP_USER,
+    pass = process.env.SMTP_PASS,
+    from = process.env.MAIL_FROM || DEFAULT_FROM
+} = {}) {
+    if (!host) {
+        throw new Error('SMTP_HOST is not configured on the server');
+    }
+
+    // Loaded here so the log mailer works without nodemailer installed
+    const nodemailer = require('nodemailer');
+    const transport = nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user ? { auth: { user, pass } } : {})
+    });
+
+    return {
+        name: 'smtp',
+        async send({ to, subject, text, html, replyTo, messageId, inReplyTo, references, icalEvent }) {
+            const info = await transport.sendMail({ from, to, subject, text, html, replyTo, messageId, inReplyTo, references, icalEvent });
+            return { message_id: info.messageId };
+        }
+    };
+}
+
+function createLogMailer() {
+    return {
+        name: 'log',
+        async send({ to, subject, text, messageId = null, icalEvent = null }) {
+            console.log(`[mail] to=${to} subject=${subject}${messageId ? ` message-id=${messageId}` : ''}${icalEvent ? ` calendar=${icalEvent.method}` : ''}\n${text}`);
+            return { message_id: messageId };
+        }
+    };
+}
+
+const MAILERS = {
+    smtp: createSmtpMailer,
+    log: createLogMailer
+};
+
+function defaultTransport() {
+    if (process.env.SMTP_HOST) return 'smtp';
+    if (process.env.FUNCTIONS_EMULATOR === 'true') return 'log';
+    throw new Error('No mail transport is configured: set SMTP_HOST, or MAIL_TRANSPORT=log to only log mail');
+}
+
+// Helper function to get the configured mailer
+function getMailer(name = process.env.MAIL_TRANSPORT || defaultTransport()) {
+    const factory = MAILERS[name];
+    if (!factory) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+    return factory();
+}
+
+// Helper function to list the organization's users holding a permission, with
+// their email and preferences. `db` must be scoped to the organization.
+async function loadRecipients(db, permission) {
+    const roles = auth.ROLES.filter(role => auth.permissionsFor(role)[permission]);
+    const snapshot = await db.collection('users')
+        .where('organization_id', '==', db.organizationId)
+        .where('role', 'in', roles)
+        .get();
+    return snapshot.docs.map(doc => ({
+        user_id: doc.id,
+        email: doc.data().email || null,
+        role: doc.data().role,
+        email_enabled: doc.data().notification_preferences?.email !== false
+    }));
+}
+
+// Helper function to write one in-app notification per recipient and email
+// those who haven't turned email off. Returns { created, emailed, email_errors }.
+async function notify(db, recipients, { type, title, body, priority = 'normal', data = {}, email = null }, mailer = null) {
+    if (!NOTIFICATION_PRIORITIES.includes(priority)) {
+        throw new Error(`Unknown notification priority: ${priority}`);
+    }
+
+    for (let i = 0; i < recipients.length; i += WRITE_BATCH_SIZE) {
+        const batch = db.batch();
+        recipients.slice(i, i + WRITE_BATCH_SIZE).forEach(recipient => {
+            batch.set(db.collection(NOTIFICATION_COLLECTION).doc(), {
+                recipient_id: recipient.user_id,
+                type,
+                title,
+                body,
+                priority,
+                data,
+                read: false,
+                created_at: admin.firestore.FieldValue.serverTimestamp()
+            });
+        });
+        await batch.commit();
+    }
+
+    let emailed = 0;
+    const emailErrors = [];
+    const emailRecipients = email ? recipients.filter(r => r.email && r.email_enabled) : [];
+    let transport = mailer;
+    if (emailRecipients.length > 0 && !transport) {
+        try {
+            transport = getMailer();
+        } catch (error) {
+            // The in-app notifications stand even when mail isn't set up
+            console.error('Notification emails not sent:', error);
+            const errors = emailRecipients.map(recipient => ({ user_id: recipient.user_id, error: error.message }));
+            return { created: recipients.length, emailed, email_errors: errors };
+        }
+    }
+    for (const recipient of emailRecipients) {
+        try {
+            await transport.send({ to: recipient.email, ...email });
+            emailed++;
+        } catch (error) {
+            // One bad address shouldn't stop the rest of the digest
+            console.error(`Failed to email ${recipient.user_id}:`, error);
+            emailErrors.push({ user_id: recipient.user_id, error: error.message });
+        }
+    }
+
+    return { created: recipients.length, emailed, email_errors: emailErrors };
+}
+
+function serializeNotification(doc) {
+    const notification = doc.data();
+    return {
+        notification_id: doc.id,
+        type: notification.type,
+        title: notification.title,
+        body: notification.body,
+        priority: notification.priority,
+        data: notification.data || {},
+        read: Boolean(notification.read),
+        created_at: notification.created_at?.toDate?.().toISOString() || null
+    };
+}
+
+async function listNotifications(db, userId, { unreadOnly = false, limit = 50 } = {}) {
+    let query = db.collection(NOTIFICATION_COLLECTION).where('recipient_id', '==', userId);
+    if (unreadOnly) {
+        query = query.where('read', '==', false);
+    }
+    const snapshot = await query.orderBy('created_at', 'desc').limit(limit).get();
+    return snapshot.docs.map(serializeNotification);
+}
+
+// Helper function to mark a user's notifications read; others' are ignored
+async function markRead(db, userId, notificationIds) {
+    const refs = notificationIds.map(id => db.collection(NOTIFICATION_COLLECTION).doc(String(id)));
+    const docs = refs.length > 0 ? await db.getAll(...refs) : [];
+    const owned = docs.filter(doc => doc.exists && doc.data().recipient_id === userId);
+
+    const batch = db.batch();
+    owned.forEach(doc => batch.update(doc.ref, {
+        read: true,
+        read_at: admin.firestore.FieldValue.serverTimestamp()
+    }));
+    if (owned.length > 0) await batch.commit();
+    return owned.length;
+}
+
+module.exports = {
+    NOTIFICATION_COLLECTION,
+    NOTIFICATION_PRIORITIES,
+    createSmtpMailer,
+    createLogMailer,
+    getMailer,
+    loadRecipients,
+    notify,
+    listNotifications,
+    markRead
+};
@@ -0,0 +1,252 @@
+// Organizations (tenants)
+//
+// Every project, candidate, CV record, demob profile, match and job belongs
+// to one organization and is stored under organizations/{orgId}/... . A user
+// belongs to at most one organization, recorded as organization_id on their
+// users document next to their role; roles are per organization.
+//
+// Functions never build tenant paths by hand. scopedDb() wraps the Firestore
+// instance so that db.collection('demob_profiles') resolves to the caller's
+// organizations/{orgId}/demob_profiles, which lets the modules keep taking
+// `db` and stay unaware of tenancy. Collections that are not tenant data
+// (GLOBAL_COLLECTIONS) resolve to the top level as before. Collection group
+// queries can't be rooted at a path, so they filter on the organization_id
+// field that tenant documents queried that way carry.
+//
+// Users join an organization by creating one (they become its admin) or by
+// accepting an invite addressed to their sign-in email.
+
+const admin = require('firebase-admin');
+const auth = require('./auth');
+const { HttpError } = require('./errors');
+
+const ORGANIZATION_COLLECTION = 'organizations';
+const INVITE_COLLECTION = 'organization_invites';
+const GLOBAL_COLLECTIONS = ['users', ORGANIZATION_COLLECTION, INVITE_COLLECTION, 'scoring_profiles'];
+const MAX_NAME_LENGTH = 100;
+
+// Helper function to scope a Firestore instance to one organization
+function scopedDb(db, organizationId) {
+    if (!organizationId) {
+        throw new Error('An organization id is required');
+    }
+    const prefix = `${ORGANIZATION_COLLECTION}/${organizationId}`;
+    const scopedPath = path => (GLOBAL_COLLECTIONS.includes(path.split('/')[0]) ? path : `${prefix}/${path}`);
+
+    return {
+        organizationId,
+        root: db,
+        collection: path => db.collection(scopedPath(path)),
+        doc: path => db.doc(scopedPath(path)),
+        collectionGroup: name => db.collectionGroup(name).where('organization_id', '==', organizationId),
+        batch: () => db.batch(),
+        runTransaction: (updateFunction, options) => db.runTransaction(updateFunction, options),
+        getAll: (...args) => db.getAll(...args)
+    };
+}
+
+// Key for per-instance caches of tenant data
+function scopeKey(db) {
+    return db.organizationId || '';
+}
+
+// Helper function to get the caller's organization id, or refuse the request
+function requireOrganization(caller) {
+    const organizationId = caller.user?.organization_id;
+    if (!organizationId) {
+        throw new HttpError(403, 'You are not a member of an organization yet');
+    }
+    return organizationId;
+}
+
+function normalizeEmail(email) {
+    return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+function validateName(name) {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) {
+        throw new HttpError(400, 'Organization name is required');
+    }
+    if (trimmed.length > MAX_NAME_LENGTH) {
+        throw new HttpError(400, `Organization name must be at most ${MAX_NAME_LENGTH} characters`);
+    }
+    return trimmed;
+}
+
+function serializeMember(doc) {
+    const data = doc.data();
+    return {
+        user_id: doc.id,
+        role: auth.ROLES.includes(data.role) ? data.role : auth.DEFAULT_ROLE,
+        email: data.email || null,
+        display_name: data.displayName || data.display_name || null,
+        joined_at: data.joined_organization_at?.toDate?.().toISOString() || null
+    };
+}
+
+async function loadOrganization(db, organizationId) {
+    const doc = await db.collection(ORGANIZATION_COLLECTION).doc(organizationId).get();
+    if (!doc.exists) {
+        throw new HttpError(404, 'Organization not found');
+    }
+    const organization = doc.data();
+    return {
+        organization_id: doc.id,
+        name: organization.name,
+        created_by: organization.created_by || null,
+        created_at: organization.created_at?.toDate?.().toISOString() || null
+    };
+}
+
+async function listMembers(db, organizationId) {
+    const snapshot = await db.collection('users').where('organization_id', '==', organizationId).get();
+    return snapshot.docs.map(serializeMember);
+}
+
+// Helper function to create an organization with the caller as its admin
+async function createOrganization(db, caller, name) {
+    const organizationName = validateName(name);
+    const orgRef = db.collection(ORGANIZATION_COLLECTION).doc();
+    const userRef = db.collection('users').doc(caller.uid);
+
+    await db.runTransaction(async (transaction) => {
+        const userDoc = await transaction.get(userRef);
+        if (userDoc.exists && userDoc.data().organization_id) {
+            throw new HttpError(409, 'You already belong to an organization');
+        }
+        transaction.set(orgRef, {
+            name: organizationName,
+            created_by: caller.uid,
+            created_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+        transaction.set(userRef, {
+            organization_id: orgRef.id,
+            role: 'admin',
+            joined_organization_at: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+    });
+
+    return orgRef.id;
+}
+
+async function renameOrganization(db, organizationId, name) {
+    const organizationName = validateName(name);
+    await db.collection(ORGANIZATION_COLLECTION).doc(organizationId).update({
+        name: organizationName,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return organizationName;
+}
+
+// Helper function to invite an email address to an organization with a role.
+// A later invite for the same address replaces the earlier one.
+async function inviteMember(db, caller, { email, role = auth.DEFAULT_ROLE }) {
+    const address = normalizeEmail(email);
+    if (!address || !address.includes('@')) {
+        throw new HttpError(400, 'A valid email is required');
+    }
+    if (!auth.ROLES.includes(role)) {
+        throw new HttpError(400, `Invalid role. Valid roles: ${auth.ROLES.join(', ')}`);
+    }
+
+    const organizationId = requireOrganization(caller);
+    const existing = await db.collection('users').where('email', '==', address).limit(1).get();
+    if (!existing.empty && existing.docs[0].data().organization_id) {
+        throw new HttpError(409, existing.docs[0].data().organization_id === organizationId
+            ? 'That user is already a member'
+            : 'That user belongs to another organization');
+    }
+
+    await db.collection(INVITE_COLLECTION).doc(address).set({
+        organization_id: organizationId,
+        role,
+        invited_by: caller.uid,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { email: address, role };
+}
+
+async function listInvites(db, organizationId) {
+    const snapshot = await db.collection(INVITE_COLLECTION).where('organization_id', '==', organizationId).get();
+    return snapshot.docs.map(doc => ({
+        email: doc.id,
+        role: doc.data().role,
+        invited_by: doc.data().invited_by || null,
+        created_at: doc.data().created_at?.toDate?.().toISOString() || null
+    }));
+}
+
+// Helper function to join the organization a user's email was invited to.
+// Returns the organization id, or null when there is no invite.
+async function acceptInvite(db, uid, email) {
+    const address = normalizeEmail(email);
+    if (!address) return null;
+
+    const inviteRef = db.collection(INVITE_COLLECTION).doc(address);
+    const userRef = db.collection('users').doc(uid);
+
+    return db.runTransaction(async (transaction) => {
+        const [inviteDoc, userDoc] = await Promise.all([transaction.get(inviteRef), transaction.get(userRef)]);
+        if (!inviteDoc.exists || (userDoc.exists && userDoc.data().organization_id)) {
+            return null;
+        }
+        const invite = inviteDoc.data();
+        transaction.set(userRef, {
+            email: address,
+            organization_id: invite.organization_id,
+            role: invite.role,
+            invited_by: invite.invited_by || null,
+            joined_organization_at: admin.firestore.FieldValue.serverTimestamp()
+        }, { merge: true });
+        transaction.delete(inviteRef);
+        return invite.organization_id;
+    });
+}
+
+// Helper function to remove a member; they keep their account but lose
+// access to the organization's data
+async function removeMember(db, caller, userId) {
+    const organizationId = requireOrganization(caller);
+    if (userId === caller.uid) {
+        throw new HttpError(400, 'Admins cannot remove themselves');
+    }
+
+    const userRef = db.collection('users').doc(String(userId));
+    const userDoc = await userRef.get();
+    if (!userDoc.exists || userDoc.data().organization_id !== organizationId) {
+        throw new HttpError(404, 'Member not found');
+    }
+
+    await userRef.update({
+        organization_id: admin.firestore.FieldValue.delete(),
+        role: auth.DEFAULT_ROLE,
+        removed_from_organization: organizationId,
+        removed_by: caller.uid,
+        removed_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+}
+
+async function listOrganizationIds(db) {
+    const snapshot = await db.collection(ORGANIZATION_COLLECTION).select().get();
+    return snapshot.docs.map(doc => doc.id);
+}
+
+module.exports = {
+    ORGANIZATION_COLLECTION,
+    INVITE_COLLECTION,
+    GLOBAL_COLLECTIONS,
+    scopedDb,
+    scopeKey,
+    requireOrganization,
+    normalizeEmail,
+    loadOrganization,
+    listMembers,
+    createOrganization,
+    renameOrganization,
+    inviteMember,
+    listInvites,
+    acceptInvite,
+    removeMember,
+    listOrganizationIds
+};
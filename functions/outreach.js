@@ -0,0 +1,683 @@
+// Candidate outreach sequences
+//
+// A sequence is an ordered list of steps for a project (by default: initial
+// email, follow-up email, LinkedIn nudge), each sent delay_days after the
+// previous one. Enrolling a project candidate copies the steps into an
+// enrollment, so editing a sequence doesn't change messages already under
+// way, and sends the first step straight away.
+//
+// Every step produces one outreach_messages document with its own status:
+//
+//   queued  - created; LinkedIn steps stay queued until a recruiter sends
+//             them by hand and marks them sent
+//   sent    - accepted by the mail transport
+//   failed  - the transport refused it (retried, then the enrollment stops)
+//   bounced - reported back by the inbound webhook
+//   replied - a reply came in (webhook, or recorded by a recruiter)
+//
+// The `outreach_send` job sends the steps that have fallen due. Sending a
+// step first claims the enrollment in a transaction, so the job and the first
+// send from enroll() can't both send the same step. An enrollment
+// stops on a reply or bounce, or when the candidate's interestStatus changes
+// from what it was at enrollment. The candidate's emailSent fields are only
+// set once an email has actually been sent, and a sent email moves the
+// candidate to the contacted pipeline stage if they aren't past it yet.
+//
+// Email goes through the notifications mailer (MAIL_TRANSPORT / SMTP_*), so
+// pointing SMTP_HOST at a local sink (e.g. MAIL_TRANSPORT=smtp SMTP_HOST=localhost
+// SMTP_PORT=1025 with Mailpit) shows exactly what candidates would receive.
+// With no transport configured the send fails, so nothing is recorded as sent.
+// Messages carry our own Message-ID, which replies quote in In-Reply-To; the
+// outreachInbound webhook uses it to match replies and bounces.
+
+const admin = require('firebase-admin');
+const crypto = require('crypto');
+const notifications = require('./notifications');
+const pipeline = require('./pipeline');
+const { HttpError } = require('./errors');
+
+const SEQUENCE_COLLECTION = 'outreach_sequences';
+const ENROLLMENT_COLLECTION = 'outreach_enrollments';
+const MESSAGE_COLLECTION = 'outreach_messages';
+
+const CHANNELS = ['email', 'linkedin'];
+const MESSAGE_STATUSES = ['queued', 'sent', 'failed', 'bounced', 'replied'];
+const ENROLLMENT_STATUSES = ['active', 'replied', 'stopped', 'completed'];
+
+const MAX_STEPS = 6;
+const MAX_DELAY_DAYS = 60;
+const MAX_SUBJECT_LENGTH = 200;
+const MAX_BODY_LENGTH = 10000;
+const LINKEDIN_MAX_LENGTH = 300;
+const MAX_SEND_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 60 * 60 * 1000;
+// How long a claimed step is held before another run may send it
+const CLAIM_MS = 10 * 60 * 1000;
+const DUE_PAGE_SIZE = 50;
+const DAY_MS = 1000 * 60 * 60 * 24;
+const MESSAGE_ID_DOMAIN = process.env.OUTREACH_MESSAGE_DOMAIN || 'recruitpro.local';
+// Mailbox whose inbound replies are forwarded to the outreachInbound webhook
+const REPLY_TO = process.env.OUTREACH_REPLY_TO || undefined;
+
+const DEFAULT_STEPS = [
+    {
+        channel: 'email',
+        delay_days: 0,
+        subject: '{{role}} opportunity with {{company}} in {{location}}',
+        body: 'Hi {{first_name}},\n\n' +
+            'I\'m {{sender_name}} from {{company}}. I\'m reaching out about a {{role}} opportunity on the {{project}} project in {{location}}, ' +
+            'and your background stood out.\n\n' +
+            'If it sounds interesting, could you reply with your updated CV and a good time to talk?\n\n' +
+            'Best regards,\n{{sender_name}}\n{{company}}'
+    },
+    {
+        channel: 'email',
+        delay_days: 4,
+        subject: 'Re: {{previous_subject}}',
+        body: 'Hi {{first_name}},\n\n' +
+            'Following up on my note about the {{role}} role on {{project}}. We\'re speaking with candidates this week, ' +
+            'and I\'d be glad to share more detail if the timing works for you.\n\n' +
+            'Best regards,\n{{sender_name}}'
+    },
+    {
+        channel: 'linkedin',
+        delay_days: 7,
+        subject: 'LinkedIn connection request',
+        body: 'Hi {{first_name}}, I emailed you about a {{role}} role with {{company}} on {{project}} - would be great to connect.'
+    }
+];
+
+function sanitizeText(value, maxLength) {
+    return typeof value === 'string' ? value.trim().slice(0, maxLength) : '';
+}
+
+// Helper function to validate a sequence from a request. Returns { sequence, errors }.
+function validateSequence(input) {
+    const errors = [];
+    const name = sanitizeText(input?.name, 100);
+    if (!name) errors.push('name is required');
+
+    const steps = Array.isArray(input?.steps) ? input.steps : [];
+    if (steps.length === 0 || steps.length > MAX_STEPS) {
+        errors.push(`steps must have between 1 and ${MAX_STEPS} entries`);
+    }
+
+    const normalized = steps.slice(0, MAX_STEPS).map((step, index) => {
+        const channel = step?.channel || 'email';
+        if (!CHANNELS.includes(channel)) {
+            errors.push(`steps[${index}].channel must be one of: ${CHANNELS.join(', ')}`);
+        }
+        const delayDays = Number(step?.delay_days ?? 0);
+        if (!Number.isInteger(delayDays) || delayDays < 0 || delayDays > MAX_DELAY_DAYS) {
+            errors.push(`steps[${index}].delay_days must be a whole number from 0 to ${MAX_DELAY_DAYS}`);
+        }
+        const subject = sanitizeText(step?.subject, MAX_SUBJECT_LENGTH);
+        const body = sanitizeText(step?.body, MAX_BODY_LENGTH);
+        if (channel === 'email' && !subject) errors.push(`steps[${index}].subject is required for email steps`);
+        if (!body) errors.push(`steps[${index}].body is required`);
+        if (channel === 'linkedin' && body.length > LINKEDIN_MAX_LENGTH) {
+            errors.push(`steps[${index}].body must be at most ${LINKEDIN_MAX_LENGTH} characters for LinkedIn`);
+        }
+        return { channel, delay_days: delayDays, subject, body };
+    });
+
+    return { sequence: { name, steps: normalized }, errors };
+}
+
+// Replace {{placeholders}}; unknown ones render empty
+function renderTemplate(template, vars) {
+    return String(template || '').replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (vars[key] ?? '').toString());
+}
+
+function templateVars(candidate, project, enrollment) {
+    const summary = candidate.screening_summary || {};
+    const name = summary.candidate_name || '';
+    return {
+        candidate_name: name,
+        first_name: name.split(' ')[0] || 'there',
+        role: enrollment.role || summary.recommended_roles?.[0] || 'open',
+        project: project?.projectName || '',
+        company: project?.company || 'Egis',
+        location: project?.location || '',
+        sender_name: enrollment.sender_name || 'Talent Acquisition Team',
+        previous_subject: enrollment.last_subject || ''
+    };
+}
+
+function enrollmentId(projectId, candidateId) {
+    return `${projectId}_${candidateId}`;
+}
+
+function candidateRef(db, projectId, candidateId) {
+    return db.doc(`projects/${projectId}/candidates/${candidateId}`);
+}
+
+function smtpMessageId(organizationId, messageId) {
+    return `<outreach.${organizationId}.${messageId}@${MESSAGE_ID_DOMAIN}>`;
+}
+
+function serializeSequence(doc) {
+    const sequence = doc.data();
+    return {
+        sequence_id: doc.id,
+        project_id: sequence.project_id,
+        name: sequence.name,
+        steps: sequence.steps,
+        is_default: Boolean(sequence.is_default),
+        updated_at: sequence.last_updated?.toDate?.().toISOString() || null
+    };
+}
+
+function serializeMessage(doc) {
+    const message = doc.data();
+    return {
+        message_id: doc.id,
+        step: message.step,
+        channel: message.channel,
+        to: message.to || null,
+        subject: message.subject,
+        body: message.body,
+        status: message.status,
+        error: message.error || null,
+        created_at: message.created_at?.toDate?.().toISOString() || null,
+        sent_at: message.sent_at?.toDate?.().toISOString() || null,
+        replied_at: message.replied_at?.toDate?.().toISOString() || null,
+        bounced_at: message.bounced_at?.toDate?.().toISOString() || null
+    };
+}
+
+function serializeEnrollment(doc) {
+    const enrollment = doc.data();
+    return {
+        enrollment_id: doc.id,
+        sequence_id: enrollment.sequence_id || null,
+        sequence_name: enrollment.sequence_name,
+        status: enrollment.status,
+        stop_reason: enrollment.stop_reason || null,
+        current_step: enrollment.current_step,
+        total_steps: enrollment.steps.length,
+        next_send_at: enrollment.next_send_at?.toDate?.().toISOString() || null,
+        awaiting_message_id: enrollment.awaiting_message_id || null
+    };
+}
+
+async function listSequences(db, projectId) {
+    const snapshot = await db.collection(SEQUENCE_COLLECTION).where('project_id', '==', projectId).get();
+    return snapshot.docs.map(serializeSequence);
+}
+
+// Helper function to create or update a project's sequence. The first
+// sequence saved for a project becomes its default.
+async function saveSequence(db, userId, { projectId, sequenceId = null, sequence, isDefault = false }) {
+    if (!projectId) {
+        throw new HttpError(400, 'project_id is required');
+    }
+    const ref = sequenceId ? db.collection(SEQUENCE_COLLECTION).doc(String(sequenceId)) : db.collection(SEQUENCE_COLLECTION).doc();
+    if (sequenceId) {
+        const existing = await ref.get();
+        if (!existing.exists || existing.data().project_id !== projectId) {
+            throw new HttpError(404, 'Sequence not found');
+        }
+    }
+    const others = await db.collection(SEQUENCE_COLLECTION).where('project_id', '==', projectId).get();
+    const makeDefault = isDefault || others.docs.every(doc => doc.id === ref.id);
+
+    const batch = db.batch();
+    if (makeDefault) {
+        others.docs.filter(doc => doc.id !== ref.id && doc.data().is_default)
+            .forEach(doc => batch.update(doc.ref, { is_default: false }));
+    }
+    batch.set(ref, {
+        ...sequence,
+        project_id: projectId,
+        is_default: makeDefault,
+        updated_by: userId,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    await batch.commit();
+
+    return { sequence_id: ref.id, project_id: projectId, is_default: makeDefault, ...sequence };
+}
+
+// Helper function to pick the sequence to enroll with: the one asked for,
+// else the project's default, else the built-in steps
+async function resolveSequence(db, projectId, sequenceId) {
+    if (sequenceId) {
+        const doc = await db.collection(SEQUENCE_COLLECTION).doc(String(sequenceId)).get();
+        if (!doc.exists || doc.data().project_id !== projectId) {
+            throw new HttpError(404, 'Sequence not found');
+        }
+        return { id: doc.id, name: doc.data().name, steps: doc.data().steps };
+    }
+    const snapshot = await db.collection(SEQUENCE_COLLECTION)
+        .where('project_id', '==', projectId)
+        .where('is_default', '==', true)
+        .limit(1)
+        .get();
+    if (!snapshot.empty) {
+        const doc = snapshot.docs[0];
+        return { id: doc.id, name: doc.data().name, steps: doc.data().steps };
+    }
+    return { id: null, name: 'Default', steps: DEFAULT_STEPS };
+}
+
+// Helper function to stop an enrollment and leave the candidate's outreach summary in step
+async function finishEnrollment(db, enrollmentRef, enrollment, status, reason = null, userId = null) {
+    const batch = db.batch();
+    batch.update(enrollmentRef, {
+        status,
+        stop_reason: reason,
+        stopped_by: userId,
+        next_send_at: null,
+        claimed_until: null,
+        finished_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    batch.set(candidateRef(db, enrollment.project_id, enrollment.candidate_id), {
+        outreach: { status, stop_reason: reason, enrollment_id: enrollmentRef.id }
+    }, { merge: true });
+    await batch.commit();
+    return status;
+}
+
+// Helper function to claim an enrollment's current step if it is due and no
+// other run holds it. Returns the enrollment, or null when there is nothing to send.
+async function claimEnrollment(db, enrollmentRef, now) {
+    return db.runTransaction(async (transaction) => {
+        const enrollment = (await transaction.get(enrollmentRef)).data();
+        if (!enrollment || enrollment.status !== 'active' || enrollment.awaiting_message_id) {
+            return null;
+        }
+        if (enrollment.next_send_at && enrollment.next_send_at.toMillis() > now) {
+            return null;
+        }
+        if (enrollment.claimed_until && enrollment.claimed_until.toMillis() > now) {
+            return null;
+        }
+        transaction.update(enrollmentRef, { claimed_until: admin.firestore.Timestamp.fromMillis(now + CLAIM_MS) });
+        return enrollment;
+    });
+}
+
+// Helper function to send (or queue, for manual channels) an enrollment's
+// current step if it is due. Returns what happened: sent, waiting, failed,
+// stopped, completed or skipped.
+async function processEnrollment(db, enrollmentRef, { mailer = null, now = Date.now() } = {}) {
+    const enrollment = await claimEnrollment(db, enrollmentRef, now);
+    if (!enrollment) {
+        return 'skipped';
+    }
+
+    const [candidateDoc, projectDoc] = await Promise.all([
+        candidateRef(db, enrollment.project_id, enrollment.candidate_id).get(),
+        db.doc(`projects/${enrollment.project_id}`).get()
+    ]);
+    if (!candidateDoc.exists) {
+        return finishEnrollment(db, enrollmentRef, enrollment, 'stopped', 'candidate_deleted');
+    }
+    const candidate = candidateDoc.data();
+    if ((candidate.interestStatus || null) !== (enrollment.interest_status || null)) {
+        return finishEnrollment(db, enrollmentRef, enrollment, 'stopped', 'interest_status_changed');
+    }
+
+    const stepIndex = enrollment.current_step;
+    const step = enrollment.steps[stepIndex];
+    if (!step) {
+        return finishEnrollment(db, enrollmentRef, enrollment, 'completed');
+    }
+
+    const vars = templateVars(candidate, projectDoc.data(), enrollment);
+    const override = enrollment.overrides?.[stepIndex] || null;
+    const subject = override?.subject || renderTemplate(step.subject, vars);
+    const body = override?.body || renderTemplate(step.body, vars);
+    const to = candidate.screening_summary?.email || null;
+
+    const messageRef = db.collection(MESSAGE_COLLECTION).doc();
+    const message = {
+        organization_id: db.organizationId,
+        enrollment_id: enrollmentRef.id,
+        project_id: enrollment.project_id,
+        candidate_id: enrollment.candidate_id,
+        step: stepIndex,
+        channel: step.channel,
+        to: step.channel === 'email' ? to : null,
+        subject,
+        body,
+        status: 'queued',
+        created_by: enrollment.created_by || null,
+        created_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (step.channel !== 'email') {
+        await messageRef.set(message);
+        await enrollmentRef.update({ awaiting_message_id: messageRef.id, next_send_at: null, claimed_until: null });
+        return 'waiting';
+    }
+    if (!to) {
+        await messageRef.set({ ...message, status: 'failed', error: 'Candidate has no email address' });
+        return finishEnrollment(db, enrollmentRef, enrollment, 'stopped', 'no_email');
+    }
+
+    // Follow-ups thread onto the first email
+    const headerId = smtpMessageId(db.organizationId, messageRef.id);
+    const thread = enrollment.thread_message_ids || [];
+    try {
+        await (mailer || notifications.getMailer()).send({
+            to,
+            subject,
+            text: body,
+            replyTo: REPLY_TO,
+            messageId: headerId,
+            ...(thread.length > 0 ? { inReplyTo: thread[thread.length - 1], references: thread } : {})
+        });
+    } catch (error) {
+        console.error(`Outreach step ${stepIndex} of ${enrollmentRef.id} failed:`, error);
+        await messageRef.set({ ...message, status: 'failed', error: error.message });
+        const attempts = (enrollment.send_attempts || 0) + 1;
+        if (attempts >= MAX_SEND_ATTEMPTS) {
+            await finishEnrollment(db, enrollmentRef, enrollment, 'stopped', 'send_failed');
+            return 'stopped';
+        }
+        await enrollmentRef.update({
+            send_attempts: attempts,
+            next_send_at: admin.firestore.Timestamp.fromMillis(now + RETRY_DELAY_MS),
+            claimed_until: null
+        });
+        return 'failed';
+    }
+
+    await messageRef.set({
+        ...message,
+        status: 'sent',
+        smtp_message_id: headerId,
+        sent_at: admin.firestore.FieldValue.serverTimestamp()
+    });
+    await advanceEnrollment(db, enrollmentRef, enrollment, {
+        now,
+        subject,
+        threadMessageId: headerId,
+        sentStep: step
+    });
+    return 'sent';
+}
+
+// Helper function to move an enrollment past a step that has gone out and
+// record the send on the candidate
+async function advanceEnrollment(db, enrollmentRef, enrollment, { now, subject, threadMessageId = null, sentStep }) {
+    const stepsSent = enrollment.current_step + 1;
+    const nextStep = enrollment.steps[stepsSent];
+    const update = {
+        current_step: stepsSent,
+        send_attempts: 0,
+        awaiting_message_id: null,
+        claimed_until: null,
+        last_sent_at: admin.firestore.Timestamp.fromMillis(now),
+        next_send_at: nextStep ? admin.firestore.Timestamp.fromMillis(now + nextStep.delay_days * DAY_MS) : null
+    };
+    if (sentStep.channel === 'email') {
+        update.last_subject = subject;
+        update.thread_message_ids = admin.firestore.FieldValue.arrayUnion(threadMessageId);
+    }
+    if (!nextStep) {
+        update.status = 'completed';
+        update.finished_at = admin.firestore.FieldValue.serverTimestamp();
+    }
+    await enrollmentRef.update(update);
+
+    const candidateUpdate = {
+        outreach: {
+            status: nextStep ? 'active' : 'completed',
+            stop_reason: null,
+            enrollment_id: enrollmentRef.id,
+            steps_sent: stepsSent,
+            last_channel: sentStep.channel
+        }
+    };
+    if (sentStep.channel === 'email') {
+        Object.assign(candidateUpdate, {
+            emailSent: true,
+            emailSentDate: admin.firestore.FieldValue.serverTimestamp(),
+            emailDetails: {
+                position: enrollment.role || 'Unknown',
+                project: enrollment.project_name || null,
+                projectId: enrollment.project_id,
+                sentBy: enrollment.sender_email || enrollment.created_by || 'Unknown',
+                subject
+            }
+        });
+    }
+    await candidateRef(db, enrollment.project_id, enrollment.candidate_id).set(candidateUpdate, { merge: true });
+
+    if (sentStep.channel === 'email') {
+        await pipeline.advanceTo(db, { projectId: enrollment.project_id, candidateId: enrollment.candidate_id, stage: 'contacted' });
+    }
+}
+
+// Helper function to enroll a project candidate and send the first step
+async function enroll(db, caller, { projectId, candidateId, sequenceId = null, firstMessage = null, senderName = null, role = null }, mailer = null) {
+    if (!projectId || !candidateId) {
+        throw new HttpError(400, 'project_id and candidate_id are required');
+    }
+    const [candidateDoc, projectDoc] = await Promise.all([
+        candidateRef(db, projectId, candidateId).get(),
+        db.doc(`projects/${projectId}`).get()
+    ]);
+    if (!candidateDoc.exists) {
+        throw new HttpError(404, 'Candidate not found');
+    }
+
+    const sequence = await resolveSequence(db, projectId, sequenceId);
+    const overrides = {};
+    if (firstMessage) {
+        const subject = sanitizeText(firstMessage.subject, MAX_SUBJECT_LENGTH);
+        const body = sanitizeText(firstMessage.body, MAX_BODY_LENGTH);
+        if (!body || (sequence.steps[0].channel === 'email' && !subject)) {
+            throw new HttpError(400, 'first_message needs a subject and body');
+        }
+        overrides[0] = { subject, body };
+    }
+
+    const ref = db.collection(ENROLLMENT_COLLECTION).doc(enrollmentId(projectId, candidateId));
+    await db.runTransaction(async (transaction) => {
+        const existing = await transaction.get(ref);
+        if (existing.exists && existing.data().status === 'active') {
+            throw new HttpError(409, 'Candidate is already in an active sequence');
+        }
+        transaction.set(ref, {
+            organization_id: db.organizationId,
+            project_id: projectId,
+            project_name: projectDoc.data()?.projectName || null,
+            candidate_id: candidateId,
+            sequence_id: sequence.id,
+            sequence_name: sequence.name,
+            steps: sequence.steps,
+            overrides,
+            role: sanitizeText(role, 200) || candidateDoc.data().screening_summary?.recommended_roles?.[0] || null,
+            sender_name: sanitizeText(senderName, 100) || null,
+            sender_email: caller.user?.email || null,
+            interest_status: candidateDoc.data().interestStatus || null,
+            status: 'active',
+            stop_reason: null,
+            current_step: 0,
+            send_attempts: 0,
+            awaiting_message_id: null,
+            claimed_until: null,
+            thread_message_ids: [],
+            next_send_at: admin.firestore.Timestamp.now(),
+            created_by: caller.uid,
+            created_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    });
+
+    const result = await processEnrollment(db, ref, { mailer });
+    return { enrollment_id: ref.id, sequence_id: sequence.id, first_step: result };
+}
+
+// Helper function to send a page of due steps. Pass the returned cursor back
+// for the next page: enrollments that were skipped (claimed by a send still in
+// progress, or by a run that crashed) stay due, so the next page starts after
+// them rather than at the top again. done is true once nothing more is due.
+async function processDue(db, { now = Date.now(), mailer = null, pageSize = DUE_PAGE_SIZE, cursor = null } = {}) {
+    let query = db.collection(ENROLLMENT_COLLECTION)
+        .where('status', '==', 'active')
+        .where('next_send_at', '<=', admin.firestore.Timestamp.fromMillis(now))
+        .orderBy('next_send_at')
+        .orderBy(admin.firestore.FieldPath.documentId())
+        .limit(pageSize);
+    if (cursor) {
+        query = query.startAfter(admin.firestore.Timestamp.fromMillis(cursor.next_send_at), cursor.id);
+    }
+    const snapshot = await query.get();
+
+    const counts = { processed: snapshot.size, sent: 0, waiting: 0, failed: 0, stopped: 0, completed: 0, skipped: 0 };
+    for (const doc of snapshot.docs) {
+        const outcome = await processEnrollment(db, doc.ref, { mailer, now });
+        counts[outcome]++;
+    }
+    const last = snapshot.docs[snapshot.size - 1];
+    return {
+        ...counts,
+        done: snapshot.size < pageSize,
+        cursor: last ? { next_send_at: last.data().next_send_at.toMillis(), id: last.id } : cursor
+    };
+}
+
+// Does the inbound webhook's shared secret match. Both sides are hashed first
+// so the comparison takes the same time whatever was sent.
+function inboundSecretMatches(provided, secret) {
+    if (!secret || typeof provided !== 'string') return false;
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+    return crypto.timingSafeEqual(digest(provided), digest(secret));
+}
+
+async function loadMessage(db, messageId) {
+    const ref = db.collection(MESSAGE_COLLECTION).doc(String(messageId));
+    const doc = await ref.get();
+    if (!doc.exists) {
+        throw new HttpError(404, 'Message not found');
+    }
+    return { ref, message: doc.data() };
+}
+
+// Helper function to mark a queued manual (LinkedIn) step as sent by a
+// recruiter, which schedules the next step
+async function markSent(db, userId, messageId, now = Date.now()) {
+    const { ref, message } = await loadMessage(db, messageId);
+    if (message.status !== 'queued') {
+        throw new HttpError(409, `Message is already ${message.status}`);
+    }
+    const enrollmentRef = db.collection(ENROLLMENT_COLLECTION).doc(message.enrollment_id);
+    const enrollmentDoc = await enrollmentRef.get();
+    const enrollment = enrollmentDoc.data();
+
+    await ref.update({ status: 'sent', sent_by: userId, sent_at: admin.firestore.FieldValue.serverTimestamp() });
+    if (enrollmentDoc.exists && enrollment.status === 'active' && enrollment.awaiting_message_id === ref.id) {
+        await advanceEnrollment(db, enrollmentRef, enrollment, {
+            now,
+            subject: message.subject,
+            sentStep: enrollment.steps[enrollment.current_step]
+        });
+    }
+    return { message_id: ref.id, status: 'sent' };
+}
+
+// Helper function to record a reply or bounce against a message and end its enrollment
+async function recordResponse(db, messageRef, message, event, { userId = null, source = 'manual' } = {}) {
+    const status = event === 'bounce' ? 'bounced' : 'replied';
+    await messageRef.update({
+        status,
+        [`${status}_at`]: admin.firestore.FieldValue.serverTimestamp(),
+        response_source: source,
+        recorded_by: userId
+    });
+
+    const enrollmentRef = db.collection(ENROLLMENT_COLLECTION).doc(message.enrollment_id);
+    const enrollmentDoc = await enrollmentRef.get();
+    if (enrollmentDoc.exists && enrollmentDoc.data().status === 'active') {
+        await finishEnrollment(db, enrollmentRef, enrollmentDoc.data(),
+            status === 'replied' ? 'replied' : 'stopped',
+            status === 'replied' ? 'replied' : 'bounced',
+            userId);
+    }
+    return { message_id: messageRef.id, status };
+}
+
+// Helper function to record a reply a recruiter saw, on a message or on the
+// candidate's latest sent message
+async function recordReply(db, userId, { messageId = null, projectId = null, candidateId = null }) {
+    if (messageId) {
+        const { ref, message } = await loadMessage(db, messageId);
+        return recordResponse(db, ref, message, 'reply', { userId });
+    }
+    if (!projectId || !candidateId) {
+        throw new HttpError(400, 'message_id, or project_id and candidate_id, are required');
+    }
+    const snapshot = await db.collection(MESSAGE_COLLECTION)
+        .where('enrollment_id', '==', enrollmentId(projectId, candidateId))
+        .where('status', '==', 'sent')
+        .orderBy('step', 'desc')
+        .limit(1)
+        .get();
+    if (snapshot.empty) {
+        throw new HttpError(404, 'No sent message to record a reply against');
+    }
+    return recordResponse(db, snapshot.docs[0].ref, snapshot.docs[0].data(), 'reply', { userId });
+}
+
+// Helper function to stop a candidate's active enrollment
+async function stopEnrollment(db, { projectId, candidateId, reason = 'stopped_by_user', userId = null }) {
+    const ref = db.collection(ENROLLMENT_COLLECTION).doc(enrollmentId(projectId, candidateId));
+    const doc = await ref.get();
+    if (!doc.exists || doc.data().status !== 'active') {
+        return null;
+    }
+    return finishEnrollment(db, ref, doc.data(), 'stopped', reason, userId);
+}
+
+async function listHistory(db, projectId, candidateId) {
+    const id = enrollmentId(projectId, candidateId);
+    const [enrollmentDoc, messages] = await Promise.all([
+        db.collection(ENROLLMENT_COLLECTION).doc(id).get(),
+        db.collection(MESSAGE_COLLECTION).where('enrollment_id', '==', id).get()
+    ]);
+    return {
+        enrollment: enrollmentDoc.exists ? serializeEnrollment(enrollmentDoc) : null,
+        messages: messages.docs
+            .map(serializeMessage)
+            .sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''))
+    };
+}
+
+// Helper function to find the message an inbound reply or bounce refers to,
+// across organizations, from its In-Reply-To / References message ids.
+// `db` is the unscoped database.
+async function findInboundMessage(db, messageIds) {
+    const ids = [...new Set((messageIds || []).filter(id => typeof id === 'string' && id.includes('@')))].slice(0, 30);
+    if (ids.length === 0) return null;
+    const snapshot = await db.collectionGroup(MESSAGE_COLLECTION).where('smtp_message_id', 'in', ids).limit(1).get();
+    return snapshot.empty ? null : snapshot.docs[0];
+}
+
+module.exports = {
+    SEQUENCE_COLLECTION,
+    ENROLLMENT_COLLECTION,
+    MESSAGE_COLLECTION,
+    CHANNELS,
+    MESSAGE_STATUSES,
+    ENROLLMENT_STATUSES,
+    DEFAULT_STEPS,
+    validateSequence,
+    renderTemplate,
+    enrollmentId,
+    listSequences,
+    saveSequence,
+    enroll,
+    processEnrollment,
+    processDue,
+    inboundSecretMatches,
+    markSent,
+    recordResponse,
+    recordReply,
+    stopEnrollment,
+    listHistory,
+    findInboundMessage
+};
@@ -0,0 +1,472 @@
+// Hiring pipeline for project candidates
+//
+// Each project has an ordered list of stages, stored in
+// pipeline_configs/{projectId} (DEFAULT_STAGES until someone edits it), and a
+// list of rejection reasons. Stages can be renamed, reordered, added and
+// removed, but `hired` and `rejected` always exist: they end the pipeline.
+//
+// A candidate's place in the pipeline is kept on the candidate document:
+//
+//   stage             - current stage id
+//   stage_entered_at  - when they entered it
+//   stage_timestamps  - { stageId: when they first entered it }
+//   stage_history     - every transition: { from, to, at, by, reason, note }
+//   rejection_reason  - set while they are rejected
+//   position_id       - the position they are being considered for, if any
+//   placement         - set while they are hired into position_id: entering
+//                       hired counts a placement on the position (filling it
+//                       at headcount) and leaving hired takes it back
+//
+// Candidates from before the pipeline have no stage; they are treated as
+// contacted when an email was sent to them and sourced otherwise, until
+// they are first moved.
+//
+// Metrics are computed on request from the candidates of one project:
+// conversion between consecutive stages (a candidate counts as having
+// reached every stage up to the furthest they got to, so skipped stages
+// don't break the funnel) and days spent in each stage, overall and per position.
+
+const admin = require('firebase-admin');
+const demobAnalytics = require('./demobAnalytics');
+const positions = require('./positions');
+const { HttpError } = require('./errors');
+
+const CONFIG_COLLECTION = 'pipeline_configs';
+const HIRED_STAGE = 'hired';
+const REJECTED_STAGE = 'rejected';
+const TERMINAL_STAGES = [HIRED_STAGE, REJECTED_STAGE];
+
+const DEFAULT_STAGES = [
+    { id: 'sourced', name: 'Sourced' },
+    { id: 'contacted', name: 'Contacted' },
+    { id: 'screening', name: 'Screening' },
+    { id: 'interview', name: 'Interview' },
+    { id: 'offer', name: 'Offer' },
+    { id: HIRED_STAGE, name: 'Hired' },
+    { id: REJECTED_STAGE, name: 'Rejected' }
+];
+
+const DEFAULT_REJECTION_REASONS = [
+    'Not qualified',
+    'Not interested',
+    'Salary expectations',
+    'Location or visa',
+    'No response',
+    'Failed interview',
+    'Offer declined',
+    'Position filled',
+    'Other'
+];
+
+const MAX_STAGES = 15;
+const MAX_REASONS = 30;
+const MAX_NOTE_LENGTH = 500;
+const MAX_HISTORY = 100;
+const PAGE_SIZE = 300;
+const UNASSIGNED_POSITION = 'unassigned';
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function stageIdFor(name) {
+    return String(name || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+}
+
+// Helper function to validate a pipeline configuration. Returns { config, errors }.
+function validateConfig(input) {
+    const errors = [];
+    const stagesInput = Array.isArray(input?.stages) ? input.stages : [];
+    if (stagesInput.length < 3 || stagesInput.length > MAX_STAGES) {
+        errors.push(`stages must have between 3 and ${MAX_STAGES} entries`);
+    }
+
+    const stages = [];
+    const seen = new Set();
+    stagesInput.slice(0, MAX_STAGES).forEach((stage, index) => {
+        const name = String(stage?.name || '').trim().slice(0, 50);
+        const id = stage?.id ? String(stage.id) : stageIdFor(name);
+        if (!name) {
+            errors.push(`stages[${index}].name is required`);
+        }
+        if (!/^[a-z][a-z0-9_]{0,39}$/.test(id)) {
+            errors.push(`stages[${index}].id must be lowercase letters, digits and underscores`);
+        } else if (seen.has(id)) {
+            errors.push(`Duplicate stage: ${id}`);
+        }
+        seen.add(id);
+        stages.push({ id, name });
+    });
+
+    TERMINAL_STAGES.forEach(id => {
+        if (!seen.has(id)) errors.push(`The ${id} stage is required`);
+    });
+    if (stages.length > 0 && TERMINAL_STAGES.includes(stages[0].id)) {
+        errors.push('The first stage cannot be hired or rejected');
+    }
+
+    const reasons = Array.isArray(input?.rejection_reasons) && input.rejection_reasons.length > 0
+        ? [...new Set(input.rejection_reasons.map(reason => String(reason || '').trim().slice(0, 100)).filter(Boolean))]
+        : DEFAULT_REJECTION_REASONS;
+    if (reasons.length > MAX_REASONS) {
+        errors.push(`rejection_reasons can list at most ${MAX_REASONS} reasons`);
+    }
+
+    return { config: { stages, rejection_reasons: reasons }, errors };
+}
+
+async function loadConfig(db, projectId) {
+    const doc = await db.collection(CONFIG_COLLECTION).doc(projectId).get();
+    const config = doc.exists ? doc.data() : {};
+    return {
+        project_id: projectId,
+        stages: config.stages || DEFAULT_STAGES,
+        rejection_reasons: config.rejection_reasons || DEFAULT_REJECTION_REASONS,
+        is_default: !doc.exists,
+        updated_at: config.last_updated?.toDate?.().toISOString() || null
+    };
+}
+
+// Helper function to save a project's stages. Stages that still hold
+// candidates can't be removed.
+async function saveConfig(db, userId, projectId, config) {
+    const projectDoc = await db.doc(`projects/${projectId}`).get();
+    if (!projectDoc.exists) {
+        throw new HttpError(404, 'Project not found');
+    }
+
+    const current = await loadConfig(db, projectId);
+    const kept = new Set(config.stages.map(stage => stage.id));
+    for (const stage of current.stages.filter(stage => !kept.has(stage.id))) {
+        const snapshot = await db.collection(`projects/${projectId}/candidates`).where('stage', '==', stage.id).count().get();
+        if (snapshot.data().count > 0) {
+            throw new HttpError(409, `Move the ${snapshot.data().count} candidate(s) out of ${stage.name} before removing it`);
+        }
+    }
+
+    await db.collection(CONFIG_COLLECTION).doc(projectId).set({
+        ...config,
+        updated_by: userId,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return { project_id: projectId, ...config };
+}
+
+// Helper function to work out a candidate's stage, including candidates from
+// before the pipeline
+function currentStage(candidate, config) {
+    const ids = config.stages.map(stage => stage.id);
+    if (candidate.stage && ids.includes(candidate.stage)) return candidate.stage;
+    if (candidate.emailSent && ids.includes('contacted')) return 'contacted';
+    return ids[0];
+}
+
+function toMillis(value) {
+    if (!value) return null;
+    if (typeof value.toMillis === 'function') return value.toMillis();
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+}
+
+// Candidate changes for a transition, to apply inside a transaction.
+// `candidate` is the candidate's current data.
+function transitionUpdate(candidate, config, { stage, userId, reason = null, note = null, now = Date.now() }) {
+    const from = currentStage(candidate, config);
+    const at = new Date(now).toISOString();
+    const history = [...(candidate.stage_history || [])];
+
+    // The first recorded move also records how the candidate got to where they were
+    if (history.length === 0) {
+        const since = toMillis(candidate.stage_entered_at) ?? toMillis(candidate.emailSentDate) ?? toMillis(candidate.uploadedAt);
+        history.push({ from: null, to: from, at: since ? new Date(since).toISOString() : at, by: null, reason: null, note: null });
+    }
+    // Candidates from before the pipeline can be recorded where they already are
+    if (from !== stage) {
+        history.push({ from, to: stage, at, by: userId || null, reason, note });
+    }
+
+    const update = {
+        stage,
+        stage_entered_at: admin.firestore.Timestamp.fromMillis(Date.parse(history[history.length - 1].at)),
+        stage_history: history.slice(-MAX_HISTORY),
+        stage_updated_by: userId || null,
+        rejection_reason: stage === REJECTED_STAGE ? reason : admin.firestore.FieldValue.delete()
+    };
+    if (!candidate.stage_timestamps?.[stage]) {
+        update[`stage_timestamps.${stage}`] = at;
+    }
+    if (!candidate.stage_timestamps?.[from]) {
+        update[`stage_timestamps.${from}`] = history[0].to === from ? history[0].at : at;
+    }
+    return { from, update };
+}
+
+// Helper function to move a candidate to a stage. Rejections need one of
+// the project's rejection reasons.
+async function moveCandidate(db, userId, { projectId, candidateId, stage, reason = null, note = null }) {
+    if (!projectId || !candidateId || !stage) {
+        throw new HttpError(400, 'project_id, candidate_id and stage are required');
+    }
+    const config = await loadConfig(db, projectId);
+    if (!config.stages.some(item => item.id === stage)) {
+        throw new HttpError(400, `Unknown stage: ${stage}. Stages: ${config.stages.map(item => item.id).join(', ')}`);
+    }
+    if (stage === REJECTED_STAGE && !config.rejection_reasons.includes(reason)) {
+        throw new HttpError(400, `A rejection reason is required: ${config.rejection_reasons.join(', ')}`);
+    }
+    const cleanNote = note ? String(note).trim().slice(0, MAX_NOTE_LENGTH) : null;
+
+    const ref = db.doc(`projects/${projectId}/candidates/${candidateId}`);
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            throw new HttpError(404, 'Candidate not found');
+        }
+        const { from, update } = transitionUpdate(doc.data(), config, {
+            stage,
+            userId,
+            reason: stage === REJECTED_STAGE ? reason : null,
+            note: cleanNote
+        });
+        if (from === stage) {
+            throw new HttpError(409, `Candidate is already in ${stage}`);
+        }
+
+        // All reads happen before any write in a transaction
+        const candidate = doc.data();
+        const hiring = stage === HIRED_STAGE && Boolean(candidate.position_id) && !candidate.placement;
+        const unhiring = stage !== HIRED_STAGE && Boolean(candidate.placement);
+        let positionRef = null;
+        let position = null;
+        if (hiring || unhiring) {
+            positionRef = positions.positionRef(db, projectId, hiring ? candidate.position_id : candidate.placement.position_id);
+            const positionDoc = await transaction.get(positionRef);
+            position = positionDoc.exists ? positionDoc.data() : null;
+        }
+
+        let positionFill = null;
+        if (hiring && position) {
+            if ((position.status || 'open') !== 'open') {
+                throw new HttpError(409, `Position is ${position.status}; only open positions can be hired into`);
+            }
+            const placementDate = new Date().toISOString().split('T')[0];
+            positionFill = positions.applyPlacement(transaction, positionRef, position, { candidateId, placementDate });
+            update.placement = { position_id: candidate.position_id, placement_date: placementDate };
+        }
+        if (unhiring) {
+            if (position) {
+                positionFill = positions.removePlacement(transaction, positionRef, position, { candidateId });
+            }
+            update.placement = admin.firestore.FieldValue.delete();
+        }
+
+        transaction.update(ref, update);
+        return { candidate_id: candidateId, from, to: stage, position_fill: positionFill };
+    });
+}
+
+// Helper function to move a candidate forward to a stage when something
+// happens elsewhere (an outreach email going out moves them to contacted).
+// Candidates already at or past the stage, or out of the pipeline, stay put.
+async function advanceTo(db, { projectId, candidateId, stage, userId = null }) {
+    const config = await loadConfig(db, projectId);
+    const order = config.stages.map(item => item.id);
+    if (!order.includes(stage)) return null;
+
+    const ref = db.doc(`projects/${projectId}/candidates/${candidateId}`);
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) return null;
+        const from = currentStage(doc.data(), config);
+        if (TERMINAL_STAGES.includes(from) || order.indexOf(from) > order.indexOf(stage) || doc.data().stage === stage) {
+            return null;
+        }
+        transaction.update(ref, transitionUpdate(doc.data(), config, { stage, userId }).update);
+        return { candidate_id: candidateId, from, to: stage };
+    });
+}
+
+// Helper function to put a new candidate in the first stage
+async function initializeCandidate(db, projectId, candidateId, candidate) {
+    if (candidate.stage) return null;
+    const config = await loadConfig(db, projectId);
+    const stage = currentStage(candidate, config);
+    const at = new Date().toISOString();
+    await db.doc(`projects/${projectId}/candidates/${candidateId}`).update({
+        stage,
+        stage_entered_at: admin.firestore.Timestamp.now(),
+        stage_timestamps: { [stage]: at },
+        stage_history: [{ from: null, to: stage, at, by: null, reason: null, note: null }]
+    });
+    return stage;
+}
+
+async function assignPosition(db, { projectId, candidateId, positionId }) {
+    const ref = db.doc(`projects/${projectId}/candidates/${candidateId}`);
+    const [candidateDoc, positionDoc] = await Promise.all([
+        ref.get(),
+        positionId ? positions.positionRef(db, projectId, positionId).get() : null
+    ]);
+    if (!candidateDoc.exists) {
+        throw new HttpError(404, 'Candidate not found');
+    }
+    if (positionId && !positionDoc.exists) {
+        throw new HttpError(404, 'Position not found');
+    }
+    if (candidateDoc.data().placement && candidateDoc.data().placement.position_id !== (positionId || null)) {
+        throw new HttpError(409, 'Move the candidate out of hired before changing their position');
+    }
+    await ref.update({ position_id: positionId || null });
+    return { candidate_id: candidateId, position_id: positionId || null };
+}
+
+function emptyMetrics(config) {
+    return {
+        total: 0,
+        by_stage: Object.fromEntries(config.stages.map(stage => [stage.id, 0])),
+        reached: Object.fromEntries(config.stages.map(stage => [stage.id, 0])),
+        durations: Object.fromEntries(config.stages.map(stage => [stage.id, { exited: {}, current: {} }])),
+        rejection_reasons: {}
+    };
+}
+
+function addToHistogram(histogram, days) {
+    const key = Math.max(0, Math.round(days));
+    histogram[key] = (histogram[key] || 0) + 1;
+}
+
+// Helper function to add one candidate to a group's metrics
+function accumulate(metrics, candidate, config, now) {
+    const order = config.stages.map(stage => stage.id);
+    const funnel = order.filter(id => id !== REJECTED_STAGE);
+    const stage = currentStage(candidate, config);
+    const history = candidate.stage_history || [];
+
+    metrics.total++;
+    metrics.by_stage[stage]++;
+    if (stage === REJECTED_STAGE) {
+        const reason = candidate.rejection_reason || 'Unspecified';
+        metrics.rejection_reasons[reason] = (metrics.rejection_reasons[reason] || 0) + 1;
+    }
+
+    // Furthest funnel stage reached, counting stages passed through before a rejection
+    const visited = new Set([stage, ...history.map(entry => entry.to), ...Object.keys(candidate.stage_timestamps || {})]);
+    const furthest = Math.max(...funnel.map((id, i) => (visited.has(id) ? i : -1)));
+    for (let i = 0; i <= furthest; i++) {
+        metrics.reached[funnel[i]]++;
+    }
+    if (visited.has(REJECTED_STAGE)) {
+        metrics.reached[REJECTED_STAGE]++;
+    }
+
+    // Time in each stage from consecutive transitions; the last is still open
+    history.forEach((entry, i) => {
+        if (!metrics.durations[entry.to]) return;
+        const start = Date.parse(entry.at);
+        const next = history[i + 1];
+        if (next) {
+            addToHistogram(metrics.durations[entry.to].exited, (Date.parse(next.at) - start) / DAY_MS);
+        } else if (entry.to === stage && !TERMINAL_STAGES.includes(stage)) {
+            addToHistogram(metrics.durations[entry.to].current, (now - start) / DAY_MS);
+        }
+    });
+}
+
+function summarizeDurations(histogram) {
+    const count = Object.values(histogram).reduce((sum, value) => sum + value, 0);
+    const total = Object.entries(histogram).reduce((sum, [days, value]) => sum + Number(days) * value, 0);
+    return {
+        count,
+        avg_days: count > 0 ? Number((total / count).toFixed(1)) : null,
+        median_days: demobAnalytics.percentile(histogram, 50),
+        p90_days: demobAnalytics.percentile(histogram, 90)
+    };
+}
+
+function finalizeMetrics(metrics, config) {
+    const funnel = config.stages.filter(stage => stage.id !== REJECTED_STAGE);
+    return {
+        total: metrics.total,
+        by_stage: metrics.by_stage,
+        conversion: funnel.slice(0, -1).map((stage, i) => {
+            const next = funnel[i + 1];
+            const reachedFrom = metrics.reached[stage.id];
+            const reachedTo = metrics.reached[next.id];
+            return {
+                from: stage.id,
+                to: next.id,
+                reached_from: reachedFrom,
+                reached_to: reachedTo,
+                rate: reachedFrom > 0 ? Number((reachedTo / reachedFrom).toFixed(3)) : null
+            };
+        }),
+        hire_rate: metrics.total > 0 ? Number((metrics.reached[HIRED_STAGE] / metrics.total).toFixed(3)) : null,
+        time_in_stage: config.stages
+            .filter(stage => !TERMINAL_STAGES.includes(stage.id))
+            .map(stage => ({
+                stage: stage.id,
+                completed: summarizeDurations(metrics.durations[stage.id].exited),
+                in_stage_now: summarizeDurations(metrics.durations[stage.id].current)
+            })),
+        rejection_reasons: metrics.rejection_reasons
+    };
+}
+
+// Helper function to compute a project's pipeline metrics, overall and per position
+async function computeMetrics(db, projectId, { now = Date.now() } = {}) {
+    const config = await loadConfig(db, projectId);
+    const overall = emptyMetrics(config);
+    const byPosition = new Map();
+
+    let lastDoc = null;
+    while (true) {
+        let query = db.collection(`projects/${projectId}/candidates`)
+            .orderBy(admin.firestore.FieldPath.documentId())
+            .select('stage', 'stage_history', 'stage_timestamps', 'rejection_reason', 'position_id', 'emailSent')
+            .limit(PAGE_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const snapshot = await query.get();
+        snapshot.docs.forEach(doc => {
+            const candidate = doc.data();
+            const positionId = candidate.position_id || UNASSIGNED_POSITION;
+            if (!byPosition.has(positionId)) byPosition.set(positionId, emptyMetrics(config));
+            accumulate(overall, candidate, config, now);
+            accumulate(byPosition.get(positionId), candidate, config, now);
+        });
+        if (snapshot.size < PAGE_SIZE) break;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+
+    const positionIds = [...byPosition.keys()].filter(id => id !== UNASSIGNED_POSITION);
+    const positionDocs = positionIds.length > 0
+        ? await db.getAll(...positionIds.map(id => positions.positionRef(db, projectId, id)))
+        : [];
+    const titles = new Map(positionDocs.map(doc => [doc.id, doc.exists ? doc.data().title : null]));
+
+    return {
+        project_id: projectId,
+        stages: config.stages,
+        project: finalizeMetrics(overall, config),
+        positions: [...byPosition.entries()].map(([positionId, metrics]) => ({
+            position_id: positionId === UNASSIGNED_POSITION ? null : positionId,
+            title: positionId === UNASSIGNED_POSITION ? 'No position' : (titles.get(positionId) || 'Deleted position'),
+            ...finalizeMetrics(metrics, config)
+        }))
+    };
+}
+
+module.exports = {
+    CONFIG_COLLECTION,
+    HIRED_STAGE,
+    REJECTED_STAGE,
+    TERMINAL_STAGES,
+    DEFAULT_STAGES,
+    DEFAULT_REJECTION_REASONS,
+    validateConfig,
+    loadConfig,
+    saveConfig,
+    currentStage,
+    moveCandidate,
+    advanceTo,
+    initializeCandidate,
+    assignPosition,
+    computeMetrics
+};
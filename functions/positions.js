@@ -0,0 +1,397 @@
+// Position management
+//
+// Positions are stored under organizations/{orgId}/projects/{pid}/positions,
+// where the position triggers index and match them, but are written through
+// the managePositions endpoint so every field is validated and the lifecycle
+// is enforced:
+//
+//   open    <-> on_hold
+//   open     -> filled   (only by placements, once they reach headcount)
+//   filled   -> open     (when a hired candidate's placement is reversed)
+//   any      -> closed
+//   closed   -> open
+//
+// Projects belong to the organization, so anyone in it with the right role
+// can list, edit and close its positions. `db` is always scoped to the
+// caller's organization (see organizations.js).
+
+const admin = require('firebase-admin');
+const matching = require('./matching');
+const demobProfiles = require('./demobProfiles');
+const { HttpError } = require('./errors');
+
+const POSITION_STATUSES = ['open', 'on_hold', 'filled', 'closed'];
+const FILLED_STATUS = 'filled';
+
+// Status changes a user can make; filled is reached through placements
+const STATUS_TRANSITIONS = {
+    open: ['on_hold', 'closed'],
+    on_hold: ['open', 'closed'],
+    filled: ['closed'],
+    closed: ['open']
+};
+
+const RATE_PERIODS = ['hour', 'day', 'month', 'year'];
+const MAX_HEADCOUNT = 500;
+const MAX_SKILLS = 50;
+const MAX_TITLE_LENGTH = 200;
+const MAX_DESCRIPTION_LENGTH = 10000;
+const LIST_LIMIT = 500;
+
+const EDITABLE_FIELDS = [
+    'title',
+    'description',
+    'required_skills',
+    'nice_to_have_skills',
+    'location',
+    'start_date',
+    'headcount',
+    'rate_band',
+    'project_type',
+    'must_haves'
+];
+
+// Must-have criteria a candidate is screened against (see screening.js)
+const MUST_HAVE_LISTS = ['certifications', 'languages', 'locations', 'work_authorization'];
+const MAX_EXPERIENCE_YEARS = 60;
+
+function validateText(value, field, maxLength, errors) {
+    const text = String(value ?? '').trim();
+    if (text.length > maxLength) {
+        errors.push(`${field} must be at most ${maxLength} characters`);
+    }
+    return text;
+}
+
+function validateSkills(value, field, errors) {
+    const skills = [...new Set(demobProfiles.toList(value))];
+    if (skills.length > MAX_SKILLS) {
+        errors.push(`${field} can list at most ${MAX_SKILLS} skills`);
+    }
+    return skills;
+}
+
+function validateRateBand(input, errors) {
+    if (input === null) return null;
+    if (typeof input !== 'object') {
+        errors.push('rate_band must be an object with min, max, currency and period');
+        return null;
+    }
+
+    const min = demobProfiles.toNumber(input.min);
+    const max = demobProfiles.toNumber(input.max);
+    const currency = String(input.currency || '').trim().toUpperCase();
+    const period = String(input.period || '').trim().toLowerCase();
+
+    if (min === undefined || Number.isNaN(min) || min < 0) errors.push('rate_band.min must be a non-negative number');
+    if (max === undefined || Number.isNaN(max) || max < 0) errors.push('rate_band.max must be a non-negative number');
+    if (Number.isFinite(min) && Number.isFinite(max) && min > max) errors.push('rate_band.min cannot be greater than rate_band.max');
+    if (!/^[A-Z]{3}$/.test(currency)) errors.push('rate_band.currency must be a 3-letter currency code');
+    if (!RATE_PERIODS.includes(period)) errors.push(`rate_band.period must be one of: ${RATE_PERIODS.join(', ')}`);
+
+    return { min, max, currency, period };
+}
+
+function validateMustHaves(input, errors) {
+    if (input === null) return null;
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        errors.push(`must_haves must be an object with ${MUST_HAVE_LISTS.join(', ')} and min_years_experience`);
+        return null;
+    }
+
+    const unknown = Object.keys(input).filter(field => ![...MUST_HAVE_LISTS, 'min_years_experience'].includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Unknown must_haves fields: ${unknown.join(', ')}`);
+    }
+
+    const mustHaves = {};
+    MUST_HAVE_LISTS.forEach(field => {
+        mustHaves[field] = validateSkills(input[field], `must_haves.${field}`, errors);
+    });
+
+    const years = demobProfiles.toNumber(input.min_years_experience);
+    if (years !== undefined && (Number.isNaN(years) || years < 0 || years > MAX_EXPERIENCE_YEARS)) {
+        errors.push(`must_haves.min_years_experience must be between 0 and ${MAX_EXPERIENCE_YEARS}`);
+    }
+    mustHaves.min_years_experience = years === undefined ? null : years;
+    return mustHaves;
+}
+
+// Helper function to validate position fields. With partial, only the given
+// fields are checked (for updates). Returns { position, errors }.
+function validatePosition(input, { partial = false } = {}) {
+    if (!input || typeof input !== 'object') {
+        return { position: null, errors: ['Invalid position data'] };
+    }
+
+    const errors = [];
+    const position = {};
+    const has = field => input[field] !== undefined;
+
+    const unknown = Object.keys(input).filter(field => !EDITABLE_FIELDS.includes(field));
+    if (unknown.length > 0) {
+        errors.push(`Unknown position fields: ${unknown.join(', ')}`);
+    }
+
+    if (!partial || has('title')) {
+        position.title = validateText(input.title, 'title', MAX_TITLE_LENGTH, errors);
+        if (!position.title) errors.push('Missing required field: title');
+    }
+    if (!partial || has('description')) {
+        position.description = validateText(input.description, 'description', MAX_DESCRIPTION_LENGTH, errors);
+    }
+    if (!partial || has('required_skills')) {
+        position.required_skills = validateSkills(input.required_skills, 'required_skills', errors);
+    }
+    if (!partial || has('nice_to_have_skills')) {
+        position.nice_to_have_skills = validateSkills(input.nice_to_have_skills, 'nice_to_have_skills', errors);
+    }
+    if (!partial || has('location')) {
+        position.location = validateText(input.location, 'location', MAX_TITLE_LENGTH, errors);
+    }
+    if (!partial || has('project_type')) {
+        position.project_type = validateText(input.project_type, 'project_type', MAX_TITLE_LENGTH, errors) || null;
+    }
+
+    if (has('start_date') && input.start_date !== null && input.start_date !== '') {
+        position.start_date = demobProfiles.normalizeDate(input.start_date);
+        if (!position.start_date) errors.push(`Invalid start_date: ${input.start_date}`);
+    } else if (!partial || has('start_date')) {
+        position.start_date = null;
+    }
+
+    if (!partial || has('headcount')) {
+        const headcount = has('headcount') ? demobProfiles.toNumber(input.headcount) : 1;
+        if (!Number.isInteger(headcount) || headcount < 1 || headcount > MAX_HEADCOUNT) {
+            errors.push(`headcount must be an integer between 1 and ${MAX_HEADCOUNT}`);
+        }
+        position.headcount = headcount;
+    }
+
+    if (!partial || has('rate_band')) {
+        position.rate_band = has('rate_band') ? validateRateBand(input.rate_band, errors) : null;
+    }
+
+    if (!partial || has('must_haves')) {
+        position.must_haves = has('must_haves') ? validateMustHaves(input.must_haves, errors) : null;
+    }
+
+    // A skill can't be both required and nice to have
+    if (position.required_skills && position.nice_to_have_skills) {
+        const required = new Set(position.required_skills.map(skill => skill.toLowerCase()));
+        position.nice_to_have_skills = position.nice_to_have_skills.filter(skill => !required.has(skill.toLowerCase()));
+    }
+
+    return { position, errors };
+}
+
+function canTransition(from, to) {
+    return (STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// Status after a headcount change: filled positions reopen when headcount is
+// raised, and open ones fill when it is lowered to what has been placed
+function statusForHeadcount(status, filledCount, headcount) {
+    if (status === FILLED_STATUS && filledCount < headcount) return 'open';
+    if (status === 'open' && filledCount >= headcount) return FILLED_STATUS;
+    return status;
+}
+
+// Helper function to get a position's document reference
+function positionRef(db, projectId, positionId) {
+    if (!projectId || !positionId) {
+        throw new HttpError(400, 'project_id and position_id are required');
+    }
+    return db.doc(`projects/${projectId}/positions/${positionId}`);
+}
+
+// Helper function to create a validated position in one of the organization's projects
+async function createPosition(db, caller, { projectId, position, status = 'open' }) {
+    if (!projectId) {
+        throw new HttpError(400, 'project_id is required');
+    }
+    const projectRef = db.doc(`projects/${projectId}`);
+    const projectDoc = await projectRef.get();
+    if (!projectDoc.exists) {
+        throw new HttpError(404, 'Project not found');
+    }
+
+    if (!['open', 'on_hold'].includes(status)) {
+        throw new HttpError(400, 'New positions must be open or on_hold');
+    }
+
+    const newRef = projectRef.collection('positions').doc();
+    await newRef.set({
+        ...position,
+        organization_id: db.organizationId,
+        status,
+        filled_count: 0,
+        placements: [],
+        created_by: caller.uid,
+        created_at: admin.firestore.FieldValue.serverTimestamp(),
+        last_updated: admin.firestore.FieldValue.serverTimestamp(),
+        updated_by: caller.uid
+    });
+
+    return { project_id: projectId, position_id: newRef.id, status, ...position };
+}
+
+// Helper function to apply validated field changes and/or a status change
+async function updatePosition(db, caller, { projectId, positionId, changes = {}, status = null, reason = null }) {
+    const ref = positionRef(db, projectId, positionId);
+    if (Object.keys(changes).length === 0 && !status) {
+        throw new HttpError(400, 'Nothing to update');
+    }
+    if (status && !POSITION_STATUSES.includes(status)) {
+        throw new HttpError(400, `status must be one of: ${POSITION_STATUSES.join(', ')}`);
+    }
+
+    return db.runTransaction(async (transaction) => {
+        const doc = await transaction.get(ref);
+        if (!doc.exists) {
+            throw new HttpError(404, 'Position not found');
+        }
+
+        const current = doc.data();
+        const from = current.status || 'open';
+        const filledCount = current.filled_count || 0;
+        let to = from;
+
+        if (status && status !== from) {
+            if (!canTransition(from, status)) {
+                throw new HttpError(409, `Cannot move position from ${from} to ${status}. Allowed: ${(STATUS_TRANSITIONS[from] || []).join(', ') || 'none'}`);
+            }
+            to = status;
+        }
+
+        const headcount = changes.headcount ?? current.headcount ?? 1;
+        if (changes.headcount !== undefined && changes.headcount < filledCount) {
+            throw new HttpError(409, `headcount cannot be lower than the ${filledCount} already placed`);
+        }
+        if (status === 'open' && filledCount >= headcount) {
+            throw new HttpError(409, 'Position is already filled; raise headcount to reopen it');
+        }
+        to = statusForHeadcount(to, filledCount, headcount);
+
+        const update = {
+            ...changes,
+            status: to,
+            last_updated: admin.firestore.FieldValue.serverTimestamp(),
+            updated_by: caller.uid
+        };
+        if (to === 'closed' && from !== 'closed') {
+            update.closed_at = admin.firestore.FieldValue.serverTimestamp();
+            update.closed_by = caller.uid;
+            update.closed_reason = reason ? String(reason).slice(0, 500) : null;
+        }
+        if (from === 'closed' && to !== 'closed') {
+            update.closed_at = admin.firestore.FieldValue.delete();
+            update.closed_by = admin.firestore.FieldValue.delete();
+            update.closed_reason = admin.firestore.FieldValue.delete();
+        }
+
+        transaction.update(ref, update);
+        return { project_id: projectId, position_id: positionId, from, status: to, headcount, filled_count: filledCount };
+    });
+}
+
+// Placement changes to a position inside a transaction: count the placement
+// and mark the position filled once headcount is reached. A placement is a
+// demob match (matchId, employeeId) or a hired project candidate
+// (candidateId). `position` is the position's current data.
+function applyPlacement(transaction, ref, position, { matchId = null, employeeId = null, candidateId = null, placementDate }) {
+    const filledCount = (position.filled_count || 0) + 1;
+    const headcount = position.headcount || 1;
+    const update = {
+        filled_count: filledCount,
+        placements: admin.firestore.FieldValue.arrayUnion({
+            ...(candidateId ? { candidate_id: candidateId } : { match_id: matchId, employee_id: employeeId }),
+            placement_date: placementDate
+        }),
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (filledCount >= headcount) {
+        update.status = FILLED_STATUS;
+        update.filled_at = admin.firestore.FieldValue.serverTimestamp();
+    }
+    transaction.update(ref, update);
+    return { filled_count: filledCount, headcount, filled: filledCount >= headcount };
+}
+
+// Reverse a project candidate's placement inside a transaction, reopening the
+// position if it was filled
+function removePlacement(transaction, ref, position, { candidateId }) {
+    const placements = (position.placements || []).filter(placement => placement.candidate_id !== candidateId);
+    const removed = (position.placements || []).length - placements.length;
+    const filledCount = Math.max(0, (position.filled_count || 0) - removed);
+    const headcount = position.headcount || 1;
+    const status = statusForHeadcount(position.status || 'open', filledCount, headcount);
+    const update = {
+        filled_count: filledCount,
+        placements,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    };
+    if (status !== (position.status || 'open')) {
+        update.status = status;
+        update.filled_at = admin.firestore.FieldValue.delete();
+    }
+    transaction.update(ref, update);
+    return { filled_count: filledCount, headcount, filled: status === FILLED_STATUS };
+}
+
+function serializePosition(entry) {
+    return {
+        project_id: entry.project_id,
+        project_name: entry.project_name,
+        position_id: entry.position_id,
+        organization_id: entry.organization_id || null,
+        created_by: entry.created_by || null,
+        title: entry.title,
+        description: entry.description,
+        status: entry.status,
+        required_skills: entry.required_skills || [],
+        nice_to_have_skills: entry.nice_to_have_skills || [],
+        location: entry.location || '',
+        start_date: entry.start_date || null,
+        project_type: entry.project_type || null,
+        headcount: entry.headcount || 1,
+        filled_count: entry.filled_count || 0,
+        rate_band: entry.rate_band || null,
+        must_haves: entry.must_haves || null
+    };
+}
+
+// Helper function to list the organization's positions, from the index
+async function listPositions(db, { projectId = null, status = null, limit = LIST_LIMIT } = {}) {
+    let query = db.collection(matching.POSITION_INDEX);
+    if (projectId) {
+        query = query.where('project_id', '==', projectId);
+    }
+    if (status) {
+        query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .filter(entry => entry.status !== 'deleted')
+        .map(serializePosition);
+}
+
+module.exports = {
+    POSITION_STATUSES,
+    FILLED_STATUS,
+    STATUS_TRANSITIONS,
+    RATE_PERIODS,
+    EDITABLE_FIELDS,
+    validatePosition,
+    canTransition,
+    statusForHeadcount,
+    positionRef,
+    createPosition,
+    updatePosition,
+    applyPlacement,
+    removePlacement,
+    serializePosition,
+    listPositions
+};
@@ -0,0 +1,154 @@
+// Demob profile filters, sorting and cursors
+//
+// getDemobProfiles and exportDemobData accept the same query parameters and
+// both run them as a single Firestore query over the normalized fields that
+// onDemobProfileIndex keeps on every profile (location_keys, skill_keys,
+// location_skill_keys, project_key, retention_rank). Nothing is filtered in
+// memory, and totals are counted on the same ordered query the pages come
+// from, so counts and cursors see exactly the profiles a listing can show.
+
+const admin = require('firebase-admin');
+const { HttpError } = require('./errors');
+const redaction = require('./redaction');
+const { normalizeKey, locationKeys, locationSkillKey } = require('./demobProfiles');
+
+// Firestore caps array-contains-any at 30 values
+const MAX_SKILL_FILTERS = 30;
+const MAX_PAGE_SIZE = 200;
+
+// Sort option -> field, plus the field a role must be able to see to use it
+const SORT_FIELDS = {
+    demob_date: { field: 'demob_date', restricted: null },
+    priority: { field: 'retention_rank', restricted: 'internal_metrics.retention_priority' },
+    rating: { field: 'internal_metrics.performance_rating', restricted: 'internal_metrics.performance_rating' }
+};
+
+// Helper function to read the profile filters from a request's query string.
+// demob_date_start/demob_date_end select the availability window.
+function parseProfileFilters(query = {}) {
+    return {
+        retention_priority: query.retention_priority || null,
+        demob_date_start: query.demob_date_start || null,
+        demob_date_end: query.demob_date_end || null,
+        status: query.status || null,
+        location: query.location || null,
+        skills: query.skills ? String(query.skills).split(',').map(skill => skill.trim()).filter(Boolean) : [],
+        project: query.project || null
+    };
+}
+
+function hasDateRange(filters) {
+    return Boolean(filters.demob_date_start || filters.demob_date_end);
+}
+
+// Filtering or sorting on a hidden field would reveal its value
+function assertFiltersAllowed(filters, role, sort = null) {
+    if (filters.retention_priority && redaction.touchesRestricted(role, 'internal_metrics.retention_priority')) {
+        throw new HttpError(403, 'Your role cannot filter by retention priority');
+    }
+    const restricted = sort && SORT_FIELDS[sort]?.restricted;
+    if (restricted && redaction.touchesRestricted(role, restricted)) {
+        throw new HttpError(403, `Your role cannot sort by ${sort}`);
+    }
+}
+
+// Helper function to build the filtered (unordered) profiles query
+function buildProfileQuery(db, filters, taxonomy) {
+    let query = db.collection('demob_profiles');
+
+    if (filters.retention_priority) {
+        query = query.where('internal_metrics.retention_priority', '==', filters.retention_priority);
+    }
+
+    if (filters.status) {
+        query = query.where('current_status', '==', filters.status);
+    }
+
+    if (filters.project) {
+        query = query.where('project_key', '==', normalizeKey(filters.project));
+    }
+
+    if (filters.demob_date_start) {
+        query = query.where('demob_date', '>=', filters.demob_date_start);
+    }
+
+    if (filters.demob_date_end) {
+        query = query.where('demob_date', '<=', filters.demob_date_end);
+    }
+
+    // Only one array-contains(-any) is allowed per query, so location and
+    // skills together use the combined location|skill keys
+    const skillKeys = taxonomy.requirementKeys(filters.skills);
+    if (skillKeys.length > MAX_SKILL_FILTERS) {
+        throw new HttpError(400, `Filter by at most ${MAX_SKILL_FILTERS} skills`);
+    }
+
+    const locationKey = filters.location ? locationKeys(filters.location)[0] || null : null;
+    if (locationKey && skillKeys.length > 0) {
+        query = query.where('location_skill_keys', 'array-contains-any',
+            skillKeys.map(key => locationSkillKey(locationKey, key)));
+    } else if (locationKey) {
+        query = query.where('location_keys', 'array-contains', locationKey);
+    } else if (skillKeys.length > 0) {
+        query = query.where('skill_keys', 'array-contains-any', skillKeys);
+    }
+
+    return query;
+}
+
+// Helper function to order a filtered query for paging. A range filter on
+// demob_date requires demob_date to be the first sort field.
+function orderProfileQuery(query, filters, sort = 'demob_date', order = 'asc') {
+    const sortField = SORT_FIELDS[sort];
+    if (!sortField) {
+        throw new HttpError(400, `Invalid sort. Valid options: ${Object.keys(SORT_FIELDS).join(', ')}`);
+    }
+    if (!['asc', 'desc'].includes(order)) {
+        throw new HttpError(400, 'Invalid order. Use asc or desc');
+    }
+    if (hasDateRange(filters) && sort !== 'demob_date') {
+        throw new HttpError(400, 'Availability window queries can only be sorted by demob_date');
+    }
+
+    return query
+        .orderBy(sortField.field, order)
+        .orderBy(admin.firestore.FieldPath.documentId(), order);
+}
+
+function readField(data, path) {
+    return path.split('.').reduce((node, part) => node?.[part], data);
+}
+
+// Cursors are opaque to clients: the last document's sort value and id
+function encodeCursor(doc, sort) {
+    const value = readField(doc.data(), SORT_FIELDS[sort].field);
+    return Buffer.from(JSON.stringify([value ?? null, doc.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [value, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (typeof id !== 'string') throw new Error('bad cursor');
+        return [value, id];
+    } catch (error) {
+        throw new HttpError(400, 'Invalid cursor');
+    }
+}
+
+function parsePageSize(limit, fallback = 50) {
+    const size = parseInt(limit) || fallback;
+    return Math.max(1, Math.min(size, MAX_PAGE_SIZE));
+}
+
+module.exports = {
+    SORT_FIELDS,
+    MAX_PAGE_SIZE,
+    parseProfileFilters,
+    hasDateRange,
+    assertFiltersAllowed,
+    buildProfileQuery,
+    orderProfileQuery,
+    encodeCursor,
+    decodeCursor,
+    parsePageSize
+};
@@ -0,0 +1,183 @@
+// Demob profile import
+//
+// Turns an uploaded CSV or Excel file into demob profiles. Column headers are
+// mapped to profile fields (the default mapping matches the columns written by
+// exportDemobData, so an export can be edited and re-imported), every row is
+// validated with demobProfiles.validateDemobProfile, and the result is a
+// per-row report that serves as the dry-run preview and as the import plan.
+
+const XLSX = require('xlsx');
+const { validateDemobProfile } = require('./demobProfiles');
+
+const MAX_IMPORT_ROWS = 10000;
+const PREVIEW_ROWS = 20;
+
+// Header (normalized) -> profile field path
+const DEFAULT_COLUMN_MAPPING = {
+    'employee id': 'employee_id',
+    'current status': 'current_status',
+    'demob date': 'demob_date',
+    'current project': 'current_project.name',
+    'current role': 'current_project.role',
+    'performance rating': 'internal_metrics.performance_rating',
+    'years with company': 'internal_metrics.years_with_company',
+    'retention priority': 'internal_metrics.retention_priority',
+    'technical skills': 'skill_inventory.technical_skills',
+    'preferred locations': 'mobility_preferences.preferred_locations',
+    'willing to relocate': 'mobility_preferences.willing_to_relocate'
+};
+
+const FIELD_PATHS = [...new Set(Object.values(DEFAULT_COLUMN_MAPPING))];
+
+function normalizeHeader(header) {
+    return String(header || '').trim().toLowerCase().replace(/[_\s]+/g, ' ');
+}
+
+// Helper function to detect the file format from an explicit format or the filename
+function detectFormat(format, filename = '') {
+    const value = (format || filename.split('.').pop() || '').toLowerCase();
+    if (value === 'csv') return 'csv';
+    if (value === 'xlsx' || value === 'xls') return 'xlsx';
+    return null;
+}
+
+// Helper function to read the first sheet of a CSV/Excel file into header-keyed rows
+function parseSpreadsheet(buffer, format) {
+    const workbook = XLSX.read(buffer, {
+        type: 'buffer',
+        cellDates: true,
+        // Keep CSV values as text; dates and numbers are validated per field
+        raw: format === 'csv'
+    });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    if (!sheet) return { headers: [], rows: [] };
+
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: '', raw: false, dateNF: 'yyyy-mm-dd' });
+    const headers = XLSX.utils.sheet_to_json(sheet, { header: 1 })[0] || [];
+    return { headers: headers.map(String), rows };
+}
+
+// Resolve each header to a field path: explicit mapping first, then the
+// default headers, then headers that already are field paths
+function resolveColumnMapping(headers, customMapping = {}) {
+    const custom = {};
+    for (const [header, path] of Object.entries(customMapping)) {
+        if (!FIELD_PATHS.includes(path)) {
+            throw new Error(`Unknown profile field in column mapping: ${path}`);
+        }
+        custom[normalizeHeader(header)] = path;
+    }
+
+    const mapping = {};
+    const unmapped = [];
+    for (const header of headers) {
+        const key = normalizeHeader(header);
+        const path = custom[key] || DEFAULT_COLUMN_MAPPING[key] ||
+            FIELD_PATHS.find(field => normalizeHeader(field) === key);
+        if (path) {
+            mapping[header] = path;
+        } else {
+            unmapped.push(header);
+        }
+    }
+    return { mapping, unmapped };
+}
+
+function setPath(target, path, value) {
+    const parts = path.split('.');
+    let node = target;
+    for (const part of parts.slice(0, -1)) {
+        node[part] = node[part] || {};
+        node = node[part];
+    }
+    node[parts[parts.length - 1]] = value;
+}
+
+function rowToProfile(row, mapping) {
+    const profile = {};
+    for (const [header, path] of Object.entries(mapping)) {
+        const value = typeof row[header] === 'string' ? row[header].trim() : row[header];
+        if (value !== '' && value !== undefined && value !== null) {
+            setPath(profile, path, value);
+        }
+    }
+    return profile;
+}
+
+// Helper function to validate a list of profiles and build the import report.
+// `rowNumbers` gives the spreadsheet row of each profile for error messages.
+function buildImportPlan(profiles, rowNumbers = null) {
+    const valid = [];
+    const errors = [];
+    const seen = new Map();
+
+    profiles.forEach((input, index) => {
+        const row = rowNumbers ? rowNumbers[index] : index + 1;
+        const { profile, errors: rowErrors } = validateDemobProfile(input);
+
+        if (profile?.employee_id && seen.has(profile.employee_id)) {
+            rowErrors.push(`Duplicate employee_id (also on row ${seen.get(profile.employee_id)})`);
+        }
+
+        if (rowErrors.length > 0) {
+            errors.push({ row, employee_id: input?.employee_id || 'unknown', errors: rowErrors });
+        } else {
+            seen.set(profile.employee_id, row);
+            valid.push(profile);
+        }
+    });
+
+    return {
+        total_rows: profiles.length,
+        valid_count: valid.length,
+        invalid_count: errors.length,
+        profiles: valid,
+        errors
+    };
+}
+
+// Helper function to build the import plan for an uploaded file
+function planFileImport({ buffer, format, filename, columnMapping }) {
+    const fileFormat = detectFormat(format, filename);
+    if (!fileFormat) {
+        throw new Error('Unsupported file format. Upload a .csv or .xlsx file');
+    }
+
+    const { headers, rows } = parseSpreadsheet(buffer, fileFormat);
+    if (rows.length > MAX_IMPORT_ROWS) {
+        throw new Error(`Import is limited to ${MAX_IMPORT_ROWS} rows per file`);
+    }
+
+    const { mapping, unmapped } = resolveColumnMapping(headers, columnMapping);
+    if (!Object.values(mapping).includes('employee_id')) {
+        throw new Error('No column is mapped to employee_id');
+    }
+
+    // Row 1 is the header row
+    const plan = buildImportPlan(rows.map(row => rowToProfile(row, mapping)), rows.map((_, i) => i + 2));
+    return {
+        ...plan,
+        format: fileFormat,
+        column_mapping: mapping,
+        unmapped_columns: unmapped
+    };
+}
+
+// The plan as returned to the client: profiles are trimmed to a preview
+function summarizePlan(plan) {
+    const { profiles, ...summary } = plan;
+    return {
+        ...summary,
+        preview: profiles.slice(0, PREVIEW_ROWS)
+    };
+}
+
+module.exports = {
+    MAX_IMPORT_ROWS,
+    DEFAULT_COLUMN_MAPPING,
+    detectFormat,
+    resolveColumnMapping,
+    buildImportPlan,
+    planFileImport,
+    summarizePlan
+};
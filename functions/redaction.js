@@ -0,0 +1,69 @@
+// Role-based field redaction for demob data
+//
+// REDACTION_RULES lists, per role, the profile fields that role may not see.
+// Paths are dot-separated and remove the whole subtree ("internal_metrics"
+// hides every internal metric). getDemobProfiles and exportDemobData both
+// project their output through redactProfile, and refuse filters and export
+// columns on restricted fields so the values can't be inferred either.
+
+const { DEFAULT_ROLE } = require('./auth');
+
+const REDACTION_RULES = {
+    admin: [],
+    hr_manager: [],
+    recruiter: [
+        'internal_metrics.performance_rating',
+        'internal_metrics.retention_priority',
+        'retention_rank'
+    ],
+    viewer: [
+        'internal_metrics',
+        'retention_rank',
+        'matching_history',
+        'created_by'
+    ]
+};
+
+function restrictedFields(role) {
+    return REDACTION_RULES[role] || REDACTION_RULES[DEFAULT_ROLE];
+}
+
+// Is `path` itself restricted, or inside a restricted subtree
+function isRestricted(role, path) {
+    return restrictedFields(role).some(rule => path === rule || path.startsWith(`${rule}.`));
+}
+
+// Would reading `path` expose any restricted field (e.g. filtering on a parent object)
+function touchesRestricted(role, path) {
+    return isRestricted(role, path) ||
+        restrictedFields(role).some(rule => rule.startsWith(`${path}.`));
+}
+
+// Copy `obj` without the field at `parts`, leaving the original untouched
+function removePath(obj, parts) {
+    if (!obj || typeof obj !== 'object' || !(parts[0] in obj)) return obj;
+
+    const copy = { ...obj };
+    if (parts.length === 1) {
+        delete copy[parts[0]];
+    } else {
+        copy[parts[0]] = removePath(obj[parts[0]], parts.slice(1));
+    }
+    return copy;
+}
+
+// Helper function to project a demob profile for the caller's role
+function redactProfile(profile, role) {
+    return restrictedFields(role).reduce(
+        (redacted, rule) => removePath(redacted, rule.split('.')),
+        profile
+    );
+}
+
+module.exports = {
+    REDACTION_RULES,
+    restrictedFields,
+    isRestricted,
+    touchesRestricted,
+    redactProfile
+};
@@ -0,0 +1,258 @@
+// Data retention
+//
+// Each collection holding personal data has a retention rule: records older
+// than max_age_days (measured on date_field) are purged. Rules live in the
+// retention_policies collection, one document per target, and fall back to
+// DEFAULT_POLICIES until they have been edited. Records whose consent has
+// been withdrawn are purged on the next run regardless of age.
+//
+// A target can limit purging to some statuses (matches that ended in a
+// placement or rejection are kept as the record of that decision) and name
+// the subcollections its records own, which are deleted with them.
+//
+// Purging runs as the `retention_purge` job, which deletes one chunk of one
+// target per step, so no run is ever a single unbounded batch. A scheduled
+// function queues the job daily.
+
+const admin = require('firebase-admin');
+const cvReview = require('./cvReview');
+const matchWorkflow = require('./matchWorkflow');
+const { HttpError } = require('./errors');
+
+const POLICY_COLLECTION = 'retention_policies';
+const PURGE_CHUNK_SIZE = 400;
+const MAX_AGE_DAYS = 3650;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const CONSENT_STATUSES = ['granted', 'not_recorded', 'withdrawn'];
+const CONSENT_BASES = ['consent', 'legitimate_interest', 'contract', 'employment'];
+const SOURCE_TYPES = ['cv_upload', 'bulk_import', 'api'];
+
+// Collections under retention. `group` targets are collection groups (project
+// candidates live under projects/{pid}/candidates, and carry organization_id
+// so the group query stays within the organization). `date` fields hold
+// YYYY-MM-DD strings, which compare correctly as text.
+const RETENTION_TARGETS = {
+    cv_database: {
+        collection: 'cv_database',
+        date_field: 'metadata.processing_date',
+        date_type: 'timestamp',
+        tracks_consent: true
+    },
+    project_candidates: {
+        collection: 'candidates',
+        group: true,
+        date_field: 'uploadedAt',
+        date_type: 'timestamp'
+    },
+    demob_profiles: {
+        collection: 'demob_profiles',
+        date_field: 'demob_date',
+        date_type: 'date',
+        tracks_consent: true
+    },
+    demob_matches: {
+        collection: 'demob_matches',
+        date_field: 'created_at',
+        date_type: 'timestamp',
+        statuses: matchWorkflow.MATCH_STATUSES.filter(status => !['Placed', 'Rejected'].includes(status)),
+        subcollections: ['events']
+    },
+    cv_review_queue: {
+        collection: cvReview.REVIEW_COLLECTION,
+        date_field: 'created_at',
+        date_type: 'timestamp'
+    }
+};
+
+const DEFAULT_POLICIES = {
+    cv_database: { max_age_days: 730, enabled: true },
+    project_candidates: { max_age_days: 365, enabled: true },
+    demob_profiles: { max_age_days: 365, enabled: true },
+    demob_matches: { max_age_days: 180, enabled: true },
+    cv_review_queue: { max_age_days: 90, enabled: true }
+};
+
+// Helper function to validate a consent record from a request.
+// Returns the stored shape, or null when none was given.
+function normalizeConsent(input, userId) {
+    if (input === undefined || input === null) return null;
+
+    const consent = typeof input === 'string' ? { status: input } : input;
+    if (!CONSENT_STATUSES.includes(consent.status)) {
+        throw new HttpError(400, `consent status must be one of: ${CONSENT_STATUSES.join(', ')}`);
+    }
+    if (consent.basis && !CONSENT_BASES.includes(consent.basis)) {
+        throw new HttpError(400, `consent basis must be one of: ${CONSENT_BASES.join(', ')}`);
+    }
+
+    return {
+        status: consent.status,
+        basis: consent.basis || null,
+        note: consent.note ? String(consent.note).slice(0, 500) : null,
+        recorded_by: userId || null,
+        recorded_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Helper function to describe where a record came from
+function buildDataSource(type, { userId = null, fileName = null } = {}) {
+    if (!SOURCE_TYPES.includes(type)) {
+        throw new Error(`Unknown data source type: ${type}`);
+    }
+    return {
+        type,
+        file_name: fileName,
+        collected_by: userId,
+        collected_at: admin.firestore.FieldValue.serverTimestamp()
+    };
+}
+
+// Helper function to validate a policy edit
+function validatePolicy(target, input = {}) {
+    if (!RETENTION_TARGETS[target]) {
+        throw new HttpError(400, `Invalid target. Valid targets: ${Object.keys(RETENTION_TARGETS).join(', ')}`);
+    }
+
+    const policy = {};
+    if (input.max_age_days !== undefined) {
+        const days = Number(input.max_age_days);
+        if (!Number.isInteger(days) || days < 1 || days > MAX_AGE_DAYS) {
+            throw new HttpError(400, `max_age_days must be an integer between 1 and ${MAX_AGE_DAYS}`);
+        }
+        policy.max_age_days = days;
+    }
+    if (input.enabled !== undefined) {
+        if (typeof input.enabled !== 'boolean') {
+            throw new HttpError(400, 'enabled must be true or false');
+        }
+        policy.enabled = input.enabled;
+    }
+    if (Object.keys(policy).length === 0) {
+        throw new HttpError(400, 'Provide max_age_days and/or enabled');
+    }
+    return policy;
+}
+
+// Helper function to load every target's policy, stored values over defaults
+async function loadPolicies(db) {
+    const snapshot = await db.collection(POLICY_COLLECTION).get();
+    const stored = new Map(snapshot.docs.map(doc => [doc.id, doc.data()]));
+
+    return Object.keys(RETENTION_TARGETS).map(target => {
+        const saved = stored.get(target) || {};
+        return {
+            target,
+            ...RETENTION_TARGETS[target],
+            max_age_days: saved.max_age_days ?? DEFAULT_POLICIES[target].max_age_days,
+            enabled: saved.enabled ?? DEFAULT_POLICIES[target].enabled,
+            source: stored.has(target) ? 'firestore' : 'default',
+            updated_by: saved.updated_by || null
+        };
+    });
+}
+
+async function savePolicy(db, target, input, userId) {
+    const policy = validatePolicy(target, input);
+    await db.collection(POLICY_COLLECTION).doc(target).set({
+        ...policy,
+        updated_by: userId,
+        last_updated: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+    return policy;
+}
+
+function baseQuery(db, policy) {
+    return policy.group ? db.collectionGroup(policy.collection) : db.collection(policy.collection);
+}
+
+// Records are expired once their date field is before the cutoff
+function cutoffValue(policy, now = Date.now()) {
+    const cutoff = new Date(now - policy.max_age_days * DAY_MS);
+    return policy.date_type === 'date'
+        ? cutoff.toISOString().slice(0, 10)
+        : admin.firestore.Timestamp.fromDate(cutoff);
+}
+
+// Queries for what a policy purges: withdrawn consent, then age
+function purgeQueries(db, policy, now) {
+    const queries = [];
+    if (policy.tracks_consent) {
+        queries.push({ reason: 'consent_withdrawn', query: baseQuery(db, policy).where('consent.status', '==', 'withdrawn') });
+    }
+    if (policy.enabled) {
+        let query = baseQuery(db, policy);
+        if (policy.statuses) query = query.where('status', 'in', policy.statuses);
+        queries.push({ reason: 'expired', query: query.where(policy.date_field, '<', cutoffValue(policy, now)) });
+    }
+    return queries;
+}
+
+// Helper function to count what the next purge would delete for each policy
+async function previewPurge(db, policies) {
+    const preview = {};
+    for (const policy of policies) {
+        preview[policy.target] = {};
+        for (const { reason, query } of purgeQueries(db, policy)) {
+            const snapshot = await query.count().get();
+            preview[policy.target][reason] = snapshot.data().count;
+        }
+    }
+    return preview;
+}
+
+// Helper function to delete the documents of a record's subcollections
+async function deleteSubcollections(db, ref, subcollections) {
+    for (const name of subcollections) {
+        for (;;) {
+            const snapshot = await ref.collection(name).limit(PURGE_CHUNK_SIZE).get();
+            if (snapshot.empty) break;
+            const batch = db.batch();
+            snapshot.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+            if (snapshot.size < PURGE_CHUNK_SIZE) break;
+        }
+    }
+}
+
+// Helper function to delete one chunk of a policy's purgeable records.
+// Returns { deleted, reasons, done } where done means nothing is left to purge.
+async function purgeChunk(db, policy, { chunkSize = PURGE_CHUNK_SIZE, now = Date.now() } = {}) {
+    const reasons = {};
+    let deleted = 0;
+
+    for (const { reason, query } of purgeQueries(db, policy, now)) {
+        const snapshot = await query.limit(chunkSize - deleted).get();
+        if (snapshot.empty) continue;
+
+        for (const doc of snapshot.docs) {
+            await deleteSubcollections(db, doc.ref, policy.subcollections || []);
+        }
+        const batch = db.batch();
+        snapshot.docs.forEach(doc => batch.delete(doc.ref));
+        await batch.commit();
+
+        reasons[reason] = snapshot.size;
+        deleted += snapshot.size;
+        if (deleted >= chunkSize) break;
+    }
+
+    return { deleted, reasons, done: deleted < chunkSize };
+}
+
+module.exports = {
+    POLICY_COLLECTION,
+    PURGE_CHUNK_SIZE,
+    CONSENT_STATUSES,
+    CONSENT_BASES,
+    SOURCE_TYPES,
+    RETENTION_TARGETS,
+    DEFAULT_POLICIES,
+    normalizeConsent,
+    buildDataSource,
+    validatePolicy,
+    loadPolicies,
+    savePolicy,
+    previewPurge,
+    purgeChunk
+};
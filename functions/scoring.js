@@ -0,0 +1,294 @@
+// Demob match scoring engine
+//
+// Scores a demob profile against an open position as a weighted sum of four
+// factors. Every factor produces its own 0-1 sub-score together with the
+// evidence that produced it, so the breakdown stored on a match is the real
+// one rather than the total split by weight.
+
+const skillTaxonomy = require('./skillTaxonomy');
+
+// Bump the version whenever sub-score logic changes so stored matches can be
+// traced back to the model that produced them.
+const SCORER_ID = 'demob-scorer@2.1.1';
+
+const DEFAULT_WEIGHTS = {
+    skills: 0.4,
+    project_type: 0.25,
+    geography: 0.2,
+    timing: 0.15
+};
+
+const FACTOR_NAMES = Object.keys(DEFAULT_WEIGHTS);
+
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_CACHE_TTL_MS = 5 * 60 * 1000;
+const profileCache = new Map();
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Helper function to validate and normalize a weight profile so the weights sum to 1
+function normalizeWeights(weights = {}) {
+    const merged = { ...DEFAULT_WEIGHTS };
+
+    for (const [factor, value] of Object.entries(weights)) {
+        if (!FACTOR_NAMES.includes(factor)) {
+            throw new Error(`Unknown scoring factor: ${factor}`);
+        }
+        const numeric = Number(value);
+        if (!Number.isFinite(numeric) || numeric < 0) {
+            throw new Error(`Invalid weight for ${factor}: ${value}`);
+        }
+        merged[factor] = numeric;
+    }
+
+    const total = FACTOR_NAMES.reduce((sum, factor) => sum + merged[factor], 0);
+    if (total <= 0) {
+        throw new Error('At least one scoring weight must be greater than zero');
+    }
+
+    const normalized = {};
+    for (const factor of FACTOR_NAMES) {
+        normalized[factor] = merged[factor] / total;
+    }
+    return normalized;
+}
+
+function lower(value) {
+    return String(value || '').trim().toLowerCase();
+}
+
+// Technical skills: share of required skills the candidate has, resolved
+// through the skill taxonomy. A skill held below the required proficiency
+// level earns half credit.
+function scoreSkills(demobProfile, position, taxonomy) {
+    const requiredSkills = position.required_skills || [];
+    const candidateSkills = taxonomy.resolveAll(demobProfile.skill_inventory?.technical_skills || []);
+
+    const matched = [];
+    const missing = [];
+    let credit = 0;
+
+    for (const skill of requiredSkills) {
+        const required = taxonomy.resolve(skill);
+        const candidateSkill = required && candidateSkills.find(cs => taxonomy.satisfies(cs, required));
+
+        if (!candidateSkill) {
+            missing.push(skill);
+            continue;
+        }
+
+        const requiredRank = taxonomy.levelRank(required.id, required.level);
+        const candidateRank = taxonomy.levelRank(candidateSkill.id, candidateSkill.level);
+        const belowLevel = requiredRank !== null && candidateRank !== null && candidateRank < requiredRank;
+
+        credit += belowLevel ? 0.5 : 1;
+        matched.push({
+            required: skill,
+            candidate: candidateSkill.name,
+            canonical_skill: required.id,
+            below_required_level: belowLevel
+        });
+    }
+
+    return {
+        score: requiredSkills.length > 0 ? credit / requiredSkills.length : 0,
+        evidence: {
+            required_count: requiredSkills.length,
+            matched,
+            missing
+        }
+    };
+}
+
+// Project type: does the candidate's current project resemble the position's project type
+function scoreProjectType(demobProfile, position) {
+    const projectType = position.project_type || '';
+    const currentProject = demobProfile.current_project?.name || '';
+
+    if (!projectType || !currentProject) {
+        return {
+            score: 0,
+            evidence: {
+                position_project_type: projectType || null,
+                current_project: currentProject || null,
+                reason: 'insufficient_data'
+            }
+        };
+    }
+
+    const typeMatch = lower(projectType).includes(lower(currentProject)) ||
+                     lower(currentProject).includes(lower(projectType));
+
+    return {
+        score: typeMatch ? 1 : 0.5,
+        evidence: {
+            position_project_type: projectType,
+            current_project: currentProject,
+            reason: typeMatch ? 'project_type_match' : 'different_project_type'
+        }
+    };
+}
+
+// Geography: preferred location match, falling back to willingness to relocate
+function scoreGeography(demobProfile, position) {
+    const preferredLocations = demobProfile.mobility_preferences?.preferred_locations || [];
+    const positionLocation = position.location || '';
+    const willingToRelocate = Boolean(demobProfile.mobility_preferences?.willing_to_relocate);
+
+    const matchedLocation = preferredLocations.find(loc =>
+        lower(loc).includes(lower(positionLocation)) ||
+        lower(positionLocation).includes(lower(loc))
+    );
+
+    let score;
+    let reason;
+    if (matchedLocation) {
+        score = 1;
+        reason = 'preferred_location';
+    } else if (willingToRelocate) {
+        score = 0.7;
+        reason = 'willing_to_relocate';
+    } else {
+        score = 0.3;
+        reason = 'location_mismatch';
+    }
+
+    return {
+        score,
+        evidence: {
+            position_location: positionLocation || null,
+            matched_location: matchedLocation || null,
+            willing_to_relocate: willingToRelocate,
+            reason
+        }
+    };
+}
+
+// Timing: gap between the demob date and the position start date
+function scoreTiming(demobProfile, position) {
+    const demobDate = new Date(demobProfile.demob_date);
+    const positionStartDate = new Date(position.start_date || Date.now());
+
+    if (isNaN(demobDate) || isNaN(positionStartDate)) {
+        return {
+            score: 0,
+            evidence: {
+                demob_date: demobProfile.demob_date || null,
+                position_start_date: position.start_date || null,
+                day_gap: null,
+                reason: 'invalid_date'
+            }
+        };
+    }
+
+    const dayGap = Math.round(Math.abs(demobDate - positionStartDate) / DAY_MS);
+    const score = dayGap <= 30 ? 1 : (dayGap <= 90 ? 0.8 : 0.5);
+
+    return {
+        score,
+        evidence: {
+            demob_date: demobProfile.demob_date,
+            position_start_date: position.start_date || null,
+            day_gap: dayGap,
+            availability: demobDate <= positionStartDate ? 'before_start' : 'after_start'
+        }
+    };
+}
+
+const FACTOR_SCORERS = {
+    skills: scoreSkills,
+    project_type: scoreProjectType,
+    geography: scoreGeography,
+    timing: scoreTiming
+};
+
+// Score a demob profile against a position with the given weight profile and skill taxonomy
+function scoreMatch(demobProfile, position, weightProfile = {}, taxonomy = skillTaxonomy.getDefaultTaxonomy()) {
+    const weights = normalizeWeights(weightProfile.weights || DEFAULT_WEIGHTS);
+
+    let total = 0;
+    const factors = {};
+
+    for (const factor of FACTOR_NAMES) {
+        const { score, evidence } = FACTOR_SCORERS[factor](demobProfile, position, taxonomy);
+        const points = score * weights[factor] * 100;
+        total += points;
+
+        factors[factor] = {
+            score: Math.round(score * 100),
+            weight: Number(weights[factor].toFixed(4)),
+            points: Number(points.toFixed(2)),
+            evidence
+        };
+    }
+
+    return {
+        score: Math.round(total),
+        scorer_id: SCORER_ID,
+        weight_profile_id: weightProfile.id || DEFAULT_PROFILE_ID,
+        factors
+    };
+}
+
+// Legacy-shaped factor points kept for consumers of match_factors
+function toMatchFactors(result) {
+    return {
+        skills_alignment: result.factors.skills.points,
+        project_experience: result.factors.project_type.points,
+        geographic_fit: result.factors.geography.points,
+        timing_alignment: result.factors.timing.points
+    };
+}
+
+// Helper function to load an organization's weight profile, falling back to the default profile
+async function loadWeightProfile(db, organizationId) {
+    const profileId = organizationId || DEFAULT_PROFILE_ID;
+    const cached = profileCache.get(profileId);
+    if (cached && cached.expires > Date.now()) {
+        return cached.profile;
+    }
+
+    let profile = { id: DEFAULT_PROFILE_ID, weights: { ...DEFAULT_WEIGHTS } };
+    const candidateIds = profileId === DEFAULT_PROFILE_ID ? [profileId] : [profileId, DEFAULT_PROFILE_ID];
+
+    for (const id of candidateIds) {
+        const doc = await db.collection('scoring_profiles').doc(id).get();
+        if (doc.exists && doc.data().weights) {
+            profile = { id, weights: normalizeWeights(doc.data().weights) };
+            break;
+        }
+    }
+
+    profileCache.set(profileId, { profile, expires: Date.now() + PROFILE_CACHE_TTL_MS });
+    return profile;
+}
+
+// Lowest skills weight an organization's positions are scored with: its own
+// profile (or the default it falls back to), and the default for positions
+// indexed before they carried an organization. Positions that share no
+// skills with a candidate can score at most (1 - weight) * 100, so matching
+// can skip them at query time when that is below the minimum score.
+async function loadMinimumSkillWeight(db, organizationId) {
+    const profiles = await Promise.all([
+        loadWeightProfile(db, organizationId),
+        loadWeightProfile(db, DEFAULT_PROFILE_ID)
+    ]);
+    return Math.min(...profiles.map(profile => profile.weights.skills));
+}
+
+function clearWeightProfileCache() {
+    profileCache.clear();
+}
+
+module.exports = {
+    SCORER_ID,
+    DEFAULT_WEIGHTS,
+    DEFAULT_PROFILE_ID,
+    FACTOR_NAMES,
+    normalizeWeights,
+    scoreMatch,
+    toMatchFactors,
+    loadWeightProfile,
+    loadMinimumSkillWeight,
+    clearWeightProfileCache
+};
@@ -0,0 +1,451 @@
+// Must-have compliance screening
+//
+// Checks a cv_database record against the must-have criteria of open
+// positions: each position's required skills plus its must_haves
+// (certifications, minimum years of experience, languages, acceptable
+// locations and countries the candidate must be able to work in). Every
+// criterion comes out as pass, fail or unknown, with the CV fields that
+// support the answer as evidence.
+//
+// Rules run first and only answer from what the extracted profile says: a
+// missing field is unknown, never a fail. A listed value passes only when it
+// contains the whole requirement (a listed "CSWIP" doesn't meet "CSWIP 3.1"),
+// and a mention in free text is unknown with the mention as evidence. Work
+// authorization is only ever passed by rules (nationality or a stated
+// permit), since a different nationality doesn't rule out a visa.
+//
+// With use_llm, the criteria rules left unknown go to the LLM provider along
+// with the profile. Its answer is only kept when the evidence it quotes is
+// at least MIN_QUOTE_LENGTH characters and appears within a single profile
+// value, so a one-word or made-up quote can't decide a criterion. The prompt
+// also carries the project knowledge most relevant to the candidate and
+// position, to help read requirements (what a standard or certification
+// covers); each position's result keeps the knowledge sources it was given.
+//
+// A position passes when every criterion passes, fails when any fails and is
+// unknown otherwise. The best result becomes the candidate's
+// must_have_compliance and drives screening_summary.overall_fit.
+
+const admin = require('firebase-admin');
+const matching = require('./matching');
+const skillTaxonomy = require('./skillTaxonomy');
+const llmProviders = require('./llmProviders');
+const knowledge = require('./knowledge');
+const { HttpError } = require('./errors');
+
+const CRITERION_STATUSES = ['pass', 'fail', 'unknown'];
+const STATUS_RANKS = { pass: 2, unknown: 1, fail: 0 };
+const FIT_LABELS = { pass: 'Strong Match', unknown: 'Needs Review', fail: 'Not a Match' };
+const MAX_POSITIONS = 100;
+const MAX_EVIDENCE = 3;
+const MIN_QUOTE_LENGTH = 8;
+const MAX_PROFILE_PROMPT_LENGTH = 12000;
+
+function normalize(text) {
+    return ` ${String(text || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim()} `;
+}
+
+// Whole-word containment of the requirement in a value ("PMP" in "PMP
+// Certified", "English" in "English (fluent)"), never the other way round
+function phraseMatch(value, requirement) {
+    const phrase = normalize(requirement);
+    if (phrase.trim() === '') return false;
+    return normalize(value).includes(phrase);
+}
+
+// Helper function to list the profile's values as { field, value }, for
+// evidence and free-text searches
+function profileEntries(profile) {
+    const entries = [];
+    const add = (field, value) => {
+        if (value !== null && value !== undefined && String(value).trim() !== '') {
+            entries.push({ field, value: String(value) });
+        }
+    };
+    const personal = profile.personal_info || {};
+    const professional = profile.professional_summary || {};
+    const skills = profile.skills || {};
+
+    add('personal_info.location', personal.location);
+    add('personal_info.nationality', personal.nationality);
+    add('professional_summary.current_position', professional.current_position);
+    add('professional_summary.total_experience_years', professional.total_experience_years);
+    add('professional_summary.summary', professional.summary);
+    ['technical_skills', 'certifications', 'languages'].forEach(field => {
+        (skills[field] || []).forEach(value => add(`skills.${field}`, value));
+    });
+    (profile.keywords || []).forEach(value => add('keywords', value));
+    (profile.experience || []).forEach((role, index) => {
+        add(`experience[${index}].position`, role.position);
+        add(`experience[${index}].location`, role.location);
+        (role.key_achievements || []).forEach(value => add(`experience[${index}].key_achievements`, value));
+    });
+    (profile.education || []).forEach((entry, index) => {
+        add(`education[${index}].degree`, entry.degree);
+    });
+    add('availability.preferred_location', profile.availability?.preferred_location);
+    return entries;
+}
+
+function criterion(type, requirement, status, evidence = []) {
+    return {
+        id: `${type}:${normalize(requirement).trim().replace(/ /g, '_')}`,
+        type,
+        requirement: String(requirement),
+        status,
+        evidence: evidence.slice(0, MAX_EVIDENCE),
+        source: 'rules'
+    };
+}
+
+// Listed values pass on a match, fail when the list has entries but none
+// match, and are unknown when the CV lists nothing. A mention in free text
+// (summary, achievements, keywords) doesn't say the candidate holds it, so a
+// requirement the list misses is unknown with the mentions as evidence.
+function checkListed(type, requirement, entries, listField) {
+    const listed = entries.filter(entry => entry.field === listField);
+    const matches = listed.filter(entry => phraseMatch(entry.value, requirement));
+    if (matches.length > 0) return criterion(type, requirement, 'pass', matches);
+
+    const mentions = entries.filter(entry => entry.field !== listField && phraseMatch(entry.value, requirement));
+    if (mentions.length > 0) return criterion(type, requirement, 'unknown', mentions);
+
+    return criterion(type, requirement, listed.length > 0 ? 'fail' : 'unknown', listed);
+}
+
+function checkRequiredSkill(skill, profile, entries, taxonomy) {
+    const required = taxonomy.resolve(skill);
+    const held = [...(profile.skills?.technical_skills || []), ...(profile.keywords || [])];
+    const match = held.find(value => taxonomy.satisfies(taxonomy.resolve(value), required));
+    if (match) {
+        return criterion('required_skill', skill, 'pass', entries.filter(entry => entry.value === match));
+    }
+    return checkListed('required_skill', skill, entries, 'skills.technical_skills');
+}
+
+function checkExperience(minYears, entries) {
+    const years = entries.find(entry => entry.field === 'professional_summary.total_experience_years');
+    const requirement = `${minYears}+ years of experience`;
+    if (!years) return criterion('min_years_experience', requirement, 'unknown');
+    return criterion('min_years_experience', requirement, Number(years.value) >= minYears ? 'pass' : 'fail', [years]);
+}
+
+// The requirement's first part ("Dubai" of "Dubai, UAE") has to match where
+// the candidate is or would move to; a match on the country alone is unknown
+function checkLocation(location, entries) {
+    const places = entries.filter(entry => ['personal_info.location', 'availability.preferred_location'].includes(entry.field));
+    if (places.length === 0) return criterion('location', location, 'unknown');
+
+    const parts = location.split(',').map(part => part.trim()).filter(Boolean);
+    const exact = places.filter(entry => normalize(entry.value).includes(normalize(parts[0])));
+    if (exact.length > 0) return criterion('location', location, 'pass', exact);
+    const country = parts.length > 1 ? places.filter(entry => normalize(entry.value).includes(normalize(parts[parts.length - 1]))) : [];
+    if (country.length > 0) return criterion('location', location, 'unknown', country);
+    return criterion('location', location, 'fail', places);
+}
+
+function checkWorkAuthorization(country, entries) {
+    const nationality = entries.filter(entry => entry.field === 'personal_info.nationality' && phraseMatch(entry.value, country));
+    if (nationality.length > 0) return criterion('work_authorization', country, 'pass', nationality);
+
+    const permit = entries.filter(entry => /\b(visa|work permit|residen|citizen|authori[sz]ed to work|right to work)/i.test(entry.value) &&
+        normalize(entry.value).includes(normalize(country)));
+    if (permit.length > 0) return criterion('work_authorization', country, 'pass', permit);
+
+    return criterion('work_authorization', country, 'unknown', entries.filter(entry => entry.field === 'personal_info.nationality'));
+}
+
+// Helper function to evaluate one position's criteria with rules
+function evaluatePosition(profile, position, taxonomy) {
+    const entries = profileEntries(profile);
+    const mustHaves = position.must_haves || {};
+    return [
+        ...(position.required_skills || []).map(skill => checkRequiredSkill(skill, profile, entries, taxonomy)),
+        ...(mustHaves.certifications || []).map(cert => checkListed('certification', cert, entries, 'skills.certifications')),
+        ...(mustHaves.languages || []).map(language => checkListed('language', language, entries, 'skills.languages')),
+        ...(mustHaves.min_years_experience ? [checkExperience(mustHaves.min_years_experience, entries)] : []),
+        ...(mustHaves.locations?.length > 0 ? [anyOf(mustHaves.locations.map(location => checkLocation(location, entries)))] : []),
+        ...(mustHaves.work_authorization || []).map(country => checkWorkAuthorization(country, entries))
+    ];
+}
+
+// Acceptable alternatives (any of several locations) collapse to the best one
+function anyOf(results) {
+    return results.reduce((best, result) => (STATUS_RANKS[result.status] > STATUS_RANKS[best.status] ? result : best));
+}
+
+function summarizeCriteria(criteria) {
+    const counts = { pass: 0, fail: 0, unknown: 0 };
+    criteria.forEach(item => counts[item.status]++);
+    let status = 'unknown';
+    if (counts.fail > 0) status = 'fail';
+    else if (criteria.length > 0 && counts.unknown === 0) status = 'pass';
+    return {
+        status,
+        counts,
+        score: criteria.length > 0 ? Number((counts.pass / criteria.length).toFixed(2)) : null
+    };
+}
+
+function buildScreeningPrompt(profile, criteria, context = '') {
+    const profileJson = JSON.stringify(profile).slice(0, MAX_PROFILE_PROMPT_LENGTH);
+    const projectContext = context ? `
+PROJECT CONTEXT (excerpts from the project's documents; use them to understand the
+requirements, never as evidence about the candidate):
+${context}
+` : '';
+    return `
+You are screening a candidate against a position's must-have requirements.
+
+CANDIDATE PROFILE (JSON extracted from their CV):
+${profileJson}
+${projectContext}
+For each requirement below, decide from the profile alone whether the candidate meets it.
+Answer "pass" or "fail" only when the profile clearly shows it, quoting the exact profile text
+that shows it as evidence. Otherwise answer "unknown". Do not guess.
+
+REQUIREMENTS:
+${criteria.map(item => `- id: ${item.id} | type: ${item.type} | requirement: ${item.requirement}`).join('\n')}
+
+Respond with JSON only:
+{"criteria": [{"id": "...", "status": "pass|fail|unknown", "evidence": "exact quote from the profile", "reasoning": "one sentence"}]}
+`;
+}
+
+// The stub provider can't judge anything, so it leaves every criterion unknown
+llmProviders.registerStubHandler('screen_criteria', ({ criteria = [] }) => ({
+    criteria: criteria.map(item => ({ id: item.id, status: 'unknown', evidence: null }))
+}));
+
+// Helper function to ask the LLM about criteria the rules left unknown.
+// Answers whose evidence isn't quoted from a profile value are discarded.
+async function assistWithLlm(profile, criteria, provider, context = '') {
+    const unknown = criteria.filter(item => item.status === 'unknown');
+    if (unknown.length === 0) return criteria;
+
+    const response = await provider.generateJson(buildScreeningPrompt(profile, unknown, context), {
+        task: 'screen_criteria',
+        input: { profile, criteria: unknown },
+        temperature: 0.1,
+        maxOutputTokens: 2048
+    });
+    const answers = new Map((Array.isArray(response?.criteria) ? response.criteria : []).map(answer => [answer.id, answer]));
+    const entries = profileEntries(profile);
+
+    return criteria.map(item => {
+        const answer = answers.get(item.id);
+        if (item.status !== 'unknown' || !answer || !['pass', 'fail'].includes(answer.status) || !answer.evidence) {
+            return item;
+        }
+        const quote = normalize(answer.evidence);
+        if (quote.trim().length < MIN_QUOTE_LENGTH) return item;
+        const supporting = entries.filter(entry => normalize(entry.value).includes(quote));
+        if (supporting.length === 0) return item;
+        // Rules never fail work authorization; neither does the model
+        if (item.type === 'work_authorization' && answer.status === 'fail') return item;
+        return {
+            ...item,
+            status: answer.status,
+            evidence: supporting.slice(0, MAX_EVIDENCE),
+            source: 'llm',
+            reasoning: answer.reasoning ? String(answer.reasoning).slice(0, 300) : null
+        };
+    });
+}
+
+// Helper function to load the open positions to screen against: one
+// project's, or the whole organization's
+async function loadOpenPositions(db, { projectId = null, positionIds = null } = {}) {
+    let query = db.collection(matching.POSITION_INDEX).where('status', '==', 'open');
+    if (projectId) {
+        query = query.where('project_id', '==', projectId);
+    }
+    const snapshot = await query.limit(MAX_POSITIONS).get();
+    return snapshot.docs
+        .map(doc => doc.data())
+        .filter(position => !positionIds || positionIds.includes(position.position_id));
+}
+
+// Helper function to screen a cv_database record against open positions.
+// Returns the per-position results, best first.
+async function screenRecord(db, record, { projectId = null, positionIds = null, useLlm = false, provider = null } = {}) {
+    const profile = record.candidate_profile || {};
+    const [positionList, taxonomy] = await Promise.all([
+        loadOpenPositions(db, { projectId, positionIds }),
+        skillTaxonomy.loadTaxonomy(db)
+    ]);
+
+    let llmError = null;
+    const results = [];
+    for (const position of positionList) {
+        let criteria = evaluatePosition(profile, position, taxonomy);
+        let sources = [];
+        if (useLlm && llmError === null && criteria.some(item => item.status === 'unknown')) {
+            try {
+                const retrieved = await knowledge.buildContext(db, { projectId: position.project_id, candidate: record, position });
+                criteria = await assistWithLlm(profile, criteria, provider || llmProviders.getProvider(), retrieved.context);
+                sources = retrieved.sources;
+            } catch (error) {
+                // Rule results stand on their own; stop asking after the first failure
+                console.error('LLM screening failed:', error);
+                llmError = error.message;
+            }
+        }
+        results.push({
+            position_id: position.position_id,
+            project_id: position.project_id,
+            title: position.title,
+            ...summarizeCriteria(criteria),
+            criteria,
+            sources
+        });
+    }
+
+    results.sort((a, b) => STATUS_RANKS[b.status] - STATUS_RANKS[a.status] || (b.score ?? -1) - (a.score ?? -1));
+    return {
+        positions: results,
+        method: useLlm && llmError === null ? 'rules+llm' : 'rules',
+        llm_error: llmError,
+        screened_at: new Date().toISOString()
+    };
+}
+
+// Helper function to build the project candidate's screening_summary and
+// must_have_compliance from a screening. The compliance flags the email
+// prompts read (years_experience, technical_skills, certifications) are true
+// only when every criterion of that kind passed for the best position.
+function buildScreeningFields(profile, screening) {
+    const personal = profile.personal_info || {};
+    const professional = profile.professional_summary || {};
+    const skills = profile.skills || {};
+    const best = screening.positions[0] || null;
+    const passed = type => {
+        const items = best ? best.criteria.filter(item => item.type === type) : [];
+        return items.length > 0 ? items.every(item => item.status === 'pass') : null;
+    };
+
+    const gaps = best
+        ? best.criteria.filter(item => item.status !== 'pass').map(item => `${item.requirement} (${item.status})`)
+        : [];
+
+    return {
+        screening_summary: {
+            candidate_name: personal.full_name || 'Unknown',
+            email: personal.email || null,
+            current_role: professional.current_position || null,
+            total_experience: professional.total_experience_years !== null && professional.total_experience_years !== undefined
+                ? `${professional.total_experience_years} years`
+                : null,
+            location: personal.location || null,
+            key_skills: (skills.technical_skills || []).slice(0, 10),
+            key_strengths: (skills.technical_skills || []).slice(0, 5),
+            certifications: skills.certifications || [],
+            education: profile.education?.[0]?.degree || null,
+            overall_fit: best ? FIT_LABELS[best.status] : 'Not Analyzed',
+            recommended_roles: screening.positions.filter(result => result.status !== 'fail').map(result => result.title),
+            potential_gaps: gaps,
+            notice_period: profile.availability?.notice_period || 'Not specified'
+        },
+        must_have_compliance: {
+            position_id: best?.position_id || null,
+            position_title: best?.title || null,
+            status: best?.status || null,
+            score: best?.score ?? null,
+            years_experience: passed('min_years_experience'),
+            technical_skills: passed('required_skill'),
+            certifications: passed('certification'),
+            languages: passed('language'),
+            location: passed('location'),
+            work_authorization: passed('work_authorization'),
+            criteria: best?.criteria || []
+        },
+        screening
+    };
+}
+
+// Helper function to add a cv_database record to a project, screened
+// against the project's open positions. The best passing (or unknown)
+// position is assigned to the candidate.
+async function addToProject(db, userId, { cvId, projectId, useLlm = false }, provider = null) {
+    if (!cvId || !projectId) {
+        throw new HttpError(400, 'cv_id and project_id are required');
+    }
+    const [recordDoc, projectDoc, existing] = await Promise.all([
+        db.collection('cv_database').doc(cvId).get(),
+        db.doc(`projects/${projectId}`).get(),
+        db.collection(`projects/${projectId}/candidates`).where('original_database_id', '==', cvId).limit(1).get()
+    ]);
+    if (!recordDoc.exists) {
+        throw new HttpError(404, 'CV record not found');
+    }
+    if (!projectDoc.exists) {
+        throw new HttpError(404, 'Project not found');
+    }
+    if (!existing.empty) {
+        throw new HttpError(409, 'This candidate is already in the project');
+    }
+
+    const record = recordDoc.data();
+    const profile = record.candidate_profile || {};
+    const screening = await screenRecord(db, record, { projectId, useLlm, provider });
+    const fields = buildScreeningFields(profile, screening);
+    const best = screening.positions[0];
+
+    const ref = db.collection(`projects/${projectId}/candidates`).doc();
+    await ref.set({
+        fileName: record.metadata?.source_file || 'Database Import',
+        rawContent: JSON.stringify(profile).substring(0, 1000),
+        ...fields,
+        position_id: best && best.status !== 'fail' ? best.position_id : null,
+        database_import: true,
+        original_database_id: cvId,
+        organization_id: db.organizationId,
+        added_by: userId,
+        uploadedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return {
+        candidate_id: ref.id,
+        overall_fit: fields.screening_summary.overall_fit,
+        compliance: fields.must_have_compliance,
+        positions: screening.positions.map(({ criteria, ...result }) => result),
+        method: screening.method
+    };
+}
+
+// Helper function to screen a project candidate that came from the CV
+// database again, e.g. after a position's must-haves change
+async function rescreenCandidate(db, { projectId, candidateId, useLlm = false }, provider = null) {
+    const ref = db.doc(`projects/${projectId}/candidates/${candidateId}`);
+    const candidateDoc = await ref.get();
+    if (!candidateDoc.exists) {
+        throw new HttpError(404, 'Candidate not found');
+    }
+    const cvId = candidateDoc.data().original_database_id;
+    if (!cvId) {
+        throw new HttpError(409, 'Only candidates added from the CV database can be screened');
+    }
+    const recordDoc = await db.collection('cv_database').doc(cvId).get();
+    if (!recordDoc.exists) {
+        throw new HttpError(404, 'CV record not found');
+    }
+
+    const profile = recordDoc.data().candidate_profile || {};
+    const screening = await screenRecord(db, recordDoc.data(), { projectId, useLlm, provider });
+    const fields = buildScreeningFields(profile, screening);
+    await ref.update({
+        screening_summary: fields.screening_summary,
+        must_have_compliance: fields.must_have_compliance,
+        screening: fields.screening
+    });
+    return { candidate_id: candidateId, overall_fit: fields.screening_summary.overall_fit, compliance: fields.must_have_compliance };
+}
+
+module.exports = {
+    CRITERION_STATUSES,
+    evaluatePosition,
+    summarizeCriteria,
+    screenRecord,
+    buildScreeningFields,
+    addToProject,
+    rescreenCandidate
+};
@@ -0,0 +1,229 @@
+// Migrate single-tenant data into one organization
+//
+// Before organizations, projects (with their candidates, knowledge and
+// positions) lived under users/{uid}/projects and everything else was a
+// top-level collection shared by every user. This script creates an
+// organization (or reuses --org-id), makes every user without one a member
+// of it, and copies:
+//
+//   users/{uid}/projects/{pid}/...  ->  organizations/{orgId}/projects/{pid}/...
+//   {collection}/...                ->  organizations/{orgId}/{collection}/...
+//
+// Projects record the user they came from as created_by, and candidates and
+// positions gain organization_id (collection group queries filter on it).
+// The open position index, embeddings and jobs are not copied: the position
+// and CV triggers rebuild the first two as the copies land, and jobs are
+// transient. Copies keep their document ids, so re-running the script is
+// safe; source data is only deleted with --delete-source.
+//
+// Usage (from functions/, with GOOGLE_APPLICATION_CREDENTIALS set):
+//   node scripts/migrateToOrganizations.js --org-name "Egis" [--org-id ID] [--dry-run] [--delete-source]
+
+const admin = require('firebase-admin');
+const organizations = require('../organizations');
+
+const BATCH_SIZE = 400;
+const PAGE_SIZE = 300;
+
+// Top-level tenant collections, with the subcollections each document may have
+const TENANT_COLLECTIONS = {
+    demob_profiles: [],
+    demob_matches: ['events'],
+    cv_database: [],
+    cv_review_queue: [],
+    cv_duplicate_pairs: [],
+    skill_taxonomy: [],
+    retention_policies: [],
+    analytics_rollups: [],
+    data_subject_requests: [],
+    notifications: []
+};
+const PROJECT_SUBCOLLECTIONS = ['candidates', 'knowledge', 'positions'];
+// Documents queried by collection group need to carry their organization
+const ORGANIZATION_FIELD_COLLECTIONS = ['candidates', 'positions'];
+
+function parseArgs(argv) {
+    const options = { orgName: null, orgId: null, dryRun: false, deleteSource: false };
+    for (let i = 0; i < argv.length; i++) {
+        switch (argv[i]) {
+            case '--org-name': options.orgName = argv[++i]; break;
+            case '--org-id': options.orgId = argv[++i]; break;
+            case '--dry-run': options.dryRun = true; break;
+            case '--delete-source': options.deleteSource = true; break;
+            default: throw new Error(`Unknown option: ${argv[i]}`);
+        }
+    }
+    if (!options.orgId && !options.orgName) {
+        throw new Error('Pass --org-name to create an organization or --org-id to use an existing one');
+    }
+    return options;
+}
+
+// Buffers writes and commits them in batches under the 500 writes limit
+function createWriter(db, dryRun) {
+    let batch = db.batch();
+    let pending = 0;
+    let written = 0;
+
+    const flush = async () => {
+        if (pending > 0 && !dryRun) await batch.commit();
+        written += pending;
+        batch = db.batch();
+        pending = 0;
+    };
+
+    return {
+        async set(ref, data) {
+            batch.set(ref, data);
+            if (++pending >= BATCH_SIZE) await flush();
+        },
+        async delete(ref) {
+            batch.delete(ref);
+            if (++pending >= BATCH_SIZE) await flush();
+        },
+        flush,
+        get written() {
+            return written + pending;
+        }
+    };
+}
+
+// Helper function to visit every document of a collection a page at a time
+async function forEachDoc(collectionRef, visit) {
+    let lastDoc = null;
+    while (true) {
+        let query = collectionRef.orderBy(admin.firestore.FieldPath.documentId()).limit(PAGE_SIZE);
+        if (lastDoc) query = query.startAfter(lastDoc);
+
+        const snapshot = await query.get();
+        for (const doc of snapshot.docs) {
+            await visit(doc);
+        }
+        if (snapshot.size < PAGE_SIZE) return;
+        lastDoc = snapshot.docs[snapshot.size - 1];
+    }
+}
+
+// Helper function to copy a document and the named subcollections beneath it
+async function copyTree(writer, sourceRef, targetRef, data, subcollections, { organizationId, deleteSource, counts }) {
+    await writer.set(targetRef, data);
+    counts[sourceRef.parent.id] = (counts[sourceRef.parent.id] || 0) + 1;
+
+    for (const name of subcollections) {
+        await forEachDoc(sourceRef.collection(name), async (doc) => {
+            const childData = ORGANIZATION_FIELD_COLLECTIONS.includes(name)
+                ? { ...doc.data(), organization_id: organizationId }
+                : doc.data();
+            await copyTree(writer, doc.ref, targetRef.collection(name).doc(doc.id), childData, [], { organizationId, deleteSource, counts });
+        });
+    }
+
+    if (deleteSource) {
+        await writer.delete(sourceRef);
+    }
+}
+
+async function ensureOrganization(db, options) {
+    if (options.orgId) {
+        const doc = await db.collection(organizations.ORGANIZATION_COLLECTION).doc(options.orgId).get();
+        if (!doc.exists) {
+            throw new Error(`Organization ${options.orgId} does not exist`);
+        }
+        return options.orgId;
+    }
+
+    const orgRef = db.collection(organizations.ORGANIZATION_COLLECTION).doc();
+    if (!options.dryRun) {
+        await orgRef.set({
+            name: options.orgName,
+            created_by: 'migration',
+            created_at: admin.firestore.FieldValue.serverTimestamp()
+        });
+    }
+    return orgRef.id;
+}
+
+async function migrate(db, options) {
+    const organizationId = await ensureOrganization(db, options);
+    const orgDb = organizations.scopedDb(db, organizationId);
+    const writer = createWriter(db, options.dryRun);
+    const counts = {};
+    const context = { organizationId, deleteSource: options.deleteSource, counts };
+    console.log(`${options.dryRun ? '[dry run] ' : ''}Migrating into organization ${organizationId}`);
+
+    // Members first, so nobody loses access while their data moves
+    const usersSnapshot = await db.collection('users').get();
+    let joined = 0;
+    let skipped = 0;
+    for (const userDoc of usersSnapshot.docs) {
+        const member = userDoc.data().organization_id;
+        if (member && member !== organizationId) {
+            skipped++;
+            continue;
+        }
+        if (!member) {
+            if (!options.dryRun) {
+                await userDoc.ref.update({
+                    organization_id: organizationId,
+                    joined_organization_at: admin.firestore.FieldValue.serverTimestamp()
+                });
+            }
+            joined++;
+        }
+    }
+
+    // Projects of every user, except those already in another organization
+    for (const userDoc of usersSnapshot.docs) {
+        const member = userDoc.data().organization_id;
+        if (member && member !== organizationId) continue;
+
+        await forEachDoc(userDoc.ref.collection('projects'), async (projectDoc) => {
+            const targetRef = orgDb.collection('projects').doc(projectDoc.id);
+            const existing = await targetRef.get();
+            if (existing.exists && existing.data().created_by !== userDoc.id) {
+                console.warn(`Skipping project ${projectDoc.id} of ${userDoc.id}: id already used by another user's project`);
+                return;
+            }
+            await copyTree(writer, projectDoc.ref, targetRef, {
+                ...projectDoc.data(),
+                created_by: userDoc.id
+            }, PROJECT_SUBCOLLECTIONS, context);
+        });
+    }
+
+    for (const [name, subcollections] of Object.entries(TENANT_COLLECTIONS)) {
+        await forEachDoc(db.collection(name), async (doc) => {
+            await copyTree(writer, doc.ref, orgDb.collection(name).doc(doc.id), doc.data(), subcollections, context);
+        });
+    }
+
+    await writer.flush();
+
+    console.log(`Users joined: ${joined}, left in other organizations: ${skipped}`);
+    Object.entries(counts).forEach(([name, count]) => console.log(`  ${name}: ${count}`));
+    console.log(`${options.dryRun ? 'Would write' : 'Wrote'} ${writer.written} documents`);
+    if (!options.deleteSource) {
+        console.log('Source data was kept; re-run with --delete-source once the copy is verified');
+    }
+    return { organizationId, joined, counts, written: writer.written };
+}
+
+if (require.main === module) {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    admin.initializeApp();
+    migrate(admin.firestore(), options)
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error('Migration failed:', error);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseArgs, migrate };
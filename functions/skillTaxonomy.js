@@ -0,0 +1,375 @@
+// Skill taxonomy
+//
+// Canonical skills with aliases, parent/child groups and optional proficiency
+// levels. Every place that compares skills (matching, profile filters, the CV
+// search index and analytics) resolves free-text skills through the taxonomy
+// instead of doing substring checks, so "PM" resolves to Project Management
+// and "Java" no longer matches "JavaScript".
+
+const organizations = require('./organizations');
+
+const DEFAULT_LEVELS = ['beginner', 'intermediate', 'advanced', 'expert'];
+
+// Words that describe proficiency rather than the skill itself
+const LEVEL_SYNONYMS = {
+    beginner: 'beginner',
+    basic: 'beginner',
+    junior: 'beginner',
+    intermediate: 'intermediate',
+    working: 'intermediate',
+    advanced: 'advanced',
+    proficient: 'advanced',
+    fluent: 'advanced',
+    senior: 'advanced',
+    expert: 'expert',
+    native: 'expert'
+};
+
+const LEVEL_FILLER = ['level', 'knowledge'];
+
+// Level words are only read from positions that can't be part of a skill
+// name, so "React Native", "ANSYS Fluent" and "Working at Heights" are left
+// alone: a trailing "(Advanced)", a trailing "- Expert" or ": fluent", and a
+// leading "Expert in" / "Working knowledge of".
+const TRAILING_LEVEL_PATTERNS = [
+    /^(.+?)\s*[([]([^)\]]*)[)\]]\s*$/,
+    /^(.+)(?:\s[-\u2013]|:)\s*(.+)$/
+];
+const LEADING_LEVEL_PATTERN = /^(\S+(?:\s+(?:level|knowledge))?)\s+(?:in|of|with)\s+(.+)$/i;
+
+// Seed taxonomy used until the skill_taxonomy collection has been populated
+const DEFAULT_TAXONOMY = [
+    { id: 'project_management', name: 'Project Management', aliases: ['pm', 'project manager', 'project mgmt'], parent: null },
+    { id: 'pmp', name: 'PMP', aliases: ['project management professional'], parent: 'project_management' },
+    { id: 'agile', name: 'Agile', aliases: ['agile methodology'], parent: 'project_management' },
+    { id: 'scrum', name: 'Scrum', aliases: ['scrum master', 'csm'], parent: 'agile' },
+    { id: 'planning', name: 'Planning', aliases: ['project planning', 'planning and scheduling'], parent: null },
+    { id: 'scheduling', name: 'Scheduling', aliases: ['project scheduling', 'schedule management'], parent: 'planning' },
+    { id: 'primavera_p6', name: 'Primavera P6', aliases: ['p6', 'primavera', 'oracle primavera', 'p6 scheduling'], parent: 'scheduling' },
+    { id: 'ms_project', name: 'Microsoft Project', aliases: ['ms project', 'msp'], parent: 'scheduling' },
+    { id: 'cost_control', name: 'Cost Control', aliases: ['cost management', 'cost controls'], parent: 'planning' },
+    { id: 'cad', name: 'CAD', aliases: ['computer aided design'], parent: null },
+    { id: 'autocad', name: 'AutoCAD', aliases: ['auto cad', 'acad'], parent: 'cad' },
+    { id: 'bim', name: 'BIM', aliases: ['building information modelling', 'building information modeling'], parent: null },
+    { id: 'revit', name: 'Revit', aliases: ['autodesk revit'], parent: 'bim' },
+    { id: 'navisworks', name: 'Navisworks', aliases: ['autodesk navisworks'], parent: 'bim' },
+    { id: 'erp', name: 'ERP', aliases: ['enterprise resource planning'], parent: null },
+    { id: 'sap', name: 'SAP', aliases: ['sap erp', 'sap s/4hana', 's/4hana'], parent: 'erp' },
+    { id: 'java', name: 'Java', aliases: ['core java', 'java se', 'java ee'], parent: null },
+    { id: 'javascript', name: 'JavaScript', aliases: ['js', 'ecmascript'], parent: null },
+    { id: 'python', name: 'Python', aliases: ['python3'], parent: null },
+    { id: 'mep', name: 'MEP', aliases: ['mechanical electrical plumbing', 'mechanical electrical and plumbing'], parent: null },
+    { id: 'hvac', name: 'HVAC', aliases: ['heating ventilation and air conditioning'], parent: 'mep' }
+];
+
+// Helper function to lowercase a skill and strip punctuation that carries no meaning
+function normalizeSkillText(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[()[\]{}:;,|]/g, ' ')
+        .replace(/[^a-z0-9+#./&\s-]/g, ' ')
+        .replace(/(^|\s)[.-]+|[.-]+(?=\s|$)/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function tokenize(text) {
+    return normalizeSkillText(text).split(/[\s/-]+/).filter(Boolean);
+}
+
+function phraseKey(text) {
+    return tokenize(text).join(' ');
+}
+
+// Does `tokens` contain `needle` as a contiguous run of whole tokens
+function containsPhrase(tokens, needle) {
+    if (needle.length === 0 || needle.length > tokens.length) return false;
+    for (let i = 0; i <= tokens.length - needle.length; i++) {
+        if (needle.every((token, j) => tokens[i + j] === token)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+// Read a proficiency level from text that should hold nothing else, such as
+// "advanced" or "expert level"
+function parseLevel(text) {
+    const tokens = tokenize(text).filter(token => !LEVEL_FILLER.includes(token));
+    return tokens.length === 1 ? LEVEL_SYNONYMS[tokens[0]] || null : null;
+}
+
+// Split "AutoCAD (Advanced)" into the skill text and a proficiency level
+function extractLevel(text) {
+    const raw = String(text || '').trim();
+
+    for (const pattern of TRAILING_LEVEL_PATTERNS) {
+        const match = raw.match(pattern);
+        const level = match && parseLevel(match[2]);
+        if (level && phraseKey(match[1])) {
+            return { key: phraseKey(match[1]), level };
+        }
+    }
+
+    const leading = raw.match(LEADING_LEVEL_PATTERN);
+    const level = leading && parseLevel(leading[1]);
+    if (level && phraseKey(leading[2])) {
+        return { key: phraseKey(leading[2]), level };
+    }
+
+    return { key: phraseKey(raw), level: null };
+}
+
+function slugify(text) {
+    return phraseKey(text).replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+// Helper function to validate taxonomy entries before they are stored
+function validateEntries(entries) {
+    const errors = [];
+    const ids = new Set();
+    const aliasOwners = new Map();
+
+    for (const entry of entries) {
+        if (!entry.id || !/^[a-z0-9_]+$/.test(entry.id)) {
+            errors.push(`Invalid skill id: ${entry.id}`);
+            continue;
+        }
+        if (ids.has(entry.id)) {
+            errors.push(`Duplicate skill id: ${entry.id}`);
+        }
+        ids.add(entry.id);
+
+        if (!entry.name) {
+            errors.push(`Skill ${entry.id} is missing a name`);
+        }
+        if (entry.aliases && !Array.isArray(entry.aliases)) {
+            errors.push(`Aliases for ${entry.id} must be an array`);
+            continue;
+        }
+        if (entry.levels && (!Array.isArray(entry.levels) || entry.levels.length === 0)) {
+            errors.push(`Levels for ${entry.id} must be a non-empty array`);
+        }
+
+        for (const alias of [entry.name, ...(entry.aliases || [])]) {
+            const key = phraseKey(alias);
+            const owner = aliasOwners.get(key);
+            if (owner && owner !== entry.id) {
+                errors.push(`Alias "${alias}" is used by both ${owner} and ${entry.id}`);
+            }
+            aliasOwners.set(key, entry.id);
+        }
+    }
+
+    const byId = new Map(entries.map(entry => [entry.id, entry]));
+    for (const entry of entries) {
+        if (entry.parent && !byId.has(entry.parent)) {
+            errors.push(`Parent ${entry.parent} of ${entry.id} does not exist`);
+            continue;
+        }
+        // Walk up the chain to catch cycles
+        const seen = new Set([entry.id]);
+        let parent = entry.parent;
+        while (parent) {
+            if (seen.has(parent)) {
+                errors.push(`Cycle detected in parents of ${entry.id}`);
+                break;
+            }
+            seen.add(parent);
+            parent = byId.get(parent)?.parent;
+        }
+    }
+
+    return errors;
+}
+
+// Build a taxonomy lookup from a list of entries
+function createTaxonomy(entries = DEFAULT_TAXONOMY) {
+    const byId = new Map();
+    const aliasIndex = new Map();
+
+    for (const entry of entries) {
+        const skill = {
+            id: entry.id,
+            name: entry.name,
+            aliases: entry.aliases || [],
+            parent: entry.parent || null,
+            levels: (entry.levels || DEFAULT_LEVELS).map(level => level.toLowerCase())
+        };
+        byId.set(skill.id, skill);
+
+        for (const alias of [skill.name, skill.id.replace(/_/g, ' '), ...skill.aliases]) {
+            const key = phraseKey(alias);
+            if (key) aliasIndex.set(key, skill.id);
+        }
+    }
+
+    // Longest aliases first so "primavera p6" wins over "p6" inside longer text
+    const aliasesByLength = [...aliasIndex.entries()]
+        .map(([key, id]) => ({ tokens: key.split(' '), id }))
+        .sort((a, b) => b.tokens.length - a.tokens.length);
+
+    function ancestors(id) {
+        const chain = [];
+        let parent = byId.get(id)?.parent;
+        while (parent && !chain.includes(parent)) {
+            chain.push(parent);
+            parent = byId.get(parent)?.parent;
+        }
+        return chain;
+    }
+
+    // Resolve free text to a canonical skill (or a custom skill keyed on its tokens)
+    function resolve(text) {
+        const { key, level } = extractLevel(text);
+        if (!key) return null;
+
+        let id = aliasIndex.get(key);
+        if (!id) {
+            const tokens = key.split(' ');
+            const partial = aliasesByLength.find(alias => containsPhrase(tokens, alias.tokens));
+            id = partial?.id;
+        }
+
+        if (id) {
+            const skill = byId.get(id);
+            return {
+                id,
+                name: skill.name,
+                key,
+                level,
+                known: true
+            };
+        }
+
+        return {
+            id: `custom:${slugify(key)}`,
+            name: String(text).trim(),
+            key,
+            level,
+            known: false
+        };
+    }
+
+    function resolveAll(skills = []) {
+        return skills.map(resolve).filter(Boolean);
+    }
+
+    // A candidate skill satisfies a requirement if it is the same skill or a
+    // child of it ("Primavera P6" satisfies "Scheduling", not the reverse)
+    function satisfies(candidate, required) {
+        if (!candidate || !required) return false;
+        if (candidate.id === required.id) return true;
+        if (candidate.known && required.known) {
+            return ancestors(candidate.id).includes(required.id);
+        }
+        // Unknown skills fall back to whole-token containment
+        return containsPhrase(candidate.key.split(' '), required.key.split(' '));
+    }
+
+    function levelRank(skillId, level) {
+        if (!level) return null;
+        const levels = byId.get(skillId)?.levels || DEFAULT_LEVELS;
+        const rank = levels.indexOf(level);
+        return rank === -1 ? null : rank;
+    }
+
+    // Canonical ids plus ancestors, for array-contains style indexing
+    function expandKeys(skills = []) {
+        const keys = new Set();
+        for (const skill of resolveAll(skills)) {
+            keys.add(skill.id);
+            if (skill.known) {
+                ancestors(skill.id).forEach(id => keys.add(id));
+            }
+        }
+        return [...keys];
+    }
+
+    // Keys a position is indexed under for the matching prefilter. A required
+    // skill the taxonomy doesn't know is satisfied by any skill containing its
+    // tokens (see satisfies), so it is also indexed under its first token.
+    function requirementKeys(skills = []) {
+        const keys = new Set();
+        for (const skill of resolveAll(skills)) {
+            keys.add(skill.id);
+            if (!skill.known) {
+                keys.add(`token:${skill.key.split(' ')[0]}`);
+            }
+        }
+        return [...keys];
+    }
+
+    // Keys to look a candidate's positions up under: every requirement their
+    // skills can satisfy shares at least one of these with requirementKeys
+    function candidateKeys(skills = []) {
+        const keys = new Set(expandKeys(skills));
+        for (const skill of resolveAll(skills)) {
+            skill.key.split(' ').forEach(token => keys.add(`token:${token}`));
+        }
+        return [...keys];
+    }
+
+    function canonicalName(text) {
+        const skill = resolve(text);
+        return skill ? skill.name : null;
+    }
+
+    return {
+        entries: [...byId.values()],
+        get: id => byId.get(id) || null,
+        ancestors,
+        resolve,
+        resolveAll,
+        satisfies,
+        levelRank,
+        expandKeys,
+        requirementKeys,
+        candidateKeys,
+        canonicalName
+    };
+}
+
+const TAXONOMY_CACHE_TTL_MS = 5 * 60 * 1000;
+// Each organization edits its own taxonomy, so entries are per organization
+const taxonomyCache = new Map();
+let defaultTaxonomy = null;
+
+function getDefaultTaxonomy() {
+    if (!defaultTaxonomy) {
+        defaultTaxonomy = createTaxonomy(DEFAULT_TAXONOMY);
+    }
+    return defaultTaxonomy;
+}
+
+// Helper function to load the taxonomy from Firestore, falling back to the seed taxonomy
+async function loadTaxonomy(db) {
+    const cacheKey = organizations.scopeKey(db);
+    const cached = taxonomyCache.get(cacheKey);
+    if (cached && cached.expires > Date.now()) {
+        return cached.taxonomy;
+    }
+
+    const snapshot = await db.collection('skill_taxonomy').get();
+    const entries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const taxonomy = entries.length > 0 ? createTaxonomy(entries) : getDefaultTaxonomy();
+    taxonomyCache.set(cacheKey, { taxonomy, expires: Date.now() + TAXONOMY_CACHE_TTL_MS });
+    return taxonomy;
+}
+
+function clearTaxonomyCache() {
+    taxonomyCache.clear();
+}
+
+module.exports = {
+    DEFAULT_LEVELS,
+    DEFAULT_TAXONOMY,
+    normalizeSkillText,
+    phraseKey,
+    validateEntries,
+    createTaxonomy,
+    getDefaultTaxonomy,
+    loadTaxonomy,
+    clearTaxonomyCache
+};
@@ -0,0 +1,84 @@
+// Role permissions and request authorization
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const auth = require('../auth');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+// Accepts "token-<uid>" as a valid ID token for <uid>
+function mockTokens(t) {
+    const verifyIdToken = async token => {
+        if (!token.startsWith('token-')) throw new Error('Decoding Firebase ID token failed');
+        return { uid: token.slice('token-'.length) };
+    };
+    // admin.auth is a getter on the namespace, returning the service factory
+    t.mock.getter(admin, 'auth', () => () => ({ verifyIdToken }));
+}
+
+const request = token => ({ headers: token ? { authorization: `Bearer ${token}` } : {} });
+
+async function seed() {
+    const db = createMemoryFirestore();
+    await db.doc('users/u-admin').set({ role: 'admin' });
+    await db.doc('users/u-recruiter').set({ role: 'recruiter' });
+    await db.doc('users/u-legacy').set({ role: 'superuser' });
+    return db;
+}
+
+test('each role has exactly the permissions it is meant to', () => {
+    const granted = role => Object.keys(auth.ROLE_PERMISSIONS[role]).filter(permission => auth.ROLE_PERMISSIONS[role][permission]);
+
+    assert.deepEqual(auth.ROLES, ['admin', 'hr_manager', 'recruiter', 'viewer']);
+    assert.equal(granted('admin').length, Object.keys(auth.ROLE_PERMISSIONS.admin).length);
+    assert.deepEqual(granted('hr_manager'), [
+        'view_candidates', 'edit_candidates', 'view_demob', 'edit_demob', 'manage_matches', 'view_analytics', 'export_data'
+    ]);
+    assert.deepEqual(granted('recruiter'), ['view_candidates', 'edit_candidates', 'view_demob', 'manage_matches']);
+    assert.deepEqual(granted('viewer'), ['view_candidates']);
+
+    // Every role answers for the same set of permissions
+    for (const role of auth.ROLES) {
+        assert.deepEqual(Object.keys(auth.ROLE_PERMISSIONS[role]), Object.keys(auth.ROLE_PERMISSIONS.admin), role);
+    }
+});
+
+test('unknown roles get the default role\'s permissions', () => {
+    assert.equal(auth.DEFAULT_ROLE, 'viewer');
+    assert.equal(auth.permissionsFor('superuser'), auth.ROLE_PERMISSIONS.viewer);
+    assert.equal(auth.permissionsFor(undefined), auth.ROLE_PERMISSIONS.viewer);
+});
+
+test('callers without a user document or with an unknown role are viewers', async () => {
+    const db = await seed();
+
+    const legacy = await auth.loadCaller(db, 'u-legacy');
+    assert.deepEqual([legacy.role, legacy.user.role], ['viewer', 'superuser']);
+    const missing = await auth.loadCaller(db, 'u-new');
+    assert.deepEqual([missing.role, missing.user], ['viewer', null]);
+});
+
+test('requests need a valid bearer token', async t => {
+    mockTokens(t);
+    const db = await seed();
+
+    await assert.rejects(auth.authorize(db, request(null)), { status: 401, message: 'Unauthorized' });
+    await assert.rejects(auth.authorize(db, { headers: { authorization: 'Basic abc' } }), { status: 401 });
+    await assert.rejects(auth.authorize(db, request('forged')), { status: 401, message: 'Invalid token' });
+    assert.equal((await auth.authorize(db, request('token-u-new'))).uid, 'u-new');
+});
+
+test('a caller without the permission is refused with their role in the message', async t => {
+    mockTokens(t);
+    const db = await seed();
+
+    const caller = await auth.authorize(db, request('token-u-admin'), 'manage_users');
+    assert.equal(caller.role, 'admin');
+    assert.equal((await auth.authorize(db, request('token-u-recruiter'), 'manage_matches')).role, 'recruiter');
+    await assert.rejects(auth.authorize(db, request('token-u-recruiter'), 'export_data'), {
+        status: 403,
+        message: 'Your role (recruiter) does not have the export_data permission'
+    });
+    await assert.rejects(auth.authorize(db, request('token-u-legacy'), 'edit_candidates'), { status: 403 });
+});
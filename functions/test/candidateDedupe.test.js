@@ -0,0 +1,91 @@
+// Duplicate detection: blocking keys, name similarity, scoring, paging through blocks and merging
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const candidateDedupe = require('../candidateDedupe');
+const candidateSchema = require('../candidateSchema');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const profile = (personalInfo, extra = {}) => ({ personal_info: personalInfo, experience: [], education: [], ...extra });
+
+test('phone keys compare the national number, however the phone was written', () => {
+    assert.equal(candidateDedupe.phoneKey('+971 50 123 4567'), '501234567');
+    assert.equal(candidateDedupe.phoneKey('0501234567'), '501234567');
+    assert.equal(candidateDedupe.phoneKey('00971-50-123-4567'), '501234567');
+    assert.equal(candidateDedupe.phoneKey('12345'), null);
+    assert.equal(candidateDedupe.phoneKey(null), null);
+
+    // A national number kept only as written still blocks with the E.164 form
+    const { profile: national } = candidateSchema.coerceCandidateProfile({ personal_info: { full_name: 'Omar Said', phone: '0501234567' } });
+    const international = profile({ full_name: 'Omar Said', phone: '+971501234567' });
+    assert.equal(national.personal_info.phone, null);
+    assert.ok(candidateDedupe.buildDedupeKeys(national).includes('p:501234567'));
+    assert.equal(candidateDedupe.scorePair(national, international).signals.phone_match, true);
+});
+
+test('name keys ignore vowels, accents, repeats and word order', () => {
+    assert.equal(candidateDedupe.nameKey('Mohammed Ali'), candidateDedupe.nameKey('Mohamed Ali'));
+    assert.equal(candidateDedupe.nameKey('Muhammad Ali'), 'al mmd');
+    assert.equal(candidateDedupe.nameKey('José Núñez'), candidateDedupe.nameKey('Nunez, Jose'));
+    assert.notEqual(candidateDedupe.nameKey('Mohammed Ali'), candidateDedupe.nameKey('Mustafa Ali'));
+    assert.equal(candidateDedupe.nameKey('J.'), null);
+});
+
+test('Jaro-Winkler rewards a shared prefix and name similarity ignores word order', () => {
+    assert.equal(candidateDedupe.jaroWinkler('martha', 'martha'), 1);
+    assert.equal(Math.round(candidateDedupe.jaroWinkler('martha', 'marhta') * 1000) / 1000, 0.961);
+    assert.equal(Math.round(candidateDedupe.jaroWinkler('dixon', 'dicksonx') * 1000) / 1000, 0.813);
+    assert.equal(candidateDedupe.jaroWinkler('abc', 'xyz'), 0);
+    assert.equal(candidateDedupe.nameSimilarity('Ali Hassan', 'Hassan Ali'), 1);
+    assert.equal(candidateDedupe.nameSimilarity('', 'Hassan Ali'), 0);
+});
+
+test('every page of a large name block is searched', async () => {
+    const db = createMemoryFirestore();
+    const name = 'Mohammed Ali';
+    for (let index = 0; index < 7; index++) {
+        const other = profile({ full_name: name, email: `other${index}@example.com` });
+        await db.collection('cv_database').doc(`a${index}`).set({ candidate_profile: other, dedupe_keys: candidateDedupe.buildDedupeKeys(other) });
+    }
+    const same = profile({ full_name: 'Mohamed Ali', email: 'm.ali@example.com' });
+    await db.collection('cv_database').doc('z1').set({ candidate_profile: same, dedupe_keys: candidateDedupe.buildDedupeKeys(same) });
+
+    const matches = await candidateDedupe.findCandidates(db, profile({ full_name: name, email: 'M.Ali@example.com' }), { pageSize: 3 });
+    assert.equal(matches[0].doc.id, 'z1');
+    assert.equal(matches[0].signals.email_match, true);
+});
+
+test('merging keeps the primary\'s values, fills its gaps and keeps the rest as alternates', async () => {
+    const db = createMemoryFirestore();
+    const primary = profile(
+        { full_name: 'Omar Said', email: 'omar@example.com', phone: null, phone_raw: '0501234567', phone_valid: false, location: null },
+        { experience: [{ company: 'Acme LLC', position: 'Planner' }], skills: { technical_skills: ['Primavera P6'] }, keywords: ['rail'] }
+    );
+    const secondary = profile(
+        { full_name: 'Omar Saeed', email: 'omar.said@example.com', phone: '+971501234567', phone_raw: '+971 50 123 4567', phone_valid: true, location: 'Dubai' },
+        { experience: [{ company: 'ACME', position: 'planner' }, { company: 'Egis', position: 'Scheduler' }], skills: { technical_skills: ['primavera p6', 'AutoCAD'] }, keywords: ['metro'] }
+    );
+
+    const { profile: merged, fieldsTaken } = candidateDedupe.mergeProfiles(primary, secondary);
+    assert.equal(merged.personal_info.email, 'omar@example.com');
+    assert.deepEqual([merged.personal_info.phone, merged.personal_info.phone_raw, merged.personal_info.phone_valid], ['+971501234567', '+971 50 123 4567', true]);
+    assert.equal(merged.personal_info.location, 'Dubai');
+    assert.deepEqual(merged.experience.map(exp => exp.company), ['Acme LLC', 'Egis']);
+    assert.deepEqual(merged.skills.technical_skills, ['Primavera P6', 'AutoCAD']);
+    assert.deepEqual(merged.keywords, ['rail', 'metro']);
+    assert.ok(fieldsTaken.includes('personal_info.location') && fieldsTaken.includes('experience'));
+
+    await db.collection('cv_database').doc('p1').set({ candidate_profile: primary, metadata: { source_file: 'omar.pdf' } });
+    await db.collection('cv_database').doc('s1').set({ candidate_profile: secondary, metadata: { source_file: 'omar-2.pdf' } });
+    await db.collection(candidateDedupe.PAIR_COLLECTION).doc(candidateDedupe.pairId('p1', 's1')).set({ candidate_ids: ['p1', 's1'], status: 'pending' });
+
+    await candidateDedupe.mergeCandidates(db, 'p1', 's1', { userId: 'u1' });
+    const records = db.dump('cv_database');
+    assert.deepEqual(Object.keys(records), ['p1']);
+    assert.deepEqual(records.p1.alternate_contacts, { emails: ['omar.said@example.com'], phones: [] });
+    assert.deepEqual(records.p1.metadata.source_files.map(file => file.file), ['omar.pdf', 'omar-2.pdf']);
+    assert.equal(records.p1.merge_history[0].candidate_id, 's1');
+    assert.equal(db.dump(candidateDedupe.PAIR_COLLECTION)[candidateDedupe.pairId('p1', 's1')].status, 'merged');
+    await assert.rejects(candidateDedupe.mergeCandidates(db, 'p1', 'p1', { userId: 'u1' }), error => error.status === 400);
+});
@@ -0,0 +1,126 @@
+// Ranking CV records and demob profiles for a position
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const candidateRanking = require('../candidateRanking');
+const embeddings = require('../embeddings');
+const matching = require('../matching');
+const scoring = require('../scoring');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const POSITION = {
+    index_id: 'P1_planner',
+    title: 'Planning Engineer',
+    required_skills: ['Primavera P6'],
+    location: 'Riyadh',
+    project_type: 'Metro',
+    start_date: '2026-03-10',
+    status: 'open'
+};
+
+const cv = (name, skills, location) => ({
+    candidate_profile: {
+        personal_info: { full_name: name, location },
+        professional_summary: { current_position: 'Engineer' },
+        skills: { technical_skills: skills }
+    }
+});
+const demob = (id, role, skills, status = matching.DEMOBILIZING_STATUS) => ({
+    employee_id: id,
+    current_status: status,
+    demob_date: '2026-03-01',
+    current_project: { name: 'Metro', role },
+    skill_inventory: { technical_skills: skills },
+    mobility_preferences: { preferred_locations: ['Riyadh'], willing_to_relocate: false }
+});
+
+async function seed() {
+    embeddings.clearVectorCache();
+    scoring.clearWeightProfileCache();
+    const db = createMemoryFirestore();
+    const provider = embeddings.createLocalProvider();
+    const records = {
+        cv: { C1: cv('Ana Silva', ['Primavera P6'], 'Riyadh'), C2: cv('Bo Chen', ['AutoCAD'], 'Doha') },
+        demob: {
+            D1: demob('D1', 'Planning Engineer', ['Primavera P6']),
+            D2: demob('D2', 'BIM Modeller', ['Revit']),
+            D3: demob('D3', 'Planning Engineer', ['Primavera P6'], 'Active')
+        }
+    };
+    for (const [kind, docs] of Object.entries(records)) {
+        for (const [id, data] of Object.entries(docs)) {
+            await db.collection(embeddings.SOURCES[kind].collection).doc(id).set(data);
+        }
+        await embeddings.syncEmbeddings(db, provider, kind, Object.entries(docs).map(([id, data]) => ({ id, data })));
+    }
+    return { db, provider };
+}
+
+test('candidates from both sources are ranked by the blended score', async () => {
+    const { db, provider } = await seed();
+
+    const result = await candidateRanking.rankCandidatesForPosition(db, POSITION, { provider, semanticWeight: 0 });
+    // Demob profiles that aren't demobilizing have no eligible vector
+    assert.equal(result.total_evaluated, 4);
+    assert.deepEqual(result.candidates.slice(0, 2).map(item => item.id).sort(), ['C1', 'D1']);
+    assert.deepEqual(result.candidates.map(item => item.score), [100, 100, 60, 10]);
+    assert.deepEqual(result.candidates.map(item => item.name).slice(2), ['BIM Modeller', 'Bo Chen']);
+
+    // Ties on the blended score go to the closer text
+    const [first, second] = result.candidates;
+    assert.ok(first.semantic_score >= second.semantic_score);
+    for (const item of result.candidates) {
+        assert.equal(item.score, item.structured_score);
+    }
+});
+
+test('CV records are scored on skills and geography only', async () => {
+    const { db, provider } = await seed();
+
+    const { candidates } = await candidateRanking.rankCandidatesForPosition(db, POSITION, { provider, sources: ['cv'], semanticWeight: 0 });
+    const ana = candidates.find(item => item.id === 'C1');
+    assert.deepEqual([ana.source, ana.name], ['cv', 'Ana Silva']);
+    assert.equal(ana.score_breakdown.project_type.weight, 0);
+    assert.equal(ana.score_breakdown.timing.weight, 0);
+    assert.equal(ana.score_breakdown.skills.weight + ana.score_breakdown.geography.weight, 1);
+
+    const onlySkills = candidateRanking.cvWeightProfile({ id: 'org1', weights: { skills: 0, geography: 0, project_type: 1, timing: 1 } });
+    assert.deepEqual(onlySkills.weights, { ...scoring.DEFAULT_WEIGHTS, project_type: 0, timing: 0 });
+});
+
+test('semantic weight, minimum score and limit shape the result', async () => {
+    const { db, provider } = await seed();
+
+    const semantic = await candidateRanking.rankCandidatesForPosition(db, POSITION, { provider, semanticWeight: 1 });
+    for (const item of semantic.candidates) {
+        assert.equal(item.score, item.semantic_score);
+    }
+    const scores = semantic.candidates.map(item => item.score);
+    assert.deepEqual(scores, [...scores].sort((a, b) => b - a));
+
+    const strong = await candidateRanking.rankCandidatesForPosition(db, POSITION, { provider, semanticWeight: 0, minScore: 50 });
+    assert.deepEqual(strong.candidates.map(item => item.id).sort(), ['C1', 'D1', 'D2']);
+    const top = await candidateRanking.rankCandidatesForPosition(db, POSITION, { provider, semanticWeight: 0, limit: 1 });
+    assert.equal(top.candidates.length, 1);
+});
+
+test('a position with nothing to embed cannot be ranked', async () => {
+    const { db, provider } = await seed();
+    await assert.rejects(
+        candidateRanking.rankCandidatesForPosition(db, { index_id: 'P1_empty', status: 'open' }, { provider }),
+        { status: 422 }
+    );
+});
+
+test('ranking options are validated', () => {
+    assert.deepEqual(candidateRanking.parseRankingOptions({}), {
+        sources: ['cv', 'demob'], semanticWeight: 0.5, limit: 20, minScore: 0
+    });
+    assert.deepEqual(candidateRanking.parseRankingOptions({ sources: 'demob', semantic_weight: '0.2', limit: '5', min_score: '40' }), {
+        sources: ['demob'], semanticWeight: 0.2, limit: 5, minScore: 40
+    });
+    for (const query of [{ sources: 'linkedin' }, { sources: ',' }, { semantic_weight: '1.5' }, { limit: '0' }, { limit: '2.5' }, { min_score: '101' }]) {
+        assert.throws(() => candidateRanking.parseRankingOptions(query), { status: 400 }, JSON.stringify(query));
+    }
+});
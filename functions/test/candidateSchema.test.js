@@ -0,0 +1,136 @@
+// candidate_profile coercion, validation and confidence
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const candidateSchema = require('../candidateSchema');
+const llmProviders = require('../llmProviders');
+
+test('coerces LLM output onto the schema and reports dropped values', () => {
+    const { profile, issues } = candidateSchema.coerceCandidateProfile({
+        candidate_profile: {
+            personal_info: {
+                full_name: 'Amira Haddad',
+                email: 'MAILTO:Amira.Haddad@Example.com',
+                phone: '050 123 4567',
+                linkedin_url: 'linkedin.com/in/amira',
+                nationality: 'N/A',
+                favourite_colour: 'blue'
+            },
+            professional_summary: { total_experience_years: '12+ years' },
+            skills: { technical_skills: 'Primavera P6, AutoCAD; AutoCAD', languages: ['English', 42, { name: 'Arabic' }] },
+            experience: { company: 'Acme', position: 'Planner' },
+            education: [{ institution: 'AUS', year: '2008 - 2012' }, {}],
+            keywords: null
+        }
+    }, { defaultCountryCode: '+971' });
+
+    assert.equal(profile.personal_info.email, 'amira.haddad@example.com');
+    assert.equal(profile.personal_info.phone, '+971501234567');
+    assert.equal(profile.personal_info.linkedin_url, 'https://linkedin.com/in/amira');
+    assert.equal(profile.personal_info.nationality, null);
+    assert.equal(profile.personal_info.favourite_colour, undefined);
+    assert.equal(profile.professional_summary.total_experience_years, 12);
+    assert.deepEqual(profile.skills.technical_skills, ['Primavera P6', 'AutoCAD']);
+    assert.deepEqual(profile.skills.languages, ['English', '42']);
+    assert.deepEqual(profile.experience, [{ company: 'Acme', position: 'Planner', duration: null, location: null, key_achievements: [] }]);
+    assert.equal(profile.education.length, 1);
+    assert.equal(profile.education[0].year, '2012');
+    assert.deepEqual(profile.keywords, []);
+    assert.deepEqual(issues.map(issue => issue.field), ['skills.languages']);
+});
+
+test('phones drop a bracketed trunk prefix and keep the number as written', () => {
+    const coerce = (phone, options) => candidateSchema.coerceCandidateProfile({ personal_info: { full_name: 'X', phone } }, options);
+
+    assert.equal(candidateSchema.normalizePhone('+44 (0) 20 7946 0958'), '+442079460958');
+    assert.equal(candidateSchema.normalizePhone('0044 (0)20 7946 0958'), '+442079460958');
+    assert.equal(candidateSchema.normalizePhone('0501234567', '971'), '+971501234567');
+
+    const national = coerce('050 123 4567');
+    assert.deepEqual(
+        [national.profile.personal_info.phone, national.profile.personal_info.phone_raw, national.profile.personal_info.phone_valid],
+        [null, '050 123 4567', false]
+    );
+    assert.match(national.issues[0].message, /DEFAULT_PHONE_COUNTRY_CODE/);
+    assert.deepEqual(candidateSchema.validateCandidateProfile(national.profile).errors, []);
+    assert.ok(candidateSchema.generateSearchIndex(national.profile).includes('0501234567'));
+
+    const converted = coerce('050 123 4567', { defaultCountryCode: '971' }).profile.personal_info;
+    assert.deepEqual([converted.phone, converted.phone_raw, converted.phone_valid], ['+971501234567', '050 123 4567', true]);
+    const missing = coerce(null).profile.personal_info;
+    assert.deepEqual([missing.phone, missing.phone_raw, missing.phone_valid], [null, null, null]);
+});
+
+test('drops values that cannot be coerced and records an issue', () => {
+    const { profile, issues } = candidateSchema.coerceCandidateProfile({
+        personal_info: { full_name: 'X', email: 'not-an-email', phone: '12345' },
+        professional_summary: { total_experience_years: '95' },
+        education: 'somewhere'
+    });
+
+    assert.equal(profile.personal_info.email, null);
+    assert.equal(profile.personal_info.phone, null);
+    assert.equal(profile.professional_summary.total_experience_years, null);
+    assert.deepEqual(profile.education, []);
+    assert.deepEqual(issues.map(issue => issue.field).sort(), [
+        'education',
+        'personal_info.email',
+        'personal_info.phone',
+        'professional_summary.total_experience_years'
+    ]);
+});
+
+test('rejects a response that is not an object', () => {
+    const { profile, issues } = candidateSchema.coerceCandidateProfile('Sorry, I cannot help with that');
+    assert.equal(profile, null);
+    assert.equal(issues.length, 1);
+});
+
+test('validation accepts coerced profiles and rejects schema violations', () => {
+    const { profile } = candidateSchema.coerceCandidateProfile({ personal_info: { full_name: 'Amira Haddad' } });
+    assert.deepEqual(candidateSchema.validateCandidateProfile(profile).errors, []);
+
+    const { errors } = candidateSchema.validateCandidateProfile({
+        personal_info: { full_name: '', email: 'nope' },
+        skills: { technical_skills: [1] },
+        extra: true
+    });
+    assert.deepEqual(errors.sort(), [
+        'extra is not a candidate_profile field',
+        'personal_info.email must be a valid email address',
+        'personal_info.full_name is required',
+        'skills.technical_skills must be an array of strings'
+    ]);
+});
+
+test('derives confidence from the CV text rather than the model', () => {
+    const cvText = 'Amira Haddad\namira.haddad@example.com | 050-123-4567\nLead Planner at Acme Construction';
+    const { field_confidence: confidence, contact_verification: contact } = candidateSchema.deriveFieldConfidence({
+        personal_info: {
+            full_name: 'Amira Haddad',
+            email: 'amira.haddad@example.com',
+            phone: '+971501234567',
+            location: 'Dubai'
+        },
+        experience: [{ company: 'Construction Acme', position: 'Lead Planner' }]
+    }, cvText);
+
+    assert.equal(confidence['personal_info.full_name'], 'high');
+    assert.equal(confidence['personal_info.location'], 'low');
+    assert.equal(confidence['experience[0].company'], 'medium');
+    assert.equal(confidence['experience[0].position'], 'high');
+    assert.deepEqual(contact, { email_confidence: 'high', phone_confidence: 'high', location_confidence: 'low' });
+});
+
+test('the stub provider answers from registered handlers without calling out', async () => {
+    const provider = llmProviders.createStubProvider({
+        extract_cv: input => ({ candidate_profile: { personal_info: { full_name: input.name } } })
+    });
+
+    assert.deepEqual(
+        await provider.generateJson('prompt', { task: 'extract_cv', input: { name: 'Amira' } }),
+        { candidate_profile: { personal_info: { full_name: 'Amira' } } }
+    );
+    await assert.rejects(provider.generateJson('prompt', { task: 'unknown' }), /no handler for task: unknown/);
+});
@@ -0,0 +1,112 @@
+// Server-side CV processing: staging uploads, failures that should and shouldn't be retried, and project context
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const cvPipeline = require('../cvPipeline');
+const knowledge = require('../knowledge');
+const embeddings = require('../embeddings');
+const llmProviders = require('../llmProviders');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const CV_TEXT = 'Maria Lopez\nmaria.lopez@example.com\nPlanning Engineer with ten years on rail and metro projects, '.repeat(2);
+
+test('files that can never be processed fail permanently', async () => {
+    const db = createMemoryFirestore();
+    const cases = [
+        { buffer: Buffer.from('too short'), fileName: 'short.txt' },
+        { buffer: Buffer.from(CV_TEXT), fileName: 'cv.exe' },
+        { buffer: Buffer.from('not a pdf'), fileName: 'cv.pdf' }
+    ];
+
+    for (const file of cases) {
+        await assert.rejects(cvPipeline.processCv(db, file, { name: 'unused' }), error => {
+            assert.equal(error.status, 422, file.fileName);
+            return cvPipeline.isPermanentFailure(error);
+        });
+    }
+});
+
+test('provider outages are left to the job to retry', async () => {
+    const db = createMemoryFirestore();
+    const unavailable = { name: 'gemini', model: 'test', generateJson: async () => { throw new Error('Gemini API error (503): overloaded'); } };
+
+    await assert.rejects(cvPipeline.processCv(db, { buffer: Buffer.from(CV_TEXT), fileName: 'cv.txt' }, unavailable), error => !cvPipeline.isPermanentFailure(error));
+    assert.equal(cvPipeline.isPermanentFailure(Object.assign(new Error('No such object'), { code: 404 })), true);
+    assert.deepEqual(db.dump('cv_database'), {});
+});
+
+test('refused prompts, unparseable answers and a missing key fail the file, not the job', async () => {
+    const db = createMemoryFirestore();
+    const originalFetch = global.fetch;
+    const originalWarn = console.warn;
+    const respond = (status, body) => async () => new Response(body, { status });
+    const answer = text => JSON.stringify({ candidates: [{ content: { parts: [{ text }] } }] });
+    const processWith = provider => cvPipeline.processCv(db, { buffer: Buffer.from(CV_TEXT), fileName: 'cv.txt' }, provider);
+    console.warn = () => {};
+
+    try {
+        const gemini = llmProviders.createGeminiProvider({ apiKey: 'test-key' });
+        const cases = [
+            [respond(400, 'Request blocked'), true],
+            [respond(200, answer('I cannot help with that request.')), true],
+            [respond(200, JSON.stringify({ candidates: [{ finishReason: 'SAFETY' }] })), true],
+            [respond(429, 'Resource exhausted'), false],
+            [respond(503, 'Overloaded'), false]
+        ];
+        for (const [fetch, permanent] of cases) {
+            global.fetch = fetch;
+            await assert.rejects(processWith(gemini), error => cvPipeline.isPermanentFailure(error) === permanent);
+        }
+
+        const unconfigured = llmProviders.createGeminiProvider({ apiKey: '' });
+        await assert.rejects(processWith(unconfigured), error => cvPipeline.isPermanentFailure(error) && /GEMINI_API_KEY/.test(error.message));
+    } finally {
+        global.fetch = originalFetch;
+        console.warn = originalWarn;
+    }
+    assert.deepEqual(db.dump('cv_database'), {});
+});
+
+test('staged uploads are deleted, skipping ones already gone', async () => {
+    const deleted = [];
+    const bucket = { file: path => ({ delete: async options => deleted.push([path, options.ignoreNotFound]) }) };
+
+    assert.equal(await cvPipeline.deleteUploads(bucket, [{ path: 'cv_uploads/u1/1/0_a.pdf' }, { path: 'cv_uploads/u1/1/1_b.pdf' }]), 2);
+    assert.deepEqual(deleted, [['cv_uploads/u1/1/0_a.pdf', true], ['cv_uploads/u1/1/1_b.pdf', true]]);
+    assert.equal(await cvPipeline.deleteUploads(bucket, undefined), 0);
+});
+
+test('uploads are refused before they can outgrow the request size limit', async () => {
+    const saved = [];
+    const bucket = { file: path => ({ save: async buffer => saved.push({ path, size: buffer.length }) }) };
+    const encoded = bytes => Buffer.alloc(bytes, 'a').toString('base64');
+
+    const staged = await cvPipeline.stageUploads(bucket, [{ name: 'cv.pdf', data: encoded(1024) }], 'u1');
+    assert.equal(staged[0].size, 1024);
+    assert.match(staged[0].path, /^cv_uploads\/u1\/\d+\/0_cv\.pdf$/);
+
+    const twoLarge = [{ name: 'a.pdf', data: encoded(4 * 1024 * 1024) }, { name: 'b.pdf', data: encoded(4 * 1024 * 1024) }];
+    await assert.rejects(cvPipeline.stageUploads(bucket, twoLarge, 'u1'), error => error.status === 413);
+    await assert.rejects(cvPipeline.stageUploads(bucket, [{ name: 'big.pdf', data: encoded(5 * 1024 * 1024 + 1) }], 'u1'), error => error.status === 400);
+    assert.equal(saved.length, 1);
+});
+
+test('CVs uploaded for a project are extracted with its knowledge and keep the sources', async () => {
+    const db = createMemoryFirestore();
+    await knowledge.indexDocument(db, embeddings.getEmbeddingProvider('local'), {
+        projectId: 'proj1',
+        docId: 'scope',
+        docName: 'Scope of Works',
+        text: 'Planning engineers on the rail and metro packages maintain the Primavera P6 programme.'
+    });
+    const stub = llmProviders.getProvider('stub');
+    const prompts = [];
+    const provider = { ...stub, generateJson: (prompt, options) => prompts.push(prompt) && stub.generateJson(prompt, options) };
+
+    const outcome = await cvPipeline.processCv(db, { buffer: Buffer.from(CV_TEXT), fileName: 'cv.txt', userId: 'u1', projectId: 'proj1' }, provider);
+    assert.match(prompts[0], /PROJECT CONTEXT[\s\S]*Primavera P6 programme/);
+    const { extraction } = db.dump('cv_database')[outcome.candidate_id].metadata;
+    assert.equal(extraction.project_id, 'proj1');
+    assert.deepEqual(extraction.knowledge_sources.map(source => source.doc_name), ['Scope of Works']);
+});
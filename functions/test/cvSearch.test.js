@@ -0,0 +1,88 @@
+// CV database search: query parsing, BM25 ranking and the cached index
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const cvSearch = require('../cvSearch');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+function record(name, { skills = [], position = '', company = '', summary = '', location = '', years = 5 } = {}) {
+    return {
+        candidate_profile: {
+            personal_info: { full_name: name, location },
+            professional_summary: { current_position: position, summary, total_experience_years: years },
+            skills: { technical_skills: skills, certifications: [], languages: [] },
+            experience: company ? [{ company, position }] : []
+        },
+        metadata: { processing_date: admin.firestore.FieldValue.serverTimestamp(), file_size: 1000 }
+    };
+}
+
+test('parses operators, phrases, fields and negation', () => {
+    assert.deepEqual(cvSearch.parseQuery('planner AND (autocad OR revit) -intern'), {
+        type: 'and',
+        nodes: [
+            { type: 'term', field: null, term: 'planner' },
+            { type: 'or', nodes: [{ type: 'term', field: null, term: 'autocad' }, { type: 'term', field: null, term: 'revit' }] },
+            { type: 'not', node: { type: 'term', field: null, term: 'intern' } }
+        ]
+    });
+    assert.deepEqual(cvSearch.parseQuery('employer:"Acme Construction" skill:P6'), {
+        type: 'and',
+        nodes: [
+            { type: 'phrase', field: 'employers', terms: ['acme', 'construction'] },
+            { type: 'term', field: 'skills', term: 'p6' }
+        ]
+    });
+    // Unknown prefixes are part of the word; plurals fold onto the singular
+    assert.deepEqual(cvSearch.parseQuery('c:drive'), { type: 'phrase', field: null, terms: ['c', 'drive'] });
+    assert.deepEqual(cvSearch.parseQuery('Engineers'), { type: 'term', field: null, term: 'engineer' });
+    assert.equal(cvSearch.parseQuery('  '), null);
+
+    for (const bad of ['(planner', 'planner)', 'NOT', 'planner OR NOT']) {
+        assert.throws(() => cvSearch.parseQuery(bad), error => error.status === 400, bad);
+    }
+});
+
+test('ranks by weighted BM25 and applies boolean logic and facets', () => {
+    const index = cvSearch.createSearchIndex();
+    index.add('skills', record('Ana Silva', { skills: ['Primavera P6'], position: 'Planner', location: 'Dubai' }));
+    index.add('summary', record('Omar Haddad', { summary: 'Used Primavera P6 on one project', position: 'Site Engineer', location: 'Riyadh' }));
+    index.add('other', record('Li Wei', { skills: ['Revit'], position: 'BIM Modeler', company: 'Acme Construction', location: 'Dubai' }));
+
+    // A skills match outweighs the same term in a summary
+    const ranked = index.search(cvSearch.parseQuery('primavera'));
+    assert.deepEqual(ranked.results.map(result => result.id), ['skills', 'summary']);
+    assert.ok(ranked.results[0].score > ranked.results[1].score);
+
+    assert.deepEqual(index.search(cvSearch.parseQuery('primavera -planner')).results.map(r => r.id), ['summary']);
+    assert.deepEqual(index.search(cvSearch.parseQuery('employer:"acme construction"')).results.map(r => r.id), ['other']);
+    assert.deepEqual(index.search(cvSearch.parseQuery('"construction acme"')).results, []);
+
+    const filtered = index.search(null, { filters: { location: ['dubai'] } });
+    assert.deepEqual(filtered.results.map(r => r.id).sort(), ['other', 'skills']);
+    // The location facet ignores its own filter so Riyadh stays selectable
+    assert.deepEqual(filtered.facets.location.map(value => value.value).sort(), ['Dubai', 'Riyadh']);
+});
+
+test('the cached index drops deleted records from their tombstones', async () => {
+    cvSearch.clearSearchIndexCache();
+    const db = createMemoryFirestore();
+    await db.collection('cv_database').doc('a').set(record('Ana Silva', { skills: ['Primavera P6'] }));
+    await db.collection('cv_database').doc('b').set(record('Omar Haddad', { skills: ['Revit'] }));
+
+    const index = await cvSearch.loadSearchIndex(db);
+    assert.equal(index.search(cvSearch.parseQuery('ana')).total, 1);
+
+    // The count alone can't tell: one record erased and another added
+    await db.collection('cv_database').doc('a').delete();
+    await cvSearch.recordDeletion(db, 'a');
+    await db.collection('cv_database').doc('c').set(record('Li Wei', { skills: ['AutoCAD'] }));
+
+    const synced = await cvSearch.loadSearchIndex(db);
+    assert.equal(synced, index);
+    assert.equal(synced.search(cvSearch.parseQuery('ana')).total, 0);
+    assert.equal(synced.search(cvSearch.parseQuery('autocad')).total, 1);
+    assert.equal(synced.size, 2);
+});
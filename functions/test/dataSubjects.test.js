@@ -0,0 +1,64 @@
+// Data subject lookups, export and erasure across outreach, interviews and notifications
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const dataSubjects = require('../dataSubjects');
+const outreach = require('../outreach');
+const interviews = require('../interviews');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+async function seed() {
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    await db.doc('projects/P1').set({ projectName: 'Tower A' });
+    await db.doc('projects/P1/candidates/C1').set({
+        screening_summary: { candidate_name: 'Ana Silva', email: 'ana@example.com' }
+    });
+    await outreach.enroll(db, { uid: 'u1', user: {} }, { projectId: 'P1', candidateId: 'C1' }, { send: async () => {} });
+    // A message to an address that has since been replaced on the candidate
+    await db.collection(outreach.MESSAGE_COLLECTION).doc('old').set({ enrollment_id: 'P9_C9', to: 'ana@example.com', body: 'Hi Ana' });
+    await db.collection(outreach.MESSAGE_COLLECTION).doc('other').set({ enrollment_id: 'P1_C2', to: 'bo@example.com', body: 'Hi Bo' });
+    return db;
+}
+
+test('export and erase cover outreach sent to the subject', async () => {
+    const db = await seed();
+    const subject = dataSubjects.parseSubject({ email: 'Ana@Example.com' });
+
+    const exported = await dataSubjects.exportSubjectData(db, subject, 'u-admin');
+    assert.deepEqual(exported.record_counts, { project_candidates: 1, outreach_messages: 2, outreach_enrollments: 1 });
+
+    const erased = await dataSubjects.eraseSubjectData(db, subject, 'u-admin');
+    assert.equal(erased.deleted, 4);
+    assert.deepEqual(Object.keys(db.dump(outreach.MESSAGE_COLLECTION)), ['other']);
+    assert.deepEqual(db.dump(outreach.ENROLLMENT_COLLECTION), {});
+});
+
+test('export and erase cover interviews, scorecards and notifications naming the subject', async () => {
+    const db = await seed();
+    await db.collection(interviews.INTERVIEW_COLLECTION).doc('int1').set({ candidate_id: 'C1', candidate_email: null });
+    await db.doc(`${interviews.INTERVIEW_COLLECTION}/int1/${interviews.SCORECARD_COLLECTION}/u1`).set({ recommendation: 'yes' });
+    await db.collection(interviews.INTERVIEW_COLLECTION).doc('int2').set({ candidate_id: null, match_id: 'M1', candidate_email: null });
+    await db.collection('demob_profiles').doc('E1').set({ employee_id: 'E1' });
+    await db.collection('demob_matches').doc('M1').set({ employee_id: 'E1' });
+    await db.collection('notifications').doc('n1').set({ type: 'demob_digest', data: { employee_ids: ['E1', 'E2'] } });
+    await db.collection('notifications').doc('n2').set({ type: 'demob_digest', data: { employee_ids: ['E2'] } });
+
+    const exported = await dataSubjects.exportSubjectData(db, dataSubjects.parseSubject({ email: 'ana@example.com', employee_id: 'E1' }), 'u-admin');
+    assert.deepEqual(exported.record_counts, {
+        project_candidates: 1,
+        outreach_messages: 2,
+        outreach_enrollments: 1,
+        demob_profiles: 1,
+        demob_matches: 1,
+        notifications: 1,
+        interviews: 2,
+        scorecards: 1
+    });
+
+    await dataSubjects.eraseSubjectData(db, dataSubjects.parseSubject({ email: 'ana@example.com', employee_id: 'E1' }), 'u-admin');
+    assert.deepEqual(db.dump(interviews.INTERVIEW_COLLECTION), {});
+    assert.deepEqual(db.dump(`${interviews.INTERVIEW_COLLECTION}/int1/${interviews.SCORECARD_COLLECTION}`), {});
+    assert.deepEqual(Object.keys(db.dump('notifications')), ['n2']);
+});
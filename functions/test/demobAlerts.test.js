@@ -0,0 +1,58 @@
+// Demob alert digests and escalations per recipient role
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const demobAlerts = require('../demobAlerts');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const RUN_DATE = '2026-10-19';
+
+async function seed() {
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    for (const [id, role] of [['u-admin', 'admin'], ['u-hr', 'hr_manager'], ['u-rec', 'recruiter'], ['u-view', 'viewer']]) {
+        await db.collection('users').doc(id).set({ organization_id: 'org1', role, email: `${id}@example.com` });
+    }
+    await db.collection('demob_profiles').doc('E1').set({
+        current_project: { role: 'Planner' },
+        demob_date: '2026-11-01',
+        internal_metrics: { retention_priority: 'Critical' },
+        demob_alert: { window: 30, days_remaining: 13, overdue: false, run_date: RUN_DATE, escalated_window: 30, escalated_on: RUN_DATE }
+    });
+    return db;
+}
+
+// Catches what would have been emailed
+function createMailCatcher() {
+    const sent = [];
+    return { sent, send: async message => { sent.push(message); } };
+}
+
+test('only roles that can see retention priority get priorities and escalations', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+
+    const result = await demobAlerts.sendDigest(db, RUN_DATE, mailer);
+    assert.deepEqual([result.recipients, result.emailed, result.escalations], [3, 3, 1]);
+
+    const mailTo = address => mailer.sent.filter(message => message.to === address);
+    for (const address of ['u-admin@example.com', 'u-hr@example.com']) {
+        const [digest, escalation] = mailTo(address);
+        assert.match(digest.text, /Escalated \(Critical retention priority\)/);
+        assert.match(digest.text, /Planner \(E1\) - demob 2026-11-01, 13 days, Critical/);
+        assert.match(escalation.subject, /^Escalation: 1 Critical/);
+    }
+
+    const recruiterMail = mailTo('u-rec@example.com');
+    assert.equal(recruiterMail.length, 1);
+    assert.doesNotMatch(recruiterMail[0].text, /Critical|Escalated/);
+    assert.match(recruiterMail[0].text, /Planner \(E1\) - demob 2026-11-01, 13 days$/m);
+    assert.equal(mailTo('u-view@example.com').length, 0);
+
+    // The in-app copies match the emails
+    const inbox = Object.values(db.dump('notifications')).filter(item => item.recipient_id === 'u-rec');
+    assert.deepEqual(inbox.map(item => item.type), ['demob_digest']);
+    assert.doesNotMatch(inbox[0].body, /Critical/);
+    assert.deepEqual(inbox[0].data.employee_ids, ['E1']);
+});
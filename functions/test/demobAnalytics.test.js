@@ -0,0 +1,111 @@
+// Demob analytics: percentiles, cohorts, the skills gap and rollups stored in shards
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const demobAnalytics = require('../demobAnalytics');
+const matching = require('../matching');
+const skillTaxonomy = require('../skillTaxonomy');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const taxonomy = skillTaxonomy.getDefaultTaxonomy();
+const AS_OF = '2026-03-01';
+
+const PROFILES = {
+    E1: { demob_date: '2026-01-10', current_project: { name: 'Tower A' }, current_status: 'Redeployed', placement: { placement_date: '2026-01-20' } },
+    E2: { demob_date: '2026-01-15', current_project: { name: 'Tower A' }, current_status: matching.DEMOBILIZING_STATUS, skill_inventory: { technical_skills: ['Primavera P6', 'AutoCAD'] } },
+    E3: { demob_date: '2026-02-03', current_project: { name: 'Metro' }, current_status: 'Redeployed', placement: { placement_date: '2026-01-30' } },
+    E4: { demob_date: '2026-04-01', current_project: { name: 'Metro' }, current_status: matching.DEMOBILIZING_STATUS, skill_inventory: { technical_skills: ['AutoCAD'] } },
+    E5: { demob_date: '2026-04-20', current_project: { name: 'Metro' }, current_status: matching.DEMOBILIZING_STATUS, skill_inventory: { technical_skills: ['auto cad'] } }
+};
+const POSITIONS = {
+    X1: { status: 'open', required_skills: ['Scheduling'] },
+    X2: { status: 'open', required_skills: ['Project Scheduling', 'AutoCAD'] },
+    X3: { status: 'closed', required_skills: ['Revit'] }
+};
+
+async function seed() {
+    const db = createMemoryFirestore();
+    for (const [id, profile] of Object.entries(PROFILES)) await db.collection('demob_profiles').doc(id).set(profile);
+    for (const [id, position] of Object.entries(POSITIONS)) await db.collection(matching.POSITION_INDEX).doc(id).set(position);
+    return db;
+}
+
+// Step through the rollup the way the analytics_rollup job does
+async function runRollup(db, runId, pageSize = 2) {
+    for (const phase of ['profiles', 'positions']) {
+        let after = null;
+        let page = 0;
+        do {
+            const acc = demobAnalytics.emptyAccumulator();
+            ({ after } = await demobAnalytics.accumulatePage(db, acc, { phase, after, taxonomy, asOf: AS_OF, pageSize }));
+            await demobAnalytics.savePartial(db, { asOf: AS_OF, runId, phase, page: page++ }, acc);
+        } while (after);
+    }
+    return demobAnalytics.saveRollup(db, runId, taxonomy, AS_OF);
+}
+
+test('percentiles are nearest-rank over a histogram', () => {
+    const histogram = { '-5': 1, 10: 2, 30: 1 };
+    assert.equal(demobAnalytics.percentile(histogram, 25), -5);
+    assert.equal(demobAnalytics.percentile(histogram, 50), 10);
+    assert.equal(demobAnalytics.percentile(histogram, 90), 30);
+    assert.equal(demobAnalytics.percentile(histogram, 100), 30);
+    assert.equal(demobAnalytics.percentile({}, 50), null);
+});
+
+test('cohorts count who matured and how soon they were placed', async () => {
+    const db = await seed();
+    await runRollup(db, 'run1');
+    const summary = demobAnalytics.summarizeRollup(await demobAnalytics.loadRollup(db, AS_OF));
+
+    const cohorts = Object.fromEntries(summary.cohorts.map(cohort => [`${cohort.demob_month}|${cohort.project_key}`, cohort]));
+    assert.deepEqual(Object.keys(cohorts), ['2026-01|tower a', '2026-02|metro', '2026-04|metro']);
+    const january = cohorts['2026-01|tower a'];
+    assert.deepEqual([january.size, january.matured, january.placed, january.retention_rate], [2, 2, 1, 50]);
+    assert.deepEqual(january.placed_within, { 0: 0, 30: 1, 60: 1, 90: 1 });
+    // Placed before the demob date counts within every offset
+    assert.deepEqual(cohorts['2026-02|metro'].placed_within, { 0: 1, 30: 1, 60: 1, 90: 1 });
+    assert.deepEqual([cohorts['2026-04|metro'].size, cohorts['2026-04|metro'].matured], [2, 0]);
+
+    assert.equal(summary.summary.retention_rate, 66.7);
+    assert.deepEqual(summary.summary.time_to_placement, { count: 2, p50_days: -4, p75_days: 10, p90_days: 10 });
+    const tower = demobAnalytics.summarizeRollup(await demobAnalytics.loadRollup(db), { projectKey: 'tower a' });
+    assert.deepEqual(tower.monthly.map(month => [month.month, month.demobs, month.placements]), [['2026-01', 2, 1]]);
+});
+
+test('the skills gap compares open positions with demobilizing employees', async () => {
+    const db = await seed();
+    const { skills_gap: gap } = await runRollup(db, 'run1');
+
+    assert.deepEqual(gap.shortages.map(row => [row.skill_id, row.open_positions, row.available_employees, row.shortfall, row.coverage]), [
+        ['scheduling', 2, 1, 1, 50]
+    ]);
+    assert.deepEqual(gap.surplus.map(row => [row.skill_id, row.excess]).filter(([id]) => ['autocad', 'primavera_p6'].includes(id)), [
+        ['autocad', 2],
+        ['primavera_p6', 1]
+    ]);
+});
+
+test('rollups are stored as small shards and a refresh replaces the day\'s rows', async () => {
+    const db = await seed();
+    const single = demobAnalytics.emptyAccumulator();
+    await demobAnalytics.accumulatePage(db, single, { phase: 'profiles', taxonomy, asOf: AS_OF, pageSize: 100 });
+
+    await runRollup(db, 'run1', 1);
+    const stored = db.dump(demobAnalytics.ROLLUP_COLLECTION)[AS_OF];
+    assert.equal(stored.series, undefined);
+    assert.equal(stored.row_count, 4);
+    assert.deepEqual(db.dump(`${demobAnalytics.ROLLUP_COLLECTION}/${AS_OF}/partials`), {});
+
+    // Page-by-page partials merge to the same numbers as one pass
+    const loaded = await demobAnalytics.loadRollup(db, AS_OF);
+    assert.deepEqual(loaded.series, Object.values(single.series).sort((a, b) => a.month.localeCompare(b.month) || a.project_key.localeCompare(b.project_key)));
+    assert.deepEqual(loaded.totals, { profiles: 5, demobilizing: 3, placed: 2, open_positions: 2 });
+
+    await db.collection('demob_profiles').doc('E1').delete();
+    await runRollup(db, 'run2', 3);
+    const rows = Object.values(db.dump(`${demobAnalytics.ROLLUP_COLLECTION}/${AS_OF}/rows`));
+    assert.ok(rows.every(row => row.run_id === 'run2'));
+    assert.equal((await demobAnalytics.loadRollup(db, AS_OF)).totals.profiles, 4);
+});
@@ -0,0 +1,82 @@
+// Demob profile validation and retention priority on create and merge
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const demobProfiles = require('../demobProfiles');
+
+const stored = {
+    employee_id: 'E1',
+    internal_metrics: { performance_rating: 4.8, years_with_company: 7, retention_priority: 'Critical' },
+    skill_inventory: { technical_skills: ['Primavera P6'] }
+};
+
+function validated(input) {
+    const { profile, errors } = demobProfiles.validateDemobProfile(input);
+    assert.deepEqual(errors, []);
+    return profile;
+}
+
+test('validates and normalizes a profile row', () => {
+    const { profile, errors } = demobProfiles.validateDemobProfile({
+        employee_id: ' E1 ',
+        demob_date: '2026-11-30',
+        current_project: 'Tower A',
+        internal_metrics: { performance_rating: '4.5', years_with_company: '6' },
+        skill_inventory: { technical_skills: 'Primavera P6; AutoCAD' },
+        mobility_preferences: { preferred_locations: 'Dubai, Riyadh', willing_to_relocate: 'yes' }
+    });
+
+    assert.deepEqual(errors, []);
+    assert.equal(profile.employee_id, 'E1');
+    assert.deepEqual(profile.current_project, { name: 'Tower A' });
+    assert.equal(profile.internal_metrics.performance_rating, 4.5);
+    assert.deepEqual(profile.skill_inventory.technical_skills, ['Primavera P6', 'AutoCAD']);
+    assert.equal(profile.mobility_preferences.willing_to_relocate, true);
+
+    assert.deepEqual(demobProfiles.validateDemobProfile({
+        employee_id: 'E2',
+        demob_date: 'soon',
+        current_project: 'X',
+        internal_metrics: { performance_rating: 9, retention_priority: 'Top' }
+    }).errors, [
+        'Invalid demob_date: soon',
+        'performance_rating must be a number between 1 and 5',
+        'retention_priority must be one of: Critical, Standard, External Option'
+    ]);
+});
+
+test('computes the retention priority of new profiles', () => {
+    const profile = validated({ employee_id: 'E1', demob_date: '2026-11-30', current_project: 'X', internal_metrics: { performance_rating: 2 } });
+    assert.equal(demobProfiles.withRetentionPriority(profile).internal_metrics.retention_priority, 'External Option');
+});
+
+test('a merge without priority inputs keeps the stored priority', () => {
+    const profile = validated({ employee_id: 'E1', demob_date: '2026-12-15', current_project: 'Tower B' });
+    const merged = demobProfiles.withRetentionPriority(profile, stored);
+    assert.equal(merged.internal_metrics, undefined);
+});
+
+test('a merge that changes an input recomputes from the stored values it leaves out', () => {
+    const profile = validated({ employee_id: 'E1', demob_date: '2026-12-15', current_project: 'X', internal_metrics: { performance_rating: 2 } });
+    // Tenure of 7 years is still stored, so the profile stays Critical
+    assert.equal(demobProfiles.withRetentionPriority(profile, stored).internal_metrics.retention_priority, 'Critical');
+
+    const downgraded = validated({
+        employee_id: 'E1',
+        demob_date: '2026-12-15',
+        current_project: 'X',
+        internal_metrics: { performance_rating: 3.6, years_with_company: 1 }
+    });
+    assert.equal(demobProfiles.withRetentionPriority(downgraded, stored).internal_metrics.retention_priority, 'Standard');
+});
+
+test('a priority given in the input always wins', () => {
+    const profile = validated({
+        employee_id: 'E1',
+        demob_date: '2026-12-15',
+        current_project: 'X',
+        internal_metrics: { retention_priority: 'External Option' }
+    });
+    assert.equal(demobProfiles.withRetentionPriority(profile, stored).internal_metrics.retention_priority, 'External Option');
+});
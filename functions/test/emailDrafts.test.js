@@ -0,0 +1,96 @@
+// Server-side candidate email drafts
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const emailDrafts = require('../emailDrafts');
+const knowledge = require('../knowledge');
+const embeddings = require('../embeddings');
+const llmProviders = require('../llmProviders');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const CANDIDATE = {
+    position_id: 'P1',
+    screening_summary: {
+        candidate_name: 'Maria Lopez',
+        current_role: 'Planning Engineer',
+        key_skills: ['Primavera P6'],
+        recommended_roles: ['Senior Planner'],
+        overall_fit: 'Strong Match'
+    }
+};
+
+async function seed() {
+    const db = createMemoryFirestore();
+    await db.doc('projects/proj1').set({ projectName: 'Metro Line 4', company: 'Acme Build', location: 'Riyadh' });
+    await db.doc('projects/proj1/positions/P1').set({ title: 'Senior Planner', required_skills: ['Primavera P6'], location: 'Riyadh' });
+    await db.doc('projects/proj1/candidates/c1').set(CANDIDATE);
+    await knowledge.indexDocument(db, embeddings.getEmbeddingProvider('local'), {
+        projectId: 'proj1',
+        docId: 'scope',
+        docName: 'Scope of Works',
+        text: 'The Senior Planner maintains the Primavera P6 master schedule for the Metro Line 4 stations.'
+    });
+    return db;
+}
+
+// Records the prompt and answers like the model would
+function recordingProvider(email) {
+    const provider = {
+        prompts: [],
+        async generateJson(prompt, options) {
+            provider.prompts.push({ prompt, options });
+            return { email };
+        }
+    };
+    return provider;
+}
+
+test('drafts an initial email grounded in project knowledge and saves it', async () => {
+    const db = await seed();
+    const provider = recordingProvider({ subject: ' Senior Planner in Riyadh ', body: 'Hi Maria, ...', key_personalization_points: ['P6'] });
+
+    const { email, position_id } = await emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'c1', recruiterName: 'Sam' }, provider);
+
+    assert.equal(position_id, 'P1');
+    assert.equal(email.subject, 'Senior Planner in Riyadh');
+    assert.equal(email.knowledge_sources[0].doc_name, 'Scope of Works');
+    const { prompt } = provider.prompts[0];
+    assert.match(prompt, /Title: Senior Planner/);
+    assert.match(prompt, /\[1\] Scope of Works\nThe Senior Planner maintains/);
+    assert.match(prompt, /Name: Sam\nCompany: Acme Build/);
+
+    const saved = db.dump('projects/proj1/candidates').c1;
+    assert.equal(saved.lastGeneratedEmail.body, 'Hi Maria, ...');
+    assert.equal(saved.emailType, 'initial');
+    assert.equal(saved.emailSent, undefined);
+});
+
+test('follow-ups and LinkedIn messages skip retrieval and LinkedIn stays within its limit', async () => {
+    const db = await seed();
+
+    const followup = recordingProvider({ subject: 'Following up', body: 'Hi again' });
+    const { email } = await emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'c1', emailType: 'followup' }, followup);
+    assert.deepEqual(email.knowledge_sources, []);
+    assert.doesNotMatch(followup.prompts[0].prompt, /PROJECT CONTEXT/);
+
+    const tooLong = recordingProvider({ subject: 'LinkedIn Connection Request', body: 'x'.repeat(301) });
+    await assert.rejects(emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'c1', emailType: 'linkedin' }, tooLong), /longer than 300/);
+});
+
+test('refuses unknown email types, missing candidates and drafts without a body', async () => {
+    const db = await seed();
+    const provider = recordingProvider({ subject: 'No body' });
+
+    await assert.rejects(emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'c1', emailType: 'sms' }, provider), error => error.status === 400);
+    await assert.rejects(emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'nope' }, provider), error => error.status === 404);
+    await assert.rejects(emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'c1' }, provider), /no email subject and body/);
+});
+
+test('the stub provider drafts offline', async () => {
+    const db = await seed();
+    const { email } = await emailDrafts.draftEmail(db, { projectId: 'proj1', candidateId: 'c1' }, llmProviders.createStubProvider());
+
+    assert.equal(email.subject, 'Senior Planner opportunity');
+    assert.match(email.body, /^Hi Maria,/);
+});
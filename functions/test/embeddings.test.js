@@ -0,0 +1,49 @@
+// Local deterministic embeddings and stored vector upkeep
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const embeddings = require('../embeddings');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const similarity = (a, b) => embeddings.cosineSimilarity(embeddings.localEmbedding(a), embeddings.localEmbedding(b));
+
+test('local embeddings are deterministic unit vectors', () => {
+    const vector = embeddings.localEmbedding('Senior Planning Engineer, Primavera P6');
+
+    assert.equal(vector.length, 512);
+    assert.deepEqual(embeddings.localEmbedding('Senior Planning Engineer, Primavera P6'), vector);
+    assert.ok(Math.abs(embeddings.cosineSimilarity(vector, vector) - 1) < 1e-4);
+    // Case, accents and stop words don't change the text's features
+    assert.deepEqual(embeddings.localEmbedding('the SÉNIOR planning engineer primavera p6'), vector);
+    assert.deepEqual(embeddings.localEmbedding(''), new Array(512).fill(0));
+    assert.equal(embeddings.localEmbedding('planner', 64).length, 64);
+});
+
+test('related text lands closer than unrelated text', () => {
+    assert.ok(similarity('engineer', 'engineering') > similarity('engineer', 'accountant'));
+    assert.ok(similarity('Primavera P6 scheduling planner', 'planner using Primavera P6') >
+        similarity('Primavera P6 scheduling planner', 'Revit BIM modeler'));
+    assert.equal(embeddings.cosineSimilarity([1, 0], [1, 0, 0]), 0);
+});
+
+test('only changed texts are embedded again', async () => {
+    const db = createMemoryFirestore();
+    let embedded = 0;
+    const local = embeddings.createLocalProvider();
+    const provider = { ...local, embed: async texts => { embedded += texts.length; return local.embed(texts); } };
+    const position = { title: 'Planner', required_skills: ['Primavera P6'], status: 'open' };
+
+    assert.equal(await embeddings.syncEmbeddings(db, provider, 'position', [{ id: 'p1', data: position }]), 1);
+    assert.equal(await embeddings.syncEmbeddings(db, provider, 'position', [{ id: 'p1', data: position }]), 0);
+    // Closing the position only flips eligibility
+    assert.equal(await embeddings.syncEmbeddings(db, provider, 'position', [{ id: 'p1', data: { ...position, status: 'filled' } }]), 0);
+    assert.equal(db.dump('embeddings').position__p1.eligible, false);
+    assert.equal(await embeddings.syncEmbeddings(db, provider, 'position', [{ id: 'p1', data: { ...position, title: 'Scheduler' } }]), 1);
+    assert.equal(embedded, 2);
+
+    embeddings.clearVectorCache();
+    const vectors = await embeddings.loadVectors(db, 'position', local.model);
+    assert.deepEqual(vectors.map(entry => entry.id), ['p1']);
+    assert.deepEqual(vectors[0].vector, embeddings.localEmbedding(embeddings.positionText({ ...position, title: 'Scheduler' })));
+});
@@ -0,0 +1,72 @@
+// Export writers and row projection
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const exporters = require('../exporters');
+const redaction = require('../redaction');
+
+// Collects what a writer sends to the response
+function createResponse() {
+    const res = { headers: {}, body: '' };
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.write = chunk => { res.body += chunk; };
+    res.end = (chunk = '') => { res.body += chunk; };
+    return res;
+}
+
+const STORED = {
+    id: 'E1',
+    employee_id: 'E1',
+    demob_date: '2026-11-30',
+    current_project: { name: 'Tower A' },
+    internal_metrics: { performance_rating: 4.5, years_with_company: 6, retention_priority: 'Critical' },
+    skill_inventory: { technical_skills: ['Primavera P6'] },
+    created_at: admin.firestore.Timestamp.fromMillis(Date.UTC(2026, 0, 2)),
+    skill_keys: ['primavera_p6', 'scheduling'],
+    location_keys: ['dubai'],
+    location_skill_keys: ['dubai|primavera_p6'],
+    project_key: 'tower a',
+    retention_rank: 3
+};
+
+function writeJsonLines(profile, columns) {
+    const res = createResponse();
+    const writer = exporters.createWriter('jsonl', res, columns, Boolean(columns));
+    writer.start();
+    writer.writePage([profile]);
+    writer.finish();
+    return JSON.parse(res.body.trim());
+}
+
+test('full JSON rows carry only exported profile fields', () => {
+    const row = writeJsonLines(redaction.redactProfile(STORED, 'admin'));
+
+    assert.deepEqual(Object.keys(row), ['id', 'employee_id', 'demob_date', 'current_project', 'internal_metrics', 'skill_inventory', 'created_at']);
+    assert.equal(row.created_at, '2026-01-02T00:00:00.000Z');
+    assert.equal(row.internal_metrics.retention_priority, 'Critical');
+});
+
+test('full JSON rows stay redacted for restricted roles', () => {
+    const row = writeJsonLines(redaction.redactProfile(STORED, 'recruiter'));
+
+    assert.equal(row.internal_metrics.retention_priority, undefined);
+    assert.equal(row.internal_metrics.performance_rating, undefined);
+    assert.equal(row.retention_rank, undefined);
+});
+
+test('selected columns project JSON rows to those columns', () => {
+    const columns = exporters.resolveColumns(['employee_id', 'skill_inventory.technical_skills'], 'recruiter');
+    const row = writeJsonLines(redaction.redactProfile(STORED, 'recruiter'), columns);
+
+    assert.deepEqual(row, { id: 'E1', employee_id: 'E1', 'skill_inventory.technical_skills': 'Primavera P6' });
+});
+
+test('CSV cells are quoted and formula-like text is neutralized', () => {
+    assert.equal(exporters.csvEscape('a,b'), '"a,b"');
+    assert.equal(exporters.csvEscape('say "hi"'), '"say ""hi"""');
+    assert.equal(exporters.csvEscape('=SUM(A1)'), "'=SUM(A1)");
+    assert.equal(exporters.csvEscape(-5), '-5');
+    assert.equal(exporters.csvEscape(null), '');
+});
@@ -0,0 +1,80 @@
+// firestore.rules stays in step with the functions: the role permissions it
+// mirrors, and the candidate fields only the functions may write. The rules
+// themselves need the emulator to evaluate, so these check the rules source.
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+
+const auth = require('../auth');
+const pipeline = require('../pipeline');
+const outreach = require('../outreach');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const RULES = fs.readFileSync(path.join(__dirname, '..', '..', 'firestore.rules'), 'utf8');
+
+// Quoted names inside the body of a rules function
+function listedIn(functionName) {
+    const match = RULES.match(new RegExp(`function ${functionName}\\(\\) \\{([\\s\\S]*?)\\n    \\}`));
+    assert.ok(match, `${functionName}() is missing from firestore.rules`);
+    return match[1];
+}
+
+// Body of a match block, up to its closing brace at the same indent
+function matchBlock(pattern) {
+    const start = RULES.indexOf(`match ${pattern} {`);
+    assert.notEqual(start, -1, `match ${pattern} is missing from firestore.rules`);
+    const indent = RULES.lastIndexOf('\n', start);
+    const end = RULES.indexOf(`\n${' '.repeat(start - indent - 1)}}`, start);
+    return RULES.slice(start, end);
+}
+
+test('role permissions mirror auth.ROLE_PERMISSIONS', () => {
+    const body = listedIn('rolePermissions');
+    for (const role of auth.ROLES) {
+        const roleMatch = body.match(new RegExp(`'${role}': \\[([^\\]]*)\\]`));
+        assert.ok(roleMatch, `${role} is missing from rolePermissions()`);
+        const granted = [...roleMatch[1].matchAll(/'(\w+)'/g)].map(match => match[1]).sort();
+        const expected = Object.entries(auth.ROLE_PERMISSIONS[role]).filter(([, allowed]) => allowed).map(([name]) => name).sort();
+        assert.deepEqual(granted, expected, `${role} permissions differ`);
+    }
+});
+
+test('every candidate field the pipeline and outreach write is server-only', async () => {
+    const serverFields = [...listedIn('serverCandidateFields').matchAll(/'(\w+)'/g)].map(match => match[1]);
+    const candidatesRule = matchBlock('/candidates/{candidateId}');
+    assert.match(candidatesRule, /allow create: [^;]*!request\.resource\.data\.keys\(\)\.hasAny\(serverCandidateFields\(\)\)/);
+    assert.match(candidatesRule, /allow update: [^;]*affectedKeys\(\)\.hasAny\(serverCandidateFields\(\)\)/);
+
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    await db.doc('projects/P1').set({ projectName: 'Tower A', company: 'Egis', location: 'Riyadh' });
+    await db.doc('projects/P1/positions/POS1').set({ title: 'Planner', status: 'open', headcount: 1, filled_count: 0 });
+    const browserFields = {
+        screening_summary: { candidate_name: 'Ana Silva', email: 'ana@example.com', recommended_roles: ['Planner'] },
+        organization_id: 'org1',
+        interestStatus: 'interested'
+    };
+    await db.doc('projects/P1/candidates/C1').set(browserFields);
+
+    await pipeline.assignPosition(db, { projectId: 'P1', candidateId: 'C1', positionId: 'POS1' });
+    await pipeline.moveCandidate(db, 'u1', { projectId: 'P1', candidateId: 'C1', stage: 'hired' });
+    await pipeline.moveCandidate(db, 'u1', { projectId: 'P1', candidateId: 'C1', stage: 'rejected', reason: pipeline.DEFAULT_REJECTION_REASONS[0] });
+    const mailer = { send: async () => {} };
+    await outreach.enroll(db, { uid: 'u1', user: { email: 'r@example.com' } }, { projectId: 'P1', candidateId: 'C1' }, mailer);
+    await outreach.recordReply(db, 'u1', { projectId: 'P1', candidateId: 'C1' });
+
+    // emailSent and its details are also ticked by hand in the browser
+    const manual = ['emailSent', 'emailSentDate', 'emailDetails'];
+    const written = Object.keys(db.dump('projects/P1/candidates').C1)
+        .filter(field => !(field in browserFields) && !manual.includes(field));
+    assert.ok(written.length > 0);
+    assert.deepEqual(written.filter(field => !serverFields.includes(field)), []);
+});
+
+test('validated collections have no client write rules', () => {
+    for (const pattern of ['/cv_database/{candidateId}', '/demob_profiles/{employeeId}', '/demob_matches/{matchId}', '/positions/{positionId}']) {
+        assert.doesNotMatch(matchBlock(pattern), /allow [^:]*\b(write|create|update|delete)\b/, `${pattern} allows client writes`);
+    }
+});
@@ -0,0 +1,301 @@
+// In-memory Firestore for tests
+//
+// Implements the subset of the Admin SDK the functions use (collections,
+// documents, queries, transactions, batches, count and getAll) on plain
+// objects, and applies the real FieldValue transforms, so modules can be run
+// against it without the emulator.
+
+const admin = require('firebase-admin');
+
+const { Timestamp, FieldPath } = admin.firestore;
+
+function clone(value) {
+    if (value instanceof Timestamp || value === null || typeof value !== 'object') return value;
+    if (Array.isArray(value)) return value.map(clone);
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+}
+
+function getPath(data, path) {
+    return String(path).split('.').reduce((node, key) => (node == null ? undefined : node[key]), data);
+}
+
+// Apply one value, resolving FieldValue transforms against the current value
+function transform(current, value) {
+    switch (value?.methodName) {
+        case 'FieldValue.serverTimestamp': return Timestamp.now();
+        case 'FieldValue.increment': return (current || 0) + value.operand;
+        case 'FieldValue.arrayUnion': return [...(current || []), ...value.elements.filter(item => !(current || []).includes(item))];
+        case 'FieldValue.arrayRemove': return (current || []).filter(item => !value.elements.includes(item));
+        default: return clone(value);
+    }
+}
+
+function setPath(data, path, value) {
+    const keys = String(path).split('.');
+    let node = data;
+    for (const key of keys.slice(0, -1)) {
+        if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+        node = node[key];
+    }
+    const last = keys[keys.length - 1];
+    if (value?.methodName === 'FieldValue.delete') {
+        delete node[last];
+    } else {
+        node[last] = transform(node[last], value);
+    }
+}
+
+// Nested objects in set() replace fields; in set(..., { merge: true }) they merge
+function writeFields(data, fields, merge) {
+    for (const [key, value] of Object.entries(fields)) {
+        const nested = value && typeof value === 'object' && !Array.isArray(value) &&
+            !(value instanceof Timestamp) && !value.methodName;
+        if (nested && merge) {
+            if (!data[key] || typeof data[key] !== 'object') data[key] = {};
+            writeFields(data[key], value, true);
+        } else {
+            setPath(data, key, nested ? {} : value);
+            if (nested) writeFields(data[key], value, false);
+        }
+    }
+}
+
+function comparable(value) {
+    return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+function compare(a, b) {
+    const left = comparable(a);
+    const right = comparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+}
+
+const isDocumentId = field => field instanceof FieldPath || field === '__name__';
+
+const OPERATORS = {
+    '==': (value, operand) => compare(value, operand) === 0,
+    '!=': (value, operand) => value !== undefined && compare(value, operand) !== 0,
+    '<': (value, operand) => value !== undefined && compare(value, operand) < 0,
+    '<=': (value, operand) => value !== undefined && compare(value, operand) <= 0,
+    '>': (value, operand) => value !== undefined && compare(value, operand) > 0,
+    '>=': (value, operand) => value !== undefined && compare(value, operand) >= 0,
+    'in': (value, operand) => operand.some(item => compare(value, item) === 0),
+    'not-in': (value, operand) => value !== undefined && !operand.some(item => compare(value, item) === 0),
+    'array-contains': (value, operand) => Array.isArray(value) && value.some(item => compare(item, operand) === 0),
+    'array-contains-any': (value, operand) => Array.isArray(value) && value.some(item => operand.includes(item))
+};
+
+function createMemoryFirestore() {
+    const collections = new Map();
+
+    function documents(path) {
+        if (!collections.has(path)) collections.set(path, new Map());
+        return collections.get(path);
+    }
+
+    function snapshot(ref) {
+        const data = documents(ref.parent.path).get(ref.id);
+        return {
+            id: ref.id,
+            ref,
+            exists: data !== undefined,
+            data: () => clone(data),
+            get: field => clone(getPath(data, field))
+        };
+    }
+
+    class DocumentReference {
+        constructor(collectionPath, id) {
+            this.id = id;
+            this.path = `${collectionPath}/${id}`;
+            this.parent = new Query(collectionPath);
+        }
+
+        collection(name) {
+            return new Query(`${this.path}/${name}`);
+        }
+
+        async get() {
+            return snapshot(this);
+        }
+
+        async set(fields, options = {}) {
+            const docs = documents(this.parent.path);
+            const data = options.merge && docs.has(this.id) ? docs.get(this.id) : {};
+            writeFields(data, fields, Boolean(options.merge));
+            docs.set(this.id, data);
+        }
+
+        async create(fields) {
+            if (documents(this.parent.path).has(this.id)) {
+                throw Object.assign(new Error(`Document already exists: ${this.path}`), { code: 6 });
+            }
+            await this.set(fields);
+        }
+
+        async update(fields) {
+            const data = documents(this.parent.path).get(this.id);
+            if (!data) {
+                throw Object.assign(new Error(`No document to update: ${this.path}`), { code: 5 });
+            }
+            for (const [key, value] of Object.entries(fields)) setPath(data, key, value);
+        }
+
+        async delete() {
+            documents(this.parent.path).delete(this.id);
+        }
+    }
+
+    let autoId = 0;
+
+    class Query {
+        constructor(path, { group = false, filters = [], orders = [], max = null, after = null } = {}) {
+            this.path = path;
+            this.id = path.split('/').pop();
+            this.options = { group, filters, orders, max, after };
+        }
+
+        derive(changes) {
+            return new Query(this.path, { ...this.options, ...changes });
+        }
+
+        doc(id = `doc${++autoId}`) {
+            return new DocumentReference(this.path, id);
+        }
+
+        async add(fields) {
+            const ref = this.doc();
+            await ref.set(fields);
+            return ref;
+        }
+
+        where(field, op, operand) {
+            if (!OPERATORS[op]) throw new Error(`Unsupported operator: ${op}`);
+            return this.derive({ filters: [...this.options.filters, { field, op, operand }] });
+        }
+
+        orderBy(field, direction = 'asc') {
+            return this.derive({ orders: [...this.options.orders, { field, direction }] });
+        }
+
+        limit(max) {
+            return this.derive({ max });
+        }
+
+        startAfter(...values) {
+            return this.derive({ after: values });
+        }
+
+        select() {
+            return this;
+        }
+
+        count() {
+            return { get: async () => ({ data: () => ({ count: (this.entries().length) }) }) };
+        }
+
+        entries() {
+            const { group, filters, orders, max, after } = this.options;
+            let refs = [];
+            if (group) {
+                for (const [path, docs] of collections) {
+                    if (path.split('/').pop() === this.path) {
+                        docs.forEach((data, id) => refs.push(new DocumentReference(path, id)));
+                    }
+                }
+            } else {
+                documents(this.path).forEach((data, id) => refs.push(new DocumentReference(this.path, id)));
+            }
+
+            const value = (ref, field) => (isDocumentId(field)
+                ? (group ? ref.path : ref.id)
+                : getPath(documents(ref.parent.path).get(ref.id), field));
+
+            refs = refs.filter(ref => filters.every(({ field, op, operand }) => OPERATORS[op](value(ref, field), operand)));
+            // Firestore leaves out documents missing an orderBy field
+            refs = refs.filter(ref => orders.every(({ field }) => value(ref, field) !== undefined));
+
+            const ordering = [...orders, { field: FieldPath.documentId(), direction: 'asc' }];
+            const order = (a, b) => {
+                for (const { field, direction } of ordering) {
+                    const result = compare(value(a, field), value(b, field));
+                    if (result) return direction === 'desc' ? -result : result;
+                }
+                return 0;
+            };
+            refs.sort(order);
+
+            if (after) {
+                const cursor = after[0]?.ref instanceof DocumentReference ? after[0].ref : null;
+                refs = refs.filter(ref => {
+                    for (let index = 0; index < ordering.length; index++) {
+                        const { field, direction } = ordering[index];
+                        const bound = cursor ? value(cursor, field) : after[index];
+                        if (bound === undefined) return false;
+                        const result = compare(value(ref, field), bound);
+                        if (result) return direction === 'desc' ? result < 0 : result > 0;
+                    }
+                    return false;
+                });
+            }
+
+            return max ? refs.slice(0, max) : refs;
+        }
+
+        async get() {
+            const docs = this.entries().map(snapshot);
+            return { docs, size: docs.length, empty: docs.length === 0, forEach: fn => docs.forEach(fn) };
+        }
+    }
+
+    function writeBatch() {
+        const operations = [];
+        const batch = {
+            set: (ref, fields, options) => operations.push(() => ref.set(fields, options)) && batch,
+            create: (ref, fields) => operations.push(() => ref.create(fields)) && batch,
+            update: (ref, fields) => operations.push(() => ref.update(fields)) && batch,
+            delete: ref => operations.push(() => ref.delete()) && batch,
+            commit: async () => {
+                for (const operation of operations) await operation();
+            }
+        };
+        return batch;
+    }
+
+    const db = {
+        collection: path => new Query(path),
+        collectionGroup: id => new Query(id, { group: true }),
+        doc: path => {
+            const index = path.lastIndexOf('/');
+            return new DocumentReference(path.substring(0, index), path.substring(index + 1));
+        },
+        batch: writeBatch,
+        async getAll(...refs) {
+            return Promise.all(refs.map(ref => ref.get()));
+        },
+        // Transactions run serially, so reads always see committed data
+        async runTransaction(fn) {
+            const batch = writeBatch();
+            const transaction = {
+                get: target => target.get(),
+                getAll: (...refs) => db.getAll(...refs),
+                set: (ref, fields, options) => batch.set(ref, fields, options) && transaction,
+                create: (ref, fields) => batch.create(ref, fields) && transaction,
+                update: (ref, fields) => batch.update(ref, fields) && transaction,
+                delete: ref => batch.delete(ref) && transaction
+            };
+            const result = await fn(transaction);
+            await batch.commit();
+            return result;
+        },
+        // Test helpers
+        dump: path => Object.fromEntries([...documents(path)].map(([id, data]) => [id, clone(data)]))
+    };
+
+    return db;
+}
+
+module.exports = { createMemoryFirestore };
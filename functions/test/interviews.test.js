@@ -0,0 +1,130 @@
+// Interview invites: iCalendar output, rescheduling and cancelling, and sending without a transport
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const interviews = require('../interviews');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const CALLER = { uid: 'u1', role: 'recruiter', permissions: { view_candidates: true, edit_candidates: true } };
+
+const INTERVIEW = {
+    id: 'int1',
+    title: 'Interview: Ana Silva, Senior Planner; Metro Line 4',
+    time_zone: 'Asia/Riyadh',
+    duration_minutes: 45,
+    scheduled_start: admin.firestore.Timestamp.fromMillis(Date.parse('2026-11-03T11:30:00Z')),
+    location: null,
+    meeting_url: 'https://meet.example.com/abc',
+    notes: 'Bring the programme for Station 3.\nAsk about Primavera P6 réseau baselines and how they were re-sequenced after the change order',
+    panel: [{ name: 'Sam "Lead" Reyes', email: 'sam@example.com' }, { name: 'Outside Advisor', email: null }],
+    candidate_name: 'Ana Silva',
+    candidate_email: 'ana@example.com',
+    ics_sequence: 2
+};
+
+// Undo RFC 5545 line folding
+function unfold(ics) {
+    return ics.replace(/\r\n /g, '').split('\r\n').filter(Boolean);
+}
+
+function property(ics, name) {
+    const line = unfold(ics).find(item => item.startsWith(`${name}:`) || item.startsWith(`${name};`));
+    return line ? line.slice(line.indexOf(':') + 1) : undefined;
+}
+
+test('builds an RFC 5545 invite with escaped text and folded lines', () => {
+    const ics = interviews.buildIcs(INTERVIEW, { now: Date.parse('2026-10-19T08:00:00Z') });
+
+    assert.ok(ics.endsWith('\r\n'));
+    assert.doesNotMatch(ics.replace(/\r\n/g, ''), /\n/);
+    for (const line of ics.split('\r\n')) {
+        assert.ok(Buffer.byteLength(line) <= 75, line);
+    }
+
+    assert.equal(property(ics, 'METHOD'), 'REQUEST');
+    assert.equal(property(ics, 'UID'), 'interview-int1@recruitpro.local');
+    assert.equal(property(ics, 'SEQUENCE'), '2');
+    assert.equal(property(ics, 'DTSTAMP'), '20261019T080000Z');
+    assert.equal(property(ics, 'DTSTART'), '20261103T113000Z');
+    assert.equal(property(ics, 'DTEND'), '20261103T121500Z');
+    assert.equal(property(ics, 'SUMMARY'), 'Interview: Ana Silva\\, Senior Planner\\; Metro Line 4');
+    assert.match(property(ics, 'DESCRIPTION'), /Station 3\.\\nAsk about Primavera P6 réseau baselines[\s\S]*\\n\\nJoin: https:\/\/meet\.example\.com\/abc\\n\\nTime zone: Asia\/Riyadh$/);
+    assert.equal(property(ics, 'LOCATION'), 'https://meet.example.com/abc');
+    assert.equal(property(ics, 'STATUS'), 'CONFIRMED');
+
+    // Members without an email aren't invited; quotes can't break out of CN
+    const attendees = unfold(ics).filter(line => line.startsWith('ATTENDEE'));
+    assert.deepEqual(attendees, [
+        'ATTENDEE;CN="Sam Lead Reyes";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:sam@example.com',
+        'ATTENDEE;CN="Ana Silva";ROLE=REQ-PARTICIPANT;PARTSTAT=NEEDS-ACTION;RSVP=TRUE:mailto:ana@example.com'
+    ]);
+
+    const cancel = interviews.buildIcs(INTERVIEW, { method: 'CANCEL' });
+    assert.deepEqual([property(cancel, 'METHOD'), property(cancel, 'STATUS')], ['CANCEL', 'CANCELLED']);
+});
+
+async function seed() {
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    await db.doc('projects/P1/candidates/C1').set({
+        stage: 'screening',
+        screening_summary: { candidate_name: 'Ana Silva', email: 'ana@example.com' }
+    });
+    return db;
+}
+
+function createMailCatcher() {
+    const sent = [];
+    return { sent, send: async message => { sent.push(message); } };
+}
+
+const request = slots => interviews.validateInterview({
+    time_zone: 'Asia/Riyadh',
+    panel: [{ email: 'sam@example.com', name: 'Sam Reyes' }],
+    slots
+}).interview;
+
+test('rescheduling and cancelling update the same calendar event', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+
+    const booked = await interviews.createInterview(db, CALLER, { projectId: 'P1', candidateId: 'C1', interview: request(['2026-11-03T14:30']) }, mailer);
+    assert.deepEqual(booked.invites, { sent: ['sam@example.com', 'ana@example.com'], failed: [] });
+    assert.equal(db.dump('projects/P1/candidates').C1.stage, 'interview');
+
+    await interviews.scheduleInterview(db, CALLER, booked.interview_id, { start: '2026-11-04T09:00' }, mailer);
+    await interviews.cancelInterview(db, CALLER, booked.interview_id, { reason: 'Position on hold' }, mailer);
+
+    const invites = mailer.sent.filter(message => message.to === 'ana@example.com');
+    assert.deepEqual(invites.map(message => message.subject), [
+        'Invitation: Interview: Ana Silva',
+        'Updated: Interview: Ana Silva',
+        'Cancelled: Interview: Ana Silva'
+    ]);
+    const events = invites.map(message => message.icalEvent.content);
+    assert.deepEqual(events.map(ics => property(ics, 'SEQUENCE')), ['0', '1', '2']);
+    assert.equal(new Set(events.map(ics => property(ics, 'UID'))).size, 1);
+    assert.deepEqual(events.map(ics => property(ics, 'DTSTART')), ['20261103T113000Z', '20261104T060000Z', '20261104T060000Z']);
+    assert.deepEqual(invites.map(message => message.icalEvent.method), ['REQUEST', 'REQUEST', 'CANCEL']);
+});
+
+test('without a mail transport the booking stands but no invite counts as sent', async () => {
+    const saved = ['SMTP_HOST', 'MAIL_TRANSPORT', 'FUNCTIONS_EMULATOR'].map(name => [name, process.env[name]]);
+    saved.forEach(([name]) => delete process.env[name]);
+    try {
+        const db = await seed();
+        const booked = await interviews.createInterview(db, CALLER, { projectId: 'P1', candidateId: 'C1', interview: request(['2026-11-03T14:30']) });
+
+        assert.equal(booked.status, 'scheduled');
+        const { invites } = db.dump(interviews.INTERVIEW_COLLECTION)[booked.interview_id];
+        assert.deepEqual(invites.sent_to, []);
+        assert.deepEqual(invites.failed, ['sam@example.com', 'ana@example.com']);
+        assert.match(invites.error, /No mail transport is configured/);
+    } finally {
+        saved.forEach(([name, value]) => {
+            if (value !== undefined) process.env[name] = value;
+        });
+    }
+});
@@ -0,0 +1,115 @@
+// Job steps, leases and recovery of abandoned steps
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const jobs = require('../jobs');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const expiredLease = () => admin.firestore.Timestamp.fromMillis(Date.now() - 1000);
+
+test('runs a step and re-queues the job with the new cursor', async () => {
+    const db = createMemoryFirestore();
+    const jobId = await jobs.createJob(db, 'count', { pages: 2 });
+    const ref = db.collection('jobs').doc(jobId);
+    const handlers = {
+        count: async job => ({ done: job.cursor === 1, cursor: (job.cursor || 0) + 1, progress: { processed: (job.cursor || 0) + 1 } })
+    };
+
+    await jobs.runJobStep(db, ref, handlers);
+    let job = (await ref.get()).data();
+    assert.equal(job.status, 'queued');
+    assert.equal(job.cursor, 1);
+
+    await jobs.runJobStep(db, ref, handlers);
+    job = (await ref.get()).data();
+    assert.equal(job.status, 'completed');
+    assert.equal(job.progress.processed, 2);
+});
+
+test('does not run a step that another delivery holds a live lease on', async () => {
+    const db = createMemoryFirestore();
+    const jobId = await jobs.createJob(db, 'count');
+    const ref = db.collection('jobs').doc(jobId);
+    await ref.update({ status: 'running', lease_expires_at: admin.firestore.Timestamp.fromMillis(Date.now() + 60000) });
+
+    let ran = false;
+    await jobs.runJobStep(db, ref, { count: async () => { ran = true; return { done: true }; } });
+
+    assert.equal(ran, false);
+    assert.equal((await ref.get()).data().status, 'running');
+    assert.equal(await jobs.requeueStaleJobs(db), 0);
+});
+
+test('reclaims a step whose lease expired and counts it as an attempt', async () => {
+    const db = createMemoryFirestore();
+    const jobId = await jobs.createJob(db, 'count');
+    const ref = db.collection('jobs').doc(jobId);
+    await ref.update({ status: 'running', lease_expires_at: expiredLease() });
+
+    let attemptsSeen = null;
+    await jobs.runJobStep(db, ref, { count: async job => { attemptsSeen = job.attempts; return { done: true }; } });
+
+    assert.equal(attemptsSeen, 1);
+    assert.equal((await ref.get()).data().status, 'completed');
+});
+
+test('the sweep requeues abandoned steps and fails jobs out of attempts', async () => {
+    const db = createMemoryFirestore();
+    const retry = await jobs.createJob(db, 'count');
+    const exhausted = await jobs.createJob(db, 'count');
+    const legacy = await jobs.createJob(db, 'count');
+    await db.collection('jobs').doc(retry).update({ status: 'running', lease_expires_at: expiredLease() });
+    await db.collection('jobs').doc(exhausted).update({ status: 'running', attempts: 2, lease_expires_at: expiredLease() });
+    // Claimed before leases existed
+    await db.collection('jobs').doc(legacy).update({
+        status: 'running',
+        step_started_at: admin.firestore.Timestamp.fromMillis(Date.now() - jobs.STEP_LEASE_MS - 1000)
+    });
+
+    assert.equal(await jobs.requeueStaleJobs(db), 3);
+
+    const stored = db.dump('jobs');
+    assert.deepEqual([stored[retry].status, stored[retry].attempts], ['queued', 1]);
+    assert.deepEqual([stored[exhausted].status, stored[exhausted].attempts], ['failed', 3]);
+    assert.equal(stored[legacy].status, 'queued');
+    assert.match(stored[exhausted].error, /lease expired/);
+});
+
+test('a failing step is retried up to the attempt limit', async () => {
+    const db = createMemoryFirestore();
+    const jobId = await jobs.createJob(db, 'broken');
+    const ref = db.collection('jobs').doc(jobId);
+    const handlers = { broken: async () => { throw new Error('boom'); } };
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+        for (let attempt = 0; attempt < 3; attempt++) {
+            await jobs.runJobStep(db, ref, handlers);
+        }
+    } finally {
+        console.error = originalError;
+    }
+
+    const job = (await ref.get()).data();
+    assert.deepEqual([job.status, job.attempts, job.error], ['failed', 3, 'boom']);
+});
+
+test('a job type\'s cleanup runs once, when the job fails for good', async () => {
+    const db = createMemoryFirestore();
+    const jobId = await jobs.createJob(db, 'upload', { files: ['a', 'b'] });
+    const ref = db.collection('jobs').doc(jobId);
+    const cleaned = [];
+    const cleanups = { upload: async (job, jobDb) => cleaned.push([job.id, job.params.files, jobDb === db]) };
+    const snapshot = data => ({ id: jobId, exists: data !== null, data: () => data });
+    const change = (before, after) => ({ before: snapshot(before), after: snapshot(after) });
+    const job = (await ref.get()).data();
+
+    assert.equal(await jobs.cleanUpFailedJob(db, change(job, { ...job, status: 'queued' }), cleanups), false);
+    assert.equal(await jobs.cleanUpFailedJob(db, change({ ...job, status: 'running' }, { ...job, status: 'failed' }), cleanups), true);
+    assert.equal(await jobs.cleanUpFailedJob(db, change({ ...job, status: 'failed' }, { ...job, status: 'failed', error: 'later' }), cleanups), false);
+    assert.equal(await jobs.cleanUpFailedJob(db, change(job, { ...job, type: 'other', status: 'failed' }), cleanups), false);
+    assert.deepEqual(cleaned, [[jobId, ['a', 'b'], true]]);
+});
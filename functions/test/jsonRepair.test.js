@@ -0,0 +1,43 @@
+// Repair of malformed JSON from LLM responses
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseJson } = require('../jsonRepair');
+
+test('well-formed JSON is parsed untouched', () => {
+    assert.deepEqual(parseJson('{"a": [1, 2], "b": "x, y"}'), { value: { a: [1, 2], b: 'x, y' }, repaired: false });
+});
+
+test('repairs fences, prose, trailing commas, smart quotes and undefined values', () => {
+    const cases = [
+        ['```json\n{"a": 1}\n```', { a: 1 }],
+        ['Here is the profile:\n{"a": {"b": [1, 2]}} Let me know if you need more.', { a: { b: [1, 2] } }],
+        ['{"a": [1, 2,], "b": 3,}', { a: [1, 2], b: 3 }],
+        ['{“name”: “Maria”}', { name: 'Maria' }],
+        ['{"a": undefined, "b": NaN}', { a: null, b: null }],
+        ['[{"a": 1}] trailing text with } and ]', [{ a: 1 }]]
+    ];
+
+    for (const [text, expected] of cases) {
+        assert.deepEqual(parseJson(text), { value: expected, repaired: true }, text);
+    }
+});
+
+test('closes output truncated mid-value', () => {
+    const cases = [
+        ['{"skills": ["AutoCAD", "Rev', { skills: ['AutoCAD', 'Rev'] }],
+        ['{"a": {"b": 1, "c":', { a: { b: 1, c: null } }],
+        ['{"a": 1, "summ', { a: 1 }],
+        ['{"a": [1, 2,', { a: [1, 2] }],
+        ['{"quote": "she said \\"hi\\" and', { quote: 'she said "hi" and' }]
+    ];
+
+    for (const [text, expected] of cases) {
+        assert.deepEqual(parseJson(text).value, expected, text);
+    }
+});
+
+test('gives up on text with no JSON in it', () => {
+    assert.throws(() => parseJson('I could not read this CV.'), /repair failed/);
+});
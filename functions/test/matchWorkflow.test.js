@@ -0,0 +1,83 @@
+// Match status workflow: allowed transitions, placements, withdrawals and the event history
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const matchWorkflow = require('../matchWorkflow');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+async function seed({ headcount = 2 } = {}) {
+    const db = createMemoryFirestore();
+    await db.doc('projects/P1/positions/POS1').set({ title: 'Planner', status: 'open', headcount, filled_count: 0 });
+    await db.doc('projects/P1/positions/POS2').set({ title: 'Scheduler', status: 'open', headcount: 1, filled_count: 0 });
+    await db.collection('demob_profiles').doc('E1').set({ employee_id: 'E1', current_status: 'Demobilizing' });
+    for (const [id, positionId] of [['M1', 'POS1'], ['M2', 'POS2']]) {
+        await db.collection('demob_matches').doc(id).set({ employee_id: 'E1', project_id: 'P1', position_id: positionId, status: 'Pending Review' });
+    }
+    return db;
+}
+
+const move = (db, matchId, status, note = null) => matchWorkflow.transitionMatch(db, matchId, { status, note, userId: 'u1' });
+const match = (db, id) => db.dump('demob_matches')[id];
+const conflict = error => error.status === 409;
+
+test('matches only move along the allowed transitions', async () => {
+    const db = await seed();
+
+    await assert.rejects(move(db, 'M1', 'Placed'), conflict);
+    await assert.rejects(move(db, 'M1', 'Expired'), error => error.status === 400);
+    await assert.rejects(move(db, 'M1', 'Hired'), error => error.status === 400);
+    await assert.rejects(move(db, 'missing', 'In Progress'), error => error.status === 404);
+
+    assert.deepEqual(await move(db, 'M1', 'In Progress'), {
+        from: 'Pending Review', to: 'In Progress', position_filled: false, position_fill: null, withdrawn_matches: []
+    });
+    await move(db, 'M1', 'Rejected');
+    assert.deepEqual(matchWorkflow.allowedTransitions('Rejected'), []);
+    await assert.rejects(move(db, 'M1', 'Pending Review'), conflict);
+});
+
+test('placing a match fills the position, redeploys the employee and withdraws their other matches', async () => {
+    const db = await seed({ headcount: 1 });
+    await move(db, 'M1', 'In Progress');
+    await move(db, 'M1', 'Interview Scheduled');
+
+    const result = await move(db, 'M1', 'Placed');
+    assert.deepEqual([result.position_filled, result.withdrawn_matches], [true, ['M2']]);
+    assert.equal(db.dump('projects/P1/positions').POS1.status, 'filled');
+    assert.equal(db.dump('demob_profiles').E1.current_status, matchWorkflow.PLACED_PROFILE_STATUS);
+    assert.deepEqual([match(db, 'M2').status, match(db, 'M2').withdrawn_reason], ['Withdrawn', 'placed_elsewhere']);
+});
+
+test('matches withdrawn by a placement, or of a placed employee, cannot be reopened', async () => {
+    const db = await seed();
+    await db.collection('demob_matches').doc('M3').set({ employee_id: 'E1', project_id: 'P1', position_id: 'POS2', status: 'Withdrawn' });
+    for (const status of ['In Progress', 'Interview Scheduled', 'Placed']) await move(db, 'M1', status);
+
+    assert.deepEqual(matchWorkflow.allowedTransitions('Withdrawn', match(db, 'M2')), []);
+    await assert.rejects(move(db, 'M2', 'Pending Review'), conflict);
+    // Withdrawn by hand before the placement, but the employee is placed now
+    await assert.rejects(move(db, 'M3', 'Pending Review'), error => conflict(error) && /placed through match M1/.test(error.message));
+    assert.equal(match(db, 'M3').status, 'Withdrawn');
+});
+
+test('a match withdrawn by hand can be reopened while the employee is unplaced', async () => {
+    const db = await seed();
+    await move(db, 'M2', 'Withdrawn');
+    assert.deepEqual(matchWorkflow.allowedTransitions('Withdrawn', match(db, 'M2')), ['Pending Review']);
+    await move(db, 'M2', 'Pending Review');
+    assert.equal(match(db, 'M2').status, 'Pending Review');
+});
+
+test('each change keeps its own note in the event history', async () => {
+    const db = await seed();
+    await move(db, 'M1', 'In Progress', 'Called the employee');
+    await move(db, 'M1', 'Interview Scheduled', 'Interview on Monday');
+
+    const events = Object.values(db.dump('demob_matches/M1/events'));
+    assert.deepEqual(events.map(event => [event.from, event.to, event.note, event.actor]), [
+        ['Pending Review', 'In Progress', 'Called the employee', 'u1'],
+        ['In Progress', 'Interview Scheduled', 'Interview on Monday', 'u1']
+    ]);
+    assert.equal(match(db, 'M1').notes, undefined);
+});
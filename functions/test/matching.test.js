@@ -0,0 +1,124 @@
+// Matching against the open position index: pre-filters, thresholds and paging
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const matching = require('../matching');
+const scoring = require('../scoring');
+const skillTaxonomy = require('../skillTaxonomy');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const PROFILE = {
+    employee_id: 'E1',
+    current_status: matching.DEMOBILIZING_STATUS,
+    demob_date: '2026-03-01',
+    current_project: { name: 'Metro', role: 'CAD Technician' },
+    skill_inventory: { technical_skills: ['AutoCAD'] },
+    mobility_preferences: { preferred_locations: ['Riyadh'], willing_to_relocate: false }
+};
+
+async function indexPosition(db, projectId, positionId, position) {
+    const entry = matching.buildPositionIndexEntry({
+        organizationId: 'org1',
+        projectId,
+        project: { projectName: `Project ${projectId}` },
+        positionId,
+        position: { project_type: 'Metro', start_date: '2026-03-10', ...position },
+        taxonomy: skillTaxonomy.getDefaultTaxonomy()
+    });
+    await db.collection(matching.POSITION_INDEX).doc(matching.positionIndexId(projectId, positionId)).set(entry);
+}
+
+async function seed() {
+    scoring.clearWeightProfileCache();
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    // Scores 100, 86 and 60 against PROFILE
+    await indexPosition(db, 'P1', 'cad', { title: 'CAD Lead', required_skills: ['AutoCAD'], location: 'Riyadh' });
+    await indexPosition(db, 'P2', 'cad', { title: 'CAD Lead', required_skills: ['Auto CAD'], location: 'Jeddah' });
+    await indexPosition(db, 'P1', 'bim', { title: 'BIM Modeller', required_skills: ['Revit'], location: 'Riyadh' });
+    await indexPosition(db, 'P1', 'closed', { title: 'CAD Lead', required_skills: ['AutoCAD'], location: 'Riyadh', status: 'closed' });
+    return db;
+}
+
+const ids = items => items.map(item => item.index_id || `${item.project_id}_${item.position_id}`).sort();
+
+test('index entries carry normalized skill and location keys', () => {
+    const entry = matching.buildPositionIndexEntry({
+        projectId: 'P1',
+        positionId: 'X',
+        position: { title: 'Planner', required_skills: ['Primavera', 'Bridge Inspection'], location: '  Riyadh,   KSA ' },
+        taxonomy: skillTaxonomy.getDefaultTaxonomy()
+    });
+    assert.deepEqual(entry.skill_keys, ['primavera_p6', 'custom:bridge_inspection', 'token:bridge']);
+    assert.equal(entry.location_key, 'riyadh, ksa');
+    assert.deepEqual([entry.status, entry.headcount, entry.filled_count, entry.organization_id], ['open', 1, 0, null]);
+});
+
+test('open positions are filtered by project, skill overlap and location', async () => {
+    const db = await seed();
+
+    assert.deepEqual(ids(await matching.loadOpenPositions(db)), ['P1_bim', 'P1_cad', 'P2_cad']);
+    assert.deepEqual(ids(await matching.loadOpenPositions(db, { projectId: 'P2' })), ['P2_cad']);
+    assert.deepEqual(ids(await matching.loadOpenPositions(db, { skillKeys: ['autocad'] })), ['P1_cad', 'P2_cad']);
+    assert.deepEqual(await matching.loadOpenPositions(db, { skillKeys: [] }), []);
+    assert.deepEqual(ids(await matching.loadOpenPositions(db, { locations: ['jeddah'] })), ['P2_cad']);
+});
+
+test('skill keys beyond one array-contains-any query are split without duplicating positions', async () => {
+    const db = await seed();
+    const filler = Array.from({ length: 30 }, (_, index) => `filler_${index}`);
+    await db.collection(matching.POSITION_INDEX).doc('P3_both').set({ status: 'open', skill_keys: ['filler_0', 'autocad'] });
+
+    const positions = await matching.loadOpenPositions(db, { skillKeys: [...filler, 'autocad'] });
+    assert.deepEqual(ids(positions), ['P1_cad', 'P2_cad', 'P3_both']);
+});
+
+test('every page of a query is read', async () => {
+    const db = createMemoryFirestore();
+    for (let i = 0; i < 5; i++) await db.doc(`items/I${i}`).set({ n: i });
+
+    const docs = await matching.readAllPages(db.collection('items'), 2);
+    assert.deepEqual(docs.map(doc => doc.id), ['I0', 'I1', 'I2', 'I3', 'I4']);
+});
+
+test('only matches at or above the minimum score are kept', async () => {
+    const db = await seed();
+
+    const strong = await matching.matchProfileToPositions(db, PROFILE, { minScore: 75 });
+    assert.deepEqual(strong.map(match => [match.position_id, match.project_id, match.match_score]), [['cad', 'P1', 100], ['cad', 'P2', 86]]);
+
+    // At 50 a position with no skill in common can still qualify, so it isn't pre-filtered out
+    const loose = await matching.matchProfileToPositions(db, PROFILE, { minScore: 50 });
+    assert.deepEqual(loose.map(match => match.match_score).sort((a, b) => a - b), [60, 86, 100]);
+    assert.deepEqual(await matching.matchProfileToPositions(db, PROFILE, { minScore: 90, projectId: 'P2' }), []);
+});
+
+test('demobilizing profiles are matched a page at a time', async () => {
+    const db = await seed();
+    for (const id of ['E1', 'E2', 'E3']) {
+        await db.doc(`demob_profiles/${id}`).set({ ...PROFILE, employee_id: id });
+    }
+    await db.doc('demob_profiles/E4').set({ ...PROFILE, employee_id: 'E4', current_status: 'Active' });
+    const positions = await matching.loadOpenPositions(db);
+    assert.equal(await matching.countDemobilizingProfiles(db), 3);
+
+    const first = await matching.matchProfilePage(db, positions, { pageSize: 2 });
+    assert.deepEqual([first.processed, first.nextCursor, first.matches.length], [2, 'E2', 4]);
+    const second = await matching.matchProfilePage(db, positions, { pageSize: 2, cursor: first.nextCursor });
+    assert.deepEqual([second.processed, second.nextCursor], [1, null]);
+    assert.deepEqual([...new Set(second.matches.map(match => match.employee_id))], ['E3']);
+});
+
+test('each employee and position pair has one stable match id', async () => {
+    assert.equal(matching.matchId('E1', 'P1', 'cad'), 'E1_P1_cad');
+    assert.equal(matching.matchId('E/1', 'P1', 'cad'), 'E_1_P1_cad');
+    assert.notEqual(matching.matchId('E1', 'P1', 'cad'), matching.matchId('E1', 'P2', 'cad'));
+
+    // Re-running matching produces the same ids, so results update the same records
+    const db = await seed();
+    const first = await matching.matchProfileToPositions(db, PROFILE, { minScore: 75 });
+    const again = await matching.matchProfileToPositions(db, PROFILE, { minScore: 75 });
+    assert.deepEqual(first.map(match => match.match_id), ['E1_P1_cad', 'E1_P2_cad']);
+    assert.deepEqual(again.map(match => match.match_id), first.map(match => match.match_id));
+});
@@ -0,0 +1,180 @@
+// Outreach enrollments: sending, claiming, retries, replies and manual steps
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const outreach = require('../outreach');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const CALLER = { uid: 'u1', user: { email: 'recruiter@example.com' } };
+const ENROLLMENT_ID = outreach.enrollmentId('P1', 'C1');
+
+async function seed() {
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    await db.doc('projects/P1').set({ projectName: 'Tower A', company: 'Egis', location: 'Riyadh' });
+    await db.doc('projects/P1/candidates/C1').set({
+        screening_summary: { candidate_name: 'Ana Silva', email: 'ana@example.com', recommended_roles: ['Planner'] }
+    });
+    return db;
+}
+
+// Catches what would have been emailed; fails the first `failures` sends
+function createMailCatcher(failures = 0) {
+    const sent = [];
+    return {
+        sent,
+        send: async message => {
+            if (failures-- > 0) throw new Error('Connection refused');
+            sent.push(message);
+        }
+    };
+}
+
+const enrollmentRef = db => db.collection(outreach.ENROLLMENT_COLLECTION).doc(ENROLLMENT_ID);
+const enrollment = db => db.dump(outreach.ENROLLMENT_COLLECTION)[ENROLLMENT_ID];
+const messages = db => Object.values(db.dump(outreach.MESSAGE_COLLECTION)).sort((a, b) => a.step - b.step);
+const candidate = db => db.dump('projects/P1/candidates').C1;
+
+test('enrolling sends the first email and follow-ups thread onto it', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+
+    const result = await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1', senderName: 'Sam' }, mailer);
+    assert.equal(result.first_step, 'sent');
+    assert.equal(mailer.sent[0].to, 'ana@example.com');
+    assert.match(mailer.sent[0].subject, /^Planner opportunity with Egis in Riyadh$/);
+    assert.deepEqual(messages(db).map(message => message.status), ['sent']);
+    assert.equal(candidate(db).emailSent, true);
+    assert.equal(candidate(db).stage, 'contacted');
+    assert.equal(enrollment(db).current_step, 1);
+    assert.equal(enrollment(db).claimed_until, null);
+
+    // Nothing is due until the follow-up's delay has passed
+    assert.equal((await outreach.processDue(db, { mailer })).sent, 0);
+    const due = await outreach.processDue(db, { mailer, now: Date.now() + 5 * DAY_MS });
+    assert.equal(due.sent, 1);
+    assert.equal(mailer.sent[1].subject, 'Re: Planner opportunity with Egis in Riyadh');
+    assert.equal(mailer.sent[1].inReplyTo, mailer.sent[0].messageId);
+});
+
+test('a claimed step is not sent again until the claim lapses', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+    await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1' }, mailer);
+
+    const now = Date.now() + 5 * DAY_MS;
+    await enrollmentRef(db).update({ claimed_until: admin.firestore.Timestamp.fromMillis(now + 1000) });
+    assert.equal(await outreach.processEnrollment(db, enrollmentRef(db), { mailer, now }), 'skipped');
+    assert.equal(mailer.sent.length, 1);
+
+    assert.equal(await outreach.processEnrollment(db, enrollmentRef(db), { mailer, now: now + 2000 }), 'sent');
+    assert.equal(mailer.sent.length, 2);
+});
+
+test('due steps left claimed by a crashed run don\'t keep the next page from moving on', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+    await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1' }, mailer);
+    await db.doc('projects/P1/candidates/C2').set({ screening_summary: { candidate_name: 'Bo Chen', email: 'bo@example.com' } });
+    await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C2' }, mailer);
+
+    const now = Date.now() + 5 * DAY_MS;
+    await enrollmentRef(db).update({ claimed_until: admin.firestore.Timestamp.fromMillis(now + 60 * 1000) });
+
+    // The claimed enrollment stays due, so a page of one must not start from it again
+    const totals = { pages: 0, sent: 0, skipped: 0 };
+    let page = { done: false, cursor: null };
+    while (!page.done && totals.pages < 5) {
+        page = await outreach.processDue(db, { mailer, now, pageSize: 1, cursor: page.cursor });
+        totals.pages++;
+        totals.sent += page.sent;
+        totals.skipped += page.skipped;
+    }
+    assert.deepEqual(totals, { pages: 3, sent: 1, skipped: 1 });
+    assert.equal(mailer.sent.filter(message => message.to === 'bo@example.com').length, 2);
+});
+
+test('the inbound webhook secret must match exactly', () => {
+    assert.equal(outreach.inboundSecretMatches('s3cret', 's3cret'), true);
+    assert.equal(outreach.inboundSecretMatches('s3cre', 's3cret'), false);
+    assert.equal(outreach.inboundSecretMatches(undefined, 's3cret'), false);
+    assert.equal(outreach.inboundSecretMatches('', ''), false);
+});
+
+test('a failing send is retried, then stops the enrollment', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher(3);
+
+    const result = await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1' }, mailer);
+    assert.equal(result.first_step, 'failed');
+    assert.equal(enrollment(db).send_attempts, 1);
+
+    let now = Date.now();
+    for (const expected of ['failed', 'stopped']) {
+        now += 2 * 60 * 60 * 1000;
+        assert.equal(await outreach.processEnrollment(db, enrollmentRef(db), { mailer, now }), expected);
+    }
+    assert.deepEqual([enrollment(db).status, enrollment(db).stop_reason], ['stopped', 'send_failed']);
+    assert.deepEqual(messages(db).map(message => message.status), ['failed', 'failed', 'failed']);
+    assert.equal(candidate(db).emailSent, undefined);
+});
+
+test('without a mail transport nothing is recorded as sent', async () => {
+    const saved = ['SMTP_HOST', 'MAIL_TRANSPORT', 'FUNCTIONS_EMULATOR'].map(name => [name, process.env[name]]);
+    saved.forEach(([name]) => delete process.env[name]);
+    try {
+        const db = await seed();
+        const result = await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1' });
+
+        assert.equal(result.first_step, 'failed');
+        assert.match(messages(db)[0].error, /No mail transport is configured/);
+        assert.equal(candidate(db).emailSent, undefined);
+        assert.equal(candidate(db).stage, undefined);
+    } finally {
+        saved.forEach(([name, value]) => {
+            if (value !== undefined) process.env[name] = value;
+        });
+    }
+});
+
+test('a reply or a change of interest status stops the enrollment', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+    await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1' }, mailer);
+
+    await outreach.recordReply(db, 'u1', { projectId: 'P1', candidateId: 'C1' });
+    assert.deepEqual([enrollment(db).status, messages(db)[0].status], ['replied', 'replied']);
+    assert.equal(candidate(db).outreach.status, 'replied');
+    const later = Date.now() + 5 * DAY_MS;
+    assert.equal(await outreach.processEnrollment(db, enrollmentRef(db), { mailer, now: later }), 'skipped');
+
+    // Enrolling again is allowed once the last enrollment has ended
+    await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1' }, mailer);
+    await db.doc('projects/P1/candidates/C1').update({ interestStatus: 'not_interested' });
+    assert.equal(await outreach.processEnrollment(db, enrollmentRef(db), { mailer, now: later }), 'stopped');
+    assert.equal(enrollment(db).stop_reason, 'interest_status_changed');
+});
+
+test('manual LinkedIn steps wait until a recruiter marks them sent', async () => {
+    const db = await seed();
+    const mailer = createMailCatcher();
+    const { sequence_id: sequenceId } = await outreach.saveSequence(db, 'u1', {
+        projectId: 'P1',
+        sequence: { name: 'LinkedIn only', steps: [{ channel: 'linkedin', delay_days: 0, subject: '', body: 'Hi {{first_name}}' }] }
+    });
+
+    const result = await outreach.enroll(db, CALLER, { projectId: 'P1', candidateId: 'C1', sequenceId }, mailer);
+    assert.equal(result.first_step, 'waiting');
+    assert.equal(mailer.sent.length, 0);
+    const [queued] = Object.entries(db.dump(outreach.MESSAGE_COLLECTION));
+    assert.equal(queued[1].body, 'Hi Ana');
+    assert.equal(enrollment(db).awaiting_message_id, queued[0]);
+
+    await outreach.markSent(db, 'u1', queued[0]);
+    assert.equal(enrollment(db).status, 'completed');
+    assert.equal(candidate(db).emailSent, undefined);
+    await assert.rejects(outreach.markSent(db, 'u1', queued[0]), error => error.status === 409);
+});
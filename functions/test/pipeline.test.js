@@ -0,0 +1,64 @@
+// Pipeline moves into and out of hired, and the placements they count on positions
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const pipeline = require('../pipeline');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+async function seed(position = {}) {
+    const db = createMemoryFirestore();
+    await db.doc('projects/proj1').set({ projectName: 'Metro Line 4' });
+    await db.doc('projects/proj1/positions/P1').set({ title: 'Senior Planner', status: 'open', headcount: 1, filled_count: 0, ...position });
+    for (const id of ['c1', 'c2']) {
+        await db.doc(`projects/proj1/candidates/${id}`).set({ stage: 'offer', position_id: 'P1' });
+    }
+    return db;
+}
+
+const move = (db, candidateId, stage, reason = null) =>
+    pipeline.moveCandidate(db, 'u1', { projectId: 'proj1', candidateId, stage, reason });
+const position = db => db.dump('projects/proj1/positions').P1;
+
+test('hiring a candidate places them on their position and fills it at headcount', async () => {
+    const db = await seed();
+
+    const result = await move(db, 'c1', 'hired');
+    assert.deepEqual(result.position_fill, { filled_count: 1, headcount: 1, filled: true });
+    assert.equal(position(db).status, 'filled');
+    assert.deepEqual(position(db).placements.map(placement => placement.candidate_id), ['c1']);
+    assert.equal(db.dump('projects/proj1/candidates').c1.placement.position_id, 'P1');
+
+    // A filled position takes no more hires
+    await assert.rejects(move(db, 'c2', 'hired'), error => error.status === 409);
+    assert.equal(db.dump('projects/proj1/candidates').c2.stage, 'offer');
+    await assert.rejects(pipeline.assignPosition(db, { projectId: 'proj1', candidateId: 'c1', positionId: null }), error => error.status === 409);
+});
+
+test('leaving hired takes the placement back and reopens the position', async () => {
+    const db = await seed({ headcount: 2 });
+    await move(db, 'c1', 'hired');
+    await move(db, 'c2', 'hired');
+    assert.equal(position(db).status, 'filled');
+
+    const result = await move(db, 'c1', 'rejected', 'Offer declined');
+    assert.deepEqual(result.position_fill, { filled_count: 1, headcount: 2, filled: false });
+    assert.equal(position(db).status, 'open');
+    assert.equal(position(db).filled_at, undefined);
+    assert.deepEqual(position(db).placements.map(placement => placement.candidate_id), ['c2']);
+    assert.equal(db.dump('projects/proj1/candidates').c1.placement, undefined);
+
+    // Hiring again counts them once more
+    await move(db, 'c1', 'hired');
+    assert.equal(position(db).filled_count, 2);
+});
+
+test('candidates without a position are hired without a placement', async () => {
+    const db = await seed();
+    await db.doc('projects/proj1/candidates/c1').update({ position_id: null });
+
+    const result = await move(db, 'c1', 'hired');
+    assert.equal(result.position_fill, null);
+    assert.equal(position(db).filled_count, 0);
+    assert.equal((await move(db, 'c1', 'offer')).position_fill, null);
+});
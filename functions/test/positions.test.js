@@ -0,0 +1,154 @@
+// Position validation, lifecycle and headcount-aware placement
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const positions = require('../positions');
+const matching = require('../matching');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const CALLER = { uid: 'u1' };
+
+function validated(input, options) {
+    const { position, errors } = positions.validatePosition(input, options);
+    assert.deepEqual(errors, []);
+    return position;
+}
+
+async function seed(position = {}) {
+    const db = createMemoryFirestore();
+    db.organizationId = 'org1';
+    await db.doc('projects/P1').set({ projectName: 'Tower A' });
+    const created = await positions.createPosition(db, CALLER, {
+        projectId: 'P1',
+        position: validated({ title: 'Planner', ...position })
+    });
+    return { db, id: created.position_id };
+}
+
+const stored = (db, id) => db.dump('projects/P1/positions')[id];
+const update = (db, id, params) => positions.updatePosition(db, CALLER, { projectId: 'P1', positionId: id, ...params });
+
+test('a new position is validated and filled in with defaults', () => {
+    const position = validated({
+        title: '  Planning Engineer ',
+        required_skills: 'Primavera P6; AutoCAD; Primavera P6',
+        nice_to_have_skills: ['autocad', 'Revit'],
+        start_date: '2026-11-01',
+        rate_band: { min: '300', max: 450, currency: 'sar', period: 'Day' },
+        must_haves: { certifications: 'PMP', min_years_experience: '5' }
+    });
+
+    assert.equal(position.title, 'Planning Engineer');
+    assert.deepEqual(position.required_skills, ['Primavera P6', 'AutoCAD']);
+    // A skill can't be both required and nice to have
+    assert.deepEqual(position.nice_to_have_skills, ['Revit']);
+    assert.deepEqual([position.headcount, position.location, position.project_type], [1, '', null]);
+    assert.deepEqual(position.rate_band, { min: 300, max: 450, currency: 'SAR', period: 'day' });
+    assert.deepEqual(position.must_haves, {
+        certifications: ['PMP'], languages: [], locations: [], work_authorization: [], min_years_experience: 5
+    });
+});
+
+test('invalid fields are all reported together', () => {
+    const { errors } = positions.validatePosition({
+        title: '',
+        salary: 10,
+        start_date: 'next month',
+        headcount: 0,
+        rate_band: { min: 500, max: 100, currency: 'riyal', period: 'week' },
+        must_haves: { visas: [], min_years_experience: 80 }
+    });
+
+    assert.deepEqual(errors, [
+        'Unknown position fields: salary',
+        'Missing required field: title',
+        'Invalid start_date: next month',
+        'headcount must be an integer between 1 and 500',
+        'rate_band.min cannot be greater than rate_band.max',
+        'rate_band.currency must be a 3-letter currency code',
+        'rate_band.period must be one of: hour, day, month, year',
+        'Unknown must_haves fields: visas',
+        'must_haves.min_years_experience must be between 0 and 60'
+    ]);
+    assert.deepEqual(positions.validatePosition(null).errors, ['Invalid position data']);
+});
+
+test('a partial update only checks and returns the fields it gives', () => {
+    assert.deepEqual(validated({ headcount: 3 }, { partial: true }), { headcount: 3 });
+    assert.deepEqual(validated({ start_date: '' }, { partial: true }), { start_date: null });
+    assert.deepEqual(positions.validatePosition({ title: ' ' }, { partial: true }).errors, ['Missing required field: title']);
+});
+
+test('positions are created open or on hold in an existing project', async () => {
+    const { db, id } = await seed();
+    assert.deepEqual(
+        [stored(db, id).status, stored(db, id).organization_id, stored(db, id).filled_count, stored(db, id).created_by],
+        ['open', 'org1', 0, 'u1']
+    );
+
+    const position = validated({ title: 'Planner' });
+    await assert.rejects(positions.createPosition(db, CALLER, { projectId: 'P9', position }), { status: 404 });
+    await assert.rejects(positions.createPosition(db, CALLER, { projectId: 'P1', position, status: 'filled' }), { status: 400 });
+});
+
+test('status changes follow the lifecycle', async () => {
+    const { db, id } = await seed();
+
+    assert.equal((await update(db, id, { status: 'on_hold' })).status, 'on_hold');
+    await update(db, id, { status: 'closed', reason: 'Budget cut' });
+    assert.deepEqual([stored(db, id).status, stored(db, id).closed_reason, stored(db, id).closed_by], ['closed', 'Budget cut', 'u1']);
+    await assert.rejects(update(db, id, { status: 'on_hold' }), { status: 409 });
+    await assert.rejects(update(db, id, { status: 'filled' }), { status: 409 });
+
+    await update(db, id, { status: 'open' });
+    assert.deepEqual([stored(db, id).status, stored(db, id).closed_reason], ['open', undefined]);
+    await assert.rejects(update(db, id, { status: 'archived' }), { status: 400 });
+    await assert.rejects(update(db, id, {}), { status: 400 });
+    await assert.rejects(update(db, 'missing', { status: 'closed' }), { status: 404 });
+});
+
+test('placements fill a position at headcount and reversing one reopens it', async () => {
+    const { db, id } = await seed({ headcount: 2 });
+    const ref = positions.positionRef(db, 'P1', id);
+    const place = params => db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        return positions.applyPlacement(transaction, ref, doc.data(), { placementDate: '2026-11-01', ...params });
+    });
+
+    assert.deepEqual(await place({ matchId: 'M1', employeeId: 'E1' }), { filled_count: 1, headcount: 2, filled: false });
+    assert.deepEqual(await place({ candidateId: 'C1' }), { filled_count: 2, headcount: 2, filled: true });
+    assert.equal(stored(db, id).status, 'filled');
+    // Filled is only reached through placements, and reopening needs more headcount
+    await assert.rejects(update(db, id, { status: 'open' }), { status: 409 });
+    await assert.rejects(update(db, id, { changes: { headcount: 1 } }), { status: 409 });
+
+    const result = await db.runTransaction(async transaction => {
+        const doc = await transaction.get(ref);
+        return positions.removePlacement(transaction, ref, doc.data(), { candidateId: 'C1' });
+    });
+    assert.deepEqual(result, { filled_count: 1, headcount: 2, filled: false });
+    assert.equal(stored(db, id).status, 'open');
+    assert.deepEqual(stored(db, id).placements.map(placement => placement.match_id), ['M1']);
+});
+
+test('raising headcount reopens a filled position and lowering it to the placed count fills it', async () => {
+    const { db, id } = await seed();
+    await db.doc(`projects/P1/positions/${id}`).update({ status: 'filled', filled_count: 1 });
+
+    assert.equal((await update(db, id, { changes: { headcount: 2 } })).status, 'open');
+    assert.equal((await update(db, id, { changes: { headcount: 1 } })).status, 'filled');
+    assert.equal(positions.statusForHeadcount('on_hold', 5, 1), 'on_hold');
+});
+
+test('listing reads the organization\'s position index and leaves out deleted entries', async () => {
+    const db = createMemoryFirestore();
+    await db.doc(`${matching.POSITION_INDEX}/P1_a`).set({ project_id: 'P1', position_id: 'a', title: 'Planner', status: 'open' });
+    await db.doc(`${matching.POSITION_INDEX}/P1_b`).set({ project_id: 'P1', position_id: 'b', title: 'QS', status: 'deleted' });
+    await db.doc(`${matching.POSITION_INDEX}/P2_c`).set({ project_id: 'P2', position_id: 'c', title: 'BIM', status: 'closed' });
+
+    assert.deepEqual((await positions.listPositions(db)).map(item => item.position_id), ['a', 'c']);
+    assert.deepEqual((await positions.listPositions(db, { status: 'closed' })).map(item => item.title), ['BIM']);
+    const [planner] = await positions.listPositions(db, { projectId: 'P1' });
+    assert.deepEqual([planner.headcount, planner.required_skills, planner.must_haves], [1, [], null]);
+});
@@ -0,0 +1,94 @@
+// Demob profile queries: filters, sorting, totals and cursors
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const profileFilters = require('../profileFilters');
+const skillTaxonomy = require('../skillTaxonomy');
+const demobProfiles = require('../demobProfiles');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const taxonomy = skillTaxonomy.getDefaultTaxonomy();
+
+async function seed(db) {
+    const profiles = {
+        E1: { demob_date: '2026-11-01', internal_metrics: { performance_rating: 4.5 }, retention_rank: 3, skill_keys: ['autocad'] },
+        E2: { demob_date: '2026-11-02', internal_metrics: { performance_rating: 3 }, retention_rank: 2, skill_keys: ['autocad'] },
+        E3: { demob_date: '2026-11-03', internal_metrics: {}, retention_rank: null, skill_keys: ['autocad'] },
+        E4: { demob_date: '2026-11-04', internal_metrics: { performance_rating: 5 }, retention_rank: 1, skill_keys: ['revit'] }
+    };
+    for (const [id, profile] of Object.entries(profiles)) {
+        await db.collection('demob_profiles').doc(id).set({ employee_id: id, ...profile });
+    }
+}
+
+// Page through a listing the way getDemobProfiles does
+async function list(db, query, sort, order, pageSize = 1) {
+    const filters = profileFilters.parseProfileFilters(query);
+    const ordered = profileFilters.orderProfileQuery(profileFilters.buildProfileQuery(db, filters, taxonomy), filters, sort, order);
+    const total = (await ordered.count().get()).data().count;
+
+    const ids = [];
+    let cursor = null;
+    do {
+        let page = ordered.limit(pageSize);
+        if (cursor) page = page.startAfter(...profileFilters.decodeCursor(cursor));
+        const snapshot = await page.get();
+        ids.push(...snapshot.docs.map(doc => doc.id));
+        cursor = snapshot.size === pageSize ? profileFilters.encodeCursor(snapshot.docs[snapshot.size - 1], sort) : null;
+    } while (cursor);
+
+    return { total, ids };
+}
+
+test('the total matches the profiles a sorted listing pages through', async () => {
+    const db = createMemoryFirestore();
+    await seed(db);
+
+    assert.deepEqual(await list(db, { skills: 'AutoCAD' }, 'rating', 'desc'), { total: 2, ids: ['E1', 'E2'] });
+    assert.deepEqual(await list(db, { skills: 'AutoCAD' }, 'priority', 'desc'), { total: 3, ids: ['E1', 'E2', 'E3'] });
+    assert.deepEqual(await list(db, {}, 'demob_date', 'asc', 3), { total: 4, ids: ['E1', 'E2', 'E3', 'E4'] });
+});
+
+test('availability windows can only be sorted by demob date', () => {
+    const filters = profileFilters.parseProfileFilters({ demob_date_start: '2026-11-02' });
+    const query = profileFilters.buildProfileQuery(createMemoryFirestore(), filters, taxonomy);
+
+    assert.throws(() => profileFilters.orderProfileQuery(query, filters, 'rating'), error => error.status === 400);
+    assert.throws(() => profileFilters.orderProfileQuery(query, filters, 'salary'), error => error.status === 400);
+    assert.throws(() => profileFilters.decodeCursor('not-a-cursor'), error => error.status === 400);
+});
+
+test('skill filters find the profiles the matcher would accept', async () => {
+    const db = createMemoryFirestore();
+    const skills = { E1: ['Tekla Structures'], E2: ['Primavera P6'], E3: ['AutoCAD'] };
+    for (const [id, technicalSkills] of Object.entries(skills)) {
+        const profile = { employee_id: id, demob_date: '2026-11-01', skill_inventory: { technical_skills: technicalSkills } };
+        await db.collection('demob_profiles').doc(id).set({ ...profile, ...demobProfiles.buildSearchFields(profile, taxonomy) });
+    }
+
+    assert.deepEqual((await list(db, { skills: 'Tekla' }, 'demob_date', 'asc')).ids, ['E1']);
+    assert.deepEqual((await list(db, { skills: 'Scheduling' }, 'demob_date', 'asc')).ids, ['E2']);
+    assert.deepEqual((await list(db, { skills: 'Tekla,AutoCAD' }, 'demob_date', 'asc')).ids, ['E1', 'E3']);
+    assert.deepEqual((await list(db, { skills: 'Revit' }, 'demob_date', 'asc')).ids, []);
+});
+
+test('a location filter finds profiles that prefer any place within it', async () => {
+    const db = createMemoryFirestore();
+    const locations = { E1: ['Riyadh, KSA'], E2: ['Riyadh'], E3: ['Jeddah,  KSA'], E4: ['Doha, Qatar'] };
+    for (const [id, preferred] of Object.entries(locations)) {
+        const profile = {
+            employee_id: id,
+            demob_date: '2026-11-01',
+            mobility_preferences: { preferred_locations: preferred },
+            skill_inventory: { technical_skills: id === 'E4' ? [] : ['AutoCAD'] }
+        };
+        await db.collection('demob_profiles').doc(id).set({ ...profile, ...demobProfiles.buildSearchFields(profile, taxonomy) });
+    }
+
+    assert.deepEqual((await list(db, { location: 'Riyadh' }, 'demob_date', 'asc')).ids, ['E1', 'E2']);
+    assert.deepEqual((await list(db, { location: 'ksa' }, 'demob_date', 'asc')).ids, ['E1', 'E3']);
+    assert.deepEqual((await list(db, { location: 'Riyadh,KSA' }, 'demob_date', 'asc')).ids, ['E1']);
+    assert.deepEqual((await list(db, { location: 'KSA', skills: 'AutoCAD' }, 'demob_date', 'asc')).ids, ['E1', 'E3']);
+    assert.deepEqual((await list(db, { location: 'Qatar', skills: 'AutoCAD' }, 'demob_date', 'asc')).ids, []);
+});
@@ -0,0 +1,90 @@
+// Demob profile import: column mapping, row validation and the import report
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const XLSX = require('xlsx');
+
+const profileImport = require('../profileImport');
+
+const csv = lines => Buffer.from(lines.join('\n'));
+
+test('file formats come from the explicit format or the file name', () => {
+    assert.equal(profileImport.detectFormat(null, 'demob.CSV'), 'csv');
+    assert.equal(profileImport.detectFormat('xls'), 'xlsx');
+    assert.equal(profileImport.detectFormat(undefined, 'demob.xlsx'), 'xlsx');
+    assert.equal(profileImport.detectFormat(null, 'demob.pdf'), null);
+    assert.throws(() => profileImport.planFileImport({ buffer: csv([]), filename: 'demob.pdf' }), /Unsupported file format/);
+});
+
+test('headers map through the custom mapping, the export headers and field paths', () => {
+    const { mapping, unmapped } = profileImport.resolveColumnMapping(
+        ['Staff No', 'Demob_Date', 'current_project.name', 'Notes'],
+        { 'staff no': 'employee_id' }
+    );
+    assert.deepEqual(mapping, { 'Staff No': 'employee_id', Demob_Date: 'demob_date', 'current_project.name': 'current_project.name' });
+    assert.deepEqual(unmapped, ['Notes']);
+
+    assert.throws(() => profileImport.resolveColumnMapping(['Salary'], { Salary: 'salary' }), /Unknown profile field in column mapping: salary/);
+});
+
+test('a CSV import validates every row and reports errors by spreadsheet row', () => {
+    const plan = profileImport.planFileImport({
+        buffer: csv([
+            'Employee ID,Demob Date,Current Project,Performance Rating,Technical Skills,Willing to Relocate,Notes',
+            'E1,2026-11-30,Tower A,4.5,"Primavera P6; AutoCAD",yes,ok',
+            'E2,not a date,Tower A,,,,',
+            'E3,2026-12-15,Metro,9,,,',
+            'E1,2026-12-01,Metro,,,,',
+            ',2026-12-01,Metro,,,,'
+        ]),
+        filename: 'demob.csv'
+    });
+
+    assert.deepEqual([plan.format, plan.total_rows, plan.valid_count, plan.invalid_count], ['csv', 5, 1, 4]);
+    assert.deepEqual(plan.unmapped_columns, ['Notes']);
+    assert.deepEqual(plan.profiles[0], {
+        employee_id: 'E1',
+        demob_date: '2026-11-30',
+        current_project: { name: 'Tower A' },
+        internal_metrics: { performance_rating: 4.5 },
+        skill_inventory: { technical_skills: ['Primavera P6', 'AutoCAD'] },
+        mobility_preferences: { preferred_locations: [], willing_to_relocate: true }
+    });
+    assert.deepEqual(plan.errors, [
+        { row: 3, employee_id: 'E2', errors: ['Invalid demob_date: not a date'] },
+        { row: 4, employee_id: 'E3', errors: ['performance_rating must be a number between 1 and 5'] },
+        { row: 5, employee_id: 'E1', errors: ['Duplicate employee_id (also on row 2)'] },
+        { row: 6, employee_id: 'unknown', errors: ['Missing required field: employee_id'] }
+    ]);
+});
+
+test('an Excel import reads the first sheet the same way', () => {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([
+        ['Employee ID', 'Demob Date', 'Current Project', 'Preferred Locations'],
+        ['E9', '2026-10-01', 'Airport', 'Dubai, Riyadh']
+    ]), 'Profiles');
+    const buffer = XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+
+    const plan = profileImport.planFileImport({ buffer, filename: 'demob.xlsx' });
+    assert.deepEqual([plan.format, plan.valid_count], ['xlsx', 1]);
+    assert.deepEqual(plan.profiles[0].mobility_preferences.preferred_locations, ['Dubai', 'Riyadh']);
+});
+
+test('a file without an employee_id column is refused', () => {
+    assert.throws(
+        () => profileImport.planFileImport({ buffer: csv(['Name,Demob Date', 'Ana,2026-11-30']), format: 'csv' }),
+        /No column is mapped to employee_id/
+    );
+});
+
+test('the client gets the report with a preview of the valid profiles', () => {
+    const profiles = Array.from({ length: 25 }, (_, index) => ({
+        employee_id: `E${index}`, demob_date: '2026-11-30', current_project: 'Tower A'
+    }));
+    const summary = profileImport.summarizePlan(profileImport.buildImportPlan(profiles));
+
+    assert.equal(summary.valid_count, 25);
+    assert.equal(summary.preview.length, 20);
+    assert.equal(summary.profiles, undefined);
+});
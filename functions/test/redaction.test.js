@@ -0,0 +1,86 @@
+// Role-based redaction of demob profiles, filters, sorts and export columns
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const redaction = require('../redaction');
+const profileFilters = require('../profileFilters');
+const exporters = require('../exporters');
+
+const PROFILE = {
+    employee_id: 'E1',
+    current_status: 'Active - Demobilizing',
+    demob_date: '2026-11-30',
+    current_project: { name: 'Tower A', role: 'Planner' },
+    internal_metrics: { performance_rating: 4.5, years_with_company: 6, retention_priority: 'Critical' },
+    retention_rank: 0,
+    matching_history: [{ position_id: 'P1' }],
+    created_by: 'u1',
+    skill_inventory: { technical_skills: ['Primavera P6'] }
+};
+
+// What each role may see; an unknown role gets the most restrictive (viewer) rules
+const EXPECTED = {
+    admin: { rating: true, priority: true, years: true, rank: true, history: true },
+    hr_manager: { rating: true, priority: true, years: true, rank: true, history: true },
+    recruiter: { rating: false, priority: false, years: true, rank: false, history: true },
+    viewer: { rating: false, priority: false, years: false, rank: false, history: false },
+    contractor: { rating: false, priority: false, years: false, rank: false, history: false }
+};
+
+for (const [role, can] of Object.entries(EXPECTED)) {
+    test(`redacts profiles for ${role}`, () => {
+        const redacted = redaction.redactProfile(PROFILE, role);
+
+        assert.equal(redacted.internal_metrics?.performance_rating !== undefined, can.rating);
+        assert.equal(redacted.internal_metrics?.retention_priority !== undefined, can.priority);
+        assert.equal(redacted.internal_metrics?.years_with_company !== undefined, can.years);
+        assert.equal(redacted.retention_rank !== undefined, can.rank);
+        assert.equal(redacted.matching_history !== undefined, can.history);
+        assert.equal(redacted.employee_id, 'E1');
+        assert.deepEqual(redacted.current_project, PROFILE.current_project);
+        // The stored document is never modified
+        assert.equal(PROFILE.internal_metrics.retention_priority, 'Critical');
+    });
+
+    test(`restricted paths for ${role}`, () => {
+        assert.equal(redaction.isRestricted(role, 'internal_metrics.performance_rating'), !can.rating);
+        assert.equal(redaction.isRestricted(role, 'internal_metrics.retention_priority'), !can.priority);
+        assert.equal(redaction.isRestricted(role, 'retention_rank'), !can.rank);
+        assert.equal(redaction.isRestricted(role, 'current_project.name'), false);
+        // Reading the parent object would expose a hidden child
+        assert.equal(redaction.touchesRestricted(role, 'internal_metrics'), !can.rating || !can.priority || !can.years);
+        assert.equal(redaction.touchesRestricted(role, 'internal_metrics.performance_rating'), !can.rating);
+    });
+
+    test(`profile filters and sorts for ${role}`, () => {
+        const byPriority = () => profileFilters.assertFiltersAllowed({ retention_priority: 'Critical' }, role);
+        const sortBy = sort => () => profileFilters.assertFiltersAllowed({}, role, sort);
+
+        for (const [allowed, check] of [[can.priority, byPriority], [can.priority, sortBy('priority')], [can.rating, sortBy('rating')]]) {
+            if (allowed) {
+                assert.doesNotThrow(check);
+            } else {
+                assert.throws(check, error => error.status === 403);
+            }
+        }
+        assert.doesNotThrow(sortBy('demob_date'));
+    });
+
+    test(`export columns for ${role}`, () => {
+        const defaults = exporters.resolveColumns([], role).map(column => column.id);
+
+        assert.equal(defaults.includes('internal_metrics.performance_rating'), can.rating);
+        assert.equal(defaults.includes('internal_metrics.retention_priority'), can.priority);
+        assert.equal(defaults.includes('internal_metrics.years_with_company'), can.years);
+        assert.ok(defaults.includes('employee_id'));
+
+        const request = ['employee_id', 'internal_metrics.retention_priority'];
+        if (can.priority) {
+            assert.deepEqual(exporters.resolveColumns(request, role).map(column => column.id), request);
+        } else {
+            assert.throws(() => exporters.resolveColumns(request, role), error => error.status === 403);
+        }
+        assert.throws(() => exporters.resolveColumns(['salary'], role), error => error.status === 400);
+    });
+}
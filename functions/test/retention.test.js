@@ -0,0 +1,80 @@
+// Retention purges: which records a policy deletes and what goes with them
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const admin = require('firebase-admin');
+
+const retention = require('../retention');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const daysAgo = days => admin.firestore.Timestamp.fromMillis(Date.now() - days * DAY_MS);
+
+async function policyFor(db, target) {
+    return (await retention.loadPolicies(db)).find(policy => policy.target === target);
+}
+
+async function seedMatch(db, id, status, ageDays, events = 0) {
+    await db.doc(`demob_matches/${id}`).set({ status, created_at: daysAgo(ageDays) });
+    for (let i = 0; i < events; i++) {
+        await db.doc(`demob_matches/${id}/events/E${i}`).set({ to_status: status, note: 'Called the employee' });
+    }
+}
+
+test('old matches are purged with their events but placed and rejected ones are kept', async () => {
+    const db = createMemoryFirestore();
+    await seedMatch(db, 'open', 'Pending Review', 200, 2);
+    await seedMatch(db, 'withdrawn', 'Withdrawn', 200, 1);
+    await seedMatch(db, 'placed', 'Placed', 200, 3);
+    await seedMatch(db, 'rejected', 'Rejected', 200, 1);
+    await seedMatch(db, 'recent', 'Pending Review', 10, 1);
+
+    const policy = await policyFor(db, 'demob_matches');
+    assert.deepEqual(await retention.previewPurge(db, [policy]), { demob_matches: { expired: 2 } });
+
+    const result = await retention.purgeChunk(db, policy);
+    assert.deepEqual(result, { deleted: 2, reasons: { expired: 2 }, done: true });
+    assert.deepEqual(Object.keys(db.dump('demob_matches')).sort(), ['placed', 'recent', 'rejected']);
+    assert.deepEqual(db.dump('demob_matches/open/events'), {});
+    assert.deepEqual(db.dump('demob_matches/withdrawn/events'), {});
+    assert.equal(Object.keys(db.dump('demob_matches/placed/events')).length, 3);
+});
+
+test('a purge stops at its chunk size and reports that more is left', async () => {
+    const db = createMemoryFirestore();
+    for (const id of ['M1', 'M2', 'M3']) await seedMatch(db, id, 'In Progress', 400, 1);
+
+    const policy = await policyFor(db, 'demob_matches');
+    assert.deepEqual(await retention.purgeChunk(db, policy, { chunkSize: 2 }), { deleted: 2, reasons: { expired: 2 }, done: false });
+    assert.deepEqual(await retention.purgeChunk(db, policy, { chunkSize: 2 }), { deleted: 1, reasons: { expired: 1 }, done: true });
+    assert.deepEqual(db.dump('demob_matches'), {});
+});
+
+test('withdrawn consent is purged even when the age rule is disabled', async () => {
+    const db = createMemoryFirestore();
+    await db.doc('cv_database/CV1').set({ consent: { status: 'withdrawn' }, metadata: { processing_date: daysAgo(1) } });
+    await db.doc('cv_database/CV2').set({ consent: { status: 'granted' }, metadata: { processing_date: daysAgo(1000) } });
+    await retention.savePolicy(db, 'cv_database', { enabled: false }, 'u1');
+
+    const result = await retention.purgeChunk(db, await policyFor(db, 'cv_database'));
+    assert.deepEqual(result.reasons, { consent_withdrawn: 1 });
+    assert.deepEqual(Object.keys(db.dump('cv_database')), ['CV2']);
+});
+
+test('date-string targets compare against the cutoff day', async () => {
+    const db = createMemoryFirestore();
+    const day = days => new Date(Date.now() - days * DAY_MS).toISOString().slice(0, 10);
+    await db.doc('demob_profiles/P1').set({ demob_date: day(400) });
+    await db.doc('demob_profiles/P2').set({ demob_date: day(30) });
+
+    const result = await retention.purgeChunk(db, await policyFor(db, 'demob_profiles'));
+    assert.equal(result.deleted, 1);
+    assert.deepEqual(Object.keys(db.dump('demob_profiles')), ['P2']);
+});
+
+test('policy edits are validated', () => {
+    assert.throws(() => retention.validatePolicy('nope', { enabled: true }), error => error.status === 400);
+    assert.throws(() => retention.validatePolicy('demob_matches', { max_age_days: 0 }), error => error.status === 400);
+    assert.throws(() => retention.validatePolicy('demob_matches', {}), error => error.status === 400);
+    assert.deepEqual(retention.validatePolicy('demob_matches', { max_age_days: '90' }), { max_age_days: 90 });
+});
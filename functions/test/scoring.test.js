@@ -0,0 +1,82 @@
+// Match scoring: factor sub-scores, weights and weight profiles
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const scoring = require('../scoring');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const PROFILE = {
+    demob_date: '2026-03-01',
+    current_project: { name: 'Metro' },
+    skill_inventory: { technical_skills: ['AutoCAD', 'Primavera P6'] },
+    mobility_preferences: { preferred_locations: ['Riyadh'], willing_to_relocate: true }
+};
+const POSITION = {
+    required_skills: ['AutoCAD', 'Revit'],
+    project_type: 'Metro Rail',
+    location: 'Riyadh',
+    start_date: '2026-03-20'
+};
+
+test('weights are validated and scaled to sum to 1', () => {
+    const weights = scoring.normalizeWeights({ skills: 2, project_type: 1, geography: 1, timing: 0 });
+    assert.deepEqual(weights, { skills: 0.5, project_type: 0.25, geography: 0.25, timing: 0 });
+
+    assert.throws(() => scoring.normalizeWeights({ seniority: 1 }), /Unknown scoring factor/);
+    assert.throws(() => scoring.normalizeWeights({ skills: -1 }), /Invalid weight/);
+    assert.throws(() => scoring.normalizeWeights({ skills: 0, project_type: 0, geography: 0, timing: 0 }), /greater than zero/);
+});
+
+test('each factor reports its own sub-score and evidence', () => {
+    const result = scoring.scoreMatch(PROFILE, POSITION);
+    const { skills, project_type: projectType, geography, timing } = result.factors;
+
+    assert.equal(skills.score, 50);
+    assert.deepEqual(skills.evidence.missing, ['Revit']);
+    assert.equal(projectType.evidence.reason, 'project_type_match');
+    assert.equal(geography.evidence.reason, 'preferred_location');
+    assert.deepEqual([timing.score, timing.evidence.day_gap, timing.evidence.availability], [100, 19, 'before_start']);
+
+    // 0.5 * 40 + 25 + 20 + 15
+    assert.equal(result.score, 80);
+    assert.equal(result.weight_profile_id, 'default');
+    assert.deepEqual(scoring.toMatchFactors(result), {
+        skills_alignment: 20, project_experience: 25, geographic_fit: 20, timing_alignment: 15
+    });
+});
+
+test('weaker fits score lower on geography and timing', () => {
+    const result = scoring.scoreMatch(
+        { ...PROFILE, demob_date: '2026-09-01', mobility_preferences: { preferred_locations: ['Doha'], willing_to_relocate: false } },
+        POSITION
+    );
+    assert.equal(result.factors.geography.evidence.reason, 'location_mismatch');
+    assert.equal(result.factors.geography.score, 30);
+    assert.equal(result.factors.timing.score, 50);
+    assert.equal(result.factors.timing.evidence.availability, 'after_start');
+});
+
+test('an organization scores with its own profile and falls back to the default', async () => {
+    scoring.clearWeightProfileCache();
+    const db = createMemoryFirestore();
+    await db.doc('scoring_profiles/org1').set({ weights: { skills: 1, project_type: 1, geography: 1, timing: 1 } });
+
+    assert.deepEqual(await scoring.loadWeightProfile(db, 'org1'), {
+        id: 'org1', weights: { skills: 0.25, project_type: 0.25, geography: 0.25, timing: 0.25 }
+    });
+    assert.deepEqual(await scoring.loadWeightProfile(db, 'org2'), { id: 'default', weights: scoring.DEFAULT_WEIGHTS });
+});
+
+test('the skill prefilter weight only counts profiles that score the organization', async () => {
+    scoring.clearWeightProfileCache();
+    const db = createMemoryFirestore();
+    await db.doc('scoring_profiles/org1').set({ weights: { skills: 0.3, project_type: 0.3, geography: 0.2, timing: 0.2 } });
+    await db.doc('scoring_profiles/org2').set({ weights: { skills: 0.05, project_type: 0.45, geography: 0.3, timing: 0.2 } });
+
+    // Another organization's low skills weight must not turn off this one's prefilter
+    assert.equal(await scoring.loadMinimumSkillWeight(db, 'org1'), 0.3);
+    assert.equal(await scoring.loadMinimumSkillWeight(db, 'org3'), scoring.DEFAULT_WEIGHTS.skills);
+    assert.equal(await scoring.loadMinimumSkillWeight(db, 'org2'), 0.05);
+    scoring.clearWeightProfileCache();
+});
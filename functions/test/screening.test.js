@@ -0,0 +1,101 @@
+// Must-have screening with the LLM's help on criteria the rules leave unknown
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const screening = require('../screening');
+const matching = require('../matching');
+const knowledge = require('../knowledge');
+const embeddings = require('../embeddings');
+const { createMemoryFirestore } = require('./helpers/memoryFirestore');
+
+const RECORD = {
+    candidate_profile: {
+        personal_info: { full_name: 'Omar Haddad', location: 'Riyadh' },
+        professional_summary: { current_position: 'Safety Officer', summary: 'Safety officer on metro station fit-out works' },
+        skills: { technical_skills: [], certifications: [], languages: [] }
+    }
+};
+
+async function seed() {
+    const db = createMemoryFirestore();
+    await db.collection(matching.POSITION_INDEX).doc('proj1_P1').set({
+        project_id: 'proj1',
+        position_id: 'P1',
+        title: 'Safety Officer',
+        description: 'Site safety for the metro stations',
+        status: 'open',
+        required_skills: [],
+        must_haves: { certifications: ['NEBOSH IGC'] }
+    });
+    await knowledge.indexDocument(db, embeddings.getEmbeddingProvider('local'), {
+        projectId: 'proj1',
+        docId: 'hse',
+        docName: 'HSE Requirements',
+        text: 'Safety officers on the metro stations must hold the NEBOSH International General Certificate or an equivalent.'
+    });
+    return db;
+}
+
+// Records the prompt and answers with the given criteria
+function recordingProvider(criteria = []) {
+    const provider = {
+        prompts: [],
+        async generateJson(prompt) {
+            provider.prompts.push(prompt);
+            return { criteria };
+        }
+    };
+    return provider;
+}
+
+test('the LLM gets the relevant project knowledge and the result keeps its sources', async () => {
+    const db = await seed();
+    const provider = recordingProvider();
+
+    const result = await screening.screenRecord(db, RECORD, { useLlm: true, provider });
+    assert.equal(result.method, 'rules+llm');
+    assert.match(provider.prompts[0], /PROJECT CONTEXT[\s\S]*NEBOSH International General Certificate/);
+    assert.deepEqual(result.positions[0].sources.map(source => source.doc_name), ['HSE Requirements']);
+
+    // Rules alone neither retrieve nor record sources
+    const rulesOnly = await screening.screenRecord(db, RECORD, { provider });
+    assert.equal(provider.prompts.length, 1);
+    assert.deepEqual(rulesOnly.positions[0].sources, []);
+});
+
+test('LLM answers count only when quoted from a profile value', async () => {
+    const db = await seed();
+    const id = 'certification:nebosh_igc';
+    const screen = async evidence => {
+        const provider = recordingProvider([{ id, status: 'pass', evidence, reasoning: 'Quoted' }]);
+        const result = await screening.screenRecord(db, RECORD, { useLlm: true, provider });
+        return result.positions[0].criteria.find(item => item.id === id);
+    };
+
+    const accepted = await screen('metro station fit-out');
+    assert.deepEqual([accepted.status, accepted.source], ['pass', 'llm']);
+    assert.deepEqual(accepted.evidence, [{ field: 'professional_summary.summary', value: 'Safety officer on metro station fit-out works' }]);
+
+    // Too short, made up, or a profile value buried in a longer invented quote
+    for (const evidence of ['Safety', 'Holds NEBOSH IGC since 2019', 'Safety Officer with NEBOSH IGC', '']) {
+        const rejected = await screen(evidence);
+        assert.deepEqual([rejected.status, rejected.source], ['unknown', 'rules'], evidence);
+    }
+});
+
+test('a listed value passes only when it holds the whole requirement', () => {
+    const profile = {
+        professional_summary: { summary: 'Supervised NEBOSH IGC holders on site' },
+        skills: { technical_skills: [], certifications: ['CSWIP', 'PMP Certified'], languages: ['English (fluent)'] }
+    };
+    const criteria = screening.evaluatePosition(profile, {
+        must_haves: { certifications: ['CSWIP 3.1', 'PMP', 'NEBOSH IGC'], languages: ['English C1', 'English'] }
+    });
+    const statuses = Object.fromEntries(criteria.map(item => [item.requirement, item.status]));
+
+    assert.deepEqual(statuses, { 'CSWIP 3.1': 'fail', PMP: 'pass', 'NEBOSH IGC': 'unknown', 'English C1': 'fail', English: 'pass' });
+    // A free-text mention is kept as evidence for a reviewer, not taken as holding it
+    assert.deepEqual(criteria.find(item => item.requirement === 'NEBOSH IGC').evidence,
+        [{ field: 'professional_summary.summary', value: 'Supervised NEBOSH IGC holders on site' }]);
+});
@@ -0,0 +1,79 @@
+// Skill resolution, proficiency levels and hierarchy
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const skillTaxonomy = require('../skillTaxonomy');
+
+const taxonomy = skillTaxonomy.getDefaultTaxonomy();
+
+test('reads levels only from positions that cannot be part of the skill name', () => {
+    const cases = [
+        ['AutoCAD (Advanced)', 'autocad', 'advanced'],
+        ['Primavera P6 - expert level', 'primavera_p6', 'expert'],
+        ['Arabic: native', 'custom:arabic', 'expert'],
+        ['Expert in Primavera', 'primavera_p6', 'expert'],
+        ['Working knowledge of SAP', 'sap', 'intermediate'],
+        ['React Native', 'custom:react_native', null],
+        ['ANSYS Fluent', 'custom:ansys_fluent', null],
+        ['Working at Heights', 'custom:working_at_heights', null],
+        ['AutoCAD (2D/3D)', 'autocad', null]
+    ];
+
+    for (const [text, id, level] of cases) {
+        const skill = taxonomy.resolve(text);
+        assert.deepEqual([skill.id, skill.level], [id, level], text);
+    }
+});
+
+test('resolves aliases without matching unrelated skills by substring', () => {
+    assert.equal(taxonomy.resolve('PM').id, 'project_management');
+    assert.equal(taxonomy.resolve('Oracle Primavera P6 scheduling').id, 'primavera_p6');
+    assert.equal(taxonomy.resolve('JavaScript').id, 'javascript');
+    assert.equal(taxonomy.satisfies(taxonomy.resolve('JavaScript'), taxonomy.resolve('Java')), false);
+});
+
+test('a child skill satisfies its parent but not the reverse', () => {
+    const p6 = taxonomy.resolve('P6');
+    const scheduling = taxonomy.resolve('Scheduling');
+
+    assert.equal(taxonomy.satisfies(p6, scheduling), true);
+    assert.equal(taxonomy.satisfies(scheduling, p6), false);
+    assert.deepEqual(taxonomy.expandKeys(['P6']), ['primavera_p6', 'scheduling', 'planning']);
+});
+
+test('custom skills fall back to whole-token containment', () => {
+    const required = taxonomy.resolve('Rope Access');
+    assert.equal(taxonomy.satisfies(taxonomy.resolve('IRATA Rope Access Level 3'), required), true);
+    assert.equal(taxonomy.satisfies(taxonomy.resolve('Ropes'), required), false);
+});
+
+test('validates taxonomy entries', () => {
+    assert.deepEqual(skillTaxonomy.validateEntries([
+        { id: 'a', name: 'A', aliases: ['x'], parent: 'b' },
+        { id: 'b', name: 'B', aliases: ['x'], parent: 'a' },
+        { id: 'Bad Id', name: 'C' }
+    ]), [
+        'Alias "x" is used by both a and b',
+        'Invalid skill id: Bad Id',
+        'Cycle detected in parents of a',
+        'Cycle detected in parents of b'
+    ]);
+});
+
+test('prefilter keys overlap whenever a candidate skill satisfies a requirement', () => {
+    const candidateSkills = ['IRATA Rope Access Level 3', 'SAP FICO module', 'Primavera P6 (expert)', 'React Native'];
+    const requirements = ['Rope Access', 'FICO', 'Scheduling', 'Primavera', 'React', 'Native', 'Revit', 'Confined Space Entry'];
+
+    const candidateKeys = new Set(taxonomy.candidateKeys(candidateSkills));
+    const candidates = taxonomy.resolveAll(candidateSkills);
+
+    for (const requirement of requirements) {
+        const satisfied = candidates.some(skill => taxonomy.satisfies(skill, taxonomy.resolve(requirement)));
+        const overlaps = taxonomy.requirementKeys([requirement]).some(key => candidateKeys.has(key));
+        if (satisfied) {
+            assert.equal(overlaps, true, requirement);
+        }
+    }
+    assert.equal(taxonomy.requirementKeys(['Revit']).some(key => candidateKeys.has(key)), false);
+});
@@ -0,0 +1,121 @@
+// Text extraction for uploaded documents
+//
+// Server-side equivalents of the browser's readPdfFile / readDocxFile /
+// readExcelAsText: PDF through pdf-parse (first 10 pages), DOCX through
+// mammoth, and spreadsheets through xlsx as JSON rows. Output is capped at
+// MAX_TEXT_LENGTH characters, as the browser readers did.
+//
+// Knowledge documents are read whole instead: callers pass maxPages and
+// maxLength, and keepLayout keeps line and paragraph breaks, with a form feed
+// (PAGE_BREAK) starting each PDF page, so they can be chunked by section and page.
+//
+// A file that can't be read fails with a 422 HttpError: retrying won't help.
+
+const pdfParse = require('pdf-parse');
+const mammoth = require('mammoth');
+const XLSX = require('xlsx');
+const { HttpError } = require('./errors');
+
+const MAX_PDF_PAGES = 10;
+const MAX_TEXT_LENGTH = 10000;
+const PAGE_BREAK = '\f';
+
+const FILE_TYPES = {
+    pdf: ['application/pdf'],
+    docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document'],
+    xlsx: [
+        'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        'application/vnd.ms-excel'
+    ],
+    csv: ['text/csv'],
+    txt: ['text/plain']
+};
+
+// Helper function to work out a file's type from its MIME type or extension
+function detectFileType(fileName = '', mimeType = '') {
+    for (const [type, mimeTypes] of Object.entries(FILE_TYPES)) {
+        if (mimeTypes.includes(mimeType)) return type;
+    }
+    const extension = fileName.toLowerCase().split('.').pop();
+    if (extension === 'xls') return 'xlsx';
+    return FILE_TYPES[extension] ? extension : null;
+}
+
+function clean(text, maxLength = MAX_TEXT_LENGTH) {
+    return String(text || '').replace(/\s+/g, ' ').trim().substring(0, maxLength);
+}
+
+// Like clean(), but keeps line breaks, paragraph breaks and page breaks
+function cleanLayout(text, maxLength) {
+    return String(text || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/[^\S\n\f]+/g, ' ')
+        .replace(/ *\n */g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .replace(/^[ \n]+|[ \n]+$/g, '')
+        .substring(0, maxLength);
+}
+
+// Renders a page's text the way pdf-parse does by default (a line break
+// wherever the text moves to a new line), starting with a page break
+async function renderPageWithBreak(pageData) {
+    const content = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+    let lastY = null;
+    let text = '';
+    for (const item of content.items) {
+        text += lastY === null || lastY === item.transform[5] ? item.str : `\n${item.str}`;
+        lastY = item.transform[5];
+    }
+    return `${PAGE_BREAK}${text}`;
+}
+
+async function readPdf(buffer, maxPages = MAX_PDF_PAGES, keepLayout = false) {
+    const result = await pdfParse(buffer, {
+        max: maxPages,
+        ...(keepLayout ? { pagerender: renderPageWithBreak } : {})
+    });
+    return result.text;
+}
+
+async function readDocx(buffer) {
+    const result = await mammoth.extractRawText({ buffer });
+    return result.value;
+}
+
+function readSpreadsheet(buffer) {
+    const workbook = XLSX.read(buffer, { type: 'buffer' });
+    const firstSheet = workbook.Sheets[workbook.SheetNames[0]];
+    return JSON.stringify(XLSX.utils.sheet_to_json(firstSheet), null, 2);
+}
+
+// Helper function to extract plain text from an uploaded file
+async function extractText(buffer, { fileName, mimeType, maxPages = MAX_PDF_PAGES, maxLength = MAX_TEXT_LENGTH, keepLayout = false } = {}) {
+    const type = detectFileType(fileName, mimeType);
+    const finish = text => (keepLayout ? cleanLayout(text, maxLength) : clean(text, maxLength));
+
+    try {
+        switch (type) {
+            case 'pdf':
+                return finish(await readPdf(buffer, maxPages, keepLayout));
+            case 'docx':
+                return finish(await readDocx(buffer));
+            case 'xlsx':
+            case 'csv':
+                return finish(readSpreadsheet(buffer));
+            case 'txt':
+                return finish(buffer.toString('utf8'));
+            default:
+                throw new HttpError(422, `Unsupported file type: ${fileName || mimeType}`);
+        }
+    } catch (error) {
+        if (!type) throw error;
+        throw new HttpError(422, `Failed to read ${type.toUpperCase()} file ${fileName}: ${error.message}`);
+    }
+}
+
+module.exports = {
+    MAX_TEXT_LENGTH,
+    PAGE_BREAK,
+    detectFileType,
+    extractText
+};